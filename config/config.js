@@ -7,6 +7,10 @@ const config = {
     network: process.env.HEDERA_NETWORK || 'testnet',
     timeout: 30000
   },
+  ledger: {
+    type: process.env.LEDGER_TYPE || 'hedera', // 'hedera' or 'local'
+    path: process.env.LEDGER_PATH // Directory for local topic files; in-memory when unset
+  },
   postgres: {
     host: process.env.POSTGRES_HOST || 'localhost',
     port: parseInt(process.env.POSTGRES_PORT) || 5432,
@@ -19,12 +23,86 @@ const config = {
   },
   app: {
     port: parseInt(process.env.PORT) || 3000,
-    env: process.env.NODE_ENV || 'development'
+    env: process.env.NODE_ENV || 'development',
+    dbName: process.env.DB_NAME || 'hedera_db',
+    schemaPath: process.env.SCHEMA_PATH, // JSON schema the API server initializes with
+    existingTopicId: process.env.EXISTING_TOPIC_ID // Attach to this topic instead of creating one
+  },
+  auth: {
+    apiKeys: process.env.API_KEYS ? JSON.parse(process.env.API_KEYS) : [], // [{ key, id, roles, databases }]
+    jwt: {
+      secret: process.env.JWT_SECRET, // HS256/384/512
+      publicKey: process.env.JWT_PUBLIC_KEY, // PEM for RS256/384/512; used instead of the secret when set
+      issuer: process.env.JWT_ISSUER,
+      audience: process.env.JWT_AUDIENCE,
+      rolesClaim: 'roles',
+      databasesClaim: 'databases' // With tenancy, the databases a token may use; any when absent
+    },
+    roles: { // Role -> table (or '*') -> actions: read, insert, update, delete, hardDelete, verify
+      admin: { '*': ['*'] },
+      reader: { '*': ['read'] },
+      auditor: { '*': ['read', 'verify'] }
+    }
+  },
+  policies: {
+    // Row-level policies per table, e.g.
+    // orders: { all: { user_id: { $principal: 'id' } }, bypassRoles: ['admin'] }
   },
   syncEnabled: true,
+  anchoring: {
+    mode: process.env.ANCHORING_MODE || 'direct', // 'direct' or 'batch' (one Merkle root per window; not with replay)
+    maxBatchSize: 100,
+    maxWaitMs: 1000 // Writes wait up to this long for their batch to be anchored
+  },
+  outbox: {
+    awaitAnchoring: process.env.AWAIT_ANCHORING !== 'false', // Writes wait for the ledger result unless told otherwise
+    pollIntervalMs: 1000, // Batch mode uses anchoring.maxWaitMs instead
+    maxAttempts: 10, // Entries are marked failed after this many submissions
+    retryDelayMs: 1000, // Doubles per attempt up to maxRetryDelayMs
+    maxRetryDelayMs: 60000,
+    awaitTimeoutMs: 60000
+  },
+  transactions: {
+    ttlMs: 15 * 60 * 1000 // Open transactions idle this long are rolled back
+  },
+  replay: {
+    enabled: process.env.REPLAY_ENABLED === 'true', // Carry row payloads on the topic so nodes can rebuild from it
+    encryptPayload: false,
+    key: process.env.REPLAY_KEY // Falls back to encryption.key
+  },
   encryption: {
-    enabled: false, // Enable when you implement encryption
-    key: process.env.ENCRYPTION_KEY
+    enabled: process.env.ENCRYPTION_ENABLED === 'true', // Required for columns marked `encrypted: true`
+    keyId: process.env.ENCRYPTION_KEY_ID || 'default',
+    key: process.env.ENCRYPTION_KEY,
+    keys: {} // Retired keys by id, still needed to read rows sealed before a rotation
+  },
+  metrics: {
+    prefix: 'hedera_db_', // Prepended to every Prometheus metric name
+    buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30] // Latency histogram bounds in seconds
+  },
+  webhooks: {
+    secretKey: process.env.WEBHOOK_SECRET_KEY, // Encrypts stored endpoint secrets; defaults to encryption.key
+    maxAttempts: 8, // Deliveries are marked dead after this many attempts
+    retryDelayMs: 5000, // Doubles per attempt up to maxRetryDelayMs
+    maxRetryDelayMs: 60 * 60 * 1000,
+    timeoutMs: 10000, // Per request; slower endpoints count as failed
+    allowedHosts: process.env.WEBHOOK_ALLOWED_HOSTS?.split(',').map((host) => host.trim()), // "hooks.example.com,*.partner.io"; unset allows any public host
+    allowPrivateNetworks: process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true' // Endpoints on loopback, private or link-local addresses
+  },
+  changeFeed: {
+    maxBuffered: 10000, // Live events held per subscriber while it replays missed ones
+    heartbeatMs: 15000, // SSE comments and WebSocket pings keeping idle connections open
+    maxQueuedBytes: 1024 * 1024 // Subscribers this far behind are disconnected and must resume
+  },
+  tenancy: {
+    enabled: process.env.TENANCY_ENABLED === 'true', // Serve many databases, created through /api/databases, instead of SCHEMA_PATH
+    controlSchema: 'public', // Holds the _databases registry and its _database_events trail
+    schemaPrefix: 'db_', // Each database lives in the PostgreSQL schema <prefix><name>
+    maxConnections: 5 // Pool size per database
+  },
+  logging: {
+    level: process.env.LOG_LEVEL || 'info', // debug, info, warn, error or silent
+    redact: [] // Keys masked in log entries, on top of passwords, tokens, keys and secrets
   }
 };
 
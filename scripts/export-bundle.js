@@ -0,0 +1,54 @@
+// scripts/export-bundle.js
+// Writes a verifiable export bundle of the database described by config:
+//
+//   node scripts/export-bundle.js bundle.ndjson --tables users,orders --from 2026-01-01 --to 2026-02-01
+//
+// --decrypt exports encrypted columns as plaintext so their hashes can be
+// checked too. Check the bundle with scripts/verify-bundle.js.
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { finished } = require('stream/promises');
+const config = require('../config/config');
+const { HederaAuditedDatabase } = require('../src/core/HederaAuditedDatabase');
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      tables: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      decrypt: { type: 'boolean', default: false }
+    }
+  });
+  if (positionals.length !== 1) {
+    throw new Error('Usage: export-bundle.js <output.ndjson> [--tables a,b] [--from time] [--to time] [--decrypt]');
+  }
+  if (!config.app.schemaPath || !config.app.existingTopicId) {
+    throw new Error('SCHEMA_PATH and EXISTING_TOPIC_ID must name the database to export');
+  }
+
+  const schema = JSON.parse(fs.readFileSync(config.app.schemaPath, 'utf8'));
+  const db = new HederaAuditedDatabase(config);
+  await db.initialize(config.app.dbName, schema, { existingTopicId: config.app.existingTopicId });
+
+  const output = fs.createWriteStream(positionals[0]);
+  try {
+    const result = await db.exportBundle(output, {
+      tables: values.tables ? values.tables.split(',') : undefined,
+      from: values.from,
+      to: values.to,
+      decrypt: values.decrypt
+    });
+    output.end();
+    await finished(output);
+    console.log(`Exported ${result.counts.row} rows, ${result.counts.audit} audit entries and ${result.counts.message} messages to ${positionals[0]}`);
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('Export failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,28 @@
+// scripts/verify-bundle.js
+// Checks an export bundle offline and prints the report as JSON:
+//
+//   node scripts/verify-bundle.js bundle.ndjson
+//
+// Needs neither PostgreSQL nor the ledger. Exits 0 when the bundle is
+// valid, 1 when it is not and 2 when it cannot be read.
+const { BundleVerifier } = require('../src/core/BundleVerifier');
+
+async function main() {
+  const [path] = process.argv.slice(2);
+  if (!path) {
+    console.error('Usage: verify-bundle.js <bundle.ndjson>');
+    process.exit(2);
+  }
+
+  const report = await new BundleVerifier().verifyFile(path);
+  console.log(JSON.stringify(report, null, 2));
+  console.error(report.valid
+    ? `PASS: ${report.summary.rowsScanned} rows verified against ${report.summary.messages} ledger messages`
+    : `FAIL: ${report.summary.issues} issues (${Object.entries(report.summary.byType).map(([type, n]) => `${type}: ${n}`).join(', ')})`);
+  process.exitCode = report.valid ? 0 : 1;
+}
+
+main().catch((error) => {
+  console.error('Verification failed:', error.message);
+  process.exit(2);
+});
@@ -0,0 +1,266 @@
+/**
+ * auth.js
+ * Authentication and per-table authorization for the REST router. The
+ * audited user of every write is the verified principal, never a value the
+ * client supplies.
+ *
+ *   const auth = createAuth({
+ *     apiKeys: [{ key: process.env.INGEST_KEY, id: 'ingest-service', roles: ['writer'] }],
+ *     jwt: { secret: process.env.JWT_SECRET, issuer: 'https://id.example.com', audience: 'ledger-api' },
+ *     roles: {
+ *       admin: { '*': ['*'] },
+ *       auditor: { '*': ['read', 'verify'] },
+ *       writer: { orders: ['read', 'insert', 'update', 'delete'] }
+ *     }
+ *   });
+ *
+ * API keys come in the X-API-Key header, JWTs as `Authorization: Bearer`.
+ * Tokens are verified locally: HS256/384/512 against `jwt.secret`, or
+ * RS256/384/512 against `jwt.publicKey`. `sub` becomes the principal id and
+ * the `rolesClaim` claim (default "roles") its roles. Authenticators are
+ * tried in order; anything with an authenticate(req) method that returns a
+ * principal { id, roles } or null can be passed in `authenticators`.
+ *
+ * Where a DatabaseManager hosts several databases, a principal with a
+ * `databases` list (an API key option, or the `databasesClaim` claim,
+ * default "databases") may only use those; one without may use any.
+ */
+
+const crypto = require('crypto');
+const { AuthenticationError, ForbiddenError } = require('../utils/errors');
+
+const ACTIONS = ['read', 'insert', 'update', 'delete', 'hardDelete', 'verify'];
+
+const JWT_ALGORITHMS = {
+  HS256: { kind: 'hmac', hash: 'sha256' },
+  HS384: { kind: 'hmac', hash: 'sha384' },
+  HS512: { kind: 'hmac', hash: 'sha512' },
+  RS256: { kind: 'rsa', hash: 'sha256' },
+  RS384: { kind: 'rsa', hash: 'sha384' },
+  RS512: { kind: 'rsa', hash: 'sha512' }
+};
+
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+// JSON that parsed to an object, not null, an array or a scalar
+const isPlainObject = (value) => value !== null && typeof value === 'object'
+  && Object.getPrototypeOf(value) === Object.prototype;
+
+class ApiKeyAuthenticator {
+  // keys: [{ key, id, roles, databases }]. Only digests are kept in memory,
+  // so lookups do not compare secrets character by character.
+  constructor(keys = []) {
+    this.principals = new Map();
+    for (const { key, id, roles = [], databases } of keys) {
+      if (!key || !id) {
+        throw new Error('Every API key needs a key and an id');
+      }
+      this.principals.set(digest(key).toString('hex'), { id, roles, ...(databases && { databases }) });
+    }
+  }
+
+  authenticate(req) {
+    const key = req.get('x-api-key');
+    if (!key) return null;
+
+    const principal = this.principals.get(digest(key).toString('hex'));
+    if (!principal) {
+      throw new AuthenticationError('Invalid API key');
+    }
+    return { ...principal, method: 'apiKey' };
+  }
+}
+
+class JwtAuthenticator {
+  constructor(options = {}) {
+    if (!options.secret && !options.publicKey) {
+      throw new Error('JWT authentication requires jwt.secret or jwt.publicKey');
+    }
+
+    // A key only ever verifies its own family of algorithms, so an RS256
+    // public key can never be replayed as an HS256 secret
+    this.secret = options.secret;
+    this.publicKey = options.publicKey && crypto.createPublicKey(options.publicKey);
+    const kind = this.publicKey ? 'rsa' : 'hmac';
+    this.algorithms = (options.algorithms || Object.keys(JWT_ALGORITHMS))
+      .filter((alg) => JWT_ALGORITHMS[alg]?.kind === kind);
+
+    this.issuer = options.issuer;
+    this.audience = options.audience;
+    this.clockToleranceSec = options.clockToleranceSec ?? 30;
+    this.rolesClaim = options.rolesClaim || 'roles';
+    this.databasesClaim = options.databasesClaim || 'databases';
+  }
+
+  authenticate(req) {
+    const header = req.get('authorization');
+    if (!header || !/^bearer /i.test(header)) return null;
+
+    const claims = this.verify(header.slice(7).trim());
+    const roles = claims[this.rolesClaim];
+    const databases = claims[this.databasesClaim];
+    return {
+      id: claims.sub,
+      roles: Array.isArray(roles) ? roles : (roles ? [roles] : []),
+      ...(databases !== undefined && { databases: [].concat(databases) }),
+      method: 'jwt',
+      claims
+    };
+  }
+
+  verify(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      throw new AuthenticationError('Malformed token');
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+      claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new AuthenticationError('Malformed token');
+    }
+    if (!isPlainObject(header)) {
+      throw new AuthenticationError('Malformed token');
+    }
+
+    if (!this.algorithms.includes(header.alg)) {
+      throw new AuthenticationError(`Token algorithm not accepted: ${header.alg}`);
+    }
+
+    const { kind, hash } = JWT_ALGORITHMS[header.alg];
+    const signingInput = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+    const signature = Buffer.from(encodedSignature, 'base64url');
+
+    const valid = kind === 'hmac'
+      ? this.verifyHmac(hash, signingInput, signature)
+      : crypto.verify(hash, signingInput, this.publicKey, signature);
+    if (!valid) {
+      throw new AuthenticationError('Invalid token signature');
+    }
+
+    this.checkClaims(claims);
+    return claims;
+  }
+
+  verifyHmac(hash, signingInput, signature) {
+    const expected = crypto.createHmac(hash, this.secret).update(signingInput).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+
+  checkClaims(claims) {
+    const now = Math.floor(Date.now() / 1000);
+
+    if (!isPlainObject(claims)) {
+      throw new AuthenticationError('Token payload is not a claims object');
+    }
+    if (typeof claims.sub !== 'string' || claims.sub === '') {
+      throw new AuthenticationError('Token has no subject');
+    }
+    if (claims.exp !== undefined && now - this.clockToleranceSec >= claims.exp) {
+      throw new AuthenticationError('Token expired');
+    }
+    if (claims.nbf !== undefined && now + this.clockToleranceSec < claims.nbf) {
+      throw new AuthenticationError('Token not yet valid');
+    }
+    if (this.issuer !== undefined && claims.iss !== this.issuer) {
+      throw new AuthenticationError('Token issuer not accepted');
+    }
+    if (this.audience !== undefined) {
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audiences.includes(this.audience)) {
+        throw new AuthenticationError('Token audience not accepted');
+      }
+    }
+  }
+}
+
+// roles: { role: { table | '*': [action | '*'] } }. 'delete' is a soft
+// delete; removing rows outright needs 'hardDelete'.
+class Authorizer {
+  constructor(roles = {}) {
+    for (const [role, tables] of Object.entries(roles)) {
+      for (const [table, actions] of Object.entries(tables)) {
+        const unknown = [].concat(actions).filter((action) => action !== '*' && !ACTIONS.includes(action));
+        if (unknown.length > 0) {
+          throw new Error(`Role ${role} grants unknown actions on ${table}: ${unknown.join(', ')}`);
+        }
+      }
+    }
+    this.roles = roles;
+  }
+
+  can(principal, table, action) {
+    return (principal?.roles || []).some((role) => {
+      const grants = Object.prototype.hasOwnProperty.call(this.roles, role) ? this.roles[role] : null;
+      if (!grants) return false;
+
+      return [table, '*'].some((scope) => {
+        const actions = Object.prototype.hasOwnProperty.call(grants, scope) ? [].concat(grants[scope]) : [];
+        return actions.includes('*') || actions.includes(action);
+      });
+    });
+  }
+
+  assert(principal, table, action) {
+    if (!this.can(principal, table, action)) {
+      throw new ForbiddenError(`${principal.id} may not ${action} ${table}`, { table, action });
+    }
+  }
+}
+
+class Auth {
+  constructor(authenticators, authorizer) {
+    this.authenticators = authenticators;
+    this.authorizer = authorizer;
+  }
+
+  authenticate(req) {
+    for (const authenticator of this.authenticators) {
+      const principal = authenticator.authenticate(req);
+      if (principal) return principal;
+    }
+    throw new AuthenticationError('Authentication required');
+  }
+
+  authorize(principal, table, action) {
+    this.authorizer.assert(principal, table, action);
+  }
+
+  canUseDatabase(principal, name) {
+    return !Array.isArray(principal?.databases) || principal.databases.includes(name);
+  }
+
+  authorizeDatabase(principal, name) {
+    if (!this.canUseDatabase(principal, name)) {
+      throw new ForbiddenError(`${principal.id} may not use database ${name}`, { database: name });
+    }
+  }
+}
+
+function createAuth(config = {}) {
+  const authenticators = [...(config.authenticators || [])];
+  if (config.apiKeys?.length > 0) {
+    authenticators.push(new ApiKeyAuthenticator(config.apiKeys));
+  }
+  if (config.jwt?.secret || config.jwt?.publicKey) {
+    authenticators.push(new JwtAuthenticator(config.jwt));
+  }
+  if (authenticators.length === 0) {
+    throw new Error('No authentication configured: set auth.apiKeys or auth.jwt');
+  }
+
+  return new Auth(authenticators, new Authorizer(config.roles));
+}
+
+module.exports = {
+  createAuth,
+  Auth,
+  ApiKeyAuthenticator,
+  JwtAuthenticator,
+  Authorizer,
+  ACTIONS
+};
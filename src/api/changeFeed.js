@@ -0,0 +1,229 @@
+/**
+ * changeFeed.js
+ * The change feed (see ChangeFeed) over Server-Sent Events and WebSocket.
+ *
+ *   GET /api/changes?tables=orders&operations=insert,update&filter={"status":"paid"}
+ *
+ * answers with an event stream of
+ *
+ *   id: 1042
+ *   event: change
+ *   data: {"auditId":1043,"table":"orders","status":"committed",...}
+ *
+ * and resumes from the Last-Event-ID header an EventSource sends when it
+ * reconnects, or from ?lastEventId= or ?fromSequence= (a topic sequence
+ * number). A WebSocket upgrade of the same URL takes the same query and
+ * sends each event as a text message {"id":"1042","event":{...}}.
+ *
+ * Both authenticate like the REST routes and need read permission on every
+ * table subscribed to, which is all tables unless ?tables= says otherwise;
+ * row policies apply to events as to queries. A subscriber that cannot keep
+ * up is disconnected and resumes from its last id.
+ */
+
+const crypto = require('crypto');
+const { DatabaseError, QueryValidationError, fromPostgresError } = require('../utils/errors');
+const { createLogger } = require('../utils/logger');
+const { acceptUpgrade, rejectUpgrade, isWebSocketUpgrade, CLOSE_CODES } = require('./websocket');
+
+const DEFAULT_HEARTBEAT_MS = 15000;
+const DEFAULT_MAX_QUEUED_BYTES = 1024 * 1024;
+
+const list = (value) => (
+  value === undefined ? undefined : String(value).split(',').map((item) => item.trim()).filter(Boolean)
+);
+
+// The Last-Event-ID header wins over the query, which an EventSource
+// repeats unchanged on every reconnect
+function parseFeedOptions(query, lastEventId) {
+  let filter;
+  if (query.filter !== undefined) {
+    try {
+      filter = JSON.parse(query.filter);
+    } catch (error) {
+      throw new QueryValidationError(`filter is not valid JSON: ${error.message}`);
+    }
+  }
+
+  return {
+    tables: list(query.tables),
+    operations: list(query.operations),
+    filter,
+    lastEventId: lastEventId || query.lastEventId,
+    fromSequence: query.fromSequence
+  };
+}
+
+function readableTables(db, auth, principal, tables) {
+  const resolved = tables || Object.keys(db.schemaCache.get('main') || {});
+  for (const table of resolved) {
+    auth.authorize(principal, table, 'read');
+  }
+  return resolved;
+}
+
+function createChangeStream(db, options = {}) {
+  const { auth } = options;
+  const heartbeatMs = options.heartbeatMs || DEFAULT_HEARTBEAT_MS;
+  const maxQueuedBytes = options.maxQueuedBytes || DEFAULT_MAX_QUEUED_BYTES;
+
+  return async (req, res) => {
+    const feedOptions = parseFeedOptions(req.query, req.get('Last-Event-ID'));
+    feedOptions.tables = readableTables(db, auth, req.principal, feedOptions.tables);
+    feedOptions.principal = req.principal;
+
+    let subscription = null;
+    let heartbeat = null;
+    let closed = false;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      if (subscription) subscription.unsubscribe();
+      res.end();
+    };
+    res.on('close', close);
+
+    // Deferred until the subscription is accepted, so a rejected one is
+    // answered with a JSON error
+    const start = () => {
+      if (res.headersSent) return;
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+    };
+
+    const send = (event, cursor) => {
+      if (closed) return;
+      start();
+      res.write(`id: ${cursor}\nevent: change\ndata: ${JSON.stringify(event)}\n\n`);
+      if (res.writableLength > maxQueuedBytes) {
+        req.log.warn('Change feed subscriber fell behind', { queuedBytes: res.writableLength, cursor });
+        close();
+      }
+    };
+
+    try {
+      subscription = await db.subscribeChanges(feedOptions, send, (error) => {
+        req.log.warn('Change feed subscription ended', { err: error });
+        close();
+      });
+    } catch (error) {
+      // Validation errors arrive before the stream starts; a replay that
+      // fails midway can only be cut short
+      if (!res.headersSent) throw error;
+      req.log.error('Change feed replay failed', { err: error });
+      return close();
+    }
+
+    if (closed) return subscription.unsubscribe();
+    start();
+    heartbeat = setInterval(() => res.write(': keepalive\n\n'), heartbeatMs);
+  };
+}
+
+function upgradeError(error) {
+  const mapped = fromPostgresError(error);
+  const typed = mapped instanceof DatabaseError ? mapped : null;
+  return {
+    status: typed ? typed.statusCode : 500,
+    body: {
+      error: typed
+        ? { code: typed.code, message: typed.message, ...(typed.details !== undefined && { details: typed.details }) }
+        : { code: 'INTERNAL_ERROR', message: 'Internal server error' }
+    }
+  };
+}
+
+// Serves the change feed to WebSocket upgrades of `path` on an HTTP server:
+//
+//   attachChangeSocket(server, db, { auth, path: '/api/changes' });
+function attachChangeSocket(server, db, options = {}) {
+  const { auth } = options;
+  if (!auth) {
+    throw new Error('attachChangeSocket requires options.auth (see createAuth)');
+  }
+  const path = options.path || '/api/changes';
+  const heartbeatMs = options.heartbeatMs || DEFAULT_HEARTBEAT_MS;
+  const maxQueuedBytes = options.maxQueuedBytes || DEFAULT_MAX_QUEUED_BYTES;
+  const log = (options.logger || db.logger || createLogger()).child({ component: 'api' });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== path) {
+      // Left to any other upgrade handler on the server
+      if (server.listenerCount('upgrade') === 1) rejectUpgrade(socket, 404);
+      return;
+    }
+    if (!isWebSocketUpgrade(req)) {
+      return rejectUpgrade(socket, 426, 'WebSocket version 13 required');
+    }
+
+    const requestId = crypto.randomUUID();
+    const requestLog = log.child({ requestId });
+    socket.on('error', (error) => requestLog.debug('Change socket error', { err: error }));
+
+    let feedOptions;
+    try {
+      // The authenticators read headers the way Express exposes them
+      req.get = (name) => req.headers[name.toLowerCase()];
+      const principal = auth.authenticate(req);
+      feedOptions = parseFeedOptions(Object.fromEntries(url.searchParams), req.get('Last-Event-ID'));
+      feedOptions.tables = readableTables(db, auth, principal, feedOptions.tables);
+      feedOptions.principal = principal;
+    } catch (error) {
+      const { status, body } = upgradeError(error);
+      if (status === 500) requestLog.error('Change socket upgrade failed', { err: error });
+      return rejectUpgrade(socket, status, JSON.stringify(body), 'application/json');
+    }
+
+    const connection = acceptUpgrade(req, socket, head);
+    let subscription = null;
+    let alive = true;
+
+    const heartbeat = setInterval(() => {
+      if (!alive) return connection.terminate();
+      alive = false;
+      connection.ping();
+    }, heartbeatMs);
+    connection.on('pong', () => {
+      alive = true;
+    });
+    connection.on('close', () => {
+      clearInterval(heartbeat);
+      if (subscription) subscription.unsubscribe();
+    });
+
+    const send = (event, cursor) => {
+      connection.send(JSON.stringify({ id: cursor, event }));
+      if (connection.bufferedAmount > maxQueuedBytes) {
+        requestLog.warn('Change feed subscriber fell behind', { queuedBytes: connection.bufferedAmount, cursor });
+        connection.close(CLOSE_CODES.TRY_AGAIN_LATER, 'Subscriber fell behind');
+      }
+    };
+
+    try {
+      subscription = await db.subscribeChanges(feedOptions, send, (error) => {
+        requestLog.warn('Change feed subscription ended', { err: error });
+        connection.close(CLOSE_CODES.TRY_AGAIN_LATER, error.message);
+      });
+    } catch (error) {
+      // Sent as a message first: a close reason is limited to 123 bytes
+      const { status, body } = upgradeError(error);
+      if (status === 500) requestLog.error('Change feed replay failed', { err: error });
+      connection.send(JSON.stringify(body));
+      return connection.close(
+        status < 500 ? CLOSE_CODES.POLICY_VIOLATION : CLOSE_CODES.INTERNAL_ERROR,
+        body.error.code
+      );
+    }
+
+    if (!connection.isOpen) subscription.unsubscribe();
+    requestLog.info('Change socket opened', { principal: feedOptions.principal.id, tables: feedOptions.tables });
+  });
+}
+
+module.exports = { createChangeStream, attachChangeSocket, parseFeedOptions };
@@ -0,0 +1,475 @@
+/**
+ * routes.js
+ * Express router over one HederaAuditedDatabase, mountable under any path:
+ *
+ *   app.use('/api', createRouter(db, { auth: createAuth(config.auth) }));
+ *
+ * Every request must authenticate (see auth.js); each route then checks the
+ * principal's permission for the table and action it touches, and writes
+ * are audited under the principal's id.
+ *
+ * Every failure is answered with the same envelope,
+ *   { "error": { "code": "NOT_FOUND", "message": "...", "details": { ... } } }
+ * and the status carried by the typed error: 400 for malformed input, 401
+ * and 403 for authentication and permissions, 404 for missing records, 409
+ * for conflicts, 422 for data that fails validation.
+ * Errors without a status are logged and reported as a bare 500.
+ *
+ * Each request carries an ID, taken from its X-Request-Id header or
+ * generated, and echoed back in X-Request-Id. It is on every log entry for
+ * the request and is recorded as requestId in the metadata of the writes it
+ * makes, in _audit_log and in the ledger message alike.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const {
+  DatabaseError,
+  NotFoundError,
+  ForbiddenError,
+  QueryValidationError,
+  fromPostgresError
+} = require('../utils/errors');
+const { createLogger } = require('../utils/logger');
+const { createChangeStream } = require('./changeFeed');
+
+// ?select=name,email&orderBy=age:desc,name&limit=20&offset=40&active=true
+// Parameters that are not query options filter by equality; `filter` takes
+// a JSON where object with operators, e.g. {"age":{"$between":[18,30]}}.
+function parseListQuery(query) {
+  const {
+    select, orderBy, limit, offset, cursor, includeTotal, includeDeleted,
+    asOf, asOfSequence, awaitAnchor, filter, ...equality
+  } = query;
+
+  let where = equality;
+  if (filter !== undefined) {
+    let parsed;
+    try {
+      parsed = JSON.parse(filter);
+    } catch (error) {
+      throw new QueryValidationError(`filter is not valid JSON: ${error.message}`);
+    }
+    where = Object.keys(equality).length > 0 ? { $and: [parsed, equality] } : parsed;
+  }
+
+  const options = {
+    where,
+    select,
+    limit,
+    offset,
+    cursor,
+    includeTotal: includeTotal === 'true',
+    includeDeleted: includeDeleted === 'true'
+  };
+  if (orderBy !== undefined) {
+    options.orderBy = String(orderBy).split(',').map((term) => {
+      const [column, direction] = term.trim().split(':');
+      return { column, direction };
+    });
+  }
+  Object.assign(options, parseAsOf(query));
+  return options;
+}
+
+function parseAsOf({ asOf, asOfSequence }) {
+  if (asOfSequence !== undefined) {
+    return { asOf: { sequenceNumber: asOfSequence } };
+  }
+  return asOf !== undefined ? { asOf } : {};
+}
+
+// ?tables=users,orders, also given as ?tables=users&tables=orders
+const listParam = (value) => [].concat(value).join(',').split(',');
+
+// `?awaitAnchor=false` returns as soon as the write commits, with a pending
+// anchor to poll at /anchors/:id
+const anchorOptions = (req) => (
+  req.query.awaitAnchor !== undefined ? { awaitAnchor: req.query.awaitAnchor !== 'false' } : {}
+);
+
+// A caller's own ID is kept when it is safe to log and store
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// The principal is passed along for row policies and recorded as userId
+const requestMetadata = (req) => ({
+  principal: req.principal,
+  requestId: req.id,
+  userId: req.principal.id,
+  authMethod: req.principal.method,
+  ipAddress: req.ip
+});
+
+const IMPORT_FORMATS = {
+  'text/csv': 'csv',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson'
+};
+
+// Webhooks are managed under this pseudo-table: roles grant read, insert,
+// update and delete on '_webhooks' (or '*') to list, register, change and
+// remove endpoints
+const WEBHOOKS_SCOPE = '_webhooks';
+
+// Metrics carry every table's names and counts, so a scrape needs read on
+// this pseudo-table (or '*')
+const METRICS_SCOPE = '_metrics';
+
+// The permission a queued transaction operation needs
+const operationAction = (op) => (op.method === 'delete' && op.hardDelete === true ? 'hardDelete' : op.method);
+
+function errorBody(code, message, details) {
+  return { error: { code, message, ...(details !== undefined && { details }) } };
+}
+
+function sendError(res, error, log = res.req?.log || createLogger()) {
+  const typed = fromPostgresError(error);
+
+  if (typed instanceof DatabaseError) {
+    return res.status(typed.statusCode).json(errorBody(typed.code, typed.message, typed.details));
+  }
+
+  // Body parser failures (malformed JSON, oversized body) carry their own 4xx
+  if (typed.expose && typed.status >= 400 && typed.status < 500) {
+    const code = typed.type === 'entity.parse.failed' ? 'INVALID_JSON' : 'BAD_REQUEST';
+    return res.status(typed.status).json(errorBody(code, typed.message));
+  }
+
+  log.error('Request failed', { err: error });
+  return res.status(500).json(errorBody('INTERNAL_ERROR', 'Internal server error'));
+}
+
+// Gives each request an ID and a logger carrying it, and logs its completion
+function trackRequests(log) {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = log.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+      req.log.info('Request completed', {
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+        principal: req.principal?.id
+      });
+    });
+    next();
+  };
+}
+
+function createRouter(db, options = {}) {
+  const { auth } = options;
+  if (!auth) {
+    throw new Error('createRouter requires options.auth (see createAuth)');
+  }
+
+  const log = (options.logger || db.logger || createLogger()).child({ component: 'api' });
+  const router = express.Router();
+
+  router.use(trackRequests(log));
+  router.use(express.json({ limit: options.bodyLimit || '1mb' }));
+
+  router.use((req, res, next) => {
+    req.principal = auth.authenticate(req);
+    next();
+  });
+
+  const can = (action) => (req, res, next) => {
+    auth.authorize(req.principal, req.params.table, action);
+    next();
+  };
+
+  // Prometheus text format; ?format=json for the in-memory counters
+  router.get('/metrics', async (req, res) => {
+    auth.authorize(req.principal, METRICS_SCOPE, 'read');
+    if (req.query.format === 'json') {
+      return res.json(await db.getMetrics());
+    }
+    res.type(db.telemetry.contentType).send(await db.telemetry.render());
+  });
+
+  // Database-wide integrity sweep (before /:table so "verify" is not taken as a table name)
+  router.get('/verify', async (req, res) => {
+    const tables = req.query.tables ? listParam(req.query.tables) : undefined;
+    for (const table of tables || Object.keys(db.schemaCache.get('main') || {})) {
+      auth.authorize(req.principal, table, 'verify');
+    }
+    res.json(await db.verifyAll({ tables }));
+  });
+
+  // Streams a verifiable export bundle (see Exporter):
+  //   GET /api/export?tables=users,orders&from=2026-01-01&to=2026-02-01
+  // Needs read and verify permission on each table; row policies apply.
+  router.get('/export', async (req, res) => {
+    const tables = req.query.tables ? listParam(req.query.tables) : Object.keys(db.schemaCache.get('main') || {});
+    for (const table of tables) {
+      auth.authorize(req.principal, table, 'read');
+      auth.authorize(req.principal, table, 'verify');
+    }
+
+    res.attachment(`audit-bundle-${Date.now()}.ndjson`);
+    res.type('application/x-ndjson');
+    try {
+      await db.exportBundle(res, {
+        tables,
+        from: req.query.from,
+        to: req.query.to,
+        decrypt: req.query.decrypt === 'true',
+        principal: req.principal
+      });
+    } catch (error) {
+      // Once the bundle has started the status is sent; cut it short so
+      // the missing footer marks it incomplete
+      if (!res.headersSent) throw error;
+      req.log.error('Export failed', { err: error });
+      return res.destroy(error);
+    }
+    res.end();
+  });
+
+  // Server-Sent Events; see changeFeed.js for the WebSocket variant
+  router.get('/changes', createChangeStream(db, { auth, ...options.changeFeed }));
+
+  // Webhooks (see WebhookManager). Registering an endpoint for some tables
+  // also needs read permission on them, as it receives their rows.
+  const manageWebhooks = (action) => (req, res, next) => {
+    auth.authorize(req.principal, WEBHOOKS_SCOPE, action);
+    next();
+  };
+  const readableByWebhook = (req, tables) => {
+    for (const table of tables ? [].concat(tables) : Object.keys(db.schemaCache.get('main') || {})) {
+      auth.authorize(req.principal, table, 'read');
+    }
+  };
+
+  router.get('/webhooks', manageWebhooks('read'), async (req, res) => {
+    res.json({ webhooks: await db.webhooks.list() });
+  });
+
+  // Answers with the endpoint's secret, which is not shown again
+  router.post('/webhooks', manageWebhooks('insert'), async (req, res) => {
+    const definition = req.body || {};
+    readableByWebhook(req, definition.tables);
+    res.status(201).json(await db.webhooks.register(definition, req.principal));
+  });
+
+  router.get('/webhooks/:id', manageWebhooks('read'), async (req, res) => {
+    res.json(await db.webhooks.get(req.params.id));
+  });
+
+  // The caller becomes the principal the endpoint's deliveries are read as,
+  // so it needs read permission on all of the endpoint's tables
+  router.put('/webhooks/:id', manageWebhooks('update'), async (req, res) => {
+    const changes = req.body || {};
+    readableByWebhook(req, changes.tables !== undefined ? changes.tables : (await db.webhooks.get(req.params.id)).tables);
+    res.json(await db.webhooks.update(req.params.id, changes, req.principal));
+  });
+
+  router.delete('/webhooks/:id', manageWebhooks('delete'), async (req, res) => {
+    res.json(await db.webhooks.remove(req.params.id));
+  });
+
+  router.post('/webhooks/:id/secret', manageWebhooks('update'), async (req, res) => {
+    res.json(await db.webhooks.rotateSecret(req.params.id, req.body?.secret));
+  });
+
+  // ?status=dead&limit=50
+  router.get('/webhooks/:id/deliveries', manageWebhooks('read'), async (req, res) => {
+    res.json({ deliveries: await db.webhooks.listDeliveries(req.params.id, req.query) });
+  });
+
+  router.post('/webhooks/:id/deliveries/:deliveryId/retry', manageWebhooks('update'), async (req, res) => {
+    res.json(await db.webhooks.redeliver(req.params.id, req.params.deliveryId));
+  });
+
+  // Needs read permission on every table the anchored message covers, or on
+  // all tables for database-wide messages
+  router.get('/anchors/:id', async (req, res) => {
+    const status = await db.getAnchorStatus(req.params.id);
+    if (!status.success) {
+      throw new NotFoundError(status.error, { outboxId: req.params.id });
+    }
+    for (const table of status.tables || Object.keys(db.schemaCache.get('main') || {})) {
+      auth.authorize(req.principal, table, 'read');
+    }
+    res.json(status);
+  });
+
+  // Transactions (registered before /:table so "transactions" is not taken as a table name)
+  function queueOperation(req, transactionId, op = {}) {
+    const { method, table, txId, data, hardDelete } = op;
+    if (['insert', 'update', 'delete'].includes(method)) {
+      auth.authorize(req.principal, table, operationAction(op));
+    }
+    if (method === 'insert') return db.transactions.insert(transactionId, table, data);
+    if (method === 'update') return db.transactions.update(transactionId, table, txId, data);
+    if (method === 'delete') return db.transactions.delete(transactionId, table, txId, hardDelete === true);
+    throw new DatabaseError(`Unsupported transaction operation: ${method}`, { code: 'INVALID_OPERATION', statusCode: 400 });
+  }
+
+  router.post('/transactions', async (req, res) => {
+    const txn = await db.transactions.begin(undefined, requestMetadata(req));
+    try {
+      for (const op of req.body?.operations || []) {
+        queueOperation(req, txn.id, op);
+      }
+    } catch (error) {
+      await db.transactions.rollback(txn.id);
+      throw error;
+    }
+    res.status(201).json({ transactionId: txn.id, state: txn.state, operations: txn.operations.length });
+  });
+
+  // Only the principal that began a transaction may add to or end it
+  const ownTransaction = (req, res, next) => {
+    const txn = db.transactions.getActive(req.params.id);
+    if (txn.metadata.userId !== req.principal.id) {
+      throw new ForbiddenError(`Transaction ${req.params.id} belongs to another principal`);
+    }
+    next();
+  };
+
+  router.post('/transactions/:id/operations', ownTransaction, async (req, res) => {
+    const count = queueOperation(req, req.params.id, req.body);
+    res.json({ transactionId: req.params.id, operations: count });
+  });
+
+  router.post('/transactions/:id/commit', ownTransaction, async (req, res) => {
+    res.json(await db.transactions.commit(req.params.id, anchorOptions(req)));
+  });
+
+  router.post('/transactions/:id/rollback', ownTransaction, async (req, res) => {
+    res.json(await db.transactions.rollback(req.params.id));
+  });
+
+  router.post('/:table', can('insert'), async (req, res) => {
+    const result = await db.insert(req.params.table, req.body, requestMetadata(req), anchorOptions(req));
+    res.status(201).json(result);
+  });
+
+  // Streams the request body into the table:
+  //   POST /api/users/import?onError=skip&columns={"E-mail":"email"}
+  // with Content-Type text/csv or application/x-ndjson (or ?format=).
+  // Answers 201 with the per-row report, or 422 if the file was rejected.
+  router.post('/:table/import', can('insert'), async (req, res) => {
+    const format = req.query.format || IMPORT_FORMATS[req.get('content-type')?.split(';')[0].trim()];
+    if (!format) {
+      throw new DatabaseError('Send text/csv or application/x-ndjson, or set ?format=', { code: 'UNSUPPORTED_MEDIA_TYPE', statusCode: 415 });
+    }
+
+    let columns;
+    if (req.query.columns !== undefined) {
+      try {
+        columns = JSON.parse(req.query.columns);
+      } catch (error) {
+        throw new QueryValidationError(`columns is not valid JSON: ${error.message}`);
+      }
+    }
+
+    const report = await db.importRecords(req.params.table, req, requestMetadata(req), {
+      format,
+      columns,
+      onError: req.query.onError,
+      delimiter: req.query.delimiter,
+      batchSize: req.query.batchSize !== undefined ? db.queries.nonNegativeInteger('batchSize', req.query.batchSize) : undefined,
+      ...anchorOptions(req)
+    });
+    res.status(report.success ? 201 : 422).json(report);
+  });
+
+  router.get('/:table', can('read'), async (req, res) => {
+    const results = await db.query(req.params.table, { ...parseListQuery(req.query), principal: req.principal });
+
+    // The next page repeats this request with the cursor swapped in
+    const links = {};
+    if (results.nextCursor) {
+      const next = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+      next.set('cursor', results.nextCursor);
+      next.delete('offset');
+      links.next = `${req.baseUrl}${req.path}?${next}`;
+    }
+
+    res.json({ ...results, links });
+  });
+
+  router.get('/:table/:txId', can('read'), async (req, res) => {
+    const { table, txId } = req.params;
+    res.json(await db.get(table, txId, {
+      select: req.query.select,
+      includeDeleted: req.query.includeDeleted === 'true',
+      principal: req.principal,
+      ...parseAsOf(req.query)
+    }));
+  });
+
+  router.put('/:table/:txId', can('update'), async (req, res) => {
+    const { table, txId } = req.params;
+    res.json(await db.update(table, txId, req.body, requestMetadata(req), anchorOptions(req)));
+  });
+
+  // ?hard=true removes the row; otherwise it is marked deleted
+  router.delete('/:table/:txId', async (req, res) => {
+    const { table, txId } = req.params;
+    const hardDelete = req.query.hard === 'true';
+    auth.authorize(req.principal, table, hardDelete ? 'hardDelete' : 'delete');
+    res.json(await db.delete(table, txId, requestMetadata(req), hardDelete, anchorOptions(req)));
+  });
+
+  router.get('/:table/:txId/audit', can('read'), async (req, res) => {
+    const { table, txId } = req.params;
+    db.queries.table(table);
+    const trail = await db.getAuditTrail(table, txId, { descending: req.query.order === 'desc', principal: req.principal });
+    if (trail.count === 0) {
+      throw new NotFoundError(`No audit entries for ${txId}`, { table, txId });
+    }
+    res.json(trail);
+  });
+
+  router.get('/:table/:txId/verify', can('verify'), async (req, res) => {
+    const { table, txId } = req.params;
+    const verification = await db.verifyIntegrity(table, txId, { principal: req.principal });
+    if (verification.found === false) {
+      throw new NotFoundError(`Record not found: ${txId}`, { table, txId });
+    }
+    res.json(verification);
+  });
+
+  // Merkle inclusion proof for the latest audit entry
+  router.get('/:table/:txId/proof', can('verify'), async (req, res) => {
+    const { table, txId } = req.params;
+    db.queries.table(table);
+    const proof = await db.getInclusionProof(table, txId, { principal: req.principal });
+    if (!proof.success) {
+      throw new NotFoundError(proof.error, { table, txId });
+    }
+    res.json(proof);
+  });
+
+  // Every recorded version of a row
+  router.get('/:table/:txId/history', can('read'), async (req, res) => {
+    const { table, txId } = req.params;
+    db.queries.table(table);
+    const history = await db.getHistory(table, txId, { principal: req.principal });
+    if (history.count === 0) {
+      throw new NotFoundError(`No history for ${txId}`, { table, txId });
+    }
+    res.json(history);
+  });
+
+  router.use((req, res) => {
+    res.status(404).json(errorBody('NOT_FOUND', `No route for ${req.method} ${req.originalUrl}`));
+  });
+
+  // Express 5 forwards rejected handler promises here
+  router.use((error, req, res, next) => {
+    sendError(res, error, req.log);
+  });
+
+  return router;
+}
+
+module.exports = { createRouter, parseListQuery, sendError, trackRequests };
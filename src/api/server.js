@@ -1,78 +1,88 @@
 // src/api/server.js
+// Initializes the database from config, then serves the REST router under /api
+// and the change feed over WebSocket at /api/changes. With tenancy enabled it
+// instead serves every database of a DatabaseManager (see tenants.js); their
+// change feeds are served over SSE only.
+const fs = require('fs');
 const express = require('express');
+const config = require('../../config/config');
 const { HederaAuditedDatabase } = require('../core/HederaAuditedDatabase');
+const { DatabaseManager } = require('../core/DatabaseManager');
+const { createRouter } = require('./routes');
+const { createTenantRouter } = require('./tenants');
+const { attachChangeSocket } = require('./changeFeed');
+const { createAuth } = require('./auth');
+const { createLogger } = require('../utils/logger');
 
-const app = express();
-app.use(express.json());
+async function start() {
+  if (config.tenancy.enabled) {
+    return startTenancy();
+  }
+  if (!config.app.schemaPath) {
+    throw new Error('SCHEMA_PATH must point to the JSON schema to serve');
+  }
+  const schema = JSON.parse(fs.readFileSync(config.app.schemaPath, 'utf8'));
 
-const db = new HederaAuditedDatabase(config);
+  const auth = createAuth(config.auth);
+  const logger = createLogger(config.logging);
+  const db = new HederaAuditedDatabase({ ...config, logger });
+  await db.initialize(config.app.dbName, schema, { existingTopicId: config.app.existingTopicId });
 
-// Initialize database
-app.post('/api/init', async (req, res) => {
-  try {
-    const { dbName, schema } = req.body;
-    const result = await db.initialize(dbName, schema);
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  const app = express();
+  app.use('/api', createRouter(db, { auth, changeFeed: config.changeFeed }));
 
-// Insert data
-app.post('/api/:table', async (req, res) => {
-  try {
-    const { table } = req.params;
-    const result = await db.insert(table, req.body);
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  const server = app.listen(config.app.port, () => {
+    logger.info('API server listening', { port: config.app.port });
+  });
+  attachChangeSocket(server, db, { auth, path: '/api/changes', ...config.changeFeed });
 
-// Query data
-app.get('/api/:table', async (req, res) => {
-  try {
-    const { table } = req.params;
-    const results = await db.query(table, req.query);
-    res.json(results);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  // Open change feeds would otherwise hold the server open
+  const shutdown = () => {
+    db.changeFeed.close();
+    server.close(async () => {
+      await db.close();
+      process.exit(0);
+    });
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
 
-// Update data
-app.put('/api/:table/:txId', async (req, res) => {
-  try {
-    const { table, txId } = req.params;
-    const result = await db.update(table, txId, req.body);
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  return { app, server, db };
+}
 
-// Get audit trail
-app.get('/api/:table/:txId/audit', async (req, res) => {
-  try {
-    const { table, txId } = req.params;
-    const trail = await db.getAuditTrail(table, txId);
-    res.json(trail);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+async function startTenancy() {
+  const auth = createAuth(config.auth);
+  const logger = createLogger(config.logging);
+  const manager = new DatabaseManager({ ...config, logger });
+  await manager.start();
 
-// Verify integrity
-app.get('/api/:table/:txId/verify', async (req, res) => {
-  try {
-    const { table, txId } = req.params;
-    const verification = await db.verifyIntegrity(table, txId);
-    res.json(verification);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  const app = express();
+  app.use('/api', createTenantRouter(manager, { auth, changeFeed: config.changeFeed }));
+
+  const server = app.listen(config.app.port, () => {
+    logger.info('API server listening', { port: config.app.port, databases: manager.databases.size });
+  });
+
+  const shutdown = () => {
+    for (const db of manager.databases.values()) {
+      db.changeFeed.close();
+    }
+    server.close(async () => {
+      await manager.close();
+      process.exit(0);
+    });
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  return { app, server, manager };
+}
+
+if (require.main === module) {
+  start().catch((error) => {
+    createLogger(config.logging).error('API server failed to start', { err: error });
+    process.exit(1);
+  });
+}
 
-app.listen(3000, () => {
-  console.log('API server running on port 3000');
-});
\ No newline at end of file
+module.exports = { start };
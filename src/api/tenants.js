@@ -0,0 +1,136 @@
+/**
+ * tenants.js
+ * REST API over a DatabaseManager. Each hosted database is served by its own
+ * createRouter, addressed by path or by header:
+ *
+ *   GET /api/db/acme/orders
+ *   GET /api/orders          (X-Database: acme)
+ *
+ * and databases are provisioned and dropped under /api/databases:
+ *
+ *   GET    /api/databases                      ?includeDropped=true
+ *   POST   /api/databases                      { name, schema, schemaVersion, memo }
+ *   GET    /api/databases/:name
+ *   GET    /api/databases/:name/events         provisioning trail
+ *   DELETE /api/databases/:name                ?force=true&reason=...
+ *
+ * which roles reach through read, insert and delete on the '_databases'
+ * pseudo-table (or '*'). A principal limited to some databases (see auth.js)
+ * sees and manages only those.
+ */
+
+const express = require('express');
+const { QueryValidationError } = require('../utils/errors');
+const { createLogger } = require('../utils/logger');
+const { createRouter, sendError, trackRequests } = require('./routes');
+
+const DATABASES_SCOPE = '_databases';
+
+function createTenantRouter(manager, options = {}) {
+  const { auth } = options;
+  if (!auth) {
+    throw new Error('createTenantRouter requires options.auth (see createAuth)');
+  }
+
+  const log = (options.logger || manager.logger || createLogger()).child({ component: 'api' });
+  const router = express.Router();
+
+  // One router per open database, rebuilt when a name is dropped and reused
+  const tenantRouters = new Map();
+  const routerFor = (name) => {
+    const db = manager.get(name);
+    const cached = tenantRouters.get(name);
+    if (cached && cached.db === db) return cached.router;
+
+    const tenantRouter = createRouter(db, options);
+    tenantRouters.set(name, { db, router: tenantRouter });
+    return tenantRouter;
+  };
+  manager.on('database-dropped', ({ name }) => tenantRouters.delete(name));
+
+  // The database is checked against the principal before it is looked up,
+  // so names a principal may not use are not revealed to exist
+  const dispatch = (name, req, res, next) => {
+    auth.authorizeDatabase(auth.authenticate(req), name);
+    routerFor(name)(req, res, next);
+  };
+
+  const admin = express.Router();
+  admin.use(trackRequests(log));
+  admin.use(express.json({ limit: options.bodyLimit || '1mb' }));
+  admin.use((req, res, next) => {
+    req.principal = auth.authenticate(req);
+    next();
+  });
+
+  const can = (action) => (req, res, next) => {
+    auth.authorize(req.principal, DATABASES_SCOPE, action);
+    if (req.params.name !== undefined) {
+      auth.authorizeDatabase(req.principal, req.params.name);
+    }
+    next();
+  };
+
+  admin.get('/', can('read'), async (req, res) => {
+    const databases = await manager.list({ includeDropped: req.query.includeDropped === 'true' });
+    res.json({ databases: databases.filter(({ name }) => auth.canUseDatabase(req.principal, name)) });
+  });
+
+  admin.post('/', can('insert'), async (req, res) => {
+    const { name, schema, schemaVersion, memo } = req.body || {};
+    if (schema === null || typeof schema !== 'object' || Array.isArray(schema)) {
+      throw new QueryValidationError('schema must be an object of table definitions');
+    }
+    auth.authorizeDatabase(req.principal, name);
+    const database = await manager.create(name, schema, {
+      createdBy: req.principal.id,
+      schemaVersion,
+      memo,
+      metadata: { requestId: req.id }
+    });
+    res.status(201).json(database);
+  });
+
+  admin.get('/:name', can('read'), async (req, res) => {
+    res.json(await manager.describe(req.params.name));
+  });
+
+  admin.get('/:name/events', can('read'), async (req, res) => {
+    res.json({ events: await manager.events(req.params.name) });
+  });
+
+  admin.delete('/:name', can('delete'), async (req, res) => {
+    res.json(await manager.drop(req.params.name, {
+      droppedBy: req.principal.id,
+      force: req.query.force === 'true',
+      reason: req.query.reason
+    }));
+  });
+
+  router.use('/databases', admin);
+
+  router.use('/db/:database', (req, res, next) => dispatch(req.params.database, req, res, next));
+
+  router.use((req, res, next) => {
+    const name = req.get('X-Database');
+    if (name === undefined) return next();
+    dispatch(name, req, res, next);
+  });
+
+  router.use((req, res) => {
+    res.status(404).json({
+      error: {
+        code: 'NOT_FOUND',
+        message: `No route for ${req.method} ${req.originalUrl}; address a database as /db/:name/... or with an X-Database header`
+      }
+    });
+  });
+
+  router.use((error, req, res, next) => {
+    sendError(res, error, req.log || log);
+  });
+
+  return router;
+}
+
+module.exports = { createTenantRouter };
@@ -0,0 +1,260 @@
+/**
+ * websocket.js
+ * Minimal server side of the WebSocket protocol (RFC 6455), enough for the
+ * change feed: the opening handshake, text messages to the client, ping,
+ * pong and the closing handshake. Client messages must be text or control
+ * frames, unfragmented and at most 64 KiB.
+ *
+ *   server.on('upgrade', (req, socket, head) => {
+ *     const connection = acceptUpgrade(req, socket, head);
+ *     connection.send(JSON.stringify({ hello: 'world' }));
+ *     connection.on('message', (text) => ...);
+ *     connection.on('close', ({ code, reason }) => ...);
+ *   });
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const http = require('http');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa
+};
+
+const CLOSE_CODES = {
+  NORMAL: 1000,
+  GOING_AWAY: 1001,
+  PROTOCOL_ERROR: 1002,
+  UNSUPPORTED_DATA: 1003,
+  NO_STATUS: 1005,
+  POLICY_VIOLATION: 1008,
+  MESSAGE_TOO_BIG: 1009,
+  INTERNAL_ERROR: 1011,
+  TRY_AGAIN_LATER: 1013
+};
+
+const MAX_PAYLOAD = 64 * 1024;
+const CLOSE_TIMEOUT_MS = 5000;
+
+function isWebSocketUpgrade(req) {
+  return /websocket/i.test(req.headers.upgrade || '')
+    && req.headers['sec-websocket-version'] === '13'
+    && typeof req.headers['sec-websocket-key'] === 'string';
+}
+
+// Answers an upgrade request with a plain HTTP response and drops it
+function rejectUpgrade(socket, status, body = '', contentType = 'text/plain; charset=utf-8') {
+  if (!socket.writable) return socket.destroy();
+  const payload = Buffer.from(body);
+  socket.end([
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status] || ''}`,
+    'Connection: close',
+    `Content-Type: ${contentType}`,
+    `Content-Length: ${payload.length}`,
+    '',
+    ''
+  ].join('\r\n') + payload.toString());
+}
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = payload.length;
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+class WebSocketConnection extends EventEmitter {
+  constructor(socket, head) {
+    super();
+    this.socket = socket;
+    this.state = 'open';
+    this.received = Buffer.alloc(0);
+    this.closeTimer = null;
+
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => this.receive(chunk));
+    socket.on('error', () => socket.destroy());
+    // HTTP servers allow half-open sockets; a client that goes away
+    // without a close frame must still end the connection
+    socket.on('end', () => socket.end());
+    socket.on('close', () => {
+      clearTimeout(this.closeTimer);
+      const { code = CLOSE_CODES.NO_STATUS, reason = '' } = this.closeFrame || {};
+      this.state = 'closed';
+      this.emit('close', { code, reason });
+    });
+
+    if (head && head.length > 0) this.receive(head);
+  }
+
+  get isOpen() {
+    return this.state === 'open';
+  }
+
+  // Bytes written but not yet flushed to the network
+  get bufferedAmount() {
+    return this.socket.writableLength;
+  }
+
+  send(text) {
+    if (!this.isOpen) return false;
+    return this.socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(text, 'utf8')));
+  }
+
+  ping() {
+    if (this.isOpen) this.socket.write(encodeFrame(OPCODES.PING));
+  }
+
+  // Starts the closing handshake; the socket is dropped if the client
+  // does not answer in time
+  close(code = CLOSE_CODES.NORMAL, reason = '') {
+    if (!this.isOpen) return;
+    this.state = 'closing';
+
+    const reasonBytes = Buffer.from(String(reason)).subarray(0, 123);
+    const payload = Buffer.alloc(2 + reasonBytes.length);
+    payload.writeUInt16BE(code, 0);
+    reasonBytes.copy(payload, 2);
+    this.socket.write(encodeFrame(OPCODES.CLOSE, payload));
+
+    this.closeFrame = this.closeFrame || { code, reason: String(reason) };
+    this.closeTimer = setTimeout(() => this.terminate(), CLOSE_TIMEOUT_MS);
+    this.closeTimer.unref();
+  }
+
+  terminate() {
+    this.socket.destroy();
+  }
+
+  receive(chunk) {
+    this.received = this.received.length > 0 ? Buffer.concat([this.received, chunk]) : chunk;
+
+    while (this.state !== 'closed') {
+      const frame = this.parseFrame();
+      if (!frame) return;
+      this.handleFrame(frame);
+    }
+  }
+
+  // One complete frame off the front of the buffer, or null until it has
+  // arrived. Protocol violations close the connection.
+  parseFrame() {
+    const buffer = this.received;
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const reserved = buffer[0] & 0x70;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (buffer.length < 4) return null;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) return null;
+      const declared = buffer.readBigUInt64BE(2);
+      length = declared > BigInt(MAX_PAYLOAD) ? Infinity : Number(declared);
+      offset = 10;
+    }
+
+    if (reserved !== 0 || !masked || (opcode >= OPCODES.CLOSE && (length > 125 || !fin))) {
+      return this.fail(CLOSE_CODES.PROTOCOL_ERROR, 'Invalid frame');
+    }
+    if (!fin || opcode === OPCODES.CONTINUATION) {
+      return this.fail(CLOSE_CODES.UNSUPPORTED_DATA, 'Fragmented messages are not supported');
+    }
+    if (length > MAX_PAYLOAD) {
+      return this.fail(CLOSE_CODES.MESSAGE_TOO_BIG, 'Message too big');
+    }
+    if (buffer.length < offset + 4 + length) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+    this.received = buffer.subarray(offset + 4 + length);
+    return { opcode, payload };
+  }
+
+  handleFrame({ opcode, payload }) {
+    switch (opcode) {
+      case OPCODES.TEXT:
+        if (this.isOpen) this.emit('message', payload.toString('utf8'));
+        break;
+      case OPCODES.PING:
+        if (this.isOpen) this.socket.write(encodeFrame(OPCODES.PONG, payload));
+        break;
+      case OPCODES.PONG:
+        this.emit('pong');
+        break;
+      case OPCODES.CLOSE: {
+        const code = payload.length >= 2 ? payload.readUInt16BE(0) : CLOSE_CODES.NO_STATUS;
+        this.closeFrame = this.closeFrame || { code, reason: payload.subarray(2).toString('utf8') };
+        if (this.isOpen) {
+          this.state = 'closing';
+          this.socket.write(encodeFrame(OPCODES.CLOSE, payload.subarray(0, 2)));
+        }
+        this.received = Buffer.alloc(0);
+        this.socket.end();
+        break;
+      }
+      default:
+        this.fail(CLOSE_CODES.UNSUPPORTED_DATA, 'Only text messages are accepted');
+    }
+  }
+
+  fail(code, reason) {
+    this.received = Buffer.alloc(0);
+    this.close(code, reason);
+    this.socket.end();
+    return null;
+  }
+}
+
+// Completes the opening handshake of a request isWebSocketUpgrade accepts
+function acceptUpgrade(req, socket, head) {
+  const accept = crypto.createHash('sha1')
+    .update(req.headers['sec-websocket-key'] + HANDSHAKE_GUID)
+    .digest('base64');
+
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+
+  return new WebSocketConnection(socket, head);
+}
+
+module.exports = {
+  acceptUpgrade,
+  rejectUpgrade,
+  isWebSocketUpgrade,
+  WebSocketConnection,
+  CLOSE_CODES
+};
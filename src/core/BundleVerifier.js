@@ -0,0 +1,341 @@
+/**
+ * BundleVerifier.js
+ * Checks an export bundle (see Exporter.js) offline: no PostgreSQL, no
+ * ledger connection. Every row is rehashed and compared with the hash the
+ * bundled topic messages anchored for it, batched audit entries must prove
+ * into an anchored Merkle root, and the footer must account for every line.
+ * The footer digest is an unsigned checksum that catches damage, not
+ * tampering: whoever edits a bundle can recompute it, so only the ledger
+ * comparison vouches for a row. For the same reason a row the bundle's
+ * audit entries call unanchored is reported UNVERIFIED_ROW, never passed.
+ *
+ *   const report = await new BundleVerifier().verifyFile("audit-bundle.ndjson");
+ *
+ * The messages themselves are taken as given; an auditor who does not trust
+ * the exporter compares their sequence numbers, consensus timestamps and
+ * running hashes with a mirror node. Rows of tables with encrypted columns
+ * can only be rehashed from a bundle exported with `decrypt`; otherwise
+ * they are counted as sealed and only their _data_hash is checked against
+ * the ledger.
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+const { IntegrityVerifier, ISSUE_TYPES, anchoredRoots, queuedWrite } = require("./IntegrityVerifier");
+const { BUNDLE_FORMAT, BUNDLE_VERSION } = require("./Exporter");
+const { hashKind, columnEntries, normalizeColumn } = require("./SchemaDefinition");
+const { lines } = require("../utils/recordStreams");
+const { canonicalStringify, rowHash, merkleLeafHash, verifyMerkleProof } = require("../utils/hashUtils");
+
+const BUNDLE_ISSUE_TYPES = {
+  ...ISSUE_TYPES,
+  MALFORMED_BUNDLE: "MALFORMED_BUNDLE",           // not a bundle, or a line cannot be read
+  BUNDLE_INCOMPLETE: "BUNDLE_INCOMPLETE",         // footer missing or its counts disagree with the lines
+  BUNDLE_DIGEST_MISMATCH: "BUNDLE_DIGEST_MISMATCH", // lines were changed after export
+  SCHEMA_MISMATCH: "SCHEMA_MISMATCH",             // bundled schema differs from the anchored one
+  AUDIT_MESSAGE_MISMATCH: "AUDIT_MESSAGE_MISMATCH", // audit entry disagrees with the message it cites
+  UNVERIFIED_ROW: "UNVERIFIED_ROW"                // no anchored message; the bundle says its write is pending
+};
+
+const SCHEMA_MESSAGES = ["SCHEMA_INIT", "SCHEMA_MIGRATE"];
+const KINDS = ["header", "schema", "row", "audit", "message", "footer"];
+
+class BundleVerifier {
+  async verifyFile(path) {
+    return this.verify(() => fs.createReadStream(path));
+  }
+
+  // `open` returns a fresh stream of the bundle; it is read twice, first
+  // for the ledger side and then for the rows
+  async verify(open) {
+    const issues = [];
+    const bundle = await this.readLedgerSide(open(), issues);
+    if (!bundle.header) {
+      return this.buildReport(bundle, {}, new Map(), issues);
+    }
+
+    const schema = this.anchoredSchema(bundle, issues);
+    const verifier = new IntegrityVerifier({
+      calculateRowHash: (tableName, data) => {
+        const tableSchema = schema[tableName] || {};
+        return rowHash(data, (column) => (Object.prototype.hasOwnProperty.call(tableSchema, column)
+          ? hashKind(tableSchema[column])
+          : null));
+      },
+      // Decrypted bundles already hold plaintext, sealed rows are skipped
+      decryptSensitiveFields: (tableName, row) => row
+    });
+
+    const ledger = verifier.buildLedgerIndex([
+      ...bundle.messages,
+      ...this.batchedLeaves(bundle, issues)
+    ]);
+    this.checkAuditMessages(bundle, issues);
+
+    const tables = {};
+    for (const tableName of bundle.header.tables) {
+      tables[tableName] = { rows: 0, verified: 0, sealed: 0, issues: 0 };
+    }
+    for (const issue of issues) {
+      if (tables[issue.table]) tables[issue.table].issues++;
+    }
+
+    for await (const text of lines(open())) {
+      const object = this.parse(text);
+      if (object?.kind !== "row") continue;
+
+      const report = tables[object.table];
+      if (!report) {
+        issues.push({ type: BUNDLE_ISSUE_TYPES.MALFORMED_BUNDLE, table: object.table, message: `Row of a table not in the header: ${object.table}` });
+        continue;
+      }
+
+      const { row } = object;
+      const key = `${object.table}:${row._tx_id}`;
+      const entry = ledger.get(key);
+      const queued = bundle.pending.get(key);
+      const sealed = !bundle.header.decrypted && this.hasEncryptedColumns(schema[object.table]);
+      let rowIssues = verifier.verifyRow(object.table, row, entry, queued);
+      if (verifier.isPending(row, entry, queued)) {
+        rowIssues.push({ type: BUNDLE_ISSUE_TYPES.UNVERIFIED_ROW, table: object.table, txId: row._tx_id, storedHash: row._data_hash });
+      }
+      if (sealed) {
+        rowIssues = rowIssues.filter((issue) => issue.type !== ISSUE_TYPES.ROW_HASH_MISMATCH);
+      }
+
+      report.rows++;
+      if (rowIssues.length > 0) {
+        report.issues += rowIssues.length;
+        issues.push(...rowIssues);
+      } else {
+        report[sealed ? "sealed" : "verified"]++;
+      }
+    }
+
+    // Absent rows only mean something when the bundle claims to hold all of them
+    if (bundle.header.complete) {
+      for (const entry of ledger.values()) {
+        if (!tables[entry.table] || entry.seen || entry.hardDeleted) continue;
+        if (bundle.pending.get(`${entry.table}:${entry.txId}`)?.hardDeleted) continue;
+
+        issues.push({
+          type: ISSUE_TYPES.MISSING_ROW,
+          table: entry.table,
+          txId: entry.txId,
+          expectedHash: entry.hash,
+          sequenceNumber: entry.sequenceNumber
+        });
+        tables[entry.table].issues++;
+      }
+    }
+
+    return this.buildReport(bundle, tables, ledger, issues);
+  }
+
+  // First pass: everything but the rows, which are only counted, and the
+  // digest the footer has to match
+  async readLedgerSide(source, issues) {
+    const bundle = {
+      header: null,
+      schema: null,
+      footer: null,
+      messages: [],
+      audit: [],
+      // Latest unanchored write per record, as the audit entries claim
+      pending: new Map(),
+      counts: { row: 0, audit: 0, message: 0 }
+    };
+    const hash = crypto.createHash("sha256");
+    let line = 0;
+    let digest = null;
+
+    for await (const text of lines(source)) {
+      line++;
+      const object = this.parse(text);
+
+      if (!object || !KINDS.includes(object.kind)) {
+        issues.push({ type: BUNDLE_ISSUE_TYPES.MALFORMED_BUNDLE, line, message: "Not a bundle line" });
+        hash.update(`${text}\n`);
+        continue;
+      }
+      if (bundle.footer) {
+        issues.push({ type: BUNDLE_ISSUE_TYPES.MALFORMED_BUNDLE, line, message: "Line after the footer" });
+        continue;
+      }
+      if (object.kind === "footer") {
+        digest = hash.digest("hex");
+        bundle.footer = object;
+        continue;
+      }
+      hash.update(`${text}\n`);
+
+      if (object.kind === "header") {
+        if (line !== 1 || object.format !== BUNDLE_FORMAT || object.version !== BUNDLE_VERSION) {
+          issues.push({ type: BUNDLE_ISSUE_TYPES.MALFORMED_BUNDLE, line, message: `Expected a ${BUNDLE_FORMAT} v${BUNDLE_VERSION} header on line 1` });
+        } else {
+          bundle.header = object;
+        }
+      } else if (object.kind === "schema") {
+        bundle.schema = object;
+      } else if (object.kind === "message") {
+        bundle.messages.push(object);
+      } else if (object.kind === "audit") {
+        bundle.audit.push(object.entry);
+        const write = object.entry.anchor_status !== "anchored"
+          && queuedWrite({ type: object.entry.operation, dataHash: object.entry.data_hash, newHash: object.entry.data_hash });
+        if (write) {
+          bundle.pending.set(`${object.entry.table_name}:${object.entry.tx_id}`, write);
+        }
+      }
+      if (bundle.counts[object.kind] !== undefined) bundle.counts[object.kind]++;
+    }
+
+    if (!bundle.header && !issues.some((issue) => issue.line === 1)) {
+      issues.push({ type: BUNDLE_ISSUE_TYPES.MALFORMED_BUNDLE, line: 1, message: "Bundle has no header" });
+    }
+
+    if (!bundle.footer) {
+      issues.push({ type: BUNDLE_ISSUE_TYPES.BUNDLE_INCOMPLETE, message: "Bundle has no footer; it may be truncated" });
+    } else {
+      for (const [kind, count] of Object.entries(bundle.counts)) {
+        if (bundle.footer.counts?.[kind] !== count) {
+          issues.push({ type: BUNDLE_ISSUE_TYPES.BUNDLE_INCOMPLETE, kind, expected: bundle.footer.counts?.[kind], found: count });
+        }
+      }
+      if (bundle.footer.sha256 !== digest) {
+        issues.push({ type: BUNDLE_ISSUE_TYPES.BUNDLE_DIGEST_MISMATCH, expected: bundle.footer.sha256, calculated: digest });
+      }
+    }
+
+    return bundle;
+  }
+
+  parse(text) {
+    if (text.trim() === "") return null;
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Rows are hashed with the column types of the latest anchored schema,
+  // so a bundle cannot change how its own rows are checked
+  anchoredSchema(bundle, issues) {
+    const schemaMessages = bundle.messages
+      .filter(({ operation }) => SCHEMA_MESSAGES.includes(operation.type))
+      .sort((a, b) => a.sequenceNumber - b.sequenceNumber);
+    const anchored = schemaMessages.length ? schemaMessages[schemaMessages.length - 1] : null;
+    const bundled = bundle.schema?.schema || null;
+
+    if (anchored && bundled && canonicalStringify(anchored.operation.schema) !== canonicalStringify(bundled)) {
+      issues.push({
+        type: BUNDLE_ISSUE_TYPES.SCHEMA_MISMATCH,
+        version: bundle.schema.version,
+        anchoredVersion: anchored.operation.version,
+        sequenceNumber: anchored.sequenceNumber
+      });
+    }
+    return anchored ? anchored.operation.schema : bundled || {};
+  }
+
+  hasEncryptedColumns(tableSchema) {
+    return columnEntries(tableSchema || {}).some(([, colDef]) => normalizeColumn(colDef).encrypted);
+  }
+
+  // As IntegrityVerifier.loadBatchedLeaves, from the bundled audit entries
+  batchedLeaves(bundle, issues) {
+    const roots = anchoredRoots(bundle.messages);
+
+    const leaves = new Map();
+    for (const entry of bundle.audit) {
+      if (!entry.merkle_root) continue;
+      const leafKey = `${entry.merkle_batch_id}:${entry.merkle_leaf_index}`;
+      if (leaves.has(leafKey)) continue;
+
+      const anchored = roots.has(entry.merkle_root) && entry.ledger_message
+        && verifyMerkleProof(merkleLeafHash(entry.ledger_message), entry.merkle_proof, entry.merkle_root);
+
+      if (!anchored) {
+        issues.push({
+          type: ISSUE_TYPES.INVALID_INCLUSION_PROOF,
+          table: entry.table_name,
+          txId: entry.tx_id,
+          root: entry.merkle_root,
+          leafIndex: entry.merkle_leaf_index
+        });
+        leaves.set(leafKey, null);
+        continue;
+      }
+
+      leaves.set(leafKey, {
+        operation: JSON.parse(entry.ledger_message),
+        sequenceNumber: roots.get(entry.merkle_root),
+        leafIndex: entry.merkle_leaf_index
+      });
+    }
+    return [...leaves.values()].filter(Boolean);
+  }
+
+  // Directly anchored entries keep the message they were anchored with;
+  // it has to be the one the topic holds at that sequence number
+  checkAuditMessages(bundle, issues) {
+    const bySequence = new Map(bundle.messages.map((message) => [Number(message.sequenceNumber), message]));
+
+    for (const entry of bundle.audit) {
+      if (entry.merkle_root || !entry.ledger_message || entry.hedera_sequence_number === null) continue;
+
+      const message = bySequence.get(Number(entry.hedera_sequence_number));
+      let recorded;
+      try {
+        recorded = canonicalStringify(JSON.parse(entry.ledger_message));
+      } catch (error) {
+        recorded = null;
+      }
+
+      if (!message || recorded !== canonicalStringify(message.operation)) {
+        issues.push({
+          type: BUNDLE_ISSUE_TYPES.AUDIT_MESSAGE_MISMATCH,
+          table: entry.table_name,
+          txId: entry.tx_id,
+          auditId: entry.id,
+          sequenceNumber: Number(entry.hedera_sequence_number),
+          message: message ? "Audit entry differs from the anchored message" : "Bundle lacks the cited message"
+        });
+      }
+    }
+  }
+
+  buildReport(bundle, tables, ledger, issues) {
+    const total = (field) => Object.values(tables).reduce((sum, t) => sum + t[field], 0);
+    const sequences = bundle.messages.map((message) => message.sequenceNumber);
+
+    return {
+      valid: issues.length === 0,
+      topicId: bundle.header?.topicId || null,
+      exportedAt: bundle.header?.exportedAt || null,
+      range: bundle.header?.range || null,
+      complete: Boolean(bundle.header?.complete),
+      decrypted: Boolean(bundle.header?.decrypted),
+      ledgerSequence: sequences.length ? Math.max(...sequences) : 0,
+      verifiedAt: new Date().toISOString(),
+      summary: {
+        tables: Object.keys(tables).length,
+        rowsScanned: total("rows"),
+        auditEntries: bundle.counts.audit,
+        messages: bundle.counts.message,
+        ledgerRecords: ledger.size,
+        sealedRows: total("sealed"),
+        issues: issues.length,
+        byType: issues.reduce((acc, issue) => {
+          acc[issue.type] = (acc[issue.type] || 0) + 1;
+          return acc;
+        }, {})
+      },
+      tables,
+      issues
+    };
+  }
+}
+
+module.exports = { BundleVerifier, BUNDLE_ISSUE_TYPES };
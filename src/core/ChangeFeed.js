@@ -0,0 +1,331 @@
+/**
+ * ChangeFeed.js
+ * Live feed of audited writes for HederaAuditedDatabase.subscribeChanges.
+ * Each write is delivered as "committed" once its PostgreSQL transaction
+ * commits, then as "confirmed" once its outbox entry is anchored on the
+ * ledger, or "failed" if anchoring gives up:
+ *
+ *   { auditId, table, operation, txId, dataHash, status,
+ *     ledger: { sequenceNumber, consensusTimestamp, merkleRoot } | null,
+ *     data, timestamp }
+ *
+ *   const subscription = await db.subscribeChanges(
+ *     { tables: ["orders"], operations: ["insert", "update"], filter: { status: "paid" }, lastEventId: "1041" },
+ *     (event, cursor) => ...,
+ *     (error) => ...
+ *   );
+ *
+ * Every event comes with a cursor; passing it back as lastEventId resumes
+ * the feed, and fromSequence resumes from a topic sequence number. The gap
+ * is replayed from _audit_log, each write at its current status, before
+ * live events resume. The cursor stays behind writes delivered as committed
+ * but not yet settled, so their confirmation is not lost across a
+ * reconnect; delivery is therefore at-least-once. Writes applied from other
+ * nodes by a SyncManager are only seen on replay.
+ *
+ * filter is a QueryBuilder where object matched against the row after the
+ * write, and needs a single table. A principal's read policies are applied
+ * the same way.
+ */
+
+const { QueryValidationError } = require("../utils/errors");
+const { matchesWhere } = require("../utils/whereMatcher");
+const { OUTBOX_STATUS } = require("./OutboxPublisher");
+
+const CHANGE_OPERATIONS = {
+  insert: ["INSERT"],
+  update: ["UPDATE"],
+  delete: ["DELETE_SOFT", "DELETE_HARD"]
+};
+
+const CHANGE_STATUS = {
+  COMMITTED: "committed",
+  CONFIRMED: "confirmed",
+  FAILED: "failed"
+};
+
+const REPLAY_PAGE_SIZE = 500;
+
+function statusOf(anchorStatus) {
+  if (anchorStatus === OUTBOX_STATUS.ANCHORED) return CHANGE_STATUS.CONFIRMED;
+  if (anchorStatus === OUTBOX_STATUS.FAILED) return CHANGE_STATUS.FAILED;
+  return CHANGE_STATUS.COMMITTED;
+}
+
+// The audit id to resume after: just before the oldest write delivered as
+// committed and not yet settled, else the newest delivered
+function cursorOf(subscription) {
+  let oldest = null;
+  for (const auditId of subscription.pending) {
+    if (oldest === null || auditId < oldest) oldest = auditId;
+  }
+  return String(oldest !== null ? oldest - 1 : subscription.lastId);
+}
+
+class ChangeFeed {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.log = db.logger.child({ component: "changes" });
+    this.maxBuffered = options.maxBuffered || 10000;
+    this.subscriptions = new Set();
+
+    db.on("change", (change) => this.publish(this.fromChange(change)));
+    db.on("anchored", ({ outboxId }) => this.settle(outboxId));
+    db.on("anchor-failed", ({ outboxId, failed }) => {
+      if (failed) this.settle(outboxId);
+    });
+  }
+
+  async subscribe(options = {}, onEvent, onError = () => {}) {
+    this.db.ensureInitialized();
+
+    const subscription = {
+      ...(await this.prepare(options)),
+      onEvent,
+      onError,
+      pending: new Set(),
+      lastId: 0,
+      buffer: null
+    };
+
+    if (subscription.after !== null) {
+      subscription.buffer = [];
+      subscription.lastId = subscription.after;
+    }
+    this.subscriptions.add(subscription);
+
+    if (subscription.buffer) {
+      try {
+        await this.replay(subscription);
+      } catch (error) {
+        this.subscriptions.delete(subscription);
+        throw error;
+      }
+    }
+
+    return {
+      unsubscribe: () => this.subscriptions.delete(subscription),
+      get cursor() {
+        return cursorOf(subscription);
+      }
+    };
+  }
+
+  // Resolves tables, operations and the where object per table, and the
+  // audit id after which to replay (null for live events only)
+  async prepare(options) {
+    const tables = options.tables === undefined || options.tables === null
+      ? Object.keys(this.db.schemaCache.get("main") || {})
+      : [].concat(options.tables);
+    tables.forEach((table) => this.db.queries.table(table));
+
+    const operations = new Set();
+    for (const operation of [].concat(options.operations || Object.keys(CHANGE_OPERATIONS))) {
+      const types = CHANGE_OPERATIONS[String(operation).toLowerCase()];
+      if (!types) {
+        throw new QueryValidationError(
+          `Unknown operation: ${operation} (expected ${Object.keys(CHANGE_OPERATIONS).join(", ")})`,
+          { operation }
+        );
+      }
+      types.forEach((type) => operations.add(type));
+    }
+
+    const filter = options.filter && Object.keys(options.filter).length > 0 ? options.filter : null;
+    if (filter && tables.length !== 1) {
+      throw new QueryValidationError("filter needs exactly one table", { tables });
+    }
+
+    const wheres = new Map();
+    for (const table of tables) {
+      const clauses = [filter, await this.db.policies.whereFor(table, "read", options.principal)].filter(Boolean);
+      const where = clauses.length > 1 ? { $and: clauses } : clauses[0] || null;
+      // Rejects unknown columns, encrypted columns and bad operators
+      if (where) this.db.queries.where(table, where, []);
+      wheres.set(table, where);
+    }
+
+    const fromSequence = options.fromSequence === undefined || options.fromSequence === null
+      ? null
+      : this.db.queries.nonNegativeInteger("fromSequence", options.fromSequence);
+    return { wheres, operations, fromSequence, after: await this.startAfter(options, fromSequence, [...operations]) };
+  }
+
+  async startAfter(options, fromSequence, operations) {
+    if (options.lastEventId !== undefined && options.lastEventId !== null) {
+      return this.db.queries.nonNegativeInteger("lastEventId", options.lastEventId);
+    }
+    if (fromSequence === null) {
+      return null;
+    }
+
+    // Writes still waiting to be anchored will land beyond any sequence number
+    const result = await this.db.pgPool.query(`
+      SELECT MIN(id) AS first FROM _audit_log
+      WHERE hedera_topic_id = $1 AND operation = ANY($2)
+        AND (hedera_sequence_number >= $3 OR anchor_status = $4)
+    `, [this.db.topicId.toString(), operations, fromSequence, OUTBOX_STATUS.PENDING]);
+
+    const { first } = result.rows[0];
+    if (first !== null) return Number(first) - 1;
+
+    const latest = await this.db.pgPool.query("SELECT COALESCE(MAX(id), 0) AS last FROM _audit_log");
+    return Number(latest.rows[0].last);
+  }
+
+  // Pages through _audit_log from the subscription's start, then delivers
+  // what arrived live meanwhile unless the replay already covered it
+  async replay(subscription) {
+    const replayedCommitted = new Set();
+    let after = subscription.after;
+    let replayedUpTo = after;
+
+    for (;;) {
+      const result = await this.db.pgPool.query(`
+        SELECT a.id, a.tx_id, a.table_name, a.operation, a.data_hash, a.anchor_status,
+               a.hedera_sequence_number, a.hedera_consensus_timestamp, a.merkle_root,
+               a.created_at, h.data
+        FROM _audit_log a
+        LEFT JOIN _row_history h ON h.audit_id = a.id
+        WHERE a.id > $1 AND a.hedera_topic_id = $2
+          AND a.table_name = ANY($3) AND a.operation = ANY($4)
+          AND ($5::BIGINT IS NULL OR a.hedera_sequence_number IS NULL OR a.hedera_sequence_number >= $5)
+        ORDER BY a.id
+        LIMIT $6
+      `, [
+        after,
+        this.db.topicId.toString(),
+        [...subscription.wheres.keys()],
+        [...subscription.operations],
+        subscription.fromSequence,
+        REPLAY_PAGE_SIZE
+      ]);
+
+      for (const row of result.rows) {
+        if (!this.subscriptions.has(subscription)) return;
+        const event = this.fromAuditRow(row);
+        replayedUpTo = event.auditId;
+        if (event.status === CHANGE_STATUS.COMMITTED) replayedCommitted.add(event.auditId);
+        if (this.accepts(subscription, event)) this.send(subscription, event);
+      }
+
+      if (result.rows.length < REPLAY_PAGE_SIZE) break;
+      after = replayedUpTo;
+    }
+
+    const buffered = subscription.buffer;
+    subscription.buffer = null;
+    for (const event of buffered) {
+      const covered = event.auditId <= replayedUpTo
+        && (event.status === CHANGE_STATUS.COMMITTED || !replayedCommitted.has(event.auditId));
+      if (!covered) this.send(subscription, event);
+    }
+  }
+
+  // Ends every subscription; subscribers are told through onError
+  close() {
+    const subscriptions = [...this.subscriptions];
+    this.subscriptions.clear();
+    for (const subscription of subscriptions) {
+      subscription.onError(new Error("Change feed closed"));
+    }
+  }
+
+  publish(event) {
+    for (const subscription of this.subscriptions) {
+      if (!this.accepts(subscription, event)) continue;
+
+      if (!subscription.buffer) {
+        this.send(subscription, event);
+      } else if (subscription.buffer.length < this.maxBuffered) {
+        subscription.buffer.push(event);
+      } else {
+        this.subscriptions.delete(subscription);
+        subscription.onError(new Error(`Change feed fell more than ${this.maxBuffered} events behind during replay`));
+      }
+    }
+  }
+
+  // Looks up the writes of an outbox entry that was anchored or gave up
+  async settle(outboxId) {
+    if (this.subscriptions.size === 0) return;
+
+    try {
+      const result = await this.db.pgPool.query(`
+        SELECT a.id, a.tx_id, a.table_name, a.operation, a.data_hash, a.anchor_status,
+               a.hedera_sequence_number, a.hedera_consensus_timestamp, a.merkle_root,
+               a.created_at, h.data
+        FROM _audit_log a
+        LEFT JOIN _row_history h ON h.audit_id = a.id
+        WHERE a.outbox_id = $1
+        ORDER BY a.id
+      `, [outboxId]);
+
+      for (const row of result.rows) {
+        this.publish(this.fromAuditRow(row));
+      }
+    } catch (error) {
+      this.log.warn("Could not read settled outbox entry", { outboxId, err: error });
+    }
+  }
+
+  accepts(subscription, event) {
+    if (!subscription.wheres.has(event.table) || !subscription.operations.has(event.operation)) {
+      return false;
+    }
+    const where = subscription.wheres.get(event.table);
+    return !where || (event.data !== null && matchesWhere(event.data, where));
+  }
+
+  send(subscription, event) {
+    if (event.status === CHANGE_STATUS.COMMITTED) {
+      subscription.pending.add(event.auditId);
+    } else {
+      subscription.pending.delete(event.auditId);
+    }
+    subscription.lastId = Math.max(subscription.lastId, event.auditId);
+
+    try {
+      subscription.onEvent(event, cursorOf(subscription));
+    } catch (error) {
+      this.log.error("Change feed subscriber failed", { err: error });
+    }
+  }
+
+  fromChange(change) {
+    return {
+      auditId: Number(change.auditId),
+      table: change.table,
+      operation: change.operation,
+      txId: change.txId,
+      dataHash: change.dataHash,
+      status: CHANGE_STATUS.COMMITTED,
+      ledger: null,
+      data: change.data || null,
+      timestamp: new Date(change.timestamp).toISOString()
+    };
+  }
+
+  fromAuditRow(row) {
+    const anchored = row.hedera_sequence_number !== null;
+    return {
+      auditId: Number(row.id),
+      table: row.table_name,
+      operation: row.operation,
+      txId: row.tx_id,
+      dataHash: row.data_hash,
+      status: statusOf(row.anchor_status),
+      ledger: anchored
+        ? {
+          sequenceNumber: Number(row.hedera_sequence_number),
+          consensusTimestamp: row.hedera_consensus_timestamp,
+          merkleRoot: row.merkle_root
+        }
+        : null,
+      data: row.data ? this.db.decryptSensitiveFields(row.table_name, row.data) : null,
+      timestamp: new Date(row.created_at).toISOString()
+    };
+  }
+}
+
+module.exports = { ChangeFeed, CHANGE_OPERATIONS, CHANGE_STATUS };
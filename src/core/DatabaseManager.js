@@ -0,0 +1,426 @@
+/**
+ * DatabaseManager.js
+ * Hosts many named HederaAuditedDatabases in one process. Each has its own
+ * ledger topic and its own PostgreSQL schema (tenancy.schemaPrefix + name),
+ * holding its tables, _audit_log, outbox and webhooks, reached through a
+ * pool of its own whose search_path is that schema alone.
+ *
+ *   const manager = new DatabaseManager(config);
+ *   await manager.start();
+ *   await manager.create("acme", schema, { createdBy: "alice" });
+ *   await manager.get("acme").insert("orders", { ... });
+ *   await manager.drop("acme", { droppedBy: "alice", reason: "offboarded" });
+ *
+ * The registry, _databases, and its audit trail, _database_events, live in
+ * tenancy.controlSchema. A database is audited on its own topic from birth
+ * (SCHEMA_INIT) to teardown (DATABASE_DROPPED), and every provisioning step
+ * is recorded in _database_events with the user who asked for it. Dropping
+ * removes the schema and its rows; the topic stays as the record.
+ *
+ * All databases share one ledger adapter, which the manager closes.
+ */
+
+const EventEmitter = require("events");
+const { createLedgerAdapter } = require("../ledger");
+const { HederaAuditedDatabase, createPostgresPool } = require("./HederaAuditedDatabase");
+const { quoteIdentifier } = require("./QueryBuilder");
+const { assertValidSchema } = require("./SchemaDefinition");
+const { OUTBOX_STATUS } = require("./OutboxPublisher");
+const { createLogger } = require("../utils/logger");
+const {
+  DatabaseError,
+  ConflictError,
+  NotFoundError,
+  InvalidIdentifierError
+} = require("../utils/errors");
+
+const DATABASE_STATUS = {
+  PROVISIONING: "provisioning",
+  ACTIVE: "active",
+  FAILED: "failed",
+  DROPPED: "dropped"
+};
+
+const DATABASE_EVENTS = {
+  CREATED: "CREATED",
+  CREATE_FAILED: "CREATE_FAILED",
+  DROPPED: "DROPPED"
+};
+
+const DROP_MESSAGE = "DATABASE_DROPPED";
+
+// PostgreSQL's SQLSTATE for CREATE SCHEMA on a name that is taken
+const DUPLICATE_SCHEMA = "42P06";
+
+// Leaves room for the schema prefix within PostgreSQL's 63 characters
+const DATABASE_NAME_PATTERN = /^[a-z][a-z0-9_]{0,47}$/;
+
+class DatabaseManager extends EventEmitter {
+  constructor(config) {
+    super();
+
+    const tenancy = config.tenancy || {};
+    this.config = config;
+    this.logger = config.logger || createLogger(config.logging);
+    this.log = this.logger.child({ component: "tenancy" });
+    this.schemaPrefix = tenancy.schemaPrefix || "db_";
+    this.maxConnections = tenancy.maxConnections || 5;
+    this.controlSchema = tenancy.controlSchema || "public";
+    // Schema names must be plain identifiers (see createPostgresPool)
+    quoteIdentifier(`${this.schemaPrefix}x`);
+    quoteIdentifier(this.controlSchema);
+
+    this.ledger = createLedgerAdapter(config);
+    this.pgPool = createPostgresPool({ ...config.postgres, schema: this.controlSchema, maxConnections: 2 });
+    this.databases = new Map();
+    // Registered as active but could not be opened, by name
+    this.unavailable = new Map();
+  }
+
+  // Creates the registry and opens every active database in it
+  async start() {
+    await this.pgPool.query(`CREATE SCHEMA IF NOT EXISTS ${quoteIdentifier(this.controlSchema)}`);
+
+    await this.pgPool.query(`
+      CREATE TABLE IF NOT EXISTS _databases (
+        name VARCHAR(48) PRIMARY KEY,
+        schema_name VARCHAR(63) NOT NULL UNIQUE,
+        topic_id VARCHAR(50),
+        schema JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        dropped_by VARCHAR(255),
+        dropped_at TIMESTAMP
+      )
+    `);
+
+    await this.pgPool.query(`
+      CREATE TABLE IF NOT EXISTS _database_events (
+        id BIGSERIAL PRIMARY KEY,
+        name VARCHAR(48) NOT NULL,
+        action VARCHAR(20) NOT NULL,
+        topic_id VARCHAR(50),
+        hedera_sequence_number BIGINT,
+        hedera_consensus_timestamp VARCHAR(50),
+        user_id VARCHAR(255),
+        metadata JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await this.pgPool.query(`
+      CREATE INDEX IF NOT EXISTS idx_database_events_name ON _database_events(name, id)
+    `);
+
+    // A create cut short by a restart never finishes; failing it lets the
+    // name be created again
+    const interrupted = await this.pgPool.query(
+      "UPDATE _databases SET status = $2 WHERE status = $1 RETURNING name, schema_name",
+      [DATABASE_STATUS.PROVISIONING, DATABASE_STATUS.FAILED]
+    );
+    for (const row of interrupted.rows) {
+      await this.recordEvent(row.name, DATABASE_EVENTS.CREATE_FAILED, {
+        metadata: { schemaName: row.schema_name, error: "Provisioning was interrupted" }
+      });
+      this.log.warn("Interrupted provisioning marked failed", { name: row.name });
+    }
+
+    const result = await this.pgPool.query(
+      "SELECT * FROM _databases WHERE status = $1 ORDER BY name",
+      [DATABASE_STATUS.ACTIVE]
+    );
+
+    // One at a time: each opens a pool and, with sync enabled, a subscription
+    for (const row of result.rows) {
+      try {
+        await this.open(row);
+      } catch (error) {
+        this.unavailable.set(row.name, error);
+        this.log.error("Could not open database", { name: row.name, err: error });
+      }
+    }
+
+    this.log.info("Database manager started", { databases: this.databases.size, unavailable: this.unavailable.size });
+  }
+
+  // The schema last migrated to wins over the one it was created with
+  async open(row) {
+    const db = this.instantiate(row.schema_name);
+    try {
+      const recorded = await db.getRecordedSchema().catch(() => null);
+      await db.initialize(row.name, recorded ? recorded.schema : row.schema, { existingTopicId: row.topic_id });
+    } catch (error) {
+      await db.close().catch(() => {});
+      throw error;
+    }
+    this.databases.set(row.name, db);
+    this.unavailable.delete(row.name);
+    return db;
+  }
+
+  instantiate(schemaName) {
+    return new HederaAuditedDatabase({
+      ...this.config,
+      logger: this.logger.child({ database: schemaName.slice(this.schemaPrefix.length) }),
+      ledger: this.ledger,
+      postgres: {
+        ...this.config.postgres,
+        schema: schemaName,
+        maxConnections: this.maxConnections
+      }
+    });
+  }
+
+  validateName(name) {
+    if (typeof name !== "string" || !DATABASE_NAME_PATTERN.test(name)) {
+      throw new InvalidIdentifierError(
+        `Invalid database name: ${name} (lowercase letters, digits and underscores, starting with a letter, at most 48)`,
+        { name }
+      );
+    }
+    return name;
+  }
+
+  // Provisions a database: a schema, a topic and the tables of `schema`.
+  // options: createdBy, schemaVersion, memo, metadata, and
+  // allowCheckExpressions and allowPatterns for schemas from a trusted caller
+  async create(name, schema, options = {}) {
+    this.validateName(name);
+    assertValidSchema(schema, {
+      allowCheckExpressions: options.allowCheckExpressions === true,
+      allowPatterns: options.allowPatterns === true
+    });
+    const schemaName = `${this.schemaPrefix}${name}`;
+    const createdBy = options.createdBy || null;
+
+    // Reserves the name; one dropped or failed before may be reused
+    const reserved = await this.pgPool.query(`
+      INSERT INTO _databases (name, schema_name, schema, status, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (name) DO UPDATE SET
+        schema = EXCLUDED.schema, status = EXCLUDED.status, topic_id = NULL,
+        created_by = EXCLUDED.created_by, created_at = CURRENT_TIMESTAMP,
+        dropped_by = NULL, dropped_at = NULL
+      WHERE _databases.status IN ($6, $7)
+      RETURNING name
+    `, [name, schemaName, JSON.stringify(schema), DATABASE_STATUS.PROVISIONING, createdBy, DATABASE_STATUS.DROPPED, DATABASE_STATUS.FAILED]);
+
+    if (reserved.rowCount === 0) {
+      throw new ConflictError(`Database already exists: ${name}`, { name });
+    }
+
+    const db = this.instantiate(schemaName);
+    let createdSchema = false;
+    let initialized;
+    try {
+      createdSchema = await this.createSchema(schemaName);
+      initialized = await db.initialize(name, schema, {
+        schemaVersion: options.schemaVersion,
+        memo: options.memo
+      });
+    } catch (error) {
+      await db.close().catch(() => {});
+      // A schema that was there before this call is left as it was
+      if (createdSchema) {
+        await this.pgPool.query(`DROP SCHEMA IF EXISTS ${quoteIdentifier(schemaName)} CASCADE`)
+          .catch((dropError) => this.log.error("Could not remove schema", { name, err: dropError }));
+      }
+      await this.pgPool.query("UPDATE _databases SET status = $2 WHERE name = $1", [name, DATABASE_STATUS.FAILED]);
+      await this.recordEvent(name, DATABASE_EVENTS.CREATE_FAILED, {
+        topicId: db.topicId ? db.topicId.toString() : null,
+        userId: createdBy,
+        metadata: { ...options.metadata, error: error.message }
+      });
+      throw error;
+    }
+
+    await this.pgPool.query(
+      "UPDATE _databases SET status = $2, topic_id = $3 WHERE name = $1",
+      [name, DATABASE_STATUS.ACTIVE, initialized.topicId]
+    );
+    await this.recordEvent(name, DATABASE_EVENTS.CREATED, {
+      topicId: initialized.topicId,
+      userId: createdBy,
+      metadata: { ...options.metadata, schemaName, schemaVersion: options.schemaVersion || "1.0.0" }
+    });
+
+    this.databases.set(name, db);
+    this.unavailable.delete(name);
+    this.emit("database-created", { name, topicId: initialized.topicId });
+    this.log.info("Database created", { name, topicId: initialized.topicId, createdBy });
+
+    return this.describe(name);
+  }
+
+  // Whether the schema was created here, rather than found already there
+  async createSchema(schemaName) {
+    try {
+      await this.pgPool.query(`CREATE SCHEMA ${quoteIdentifier(schemaName)}`);
+      return true;
+    } catch (error) {
+      if (error.code === DUPLICATE_SCHEMA) return false;
+      throw error;
+    }
+  }
+
+  // The open database called `name`
+  get(name) {
+    const db = this.databases.get(name);
+    if (db) return db;
+
+    if (this.unavailable.has(name)) {
+      throw new DatabaseError(`Database unavailable: ${name}`, {
+        code: "DATABASE_UNAVAILABLE",
+        statusCode: 503,
+        details: { name, reason: this.unavailable.get(name).message }
+      });
+    }
+    throw new NotFoundError(`Database not found: ${name}`, { name });
+  }
+
+  async list(options = {}) {
+    const result = options.includeDropped
+      ? await this.pgPool.query("SELECT * FROM _databases ORDER BY name")
+      : await this.pgPool.query("SELECT * FROM _databases WHERE status <> $1 ORDER BY name", [DATABASE_STATUS.DROPPED]);
+    return result.rows.map((row) => this.describeRow(row));
+  }
+
+  async describe(name) {
+    const result = await this.pgPool.query("SELECT * FROM _databases WHERE name = $1", [name]);
+    if (result.rowCount === 0) {
+      throw new NotFoundError(`Database not found: ${name}`, { name });
+    }
+    return this.describeRow(result.rows[0]);
+  }
+
+  describeRow(row) {
+    return {
+      name: row.name,
+      schemaName: row.schema_name,
+      topicId: row.topic_id,
+      status: row.status,
+      open: this.databases.has(row.name),
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      droppedBy: row.dropped_by,
+      droppedAt: row.dropped_at
+    };
+  }
+
+  // Provisioning trail of a database, oldest first
+  async events(name) {
+    const result = await this.pgPool.query(
+      "SELECT * FROM _database_events WHERE name = $1 ORDER BY id",
+      [name]
+    );
+    if (result.rowCount === 0) {
+      await this.describe(name);
+    }
+    return result.rows.map((row) => ({
+      id: Number(row.id),
+      name: row.name,
+      action: row.action,
+      topicId: row.topic_id,
+      sequenceNumber: row.hedera_sequence_number === null ? null : Number(row.hedera_sequence_number),
+      consensusTimestamp: row.hedera_consensus_timestamp,
+      userId: row.user_id,
+      metadata: row.metadata,
+      createdAt: row.created_at
+    }));
+  }
+
+  // Records the teardown on the database's topic, then drops its schema and
+  // everything in it. Refused while writes are waiting to be anchored,
+  // unless options.force. The DATABASE_DROPPED message goes through the
+  // database's outbox, which lives in that schema, so nothing is dropped
+  // until the message is anchored; a drop that times out leaves the
+  // database in place and a retry reuses the queued message.
+  // options: droppedBy, reason, force, anchorTimeout
+  async drop(name, options = {}) {
+    const db = this.get(name);
+    const droppedBy = options.droppedBy || null;
+
+    const unanchored = await db.pgPool.query(
+      "SELECT COUNT(*) AS count FROM _outbox WHERE status = ANY($1) AND message::jsonb ->> 'type' <> $2",
+      [[OUTBOX_STATUS.PENDING, OUTBOX_STATUS.PUBLISHING], DROP_MESSAGE]
+    );
+    const pending = Number(unanchored.rows[0].count);
+    if (pending > 0 && !options.force) {
+      throw new ConflictError(`Database ${name} has ${pending} writes waiting to be anchored`, { name, pending });
+    }
+
+    const queued = await db.pgPool.query(
+      "SELECT id FROM _outbox WHERE status <> $1 AND message::jsonb ->> 'type' = $2 ORDER BY id DESC LIMIT 1",
+      [OUTBOX_STATUS.FAILED, DROP_MESSAGE]
+    );
+    const outboxId = queued.rows.length
+      ? Number(queued.rows[0].id)
+      : await db.enqueueAnchor(db.pgPool, {
+        type: DROP_MESSAGE,
+        dbName: name,
+        timestamp: Date.now(),
+        metadata: { userId: droppedBy, reason: options.reason || null, unanchored: pending }
+      });
+
+    const anchor = await db.settleAnchor(outboxId, { awaitAnchor: true, anchorTimeout: options.anchorTimeout });
+    if (anchor.status !== OUTBOX_STATUS.ANCHORED) {
+      throw new DatabaseError(`Database ${name} was not dropped: its ${DROP_MESSAGE} message is ${anchor.status}`, {
+        code: "DROP_NOT_ANCHORED",
+        statusCode: 503,
+        details: { name, outboxId, error: anchor.error }
+      });
+    }
+    const topicId = db.topicId.toString();
+
+    // Later requests are answered 404 while the schema is dropped
+    this.databases.delete(name);
+    await db.close();
+    await this.pgPool.query(`DROP SCHEMA IF EXISTS ${quoteIdentifier(`${this.schemaPrefix}${name}`)} CASCADE`);
+    await this.pgPool.query(
+      "UPDATE _databases SET status = $2, dropped_by = $3, dropped_at = CURRENT_TIMESTAMP WHERE name = $1",
+      [name, DATABASE_STATUS.DROPPED, droppedBy]
+    );
+    await this.recordEvent(name, DATABASE_EVENTS.DROPPED, {
+      topicId,
+      sequenceNumber: anchor.hedera?.sequenceNumber,
+      consensusTimestamp: anchor.hedera?.consensusTimestamp,
+      userId: droppedBy,
+      metadata: { reason: options.reason || null, unanchored: pending, outboxId }
+    });
+
+    this.emit("database-dropped", { name, topicId });
+    this.log.info("Database dropped", { name, topicId, droppedBy, unanchored: pending });
+
+    return this.describe(name);
+  }
+
+  async recordEvent(name, action, { topicId = null, sequenceNumber = null, consensusTimestamp = null, userId = null, metadata = {} }) {
+    await this.pgPool.query(`
+      INSERT INTO _database_events
+        (name, action, topic_id, hedera_sequence_number, hedera_consensus_timestamp, user_id, metadata)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [
+      name,
+      action,
+      topicId,
+      sequenceNumber === null || sequenceNumber === undefined ? null : String(sequenceNumber),
+      consensusTimestamp === null || consensusTimestamp === undefined ? null : String(consensusTimestamp),
+      userId,
+      JSON.stringify(metadata)
+    ]);
+  }
+
+  async close() {
+    const databases = [...this.databases.entries()];
+    this.databases.clear();
+    for (const [name, db] of databases) {
+      await db.close().catch((error) => this.log.error("Close failed", { name, err: error }));
+    }
+    await this.pgPool.end();
+    await this.ledger.close();
+    this.log.info("Database manager closed");
+  }
+}
+
+module.exports = { DatabaseManager, DATABASE_STATUS, DATABASE_EVENTS };
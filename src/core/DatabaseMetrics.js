@@ -0,0 +1,243 @@
+/**
+ * DatabaseMetrics.js
+ * Prometheus metrics for one HederaAuditedDatabase. Calls are counted and
+ * timed per table and operation, and the time spent in PostgreSQL and in
+ * ledger submissions is measured on its own, so a slow write can be pinned
+ * on one or the other. Pool usage, outbox depth, open transactions and sync
+ * lag are read when metrics are scraped.
+ *
+ * Sync lag is in topic sequence numbers: how far the messages received by
+ * the sync subscription, or applied by a SyncManager, trail the highest
+ * sequence number this node has seen.
+ */
+
+const { MetricsRegistry, PROMETHEUS_CONTENT_TYPE } = require("../utils/metrics");
+const { OUTBOX_STATUS } = require("./OutboxPublisher");
+
+// Statements are labelled by their leading keyword; anything else is OTHER
+const SQL_COMMANDS = [
+  "SELECT", "INSERT", "UPDATE", "DELETE", "WITH", "BEGIN", "COMMIT", "ROLLBACK",
+  "DECLARE", "FETCH", "CLOSE", "CREATE", "ALTER", "DROP", "SET"
+];
+
+const SEQUENCE_STAGES = ["received", "applied"];
+
+// Anchored entries are history; only the rest make up the queue
+const UNANCHORED = [OUTBOX_STATUS.PENDING, OUTBOX_STATUS.PUBLISHING, OUTBOX_STATUS.FAILED];
+
+class DatabaseMetrics {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.registry = new MetricsRegistry({ prefix: options.prefix ?? "hedera_db_" });
+    const { buckets } = options;
+
+    this.operations = this.registry.counter(
+      "operations_total",
+      "Database calls by table, operation and outcome",
+      ["table", "operation", "status"]
+    );
+    this.operationDuration = this.registry.histogram(
+      "operation_duration_seconds",
+      "Duration of database calls, including any wait for anchoring",
+      ["table", "operation"],
+      buckets
+    );
+    this.postgresDuration = this.registry.histogram(
+      "postgres_query_duration_seconds",
+      "Duration of PostgreSQL statements by command",
+      ["command"],
+      buckets
+    );
+    this.postgresErrors = this.registry.counter(
+      "postgres_query_errors_total",
+      "PostgreSQL statements that failed, by command",
+      ["command"]
+    );
+    this.ledgerDuration = this.registry.histogram(
+      "ledger_submit_duration_seconds",
+      "Duration of ledger submissions by message type and outcome",
+      ["type", "status"],
+      buckets
+    );
+    this.poolConnections = this.registry.gauge(
+      "postgres_pool_connections",
+      "PostgreSQL pool clients that are open, idle, or requests waiting for one",
+      ["state"]
+    );
+    this.outboxEntries = this.registry.gauge(
+      "outbox_entries",
+      "Outbox entries not yet anchored, by status",
+      ["status"]
+    );
+    this.outboxOldestPending = this.registry.gauge(
+      "outbox_oldest_pending_age_seconds",
+      "Age of the oldest outbox entry not yet anchored"
+    );
+    this.activeTransactions = this.registry.gauge(
+      "transactions_active",
+      "Transactions begun and not yet committed or rolled back"
+    );
+    this.merklePending = this.registry.gauge(
+      "merkle_batch_pending_messages",
+      "Messages waiting for the next Merkle batch"
+    );
+    this.topicSequence = this.registry.gauge(
+      "topic_sequence_number",
+      "Highest topic sequence number seen, and the highest received and applied",
+      ["stage"]
+    );
+    this.syncLag = this.registry.gauge(
+      "sync_lag_messages",
+      "Topic messages not yet received or applied",
+      ["stage"]
+    );
+    this.webhookDeliveries = this.registry.counter(
+      "webhook_deliveries_total",
+      "Webhook delivery attempts by outcome: delivered, retried or dead",
+      ["status"]
+    );
+    this.collectErrors = this.registry.counter(
+      "metrics_collect_errors_total",
+      "Scrapes in which a gauge could not be read",
+      ["source"]
+    );
+
+    this.sequences = { latest: 0 };
+    this.registry.addCollector(() => this.collect());
+  }
+
+  get contentType() {
+    return PROMETHEUS_CONTENT_TYPE;
+  }
+
+  render() {
+    return this.registry.render();
+  }
+
+  // Times one call; the returned function records it with status
+  // "success" or "error"
+  startOperation(tableName, operation) {
+    const table = tableName === "*" || this.db.getTableSchema(tableName) ? tableName : "unknown";
+    const end = this.operationDuration.startTimer({ table, operation });
+    return (status = "success") => {
+      end();
+      this.operations.inc({ table, operation, status });
+    };
+  }
+
+  // Wraps the query method of every client the pool opens, which also
+  // covers pool.query. Cursors and other submittables are passed through.
+  instrumentPool(pool) {
+    const metrics = this;
+    pool.on("connect", (client) => {
+      const query = client.query;
+      client.query = function instrumentedQuery(...args) {
+        if (args[0] && typeof args[0].submit === "function") {
+          return query.apply(this, args);
+        }
+
+        const command = metrics.commandOf(args[0]);
+        const end = metrics.postgresDuration.startTimer({ command });
+        const finish = (error) => {
+          end();
+          if (error) metrics.postgresErrors.inc({ command });
+        };
+
+        const callback = typeof args[args.length - 1] === "function" ? args.pop() : null;
+        if (callback) {
+          return query.call(this, ...args, (error, result) => {
+            finish(error);
+            callback(error, result);
+          });
+        }
+        return query.apply(this, args).then(
+          (result) => {
+            finish();
+            return result;
+          },
+          (error) => {
+            finish(error);
+            throw error;
+          }
+        );
+      };
+    });
+  }
+
+  commandOf(statement) {
+    const text = typeof statement === "string" ? statement : statement?.text || "";
+    const keyword = text.trimStart().split(/\s/, 1)[0].toUpperCase();
+    return SQL_COMMANDS.includes(keyword) ? keyword : "OTHER";
+  }
+
+  async timeLedgerSubmission(type, submit) {
+    const end = this.ledgerDuration.startTimer({ type: type || "UNKNOWN" });
+    try {
+      const result = await submit();
+      end({ status: "success" });
+      this.recordSequence("latest", result?.sequenceNumber);
+      return result;
+    } catch (error) {
+      end({ status: "error" });
+      throw error;
+    }
+  }
+
+  // stage is "latest", "received" or "applied"; sequence numbers only grow
+  recordSequence(stage, sequenceNumber) {
+    const value = Number(sequenceNumber);
+    if (!Number.isFinite(value)) return;
+    this.sequences[stage] = Math.max(this.sequences[stage] || 0, value);
+    if (stage !== "latest") {
+      this.sequences.latest = Math.max(this.sequences.latest, value);
+    }
+  }
+
+  async collect() {
+    const { pgPool } = this.db;
+    this.poolConnections.set({ state: "total" }, pgPool.totalCount);
+    this.poolConnections.set({ state: "idle" }, pgPool.idleCount);
+    this.poolConnections.set({ state: "waiting" }, pgPool.waitingCount);
+
+    this.activeTransactions.set({}, this.db.transactions.transactions.size);
+    this.merklePending.set({}, this.db.batcher ? this.db.batcher.pending.length : 0);
+
+    this.topicSequence.set({ stage: "latest" }, this.sequences.latest);
+    for (const stage of SEQUENCE_STAGES) {
+      if (this.sequences[stage] === undefined) continue;
+      this.topicSequence.set({ stage }, this.sequences[stage]);
+      this.syncLag.set({ stage }, this.sequences.latest - this.sequences[stage]);
+    }
+
+    if (this.db.isInitialized) {
+      await this.collectOutbox();
+    }
+  }
+
+  // A scrape must still answer when PostgreSQL does not
+  async collectOutbox() {
+    try {
+      const result = await this.db.pgPool.query(`
+        SELECT status, COUNT(*) AS count, EXTRACT(EPOCH FROM NOW() - MIN(created_at)) AS oldest
+        FROM _outbox WHERE status = ANY($1)
+        GROUP BY status
+      `, [UNANCHORED]);
+
+      const counts = Object.fromEntries(UNANCHORED.map((status) => [status, 0]));
+      let oldest = 0;
+      for (const row of result.rows) {
+        counts[row.status] = Number(row.count);
+        if (row.status !== OUTBOX_STATUS.FAILED) oldest = Math.max(oldest, Number(row.oldest));
+      }
+      for (const [status, count] of Object.entries(counts)) {
+        this.outboxEntries.set({ status }, count);
+      }
+      this.outboxOldestPending.set({}, oldest);
+    } catch (error) {
+      this.collectErrors.inc({ source: "outbox" });
+      this.db.log.warn("Could not read outbox metrics", { err: error });
+    }
+  }
+}
+
+module.exports = { DatabaseMetrics };
@@ -0,0 +1,195 @@
+/**
+ * Exporter.js
+ * Writes a self-contained audit bundle that BundleVerifier can check without
+ * access to PostgreSQL. A bundle is NDJSON, one object per line, each
+ * tagged with `kind`:
+ *
+ *   header   format, topic, tables, range and whether the export is complete
+ *   schema   the recorded schema, which decides how rows are hashed
+ *   row      a table row as stored, system columns included
+ *   audit    an _audit_log entry of an exported record
+ *   message  a topic message with its sequence number and consensus timestamp
+ *   footer   line counts and a SHA-256 over every line before it
+ *
+ * Without a range every row of the tables is exported along with every
+ * message about them. With `from`/`to` only rows last written in that window
+ * are, with the messages that led to their current state. Encrypted columns
+ * stay sealed unless `decrypt` is set, in which case their row hashes can be
+ * recomputed too. Date and datetime values are written in the form rows are
+ * hashed with.
+ */
+
+const crypto = require("crypto");
+const { once } = require("events");
+const { DENIED_OPERATION } = require("./RowPolicy");
+const { columnEntries, hashKind } = require("./SchemaDefinition");
+const { normalizeTemporal } = require("../utils/hashUtils");
+const { QueryValidationError } = require("../utils/errors");
+
+const BUNDLE_FORMAT = "hedera-audit-bundle";
+const BUNDLE_VERSION = 1;
+const SCHEMA_MESSAGES = ["SCHEMA_INIT", "SCHEMA_MIGRATE"];
+
+class Exporter {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.batchSize = options.batchSize || 1000;
+    this.timeout = options.timeout;
+  }
+
+  async export(output, options = {}) {
+    this.db.ensureInitialized();
+
+    const tables = options.tables || Object.keys(this.db.schemaCache.get("main"));
+    tables.forEach((tableName) => this.db.queries.table(tableName));
+
+    const range = this.parseRange(options.from, options.to);
+    let restricted = false;
+    for (const tableName of tables) {
+      if (await this.db.policies.whereFor(tableName, "read", options.principal)) restricted = true;
+    }
+    // Only a complete export can show that anchored records are missing
+    const complete = !range && !restricted;
+
+    const writer = this.createWriter(output);
+    const counts = { row: 0, audit: 0, message: 0 };
+    const recorded = await this.db.getRecordedSchema();
+
+    await writer.write({
+      kind: "header",
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      topicId: this.db.topicId.toString(),
+      tables,
+      range,
+      complete,
+      decrypted: Boolean(options.decrypt)
+    });
+    await writer.write({
+      kind: "schema",
+      version: recorded?.version || null,
+      schema: recorded?.schema || this.db.schemaCache.get("main")
+    });
+
+    const records = new Set();
+    for (const tableName of tables) {
+      const rows = this.db.queryStream(tableName, {
+        includeDeleted: true,
+        decrypt: Boolean(options.decrypt),
+        principal: options.principal,
+        where: range ? { _updated_at: this.rangeCondition(range) } : {},
+        orderBy: [{ column: "_tx_id", direction: "asc" }]
+      });
+
+      for await (const row of rows) {
+        records.add(`${tableName}:${row._tx_id}`);
+        await writer.write({ kind: "row", table: tableName, row: this.portableRow(tableName, row) });
+        counts.row++;
+      }
+    }
+
+    const roots = new Set();
+    for (const tableName of tables) {
+      for await (const entry of this.auditEntries(tableName)) {
+        if (!records.has(`${tableName}:${entry.tx_id}`)) continue;
+        if (entry.merkle_root) roots.add(entry.merkle_root);
+        await writer.write({ kind: "audit", entry });
+        counts.audit++;
+      }
+    }
+
+    const touches = (operation) => (complete
+      ? tables.includes(operation.table)
+      : records.has(`${operation.table}:${operation.txId}`));
+
+    const messages = await this.db.readTopicMessages({ timeout: options.timeout || this.timeout });
+    for (const message of messages) {
+      const { operation } = message;
+      const relevant = SCHEMA_MESSAGES.includes(operation.type)
+        || (operation.type === "MERKLE_BATCH" && roots.has(operation.root))
+        || (operation.type === "TRANSACTION" && operation.operations.some(touches))
+        || touches(operation);
+      if (!relevant) continue;
+
+      await writer.write({
+        kind: "message",
+        sequenceNumber: message.sequenceNumber,
+        consensusTimestamp: message.consensusTimestamp,
+        runningHash: message.runningHash,
+        operation
+      });
+      counts.message++;
+    }
+
+    await writer.write({ kind: "footer", counts, sha256: writer.digest() });
+    return { success: true, tables, range, complete, counts };
+  }
+
+  // Date and datetime columns are written as they are hashed, so a bundle
+  // verifies the same in any time zone
+  portableRow(tableName, row) {
+    const tableSchema = this.db.getTableSchema(tableName);
+    const portable = { ...row };
+    for (const [column, colDef] of columnEntries(tableSchema)) {
+      const kind = hashKind(colDef);
+      if (kind === "date" || kind === "datetime") {
+        portable[column] = normalizeTemporal(portable[column], kind);
+      }
+    }
+    return portable;
+  }
+
+  parseRange(from, to) {
+    if (from === undefined && to === undefined) return null;
+
+    const parse = (value, name) => {
+      if (value === undefined) return null;
+      const date = new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+      if (Number.isNaN(date.getTime())) {
+        throw new QueryValidationError(`${name} is not a valid time: ${value}`);
+      }
+      return date.toISOString();
+    };
+    return { from: parse(from, "from"), to: parse(to, "to") };
+  }
+
+  rangeCondition(range) {
+    return {
+      ...(range.from && { $gte: range.from }),
+      ...(range.to && { $lte: range.to })
+    };
+  }
+
+  async *auditEntries(tableName) {
+    let lastId = 0;
+    for (;;) {
+      const result = await this.db.pgPool.query(
+        `SELECT * FROM _audit_log
+         WHERE table_name = $1 AND operation <> $2 AND id > $3
+         ORDER BY id LIMIT $4`,
+        [tableName, DENIED_OPERATION, lastId, this.batchSize]
+      );
+      yield* result.rows;
+      if (result.rows.length < this.batchSize) return;
+      lastId = result.rows[result.rows.length - 1].id;
+    }
+  }
+
+  // Hashes every line as written so the footer covers the whole bundle
+  createWriter(output) {
+    const hash = crypto.createHash("sha256");
+    return {
+      async write(object) {
+        const line = `${JSON.stringify(object)}\n`;
+        hash.update(line);
+        if (!output.write(line)) {
+          await once(output, "drain");
+        }
+      },
+      digest: () => hash.copy().digest("hex")
+    };
+  }
+}
+
+module.exports = { Exporter, BUNDLE_FORMAT, BUNDLE_VERSION };
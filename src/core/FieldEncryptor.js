@@ -0,0 +1,87 @@
+/**
+ * FieldEncryptor.js
+ * Encrypts individual column values with a rotatable keyring. Stored values
+ * look like `enc:<keyId>:<envelope>` so every row records which key sealed
+ * it, and old keys stay usable for decryption after a rotation.
+ */
+
+const crypto = require("crypto");
+const { deriveKey, encrypt, decrypt } = require("../utils/encryption");
+
+const PREFIX = "enc:";
+
+class FieldEncryptor {
+  constructor(options = {}) {
+    this.keys = new Map();
+
+    for (const [keyId, key] of Object.entries(options.keys || {})) {
+      this.addKey(keyId, key);
+    }
+    if (options.key) {
+      this.addKey(options.keyId || "default", options.key);
+    }
+
+    this.activeKeyId = options.keyId || (options.key ? "default" : this.keys.keys().next().value);
+    if (!this.activeKeyId || !this.keys.has(this.activeKeyId)) {
+      throw new Error("Encryption enabled but no key configured");
+    }
+  }
+
+  addKey(keyId, key) {
+    if (keyId.includes(":")) {
+      throw new Error(`Invalid key id: ${keyId}`);
+    }
+    this.keys.set(keyId, deriveKey(key));
+  }
+
+  setActiveKey(keyId) {
+    if (!this.keys.has(keyId)) {
+      throw new Error(`Unknown encryption key: ${keyId}`);
+    }
+    this.activeKeyId = keyId;
+  }
+
+  // Lets auditors confirm which key is active without revealing it
+  fingerprint(keyId = this.activeKeyId) {
+    return crypto
+      .createHmac("sha256", this.keys.get(keyId))
+      .update("key-fingerprint")
+      .digest("hex")
+      .slice(0, 16);
+  }
+
+  isEncrypted(value) {
+    return typeof value === "string" && value.startsWith(PREFIX);
+  }
+
+  keyIdOf(value) {
+    return value.slice(PREFIX.length, value.indexOf(":", PREFIX.length));
+  }
+
+  // Values are JSON-encoded first so numbers, booleans and objects survive
+  // the round trip through a TEXT column.
+  encryptValue(value, context) {
+    if (value === null || value === undefined) {
+      return value;
+    }
+    const envelope = encrypt(JSON.stringify(value), this.keys.get(this.activeKeyId), context);
+    return `${PREFIX}${this.activeKeyId}:${envelope}`;
+  }
+
+  decryptValue(value, context) {
+    if (!this.isEncrypted(value)) {
+      return value;
+    }
+
+    const keyId = this.keyIdOf(value);
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new Error(`No key available to decrypt ${context} (key id ${keyId})`);
+    }
+
+    const envelope = value.slice(PREFIX.length + keyId.length + 1);
+    return JSON.parse(decrypt(envelope, key, context));
+  }
+}
+
+module.exports = { FieldEncryptor };
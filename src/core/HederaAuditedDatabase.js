@@ -1,36 +1,116 @@
 /**
  * HederaAuditedDatabase.js
  * Complete implementation of a decentralized relational database
- * using Hedera for audit trails and PostgreSQL for data storage
+ * using Hedera for audit trails and PostgreSQL for data storage.
+ * The consensus ledger is pluggable, see src/ledger.
  */
 
-const {
-  Client,
-  TopicCreateTransaction,
-  TopicMessageSubmitTransaction,
-  PrivateKey,
-  AccountId,
-  TopicId,
-  TopicMessageQuery,
-  TopicInfoQuery
-} = require("@hashgraph/sdk");
 const { Pool } = require("pg");
 const crypto = require("crypto");
 const EventEmitter = require("events");
+const { createLedgerAdapter, LedgerAdapter } = require("../ledger");
+const { encrypt, decrypt } = require("../utils/encryption");
+const { FieldEncryptor } = require("./FieldEncryptor");
+const { TransactionManager } = require("./TransactionManager");
+const { IntegrityVerifier } = require("./IntegrityVerifier");
+const { MerkleBatcher } = require("./MerkleBatcher");
+const { OutboxPublisher, OUTBOX_STATUS, recordsOf } = require("./OutboxPublisher");
+const { QueryBuilder, quoteIdentifier } = require("./QueryBuilder");
+const { RowPolicy, DENIED_OPERATION } = require("./RowPolicy");
+const { Importer } = require("./Importer");
+const { Exporter } = require("./Exporter");
+const { DatabaseMetrics } = require("./DatabaseMetrics");
+const { ChangeFeed } = require("./ChangeFeed");
+const { WebhookManager } = require("./WebhookManager");
+const { createLogger } = require("../utils/logger");
+const {
+  assertValidSchema,
+  columnEntries,
+  normalizeColumn,
+  defaultSql,
+  indexName,
+  constraintsFor,
+  orderTablesByReferences,
+  describeConstraints,
+  postgresType,
+  hashKind
+} = require("./SchemaDefinition");
+const {
+  DatabaseError,
+  InvalidIdentifierError,
+  NotFoundError,
+  ConflictError,
+  ValidationError
+} = require("../utils/errors");
+const { Validator } = require("../utils/validator");
+const {
+  canonicalStringify,
+  sha256,
+  MERKLE_ALGORITHM,
+  merkleLeafHash,
+  normalizeTemporal,
+  rowHash
+} = require("../utils/hashUtils");
+
+// With postgres.schema every connection resolves unqualified names in that
+// schema alone, so each database keeps its own tables, _audit_log and outbox
+function createPostgresPool(postgresConfig) {
+  return new Pool({
+    host: postgresConfig.host,
+    port: postgresConfig.port || 5432,
+    database: postgresConfig.database,
+    user: postgresConfig.user,
+    password: postgresConfig.password,
+    max: postgresConfig.maxConnections || 20,
+    idleTimeoutMillis: postgresConfig.idleTimeout || 30000,
+    connectionTimeoutMillis: postgresConfig.connectionTimeout || 10000,
+    ssl: postgresConfig.ssl || false,
+    ...(postgresConfig.schema && { options: `-c search_path=${plainIdentifier(postgresConfig.schema)}` })
+  });
+}
+
+// Replay and verification read these straight off the topic, so they are
+// never anchored as a leaf of a Merkle batch
+const DIRECT_MESSAGES = ["SCHEMA_MIGRATE", "DATABASE_DROPPED"];
+
+// quoteIdentifier only passes plain lowercase names, which need no quotes
+function plainIdentifier(name) {
+  quoteIdentifier(name);
+  return name;
+}
 
 class HederaAuditedDatabase extends EventEmitter {
   constructor(config) {
     super();
     
     this.validateConfig(config);
-    this.hederaClient = this.initializeHederaClient(config.hedera);
+    this.logger = config.logger || createLogger(config.logging);
+    this.log = this.logger.child({ component: "db" });
+    this.ledger = createLedgerAdapter(config);
+    // An adapter passed in may be shared with other databases; its owner closes it
+    this.ownsLedger = !(config.ledger instanceof LedgerAdapter);
+    this.pgSchema = config.postgres.schema || null;
     this.pgPool = this.initializePostgresPool(config.postgres);
+    this.telemetry = new DatabaseMetrics(this, config.metrics);
+    this.telemetry.instrumentPool(this.pgPool);
     
     this.topicId = null;
+    this.subscription = null;
     this.isInitialized = false;
     this.syncEnabled = config.syncEnabled !== false;
     this.encryptionEnabled = config.encryption?.enabled || false;
     this.encryptionKey = config.encryption?.key || null;
+    this.fieldEncryptor = this.encryptionEnabled
+      ? new FieldEncryptor(config.encryption)
+      : null;
+    this.replayEnabled = config.replay?.enabled || false;
+    this.replayKey = config.replay?.encryptPayload
+      ? config.replay.key || this.encryptionKey
+      : null;
+
+    if (config.replay?.encryptPayload && !this.replayKey) {
+      throw new Error("Replay payload encryption requires replay.key or encryption.key");
+    }
     
     this.metrics = {
       insertCount: 0,
@@ -42,67 +122,56 @@ class HederaAuditedDatabase extends EventEmitter {
     };
 
     this.schemaCache = new Map();
-    this.activeTransactions = new Map();
+    this.queries = new QueryBuilder(this);
+    this.policies = new RowPolicy(this, config.policies);
+    this.validator = new Validator({ mapType: (type) => this.mapTypeToPostgres(type) });
+    this.transactions = new TransactionManager(this, config.transactions);
+
+    this.anchoringMode = config.anchoring?.mode || "direct";
+    if (!["direct", "batch"].includes(this.anchoringMode)) {
+      throw new Error(`Unknown anchoring mode: ${this.anchoringMode}`);
+    }
+    // Batched writes reach the topic only as a Merkle root, so their
+    // payloads would never be there to replay
+    if (this.anchoringMode === "batch" && this.replayEnabled) {
+      throw new Error("replay.enabled requires direct anchoring (anchoring.mode \"direct\")");
+    }
+    this.batcher = this.anchoringMode === "batch"
+      ? new MerkleBatcher((message) => this.submitToHedera(message), config.anchoring)
+      : null;
+
+    // In batch mode the publisher's poll interval is the batching window
+    this.outbox = new OutboxPublisher(this, {
+      ...config.outbox,
+      ...(this.batcher && { pollIntervalMs: this.batcher.maxWaitMs, batchSize: this.batcher.maxBatchSize })
+    });
+    this.awaitAnchoring = config.outbox?.awaitAnchoring !== false;
+    this.changeFeed = new ChangeFeed(this, config.changeFeed);
+    this.webhooks = new WebhookManager(this, config.webhooks);
   }
 
   validateConfig(config) {
-    if (!config.hedera?.accountId || !config.hedera?.privateKey) {
-      throw new Error("Hedera configuration missing: accountId and privateKey required");
-    }
+    // Ledger settings are validated by the adapter that consumes them
     if (!config.postgres?.host || !config.postgres?.database) {
       throw new Error("PostgreSQL configuration missing: host and database required");
     }
   }
 
-  initializeHederaClient(hederaConfig) {
-    let client;
-    
-    switch (hederaConfig.network?.toLowerCase()) {
-      case "mainnet":
-        client = Client.forMainnet();
-        break;
-      case "previewnet":
-        client = Client.forPreviewnet();
-        break;
-      case "testnet":
-      default:
-        client = Client.forTestnet();
-        break;
-    }
-
-    client.setOperator(
-      AccountId.fromString(hederaConfig.accountId),
-      PrivateKey.fromString(hederaConfig.privateKey)
-    );
-
-    if (hederaConfig.timeout) {
-      client.setRequestTimeout(hederaConfig.timeout);
-    }
-
-    return client;
-  }
-
   initializePostgresPool(postgresConfig) {
-    return new Pool({
-      host: postgresConfig.host,
-      port: postgresConfig.port || 5432,
-      database: postgresConfig.database,
-      user: postgresConfig.user,
-      password: postgresConfig.password,
-      max: postgresConfig.maxConnections || 20,
-      idleTimeoutMillis: postgresConfig.idleTimeout || 30000,
-      connectionTimeoutMillis: postgresConfig.connectionTimeout || 10000,
-      ssl: postgresConfig.ssl || false
-    });
+    return createPostgresPool(postgresConfig);
   }
 
   async initialize(dbName, schema, options = {}) {
     if (this.isInitialized) {
-      throw new Error("Database already initialized");
+      throw new ConflictError("Database already initialized");
     }
 
     try {
-      console.log(`Initializing database: ${dbName}`);
+      this.log.info("Initializing database", { dbName });
+
+      assertValidSchema(schema);
+      this.assertEncryptionConfigured(schema);
+      this.policies.assertTables(schema);
 
       if (options.existingTopicId) {
         await this.connectToExistingTopic(options.existingTopicId);
@@ -112,6 +181,14 @@ class HederaAuditedDatabase extends EventEmitter {
 
       await this.createPostgresInfrastructure(schema);
       this.schemaCache.set("main", schema);
+
+      const recorded = await this.getRecordedSchema();
+      if (recorded && canonicalStringify(recorded.schema) !== canonicalStringify(schema)) {
+        this.log.warn(
+          "Schema differs from the recorded version; CREATE TABLE IF NOT EXISTS does not alter existing tables, use MigrationRunner",
+          { recordedVersion: recorded.version }
+        );
+      }
       
       if (!options.existingTopicId) {
         const schemaMessage = {
@@ -119,20 +196,24 @@ class HederaAuditedDatabase extends EventEmitter {
           timestamp: Date.now(),
           dbName: dbName,
           schema: schema,
+          constraints: describeConstraints(schema),
           version: options.schemaVersion || "1.0.0"
         };
         await this.submitToHedera(schemaMessage);
+        await this.recordSchemaVersion(this.pgPool, schemaMessage);
       }
 
       if (this.syncEnabled) {
         this.startSyncService();
       }
 
+      this.outbox.start();
+      this.webhooks.start();
+
       this.isInitialized = true;
       this.emit("initialized", { topicId: this.topicId.toString(), dbName });
 
-      console.log(`✓ Database initialized successfully`);
-      console.log(`  Topic ID: ${this.topicId.toString()}`);
+      this.log.info("Database initialized", { dbName, topicId: this.topicId.toString() });
 
       return {
         success: true,
@@ -141,37 +222,29 @@ class HederaAuditedDatabase extends EventEmitter {
       };
     } catch (error) {
       this.metrics.errors++;
-      console.error("Initialization error:", error);
+      this.log.error("Initialization failed", { dbName, err: error });
       throw error;
     }
   }
 
   async createNewTopic(dbName, options) {
-    const transaction = new TopicCreateTransaction()
-      .setTopicMemo(options.memo || `Hedera DB: ${dbName}`)
-      .setAdminKey(this.hederaClient.operatorPublicKey);
-
-    if (options.submitKey) {
-      transaction.setSubmitKey(PrivateKey.fromString(options.submitKey));
-    }
-
-    const txResponse = await transaction.execute(this.hederaClient);
-    const receipt = await txResponse.getReceipt(this.hederaClient);
-    this.topicId = receipt.topicId;
+    this.topicId = await this.ledger.createTopic({
+      memo: options.memo || `Hedera DB: ${dbName}`,
+      submitKey: options.submitKey
+    });
 
-    console.log(`✓ Hedera topic created: ${this.topicId}`);
+    this.log.info("Ledger topic created", { topicId: this.topicId.toString() });
   }
 
   async connectToExistingTopic(topicIdString) {
-    this.topicId = TopicId.fromString(topicIdString);
-    
-    const topicInfo = await new TopicInfoQuery()
-      .setTopicId(this.topicId)
-      .execute(this.hederaClient);
-    
-    console.log(`✓ Connected to existing topic: ${topicIdString}`);
-    console.log(`  Memo: ${topicInfo.topicMemo}`);
-    console.log(`  Sequence Number: ${topicInfo.sequenceNumber}`);
+    const topicInfo = await this.ledger.getTopicInfo(topicIdString);
+    this.topicId = topicInfo.topicId;
+
+    this.log.info("Connected to existing topic", {
+      topicId: topicIdString,
+      memo: topicInfo.memo,
+      sequenceNumber: topicInfo.sequenceNumber
+    });
   }
 
   async createPostgresInfrastructure(schema) {
@@ -180,16 +253,29 @@ class HederaAuditedDatabase extends EventEmitter {
     try {
       await client.query("BEGIN");
 
+      if (this.pgSchema) {
+        await client.query(`CREATE SCHEMA IF NOT EXISTS ${quoteIdentifier(this.pgSchema)}`);
+      }
+
       await client.query(`
         CREATE TABLE IF NOT EXISTS _audit_log (
           id SERIAL PRIMARY KEY,
-          tx_id VARCHAR(64) UNIQUE NOT NULL,
+          tx_id VARCHAR(64) NOT NULL,
           table_name VARCHAR(255) NOT NULL,
           operation VARCHAR(20) NOT NULL,
           data_hash VARCHAR(64) NOT NULL,
           hedera_timestamp BIGINT NOT NULL,
           hedera_sequence_number BIGINT,
           hedera_topic_id VARCHAR(64),
+          hedera_consensus_timestamp VARCHAR(32),
+          hedera_running_hash VARCHAR(96),
+          ledger_message TEXT,
+          merkle_batch_id VARCHAR(32),
+          merkle_root VARCHAR(64),
+          merkle_leaf_index INTEGER,
+          merkle_proof JSONB,
+          outbox_id BIGINT,
+          anchor_status VARCHAR(20) NOT NULL DEFAULT 'anchored',
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           metadata JSONB,
           user_id VARCHAR(255),
@@ -197,6 +283,40 @@ class HederaAuditedDatabase extends EventEmitter {
         )
       `);
 
+      // Older deployments declared tx_id UNIQUE, which rejects the second
+      // audit entry (UPDATE, DELETE) for the same record.
+      await client.query(`
+        ALTER TABLE _audit_log DROP CONSTRAINT IF EXISTS _audit_log_tx_id_key
+      `);
+
+      await client.query(`
+        ALTER TABLE _audit_log
+          ADD COLUMN IF NOT EXISTS hedera_consensus_timestamp VARCHAR(32),
+          ADD COLUMN IF NOT EXISTS hedera_running_hash VARCHAR(96),
+          ADD COLUMN IF NOT EXISTS ledger_message TEXT,
+          ADD COLUMN IF NOT EXISTS merkle_batch_id VARCHAR(32),
+          ADD COLUMN IF NOT EXISTS merkle_root VARCHAR(64),
+          ADD COLUMN IF NOT EXISTS merkle_leaf_index INTEGER,
+          ADD COLUMN IF NOT EXISTS merkle_proof JSONB,
+          ADD COLUMN IF NOT EXISTS outbox_id BIGINT,
+          ADD COLUMN IF NOT EXISTS anchor_status VARCHAR(20) NOT NULL DEFAULT 'anchored'
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_audit_outbox 
+        ON _audit_log(outbox_id)
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_audit_merkle_batch 
+        ON _audit_log(merkle_batch_id)
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_audit_sequence 
+        ON _audit_log(hedera_topic_id, hedera_sequence_number)
+      `);
+
       await client.query(`
         CREATE INDEX IF NOT EXISTS idx_audit_table_tx 
         ON _audit_log(table_name, tx_id)
@@ -212,6 +332,50 @@ class HederaAuditedDatabase extends EventEmitter {
         ON _audit_log(operation, table_name)
       `);
 
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS _outbox (
+          id BIGSERIAL PRIMARY KEY,
+          message TEXT NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          last_error TEXT,
+          next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          locked_until TIMESTAMP,
+          result JSONB,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          anchored_at TIMESTAMP,
+          records TEXT[]
+        )
+      `);
+
+      await client.query(`
+        ALTER TABLE _outbox ADD COLUMN IF NOT EXISTS records TEXT[]
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_outbox_due 
+        ON _outbox(status, next_attempt_at)
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS _row_history (
+          id BIGSERIAL PRIMARY KEY,
+          table_name VARCHAR(255) NOT NULL,
+          tx_id VARCHAR(64) NOT NULL,
+          version INTEGER NOT NULL,
+          operation VARCHAR(20) NOT NULL,
+          data JSONB NOT NULL,
+          data_hash VARCHAR(64) NOT NULL,
+          audit_id INTEGER REFERENCES _audit_log(id),
+          recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_history_record 
+        ON _row_history(table_name, tx_id, id)
+      `);
+
       await client.query(`
         CREATE TABLE IF NOT EXISTS _schema_versions (
           id SERIAL PRIMARY KEY,
@@ -222,12 +386,18 @@ class HederaAuditedDatabase extends EventEmitter {
         )
       `);
 
-      for (const [tableName, columns] of Object.entries(schema)) {
-        await this.createTable(client, tableName, columns);
+      await client.query(`
+        ALTER TABLE _schema_versions ADD COLUMN IF NOT EXISTS description TEXT
+      `);
+
+      await this.webhooks.createTables(client);
+
+      for (const tableName of orderTablesByReferences(schema)) {
+        await this.createTable(client, tableName, schema[tableName]);
       }
 
       await client.query("COMMIT");
-      console.log("✓ PostgreSQL infrastructure created");
+      this.log.debug("PostgreSQL infrastructure created");
     } catch (error) {
       await client.query("ROLLBACK");
       throw error;
@@ -237,19 +407,17 @@ class HederaAuditedDatabase extends EventEmitter {
   }
 
   async createTable(client, tableName, columns) {
-    const columnDefs = Object.entries(columns)
-      .map(([colName, colDef]) => {
-        const colType = this.mapTypeToPostgres(colDef.type || colDef);
-        const nullable = colDef.nullable !== false ? "" : "NOT NULL";
-        const unique = colDef.unique ? "UNIQUE" : "";
-        const defaultVal = colDef.default ? `DEFAULT ${colDef.default}` : "";
-        
-        return `${colName} ${colType} ${nullable} ${unique} ${defaultVal}`.trim();
-      })
-      .join(", ");
-
+    const constraints = constraintsFor(tableName, columns);
+    const columnDefs = [
+      ...columnEntries(columns).map(([colName, colDef]) => this.buildColumnDefinition(colName, colDef, tableName)),
+      ...constraints
+        .filter((constraint) => constraint.type !== "index")
+        .map((constraint) => `CONSTRAINT ${quoteIdentifier(constraint.name)} ${constraint.definition}`)
+    ].join(", ");
+
+    const table = quoteIdentifier(tableName);
     await client.query(`
-      CREATE TABLE IF NOT EXISTS ${tableName} (
+      CREATE TABLE IF NOT EXISTS ${table} (
         _tx_id VARCHAR(64) PRIMARY KEY,
         _created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         _updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -262,396 +430,705 @@ class HederaAuditedDatabase extends EventEmitter {
     `);
 
     await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_${tableName}_created 
-      ON ${tableName}(_created_at DESC)
+      CREATE INDEX IF NOT EXISTS ${indexName(tableName, "created")}
+      ON ${table}(_created_at DESC)
     `);
 
     await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_${tableName}_updated 
-      ON ${tableName}(_updated_at DESC)
+      CREATE INDEX IF NOT EXISTS ${indexName(tableName, "updated")}
+      ON ${table}(_updated_at DESC)
     `);
 
-    console.log(`✓ Table created: ${tableName}`);
-  }
+    for (const [colName, colDef] of columnEntries(columns)) {
+      if (colDef.index) {
+        await client.query(`
+          CREATE INDEX IF NOT EXISTS ${indexName(tableName, colName)}
+          ON ${table}(${quoteIdentifier(colName)})
+        `);
+      }
+    }
 
-  mapTypeToPostgres(type) {
-    const typeMap = {
-      string: "TEXT",
-      text: "TEXT",
-      varchar: "VARCHAR(255)",
-      number: "NUMERIC",
-      integer: "INTEGER",
-      int: "INTEGER",
-      bigint: "BIGINT",
-      float: "REAL",
-      double: "DOUBLE PRECISION",
-      boolean: "BOOLEAN",
-      bool: "BOOLEAN",
-      timestamp: "BIGINT",
-      date: "DATE",
-      datetime: "TIMESTAMP",
-      time: "TIME",
-      json: "JSONB",
-      jsonb: "JSONB",
-      uuid: "UUID",
-      array: "TEXT[]",
-      binary: "BYTEA"
-    };
-    return typeMap[type.toLowerCase()] || "TEXT";
-  }
+    for (const index of constraints.filter((constraint) => constraint.type === "index")) {
+      await client.query(
+        `CREATE ${index.unique ? "UNIQUE " : ""}INDEX IF NOT EXISTS ${quoteIdentifier(index.name)} ${index.definition}`
+      );
+    }
 
-  async insert(tableName, data, metadata = {}) {
-    this.ensureInitialized();
-    const client = await this.pgPool.connect();
-    const txId = this.generateTxId();
+    this.log.debug("Table ready", { table: tableName });
+  }
 
-    try {
-      await client.query("BEGIN");
+  buildColumnDefinition(colName, rawDef, tableName) {
+    const colDef = normalizeColumn(rawDef);
+    const colType = this.getColumnType(colDef);
+    const nullable = colDef.nullable !== false ? "" : "NOT NULL";
+    const unique = colDef.unique ? "UNIQUE" : "";
+    const defaultClause = defaultSql(colDef, tableName, colName);
+    const defaultVal = defaultClause ? `DEFAULT ${defaultClause}` : "";
 
-      this.validateData(tableName, data);
+    return `${quoteIdentifier(colName)} ${colType} ${nullable} ${unique} ${defaultVal}`.trim();
+  }
 
-      const processedData = this.encryptionEnabled 
-        ? this.encryptSensitiveFields(data) 
-        : data;
+  getColumnType(colDef) {
+    // Ciphertext is stored as text whatever the declared type
+    return colDef.encrypted ? "TEXT" : this.mapTypeToPostgres(colDef.type || colDef);
+  }
 
-      const dataHash = this.calculateHash(processedData);
+  async recordSchemaVersion(client, schemaMessage) {
+    await client.query(
+      `INSERT INTO _schema_versions (version, schema, hedera_tx_hash, description)
+       VALUES ($1, $2, $3, $4)`,
+      [
+        schemaMessage.version,
+        JSON.stringify(schemaMessage.schema),
+        this.calculateHash(schemaMessage),
+        schemaMessage.description || null
+      ]
+    );
+  }
 
-      const columns = Object.keys(processedData);
-      const values = Object.values(processedData);
-      const placeholders = values.map((_, i) => `$${i + 1}`).join(", ");
+  async getRecordedSchema(client = this.pgPool) {
+    const result = await client.query(
+      "SELECT version, schema FROM _schema_versions ORDER BY id DESC LIMIT 1"
+    );
+    return result.rows[0] || null;
+  }
 
-      const insertQuery = `
-        INSERT INTO ${tableName} 
-        (_tx_id, _data_hash, _created_by, ${columns.join(", ")})
-        VALUES ($${values.length + 1}, $${values.length + 2}, $${values.length + 3}, ${placeholders})
-        RETURNING *
-      `;
+  mapTypeToPostgres(type) {
+    return postgresType(type);
+  }
 
-      const result = await client.query(insertQuery, [
-        ...values, 
-        txId, 
-        dataHash, 
-        metadata.userId || null
-      ]);
+  // Writes commit first and are anchored by the outbox publisher. With
+  // options.awaitAnchor (default: outbox.awaitAnchoring) the call waits for
+  // the ledger result; otherwise it returns a pending anchor to poll with
+  // getAnchorStatus.
 
-      const auditMessage = {
-        type: "INSERT",
-        table: tableName,
-        txId: txId,
-        dataHash: dataHash,
-        timestamp: Date.now(),
-        metadata: this.sanitizeMetadata(metadata)
-      };
+  async insert(tableName, data, metadata = {}, options = {}) {
+    this.ensureInitialized();
+    const done = this.telemetry.startOperation(tableName, "insert");
+    const client = await this.pgPool.connect();
 
-      const hederaResult = await this.submitToHedera(auditMessage);
+    try {
+      await client.query("BEGIN");
 
-      await client.query(`
-        INSERT INTO _audit_log 
-        (tx_id, table_name, operation, data_hash, hedera_timestamp, 
-         hedera_topic_id, metadata, user_id, ip_address)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-      `, [
-        txId, 
-        tableName, 
-        "INSERT", 
-        dataHash, 
-        Date.now(),
-        this.topicId.toString(),
-        JSON.stringify(metadata),
-        metadata.userId || null,
-        metadata.ipAddress || null
-      ]);
+      const result = await this.executeInsert(client, tableName, data, metadata);
+      const outboxId = await this.enqueueAnchor(client, result.auditMessage);
+      const auditId = await this.writeAuditEntry(client, result.auditMessage, result.dataHash, metadata, { outboxId });
+      await this.recordHistory(client, result.auditMessage, auditId);
 
       await client.query("COMMIT");
+      this.emitChange(result, result.dataHash, auditId, outboxId);
+
+      const anchor = await this.settleAnchor(outboxId, options);
 
       this.metrics.insertCount++;
-      this.metrics.hederaSubmissions++;
+      done();
 
-      this.emit("insert", { tableName, txId, data: result.rows[0] });
+      this.emit("insert", { tableName, txId: result.txId, data: result.data });
+      this.log.debug("Record inserted", { table: tableName, txId: result.txId, outboxId, requestId: metadata.requestId });
 
       return {
         success: true,
-        txId: txId,
-        data: result.rows[0],
-        dataHash: dataHash,
-        hederaStatus: hederaResult.status,
+        txId: result.txId,
+        data: result.data,
+        dataHash: result.dataHash,
+        ...this.describeAnchor(anchor),
         timestamp: Date.now()
       };
     } catch (error) {
       await client.query("ROLLBACK");
       this.metrics.errors++;
-      console.error("Insert error:", error);
+      done("error");
+      this.log.error("Insert failed", { table: tableName, requestId: metadata.requestId, err: error });
       throw error;
     } finally {
       client.release();
     }
   }
 
-  async update(tableName, txId, updates, metadata = {}) {
+  // Inserts many rows in one PostgreSQL transaction, anchored by a single
+  // TRANSACTION message. Every row is validated before anything is written:
+  // invalid rows fail the whole call, or with options.skipInvalid are left
+  // out. The result reports each row by its index in `rows`.
+  async insertMany(tableName, rows, metadata = {}, options = {}) {
     this.ensureInitialized();
-    const client = await this.pgPool.connect();
+    this.queries.table(tableName);
+    if (!Array.isArray(rows)) {
+      throw new ValidationError("rows must be an array", [{ field: null, rule: "type", message: "rows must be an array" }]);
+    }
 
-    try {
-      await client.query("BEGIN");
+    const tableSchema = this.getTableSchema(tableName);
+    const report = rows.map((row, index) => ({ index, errors: this.validator.validate(tableName, tableSchema, row) }));
+    const invalid = report.filter((entry) => entry.errors.length > 0);
 
-      const currentResult = await client.query(
-        `SELECT * FROM ${tableName} WHERE _tx_id = $1 AND _is_deleted = FALSE`,
-        [txId]
+    if (invalid.length > 0 && !options.skipInvalid) {
+      throw new ValidationError(
+        `${invalid.length} of ${rows.length} rows are invalid`,
+        invalid.flatMap(({ index, errors }) => errors.map((error) => ({ row: index, ...error })))
       );
+    }
 
-      if (currentResult.rows.length === 0) {
-        throw new Error(`Record not found or deleted: ${txId}`);
-      }
-
-      const currentData = currentResult.rows[0];
+    const valid = report.filter((entry) => entry.errors.length === 0);
+    const rowReport = report.map(({ index, errors }) => (
+      errors.length > 0 ? { index, status: "skipped", errors } : { index, status: "inserted" }
+    ));
+    if (valid.length === 0) {
+      return { success: true, inserted: 0, skipped: invalid.length, rows: rowReport };
+    }
 
-      this.validateData(tableName, updates, true);
+    const txn = await this.transactions.begin(undefined, metadata);
+    for (const { index } of valid) {
+      this.transactions.insert(txn.id, tableName, rows[index]);
+    }
+    const { operations, ...committed } = await this.transactions.commit(txn.id, options);
 
-      const processedUpdates = this.encryptionEnabled 
-        ? this.encryptSensitiveFields(updates) 
-        : updates;
+    valid.forEach(({ index }, i) => {
+      Object.assign(rowReport[index], { txId: operations[i].txId, dataHash: operations[i].dataHash });
+    });
 
-      const { _tx_id, _created_at, _updated_at, _version, _data_hash, _created_by, _is_deleted, ...cleanData } = currentData;
-      const newData = { ...cleanData, ...processedUpdates };
-      const newDataHash = this.calculateHash(newData);
-
-      const updateCols = Object.keys(processedUpdates);
-      const updateVals = Object.values(processedUpdates);
-      const setClauses = updateCols.map((col, i) => `${col} = $${i + 1}`).join(", ");
-
-      const updateQuery = `
-        UPDATE ${tableName}
-        SET ${setClauses},
-            _data_hash = $${updateVals.length + 1},
-            _updated_at = CURRENT_TIMESTAMP,
-            _version = _version + 1
-        WHERE _tx_id = $${updateVals.length + 2}
-        RETURNING *
-      `;
+    return { ...committed, inserted: valid.length, skipped: invalid.length, rows: rowReport };
+  }
 
-      const result = await client.query(updateQuery, [...updateVals, newDataHash, txId]);
+  // Streams an NDJSON or CSV source into a table; see Importer for options.
+  // metadata is recorded with every inserted row.
+  async importRecords(tableName, source, metadata = {}, options = {}) {
+    return new Importer(this).import(tableName, source, { ...options, metadata });
+  }
 
-      const auditMessage = {
-        type: "UPDATE",
-        table: tableName,
-        txId: txId,
-        updates: Object.keys(processedUpdates),
-        previousHash: currentData._data_hash,
-        newHash: newDataHash,
-        timestamp: Date.now(),
-        metadata: this.sanitizeMetadata(metadata)
-      };
+  async update(tableName, txId, updates, metadata = {}, options = {}) {
+    this.ensureInitialized();
+    const done = this.telemetry.startOperation(tableName, "update");
+    const client = await this.pgPool.connect();
 
-      await this.submitToHedera(auditMessage);
+    try {
+      await client.query("BEGIN");
 
-      await client.query(`
-        INSERT INTO _audit_log 
-        (tx_id, table_name, operation, data_hash, hedera_timestamp, 
-         hedera_topic_id, metadata, user_id, ip_address)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-      `, [
-        txId, 
-        tableName, 
-        "UPDATE", 
-        newDataHash, 
-        Date.now(),
-        this.topicId.toString(),
-        JSON.stringify(metadata),
-        metadata.userId || null,
-        metadata.ipAddress || null
-      ]);
+      const result = await this.executeUpdate(client, tableName, txId, updates, metadata);
+      const outboxId = await this.enqueueAnchor(client, result.auditMessage);
+      const auditId = await this.writeAuditEntry(client, result.auditMessage, result.newHash, metadata, { outboxId });
+      await this.recordHistory(client, result.auditMessage, auditId);
 
       await client.query("COMMIT");
+      this.emitChange(result, result.newHash, auditId, outboxId);
+
+      const anchor = await this.settleAnchor(outboxId, options);
 
       this.metrics.updateCount++;
-      this.metrics.hederaSubmissions++;
+      done();
 
-      this.emit("update", { tableName, txId, data: result.rows[0] });
+      this.emit("update", { tableName, txId, data: result.data });
+      this.log.debug("Record updated", { table: tableName, txId, outboxId, requestId: metadata.requestId });
 
       return {
         success: true,
         txId: txId,
-        data: result.rows[0],
-        previousHash: currentData._data_hash,
-        newHash: newDataHash,
-        version: result.rows[0]._version
+        data: result.data,
+        previousHash: result.previousHash,
+        newHash: result.newHash,
+        version: result.version,
+        ...this.describeAnchor(anchor)
       };
     } catch (error) {
       await client.query("ROLLBACK");
       this.metrics.errors++;
-      console.error("Update error:", error);
+      done("error");
+      this.log.error("Update failed", { table: tableName, txId, requestId: metadata.requestId, err: error });
       throw error;
     } finally {
       client.release();
     }
   }
 
-  async delete(tableName, txId, metadata = {}, hardDelete = false) {
+  async delete(tableName, txId, metadata = {}, hardDelete = false, options = {}) {
     this.ensureInitialized();
+    const done = this.telemetry.startOperation(tableName, "delete");
     const client = await this.pgPool.connect();
 
     try {
       await client.query("BEGIN");
 
-      const currentResult = await client.query(
-        `SELECT * FROM ${tableName} WHERE _tx_id = $1`,
-        [txId]
-      );
-
-      if (currentResult.rows.length === 0) {
-        throw new Error(`Record not found: ${txId}`);
-      }
-
-      const currentData = currentResult.rows[0];
-
-      if (hardDelete) {
-        await client.query(
-          `DELETE FROM ${tableName} WHERE _tx_id = $1`,
-          [txId]
-        );
-      } else {
-        await client.query(
-          `UPDATE ${tableName} SET _is_deleted = TRUE, _updated_at = CURRENT_TIMESTAMP WHERE _tx_id = $1`,
-          [txId]
-        );
-      }
-
-      const auditMessage = {
-        type: hardDelete ? "DELETE_HARD" : "DELETE_SOFT",
-        table: tableName,
-        txId: txId,
-        dataHash: currentData._data_hash,
-        timestamp: Date.now(),
-        metadata: this.sanitizeMetadata(metadata)
-      };
-
-      await this.submitToHedera(auditMessage);
-
-      await client.query(`
-        INSERT INTO _audit_log 
-        (tx_id, table_name, operation, data_hash, hedera_timestamp, 
-         hedera_topic_id, metadata, user_id, ip_address)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-      `, [
-        txId, 
-        tableName, 
-        hardDelete ? "DELETE_HARD" : "DELETE_SOFT",
-        currentData._data_hash, 
-        Date.now(),
-        this.topicId.toString(),
-        JSON.stringify(metadata),
-        metadata.userId || null,
-        metadata.ipAddress || null
-      ]);
+      const result = await this.executeDelete(client, tableName, txId, metadata, hardDelete);
+      const outboxId = await this.enqueueAnchor(client, result.auditMessage);
+      const auditId = await this.writeAuditEntry(client, result.auditMessage, result.dataHash, metadata, { outboxId });
+      await this.recordHistory(client, result.auditMessage, auditId, result.previousRow);
 
       await client.query("COMMIT");
+      this.emitChange(result, result.dataHash, auditId, outboxId);
+
+      const anchor = await this.settleAnchor(outboxId, options);
 
       this.metrics.deleteCount++;
-      this.metrics.hederaSubmissions++;
+      done();
 
       this.emit("delete", { tableName, txId, hardDelete });
+      this.log.debug("Record deleted", { table: tableName, txId, hardDelete, outboxId, requestId: metadata.requestId });
 
       return {
         success: true,
         txId: txId,
         deleted: true,
-        hardDelete: hardDelete
+        hardDelete: hardDelete,
+        dataHash: result.dataHash,
+        ...this.describeAnchor(anchor)
       };
     } catch (error) {
       await client.query("ROLLBACK");
       this.metrics.errors++;
-      console.error("Delete error:", error);
+      done("error");
+      this.log.error("Delete failed", { table: tableName, txId, requestId: metadata.requestId, err: error });
       throw error;
     } finally {
       client.release();
     }
   }
 
-  async query(tableName, options = {}) {
-    this.ensureInitialized();
+  // Queues a message for the ledger inside the caller's transaction
+  async enqueueAnchor(client, message) {
+    const result = await client.query(
+      "INSERT INTO _outbox (message, records) VALUES ($1, $2) RETURNING id",
+      [JSON.stringify(message), recordsOf(message)]
+    );
+    return Number(result.rows[0].id);
+  }
+
+  // Never throws: the data is already committed, so a slow or failing
+  // ledger is reported through the anchor status instead
+  async settleAnchor(outboxId, options = {}) {
+    this.outbox.notify();
+
+    if (!(options.awaitAnchor ?? this.awaitAnchoring)) {
+      return { outboxId, status: OUTBOX_STATUS.PENDING, hedera: null };
+    }
 
     try {
-      const {
-        where = {},
-        select = "*",
-        orderBy,
-        limit,
-        offset,
-        includeDeleted = false
-      } = options;
-
-      let query = `SELECT ${select} FROM ${tableName}`;
-      const params = [];
-      const conditions = [];
-
-      if (!includeDeleted) {
-        conditions.push("_is_deleted = FALSE");
-      }
+      const entry = await this.outbox.waitFor(outboxId, options.anchorTimeout);
+      return { outboxId, status: entry.status, hedera: entry.hedera };
+    } catch (error) {
+      const entry = await this.outbox.getStatus(outboxId).catch(() => null);
+      return { outboxId, status: entry ? entry.status : OUTBOX_STATUS.PENDING, hedera: null, error: error.message };
+    }
+  }
 
-      let paramIndex = 1;
-      for (const [key, value] of Object.entries(where)) {
-        if (typeof value === "object" && value !== null) {
-          for (const [op, opValue] of Object.entries(value)) {
-            const pgOp = this.mapOperator(op);
-            conditions.push(`${key} ${pgOp} $${paramIndex}`);
-            params.push(opValue);
-            paramIndex++;
-          }
-        } else {
-          conditions.push(`${key} = $${paramIndex}`);
-          params.push(value);
-          paramIndex++;
-        }
+  describeAnchor(anchor) {
+    return {
+      hederaStatus: anchor.hedera ? anchor.hedera.status : anchor.status.toUpperCase(),
+      hedera: anchor.hedera,
+      anchor: {
+        outboxId: anchor.outboxId,
+        status: anchor.status,
+        ...(anchor.error && { error: anchor.error })
       }
+    };
+  }
 
-      if (conditions.length > 0) {
-        query += ` WHERE ${conditions.join(" AND ")}`;
-      }
+  async getAnchorStatus(outboxId) {
+    const status = await this.outbox.getStatus(outboxId);
+    if (!status) {
+      return { success: false, error: "Outbox entry not found" };
+    }
+    return { success: true, ...status };
+  }
 
-      if (orderBy) {
-        query += ` ORDER BY ${orderBy}`;
-      }
+  // The execute* methods run the SQL for one write on a caller-supplied
+  // client and build its audit message. Transaction control, ledger
+  // submission and the _audit_log entry are left to the caller so several
+  // writes can share one PostgreSQL transaction (see TransactionManager).
 
-      if (limit) {
-        query += ` LIMIT ${limit}`;
-      }
-      if (offset) {
-        query += ` OFFSET ${offset}`;
-      }
+  async executeInsert(client, tableName, data, metadata = {}) {
+    const txId = this.generateTxId();
 
-      const result = await this.pgPool.query(query, params);
+    this.validateData(tableName, data);
+
+    // Hashes always cover the plaintext so they survive key rotation
+    const inputHash = this.calculateRowHash(tableName, data);
+
+    const processedData = this.encryptionEnabled 
+      ? this.encryptSensitiveFields(tableName, data) 
+      : data;
+
+    const columns = Object.keys(processedData).map(quoteIdentifier);
+    const values = Object.values(processedData);
+    const placeholders = values.map((_, i) => `$${i + 1}`).join(", ");
+
+    const insertQuery = `
+      INSERT INTO ${this.queries.table(tableName)} 
+      (_tx_id, _data_hash, _created_by, ${columns.join(", ")})
+      VALUES ($${values.length + 1}, $${values.length + 2}, $${values.length + 3}, ${placeholders})
+      RETURNING *
+    `;
+
+    const result = await client.query(insertQuery, [
+      ...values, 
+      txId, 
+      inputHash, 
+      metadata.userId || null
+    ]);
+
+    // Columns PostgreSQL filled from their defaults are part of the stored
+    // row, so the hash is taken over the row as returned and, when that
+    // differs, rewritten before the transaction commits
+    const row = result.rows[0];
+    const { _tx_id, _created_at, _updated_at, _version, _data_hash, _created_by, _is_deleted, ...stored } = row;
+    const dataHash = this.calculateRowHash(tableName, this.decryptSensitiveFields(tableName, stored));
+    if (dataHash !== inputHash) {
+      await client.query(
+        `UPDATE ${this.queries.table(tableName)} SET _data_hash = $1 WHERE _tx_id = $2`,
+        [dataHash, txId]
+      );
+      row._data_hash = dataHash;
+    }
 
-      this.metrics.queryCount++;
+    const auditMessage = {
+      type: "INSERT",
+      table: tableName,
+      txId: txId,
+      dataHash: dataHash,
+      timestamp: Date.now(),
+      metadata: this.sanitizeMetadata(metadata),
+      ...this.buildReplayPayload(tableName, txId, { ...this.defaultedColumns(tableName, processedData, stored), ...processedData })
+    };
 
-      return {
+    return {
+      txId,
+      data: this.decryptSensitiveFields(tableName, row),
+      dataHash,
+      auditMessage
+    };
+  }
+
+  // The values PostgreSQL supplied for columns an insert left out, as a
+  // replay would have to write them: dates and datetimes as the wall-clock
+  // value stored (see normalizeTemporal)
+  defaultedColumns(tableName, written, stored) {
+    const tableSchema = this.getTableSchema(tableName) || {};
+    const defaulted = {};
+    for (const [column, value] of Object.entries(stored)) {
+      if (column in written || value === null || value === undefined) continue;
+      const kind = hashKind(tableSchema[column]);
+      defaulted[column] = value instanceof Date && kind ? normalizeTemporal(value, kind) : value;
+    }
+    return defaulted;
+  }
+
+  async executeUpdate(client, tableName, txId, updates, metadata = {}) {
+    const table = this.queries.table(tableName);
+    const currentResult = await client.query(
+      `SELECT * FROM ${table} WHERE _tx_id = $1 AND _is_deleted = FALSE FOR UPDATE`,
+      [txId]
+    );
+
+    if (currentResult.rows.length === 0) {
+      throw new NotFoundError(`Record not found or deleted: ${txId}`, { table: tableName, txId });
+    }
+
+    await this.policies.assertRow(client, tableName, "update", metadata.principal, txId);
+    const currentData = currentResult.rows[0];
+
+    this.validateData(tableName, updates, true);
+
+    const processedUpdates = this.encryptionEnabled 
+      ? this.encryptSensitiveFields(tableName, updates) 
+      : updates;
+
+    const { _tx_id, _created_at, _updated_at, _version, _data_hash, _created_by, _is_deleted, ...cleanData } = currentData;
+    const newData = { ...this.decryptSensitiveFields(tableName, cleanData), ...updates };
+    const newDataHash = this.calculateRowHash(tableName, newData);
+
+    const updateCols = Object.keys(processedUpdates);
+    const updateVals = Object.values(processedUpdates);
+    const setClauses = updateCols.map((col, i) => `${quoteIdentifier(col)} = $${i + 1}`).join(", ");
+
+    const updateQuery = `
+      UPDATE ${table}
+      SET ${setClauses},
+          _data_hash = $${updateVals.length + 1},
+          _updated_at = CURRENT_TIMESTAMP,
+          _version = _version + 1
+      WHERE _tx_id = $${updateVals.length + 2}
+      RETURNING *
+    `;
+
+    const result = await client.query(updateQuery, [...updateVals, newDataHash, txId]);
+    // The changed row must still be one the principal may update
+    await this.policies.assertRow(client, tableName, "update", metadata.principal, txId);
+
+    const auditMessage = {
+      type: "UPDATE",
+      table: tableName,
+      txId: txId,
+      updates: Object.keys(processedUpdates),
+      previousHash: currentData._data_hash,
+      newHash: newDataHash,
+      timestamp: Date.now(),
+      metadata: this.sanitizeMetadata(metadata),
+      ...this.buildReplayPayload(tableName, txId, processedUpdates)
+    };
+
+    return {
+      txId,
+      data: this.decryptSensitiveFields(tableName, result.rows[0]),
+      previousHash: currentData._data_hash,
+      newHash: newDataHash,
+      version: result.rows[0]._version,
+      auditMessage
+    };
+  }
+
+  async executeDelete(client, tableName, txId, metadata = {}, hardDelete = false) {
+    const table = this.queries.table(tableName);
+    const currentResult = await client.query(
+      `SELECT * FROM ${table} WHERE _tx_id = $1 FOR UPDATE`,
+      [txId]
+    );
+
+    if (currentResult.rows.length === 0) {
+      throw new NotFoundError(`Record not found: ${txId}`, { table: tableName, txId });
+    }
+
+    await this.policies.assertRow(client, tableName, "delete", metadata.principal, txId);
+    const currentData = currentResult.rows[0];
+
+    if (hardDelete) {
+      await client.query(
+        `DELETE FROM ${table} WHERE _tx_id = $1`,
+        [txId]
+      );
+    } else {
+      await client.query(
+        `UPDATE ${table} SET _is_deleted = TRUE, _updated_at = CURRENT_TIMESTAMP WHERE _tx_id = $1`,
+        [txId]
+      );
+    }
+
+    const auditMessage = {
+      type: hardDelete ? "DELETE_HARD" : "DELETE_SOFT",
+      table: tableName,
+      txId: txId,
+      dataHash: currentData._data_hash,
+      timestamp: Date.now(),
+      metadata: this.sanitizeMetadata(metadata)
+    };
+
+    return {
+      txId,
+      hardDelete,
+      dataHash: currentData._data_hash,
+      data: this.decryptSensitiveFields(tableName, { ...currentData, _is_deleted: true }),
+      previousRow: hardDelete ? currentData : null,
+      auditMessage
+    };
+  }
+
+  // Emitted once a write is committed, before it is anchored; "anchored"
+  // and "anchor-failed" follow per outbox entry. Feeds the ChangeFeed.
+  emitChange(result, dataHash, auditId, outboxId) {
+    const { type, table, txId, timestamp, metadata } = result.auditMessage;
+    this.emit("change", {
+      auditId,
+      outboxId,
+      table,
+      operation: type,
+      txId,
+      dataHash,
+      data: result.data,
+      requestId: metadata?.requestId,
+      timestamp
+    });
+  }
+
+  async writeAuditEntry(client, auditMessage, dataHash, metadata = {}, hederaResult = {}) {
+    const result = await client.query(`
+      INSERT INTO _audit_log 
+      (tx_id, table_name, operation, data_hash, hedera_timestamp, 
+       hedera_sequence_number, hedera_topic_id, hedera_consensus_timestamp,
+       hedera_running_hash, metadata, user_id, ip_address, ledger_message,
+       merkle_batch_id, merkle_root, merkle_leaf_index, merkle_proof,
+       outbox_id, anchor_status)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+      RETURNING id
+    `, [
+      auditMessage.txId, 
+      auditMessage.table, 
+      auditMessage.type, 
+      dataHash, 
+      hederaResult.consensusTimestamp
+        ? this.consensusTimestampToMillis(hederaResult.consensusTimestamp)
+        : Date.now(),
+      hederaResult.sequenceNumber ?? null,
+      this.topicId.toString(),
+      hederaResult.consensusTimestamp || null,
+      hederaResult.runningHash || null,
+      JSON.stringify(this.sanitizeMetadata(metadata)),
+      metadata.userId || null,
+      metadata.ipAddress || null,
+      hederaResult.ledgerMessage || null,
+      hederaResult.merkle?.batchId || null,
+      hederaResult.merkle?.root || null,
+      hederaResult.merkle?.leafIndex ?? null,
+      hederaResult.merkle ? JSON.stringify(hederaResult.merkle.proof) : null,
+      hederaResult.outboxId ?? null,
+      hederaResult.outboxId ? OUTBOX_STATUS.PENDING : OUTBOX_STATUS.ANCHORED
+    ]);
+
+    return result.rows[0].id;
+  }
+
+  // Snapshots the row as it stands after a write, linked to its audit entry.
+  // A hard-deleted row no longer exists, so its last state is passed in and
+  // recorded as deleted.
+  async recordHistory(client, auditMessage, auditId, deletedRow = null) {
+    const { table: tableName, txId, type: operation } = auditMessage;
+
+    if (deletedRow) {
+      await client.query(`
+        INSERT INTO _row_history (table_name, tx_id, version, operation, data, data_hash, audit_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [
+        tableName,
+        txId,
+        deletedRow._version,
+        operation,
+        JSON.stringify({ ...deletedRow, _is_deleted: true }),
+        deletedRow._data_hash,
+        auditId
+      ]);
+      return;
+    }
+
+    await client.query(`
+      INSERT INTO _row_history (table_name, tx_id, version, operation, data, data_hash, audit_id)
+      SELECT $1, _tx_id, _version, $3, to_jsonb(t), _data_hash, $4
+      FROM ${this.queries.table(tableName)} t WHERE _tx_id = $2
+    `, [tableName, txId, operation, auditId]);
+  }
+
+  // Everything an auditor needs to locate and check the entry on the topic
+  describeLedgerResult(hederaResult) {
+    return {
+      status: hederaResult.status,
+      topicId: this.topicId.toString(),
+      sequenceNumber: hederaResult.sequenceNumber ?? null,
+      consensusTimestamp: hederaResult.consensusTimestamp || null,
+      runningHash: hederaResult.runningHash || null,
+      ...(hederaResult.merkle && {
+        merkleBatchId: hederaResult.merkle.batchId,
+        merkleRoot: hederaResult.merkle.root,
+        merkleLeafIndex: hederaResult.merkle.leafIndex
+      })
+    };
+  }
+
+  consensusTimestampToMillis(consensusTimestamp) {
+    const [seconds, nanos = "0"] = String(consensusTimestamp).split(".");
+    return Number(seconds) * 1000 + Math.floor(Number(nanos.padEnd(9, "0")) / 1e6);
+  }
+
+  async query(tableName, options = {}) {
+    this.ensureInitialized();
+    const done = this.telemetry.startOperation(tableName, "query");
+
+    try {
+      // `principal` limits the rows to those its row policy allows
+      const scoped = { ...options, where: await this.policies.restrict(tableName, "read", options.principal, options.where) };
+      const { text, params, page } = this.queries.select(tableName, scoped);
+      const result = await this.pgPool.query(text, params);
+      const { rows, nextCursor } = this.queries.nextPage(page, result.rows);
+
+      const response = {
         success: true,
-        data: result.rows,
-        count: result.rowCount
+        data: rows.map((row) => this.decryptSensitiveFields(tableName, row)),
+        count: rows.length,
+        nextCursor
       };
+
+      if (options.includeTotal) {
+        const total = this.queries.count(tableName, scoped);
+        const totalResult = await this.pgPool.query(total.text, total.params);
+        response.total = Number(totalResult.rows[0].total);
+      }
+
+      this.metrics.queryCount++;
+      done();
+
+      return response;
     } catch (error) {
       this.metrics.errors++;
-      console.error("Query error:", error);
+      done("error");
+      this.log.error("Query failed", { table: tableName, err: error });
       throw error;
     }
   }
 
-  mapOperator(op) {
-    const operatorMap = {
-      $eq: "=",
-      $ne: "!=",
-      $gt: ">",
-      $gte: ">=",
-      $lt: "<",
-      $lte: "<=",
-      $like: "LIKE",
-      $ilike: "ILIKE",
-      $in: "IN",
-      $nin: "NOT IN"
-    };
-    return operatorMap[op] || "=";
+  // A single record by its _tx_id; accepts the query options includeDeleted,
+  // select, asOf and principal
+  async get(tableName, txId, options = {}) {
+    const { data } = await this.query(tableName, {
+      select: options.select,
+      includeDeleted: options.includeDeleted,
+      asOf: options.asOf,
+      principal: options.principal,
+      where: { _tx_id: txId },
+      limit: 1
+    });
+
+    if (data.length === 0) {
+      throw new NotFoundError(`Record not found: ${txId}`, { table: tableName, txId });
+    }
+    return { success: true, data: data[0] };
+  }
+
+  // Yields every matching row through a server-side cursor, fetching
+  // batchSize rows at a time, so large tables never sit in memory at once.
+  // With decrypt: false encrypted columns are returned as stored.
+  //
+  //   for await (const row of db.queryStream("users", { where: { active: true } })) { ... }
+  async *queryStream(tableName, options = {}) {
+    this.ensureInitialized();
+
+    const { batchSize = 500, decrypt = true, ...queryOptions } = options;
+    const fetchSize = Math.max(this.queries.nonNegativeInteger("batchSize", batchSize), 1);
+    queryOptions.where = await this.policies.restrict(tableName, "read", options.principal, options.where);
+    const { text, params } = this.queries.select(tableName, queryOptions, { paginate: false });
+
+    // Timed until the stream is drained, consumer included
+    const done = this.telemetry.startOperation(tableName, "stream");
+    const client = await this.pgPool.connect();
+    let open = false;
+
+    try {
+      // Cursors only live inside a transaction
+      await client.query("BEGIN");
+      open = true;
+      await client.query(`DECLARE query_stream NO SCROLL CURSOR FOR ${text}`, params);
+
+      for (;;) {
+        const result = await client.query(`FETCH ${fetchSize} FROM query_stream`);
+        for (const row of result.rows) {
+          yield decrypt ? this.decryptSensitiveFields(tableName, row) : row;
+        }
+        if (result.rows.length < fetchSize) break;
+      }
+
+      await client.query("COMMIT");
+      open = false;
+      this.metrics.queryCount++;
+      done();
+    } catch (error) {
+      this.metrics.errors++;
+      done("error");
+      this.log.error("Query stream failed", { table: tableName, err: error });
+      throw error;
+    } finally {
+      // Also reached when the consumer stops iterating early
+      if (open) {
+        await client.query("ROLLBACK").catch(() => {});
+      }
+      client.release();
+    }
   }
 
   async getAuditTrail(tableName, txId, options = {}) {
+    await this.policies.assertRow(this.pgPool, tableName, "read", options.principal, txId);
+
     try {
       const query = `
         SELECT * FROM _audit_log 
@@ -667,37 +1144,72 @@ class HederaAuditedDatabase extends EventEmitter {
         count: result.rowCount
       };
     } catch (error) {
-      console.error("Audit trail error:", error);
+      this.log.error("Audit trail query failed", { table: tableName, txId, err: error });
       throw error;
     }
   }
 
-  async verifyIntegrity(tableName, txId) {
+  async getHistory(tableName, txId, options = {}) {
+    await this.policies.assertRow(this.pgPool, tableName, "read", options.principal, txId);
+
+    const result = await this.pgPool.query(`
+      SELECT h.version, h.operation, h.data, h.data_hash, h.recorded_at,
+             a.id AS audit_id, a.user_id, a.hedera_sequence_number,
+             a.hedera_consensus_timestamp
+      FROM _row_history h
+      LEFT JOIN _audit_log a ON a.id = h.audit_id
+      WHERE h.table_name = $1 AND h.tx_id = $2
+      ORDER BY h.id ASC
+    `, [tableName, txId]);
+
+    return {
+      success: true,
+      txId,
+      versions: result.rows.map((row) => ({
+        version: row.version,
+        operation: row.operation,
+        dataHash: row.data_hash,
+        recordedAt: row.recorded_at,
+        auditId: row.audit_id,
+        userId: row.user_id,
+        sequenceNumber: row.hedera_sequence_number !== null ? Number(row.hedera_sequence_number) : null,
+        consensusTimestamp: row.hedera_consensus_timestamp,
+        data: this.decryptSensitiveFields(tableName, row.data)
+      })),
+      count: result.rowCount
+    };
+  }
+
+  async verifyIntegrity(tableName, txId, options = {}) {
+    const table = this.queries.table(tableName);
+    await this.policies.assertRow(this.pgPool, tableName, "read", options.principal, txId);
+
     try {
       const dataResult = await this.pgPool.query(
-        `SELECT * FROM ${tableName} WHERE _tx_id = $1`,
+        `SELECT * FROM ${table} WHERE _tx_id = $1`,
         [txId]
       );
 
       if (dataResult.rows.length === 0) {
-        return { valid: false, error: "Record not found" };
+        return { valid: false, found: false, error: "Record not found" };
       }
 
       const currentData = dataResult.rows[0];
       const storedHash = currentData._data_hash;
 
       const { _tx_id, _created_at, _updated_at, _version, _data_hash, _created_by, _is_deleted, ...cleanData } = currentData;
-      const calculatedHash = this.calculateHash(cleanData);
+      const calculatedHash = this.calculateRowHash(tableName, this.decryptSensitiveFields(tableName, cleanData));
 
       const auditResult = await this.getAuditTrail(tableName, txId);
+      const writes = auditResult.trail.filter((entry) => entry.operation !== DENIED_OPERATION);
 
       return {
         valid: storedHash === calculatedHash,
         storedHash: storedHash,
         calculatedHash: calculatedHash,
         match: storedHash === calculatedHash,
-        auditRecords: auditResult.count,
-        lastAudit: auditResult.trail[auditResult.trail.length - 1],
+        auditRecords: writes.length,
+        lastAudit: writes[writes.length - 1],
         verified: true
       };
     } catch (error) {
@@ -705,15 +1217,106 @@ class HederaAuditedDatabase extends EventEmitter {
     }
   }
 
+  // Reconciles every table against the topic; see IntegrityVerifier
+  async verifyAll(options = {}) {
+    this.ensureInitialized();
+    return new IntegrityVerifier(this, options).verifyAll(options);
+  }
+
+  // Delivers writes as they commit and again as they are anchored; see
+  // ChangeFeed. Resolves once any replay is done, to { unsubscribe, cursor }.
+  async subscribeChanges(options, onEvent, onError) {
+    return this.changeFeed.subscribe(options, onEvent, onError);
+  }
+
+  // Writes a bundle BundleVerifier can check offline; see Exporter
+  async exportBundle(output, options = {}) {
+    return new Exporter(this, options).export(output, options);
+  }
+
+  // Everything needed to check the latest audit entry of a record against
+  // the ledger offline: the exact anchored content, and for batched entries
+  // the Merkle path up to the anchored root.
+  async getInclusionProof(tableName, txId, options = {}) {
+    await this.policies.assertRow(this.pgPool, tableName, "read", options.principal, txId);
+
+    const result = await this.pgPool.query(
+      `SELECT * FROM _audit_log 
+       WHERE table_name = $1 AND tx_id = $2 AND operation <> $3
+       ORDER BY id DESC LIMIT 1`,
+      [tableName, txId, DENIED_OPERATION]
+    );
+
+    if (result.rows.length === 0) {
+      return { success: false, error: "No audit entry found" };
+    }
+
+    const entry = result.rows[0];
+    const anchor = {
+      topicId: entry.hedera_topic_id,
+      sequenceNumber: entry.hedera_sequence_number !== null ? Number(entry.hedera_sequence_number) : null,
+      consensusTimestamp: entry.hedera_consensus_timestamp,
+      runningHash: entry.hedera_running_hash
+    };
+    const base = {
+      success: true,
+      table: tableName,
+      txId,
+      operation: entry.operation,
+      dataHash: entry.data_hash,
+      anchorStatus: entry.anchor_status,
+      message: entry.ledger_message,
+      anchor
+    };
+
+    if (entry.anchor_status !== OUTBOX_STATUS.ANCHORED) {
+      return { ...base, anchoring: null };
+    }
+
+    if (!entry.merkle_root) {
+      // Anchored directly: the topic message at anchor.sequenceNumber is
+      // the message itself
+      return {
+        ...base,
+        anchoring: "direct",
+        messageHash: entry.ledger_message ? sha256(entry.ledger_message) : null
+      };
+    }
+
+    return {
+      ...base,
+      anchoring: "merkle",
+      algorithm: MERKLE_ALGORITHM,
+      batchId: entry.merkle_batch_id,
+      root: entry.merkle_root,
+      leafIndex: entry.merkle_leaf_index,
+      leafHash: merkleLeafHash(entry.ledger_message),
+      proof: entry.merkle_proof
+    };
+  }
+
+  // The counters below reset on restart; see DatabaseMetrics for the
+  // Prometheus metrics
   async getMetrics() {
     return {
       ...this.metrics,
       topicId: this.topicId?.toString(),
       isInitialized: this.isInitialized,
-      syncEnabled: this.syncEnabled
+      syncEnabled: this.syncEnabled,
+      anchoringMode: this.anchoringMode
     };
   }
 
+  // Anchors an audit message directly, or as a leaf of the next Merkle batch
+  async anchorMessage(message) {
+    if (this.batcher && !DIRECT_MESSAGES.includes(message.type)) {
+      return this.batcher.add(message);
+    }
+
+    const result = await this.submitToHedera(message);
+    return { ...result, ledgerMessage: JSON.stringify(message) };
+  }
+
   async submitToHedera(message) {
     if (!this.topicId) {
       throw new Error("Database not initialized");
@@ -721,20 +1324,22 @@ class HederaAuditedDatabase extends EventEmitter {
 
     try {
       const messageString = JSON.stringify(message);
-      
-      const transaction = new TopicMessageSubmitTransaction()
-        .setTopicId(this.topicId)
-        .setMessage(messageString);
-
-      const txResponse = await transaction.execute(this.hederaClient);
-      const receipt = await txResponse.getReceipt(this.hederaClient);
+      const result = await this.telemetry.timeLedgerSubmission(
+        message.type,
+        () => this.ledger.submitMessage(this.topicId, messageString)
+      );
+      this.metrics.hederaSubmissions++;
 
       return {
-        status: receipt.status.toString(),
+        ...result,
         timestamp: Date.now()
       };
     } catch (error) {
-      console.error("Hedera submission error:", error);
+      this.log.error("Ledger submission failed", {
+        type: message.type,
+        requestId: message.metadata?.requestId,
+        err: error
+      });
       throw error;
     }
   }
@@ -743,85 +1348,352 @@ class HederaAuditedDatabase extends EventEmitter {
     if (!this.topicId) return;
 
     try {
-      new TopicMessageQuery()
-        .setTopicId(this.topicId)
-        .setStartTime(0)
-        .subscribe(this.hederaClient, (message) => {
-          const messageString = Buffer.from(message.contents).toString();
-          const operation = JSON.parse(messageString);
-          
+      this.subscription = this.ledger.subscribe(
+        this.topicId,
+        { startSequence: 1 },
+        (message) => {
+          this.telemetry.recordSequence("received", message.sequenceNumber);
+
+          let operation;
+          try {
+            operation = JSON.parse(message.contents.toString());
+          } catch (error) {
+            // Anyone holding the submit key can post to the topic
+            this.metrics.errors++;
+            this.log.warn("Skipped unparseable topic message", { sequenceNumber: message.sequenceNumber, err: error });
+            return;
+          }
+
           this.emit("hedera-message", {
             operation,
             sequenceNumber: message.sequenceNumber,
             timestamp: message.consensusTimestamp
           });
-        });
+        },
+        (error) => {
+          this.log.error("Sync service subscription failed", { err: error });
+        }
+      );
 
-      console.log("✓ Sync service started");
+      this.log.info("Sync service started", { topicId: this.topicId.toString() });
     } catch (error) {
-      console.error("Sync service error:", error);
+      this.log.error("Sync service failed to start", { err: error });
     }
   }
 
+  subscribeToAuditStream(handler, options = {}) {
+    const topicId = options.topicId || this.topicId;
+    if (!topicId) {
+      throw new Error("No topic to subscribe to");
+    }
+
+    return this.ledger.subscribe(
+      topicId,
+      { startSequence: options.fromSequence || 1 },
+      (message) => {
+        let operation;
+        try {
+          operation = JSON.parse(message.contents.toString());
+        } catch (error) {
+          // Anyone holding the submit key can post to the topic
+          operation = { type: "UNPARSEABLE" };
+        }
+        handler(operation, message);
+      },
+      options.onError
+    );
+  }
+
+  // Collects topic messages up to the sequence number current at call time
+  async readTopicMessages(options = {}) {
+    const topicId = options.topicId || this.topicId;
+    const fromSequence = options.fromSequence || 1;
+    const toSequence = options.toSequence
+      || (await this.ledger.getTopicInfo(topicId)).sequenceNumber;
+
+    if (toSequence < fromSequence) {
+      return [];
+    }
+
+    return new Promise((resolve, reject) => {
+      const messages = [];
+      let subscription = null;
+      let timer = null;
+
+      const finish = (error) => {
+        clearTimeout(timer);
+        if (subscription) subscription.unsubscribe();
+        error ? reject(error) : resolve(messages);
+      };
+
+      timer = setTimeout(
+        () => finish(new Error(`Timed out reading topic ${topicId} at sequence ${messages.length + fromSequence - 1}/${toSequence}`)),
+        options.timeout || 60000
+      );
+
+      subscription = this.subscribeToAuditStream((operation, message) => {
+        if (message.sequenceNumber > toSequence) return;
+
+        messages.push({
+          operation,
+          sequenceNumber: message.sequenceNumber,
+          consensusTimestamp: message.consensusTimestamp,
+          runningHash: message.runningHash
+        });
+
+        if (message.sequenceNumber >= toSequence) finish();
+      }, { topicId, fromSequence, onError: finish });
+    });
+  }
+
+  // In replay mode audit messages carry the stored row values so a fresh
+  // node can rebuild its tables from the topic alone.
+  buildReplayPayload(tableName, txId, data) {
+    if (!this.replayEnabled) {
+      return {};
+    }
+    if (this.replayKey) {
+      return {
+        encryptedPayload: encrypt(JSON.stringify(data), this.replayKey, `${tableName}:${txId}`)
+      };
+    }
+    return { payload: data };
+  }
+
+  readReplayPayload(operation) {
+    if (operation.encryptedPayload) {
+      if (!this.replayKey) {
+        throw new Error(`Encrypted payload for ${operation.txId} but no replay key configured`);
+      }
+      return JSON.parse(decrypt(
+        operation.encryptedPayload,
+        this.replayKey,
+        `${operation.table}:${operation.txId}`
+      ));
+    }
+    return operation.payload || null;
+  }
+
   calculateHash(data) {
-    const sortedData = Object.keys(data)
-      .sort()
-      .reduce((acc, key) => {
-        acc[key] = data[key];
-        return acc;
-      }, {});
-    
     return crypto
       .createHash("sha256")
-      .update(JSON.stringify(sortedData))
+      .update(canonicalStringify(data))
       .digest("hex");
   }
 
+  // See rowHash; how each column is normalized comes from the schema, the
+  // current one unless a migration passes the table's schema either side
+  calculateRowHash(tableName, data, tableSchema = this.getTableSchema(tableName) || {}) {
+    return rowHash(data, (column) => hashKind(tableSchema[column]));
+  }
+
   generateTxId() {
     return crypto.randomBytes(16).toString("hex");
   }
 
+  // The principal only travels with the call; its id is recorded as userId.
+  // A requestId stays, tying the audit entry and ledger message to the call.
   sanitizeMetadata(metadata) {
-    const { password, token, secret, ...safe } = metadata;
+    const { password, token, secret, principal, ...safe } = metadata;
     return safe;
   }
 
   validateData(tableName, data, isUpdate = false) {
+    const tableSchema = this.getTableSchema(tableName);
+    if (!tableSchema) {
+      throw new InvalidIdentifierError(`Unknown table: ${tableName}`, { table: tableName });
+    }
+
+    this.validator.assertValid(tableName, tableSchema, data, { isUpdate });
+  }
+
+  // Custom rules referenced by name from a column's `validate` option
+  registerValidator(name, fn) {
+    this.validator.register(name, fn);
+    return this;
+  }
+
+  getTableSchema(tableName) {
     const schema = this.schemaCache.get("main");
-    if (!schema || !schema[tableName]) {
-      throw new Error(`Unknown table: ${tableName}`);
+    return schema && Object.prototype.hasOwnProperty.call(schema, tableName) ? schema[tableName] : undefined;
+  }
+
+  getEncryptedColumns(tableName) {
+    const tableSchema = this.getTableSchema(tableName) || {};
+    return Object.keys(tableSchema).filter((col) => tableSchema[col]?.encrypted);
+  }
+
+  assertEncryptionConfigured(schema) {
+    if (this.encryptionEnabled) return;
+
+    for (const [tableName, columns] of Object.entries(schema)) {
+      for (const [colName, colDef] of columnEntries(columns)) {
+        if (colDef?.encrypted) {
+          throw new Error(
+            `Column ${tableName}.${colName} is marked encrypted but encryption is not enabled`
+          );
+        }
+      }
+    }
+  }
+
+  encryptSensitiveFields(tableName, data) {
+    const encrypted = { ...data };
+    for (const col of this.getEncryptedColumns(tableName)) {
+      if (col in encrypted) {
+        encrypted[col] = this.fieldEncryptor.encryptValue(encrypted[col], `${tableName}.${col}`);
+      }
     }
+    return encrypted;
+  }
 
-    const tableSchema = schema[tableName];
+  decryptSensitiveFields(tableName, row) {
+    if (!this.encryptionEnabled || !row) {
+      return row;
+    }
 
-    for (const [field, value] of Object.entries(data)) {
-      if (!tableSchema[field]) {
-        throw new Error(`Unknown field: ${field} in table ${tableName}`);
+    const decrypted = { ...row };
+    for (const col of this.getEncryptedColumns(tableName)) {
+      if (col in decrypted) {
+        decrypted[col] = this.fieldEncryptor.decryptValue(decrypted[col], `${tableName}.${col}`);
       }
     }
+    return decrypted;
   }
 
-  encryptSensitiveFields(data) {
-    return data;
+  async rotateEncryptionKey(newKeyId, newKey, metadata = {}, options = {}) {
+    this.ensureInitialized();
+    if (!this.encryptionEnabled) {
+      throw new Error("Encryption is not enabled");
+    }
+
+    const previousKeyId = this.fieldEncryptor.activeKeyId;
+    if (newKeyId === previousKeyId) {
+      throw new Error(`Key ${newKeyId} is already active`);
+    }
+    // Rows sealed under a retired key keep its id; replacing that key would
+    // leave them undecryptable
+    if (this.fieldEncryptor.keys.has(newKeyId)) {
+      throw new ConflictError(`Key ${newKeyId} is already registered; rotate to a new key id`, { keyId: newKeyId });
+    }
+
+    const client = await this.pgPool.connect();
+    const rotationId = this.generateTxId();
+
+    try {
+      await client.query("BEGIN");
+      this.fieldEncryptor.addKey(newKeyId, newKey);
+      this.fieldEncryptor.setActiveKey(newKeyId);
+
+      const tables = {};
+      for (const tableName of Object.keys(this.schemaCache.get("main"))) {
+        const columns = this.getEncryptedColumns(tableName);
+        if (columns.length === 0) continue;
+
+        const table = this.queries.table(tableName);
+        const rows = await client.query(
+          `SELECT _tx_id, ${columns.map(quoteIdentifier).join(", ")} FROM ${table} FOR UPDATE`
+        );
+
+        for (const row of rows.rows) {
+          // Plaintext is unchanged, so _data_hash stays valid
+          const reencrypted = this.encryptSensitiveFields(
+            tableName,
+            this.decryptSensitiveFields(tableName, row)
+          );
+          const setClauses = columns.map((col, i) => `${quoteIdentifier(col)} = $${i + 1}`).join(", ");
+          await client.query(
+            `UPDATE ${table} SET ${setClauses} WHERE _tx_id = $${columns.length + 1}`,
+            [...columns.map((col) => reencrypted[col]), row._tx_id]
+          );
+        }
+
+        tables[tableName] = rows.rowCount;
+      }
+
+      const rotationMessage = {
+        type: "KEY_ROTATION",
+        txId: rotationId,
+        previousKeyId,
+        keyId: newKeyId,
+        keyFingerprint: this.fieldEncryptor.fingerprint(newKeyId),
+        tables,
+        timestamp: Date.now(),
+        metadata: this.sanitizeMetadata(metadata)
+      };
+      const messageHash = this.calculateHash(rotationMessage);
+
+      const outboxId = await this.enqueueAnchor(client, rotationMessage);
+
+      for (const tableName of Object.keys(tables)) {
+        await this.writeAuditEntry(
+          client,
+          { txId: rotationId, table: tableName, type: "KEY_ROTATION" },
+          messageHash,
+          { ...metadata, previousKeyId, keyId: newKeyId, rows: tables[tableName] },
+          { outboxId }
+        );
+      }
+
+      await client.query("COMMIT");
+
+      this.emit("key-rotated", { previousKeyId, keyId: newKeyId, tables });
+      const anchor = await this.settleAnchor(outboxId, options);
+
+      return {
+        success: true,
+        txId: rotationId,
+        previousKeyId,
+        keyId: newKeyId,
+        tables,
+        ...this.describeAnchor(anchor)
+      };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      this.fieldEncryptor.setActiveKey(previousKeyId);
+      this.fieldEncryptor.keys.delete(newKeyId);
+      this.metrics.errors++;
+      this.log.error("Key rotation failed", { keyId: newKeyId, err: error });
+      throw error;
+    } finally {
+      client.release();
+    }
   }
 
   ensureInitialized() {
     if (!this.isInitialized) {
-      throw new Error("Database not initialized. Call initialize() first.");
+      throw new DatabaseError("Database not initialized. Call initialize() first.", {
+        code: "NOT_INITIALIZED",
+        statusCode: 503
+      });
     }
   }
 
   async close() {
     try {
+      this.changeFeed.close();
+      this.transactions.stop();
+      // Entries still pending are picked up by the next publisher to start
+      await this.outbox.stop();
+      await this.webhooks.stop();
+      if (this.batcher) {
+        await this.batcher.flush();
+      }
+      if (this.subscription) {
+        this.subscription.unsubscribe();
+        this.subscription = null;
+      }
       await this.pgPool.end();
-      this.hederaClient.close();
+      if (this.ownsLedger) {
+        await this.ledger.close();
+      }
       this.isInitialized = false;
-      console.log("✓ Database connections closed");
+      this.log.info("Database connections closed");
     } catch (error) {
-      console.error("Close error:", error);
+      this.log.error("Close failed", { err: error });
       throw error;
     }
   }
 }
 
-module.exports = { HederaAuditedDatabase };
\ No newline at end of file
+module.exports = { HederaAuditedDatabase, createPostgresPool };
\ No newline at end of file
@@ -0,0 +1,230 @@
+/**
+ * Importer.js
+ * Streams NDJSON or CSV records into a table through insertMany.
+ *
+ *   const report = await new Importer(db).import("users", fs.createReadStream("users.csv"), {
+ *     format: "csv",
+ *     columns: { "E-mail": "email", "Full name": "name" },
+ *     onError: "skip"
+ *   });
+ *
+ * `columns` maps source fields to table columns; when given, unmapped
+ * fields are dropped. CSV values are converted to the column's type
+ * (empty fields become null); `header` names the fields of a CSV file that
+ * has no header row, and `delimiter` replaces the comma. With onError "abort" (the default) the file
+ * is all or nothing: every record is read and validated first, and the
+ * file is written in one transaction only if none is bad, so it is capped
+ * at maxRows. With "skip", records are written batchSize at a time as they
+ * stream in and bad ones are skipped.
+ *
+ * The report lists every record by its line with a status: inserted,
+ * invalid (could not be parsed or failed validation), failed (its batch
+ * was rejected by the database) or aborted (valid, but the file was not
+ * written).
+ */
+
+const { parseNdjson, parseCsv } = require("../utils/recordStreams");
+const { DatabaseError, ValidationError, fromPostgresError } = require("../utils/errors");
+
+const FORMATS = {
+  ndjson: (source) => parseNdjson(source),
+  csv: (source, options) => parseCsv(source, options)
+};
+
+const TRUE_VALUES = ["true", "t", "1", "yes", "y"];
+const FALSE_VALUES = ["false", "f", "0", "no", "n"];
+
+class Importer {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.batchSize = options.batchSize || 500;
+    this.maxRows = options.maxRows || 10000;
+  }
+
+  async import(tableName, source, options = {}) {
+    this.db.ensureInitialized();
+    this.db.queries.table(tableName);
+
+    const format = options.format || "ndjson";
+    if (!FORMATS[format]) {
+      throw new ValidationError(`Unsupported import format: ${format}`, [{ field: null, rule: "format", message: `format must be one of: ${Object.keys(FORMATS).join(", ")}` }]);
+    }
+    const onError = options.onError || "abort";
+    if (!["abort", "skip"].includes(onError)) {
+      throw new ValidationError(`Unsupported onError mode: ${onError}`, [{ field: null, rule: "onError", message: "onError must be abort or skip" }]);
+    }
+
+    const report = {
+      success: true,
+      table: tableName,
+      format,
+      onError,
+      total: 0,
+      inserted: 0,
+      invalid: 0,
+      failed: 0,
+      aborted: 0,
+      transactions: [],
+      rows: []
+    };
+
+    const records = FORMATS[format](source, { delimiter: options.delimiter, columns: options.header });
+    const batchSize = options.batchSize || this.batchSize;
+    const maxRows = options.maxRows || this.maxRows;
+    let pending = [];
+
+    for await (const { line, record, error } of records) {
+      report.total++;
+      if (error) {
+        this.mark(report, { line, status: "invalid", errors: [{ field: null, rule: "parse", message: error }] });
+        continue;
+      }
+
+      pending.push({ line, row: this.toRow(tableName, record, format, options.columns) });
+
+      if (onError === "abort" && pending.length > maxRows) {
+        throw new ValidationError(
+          `Import exceeds ${maxRows} rows; use onError "skip" to stream larger files`,
+          [{ field: null, rule: "maxRows", message: `At most ${maxRows} rows per all-or-nothing import` }]
+        );
+      }
+      if (onError === "skip" && pending.length >= batchSize) {
+        await this.writeBatch(tableName, pending, report, options);
+        pending = [];
+      }
+    }
+
+    if (onError === "skip") {
+      if (pending.length > 0) {
+        await this.writeBatch(tableName, pending, report, options);
+      }
+    } else if (report.invalid > 0) {
+      // Still validate the parsed records, so one report lists every problem
+      this.rejectAll(tableName, pending, report);
+    } else if (pending.length > 0) {
+      await this.writeAll(tableName, pending, report, options);
+    }
+
+    report.rows.sort((a, b) => a.line - b.line);
+    report.success = onError === "skip" ? report.failed === 0 : report.invalid === 0;
+    return report;
+  }
+
+  toRow(tableName, record, format, columns) {
+    const mapped = columns
+      ? Object.fromEntries(Object.entries(columns)
+        .filter(([field]) => Object.prototype.hasOwnProperty.call(record, field))
+        .map(([field, column]) => [column, record[field]]))
+      : record;
+
+    if (format !== "csv") return mapped;
+
+    const tableSchema = this.db.getTableSchema(tableName);
+    return Object.fromEntries(Object.entries(mapped).map(([column, value]) => {
+      const colDef = Object.prototype.hasOwnProperty.call(tableSchema, column) ? tableSchema[column] : null;
+      return [column, colDef ? this.coerce(colDef.type || colDef, value) : value];
+    }));
+  }
+
+  // CSV carries only strings; values that do not convert are left as they
+  // are for the validator to report
+  coerce(type, value) {
+    if (value === "") return null;
+
+    const pgType = this.db.mapTypeToPostgres(type);
+    const text = value.trim();
+    switch (pgType) {
+      case "INTEGER":
+      case "REAL":
+      case "DOUBLE PRECISION":
+        return text !== "" && Number.isFinite(Number(text)) ? Number(text) : value;
+      case "NUMERIC":
+      case "BIGINT":
+        return text;
+      case "BOOLEAN":
+        if (TRUE_VALUES.includes(text.toLowerCase())) return true;
+        if (FALSE_VALUES.includes(text.toLowerCase())) return false;
+        return value;
+      case "JSONB":
+      case "TEXT[]":
+        try {
+          return JSON.parse(text);
+        } catch (error) {
+          return value;
+        }
+      default:
+        return value;
+    }
+  }
+
+  rejectAll(tableName, pending, report) {
+    const tableSchema = this.db.getTableSchema(tableName);
+    for (const { line, row } of pending) {
+      const errors = this.db.validator.validate(tableName, tableSchema, row);
+      this.mark(report, errors.length > 0 ? { line, status: "invalid", errors } : { line, status: "aborted" });
+    }
+  }
+
+  async writeAll(tableName, pending, report, options) {
+    let result;
+    try {
+      result = await this.db.insertMany(tableName, pending.map(({ row }) => row), options.metadata, {
+        ...options,
+        skipInvalid: false
+      });
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+
+      const byRow = new Map();
+      for (const { row, ...rowError } of error.details.errors) {
+        byRow.set(row, [...(byRow.get(row) || []), rowError]);
+      }
+      pending.forEach(({ line }, index) => {
+        this.mark(report, byRow.has(index) ? { line, status: "invalid", errors: byRow.get(index) } : { line, status: "aborted" });
+      });
+      return;
+    }
+
+    this.recordResult(pending, result, report);
+  }
+
+  async writeBatch(tableName, pending, report, options) {
+    let result;
+    try {
+      result = await this.db.insertMany(tableName, pending.map(({ row }) => row), options.metadata, {
+        ...options,
+        skipInvalid: true
+      });
+    } catch (error) {
+      // A constraint violation rejects the batch; anything else stops the import
+      const typed = fromPostgresError(error);
+      if (!(typed instanceof DatabaseError)) throw error;
+
+      for (const { line } of pending) {
+        this.mark(report, { line, status: "failed", errors: [{ field: null, rule: typed.code, message: typed.message }] });
+      }
+      return;
+    }
+
+    this.recordResult(pending, result, report);
+  }
+
+  recordResult(pending, result, report) {
+    if (result.transactionId) {
+      report.transactions.push({ transactionId: result.transactionId, anchor: result.anchor });
+    }
+    result.rows.forEach((row, index) => {
+      const { line } = pending[index];
+      this.mark(report, row.status === "inserted"
+        ? { line, status: "inserted", txId: row.txId }
+        : { line, status: "invalid", errors: row.errors });
+    });
+  }
+
+  mark(report, entry) {
+    report.rows.push(entry);
+    report[entry.status]++;
+  }
+}
+
+module.exports = { Importer };
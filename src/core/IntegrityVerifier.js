@@ -0,0 +1,353 @@
+/**
+ * IntegrityVerifier.js
+ * Database-wide integrity sweep. Rebuilds the expected hash of every record
+ * from the audit topic, then scans each table and reconciles the two sides.
+ * A row's own _data_hash is only trusted as far as it matches the ledger,
+ * since anyone able to rewrite the row can rewrite that column too.
+ * Batched entries, and the rows a migration rehashed, are taken from
+ * _audit_log and only trusted once their Merkle proof leads to a root
+ * anchored on the topic.
+ *
+ * _audit_log.anchor_status lives in the database being checked, so it
+ * decides nothing: a row the ledger knows is always compared with it, and
+ * one it does not know counts as pending only while a write queued in the
+ * outbox (pending or publishing) carries the hash the row holds. A report
+ * with pending rows is not valid; sweep again once they are anchored.
+ */
+
+const { merkleLeafHash, verifyMerkleProof } = require("../utils/hashUtils");
+const { SYSTEM_COLUMNS } = require("./QueryBuilder");
+const { OUTBOX_STATUS } = require("./OutboxPublisher");
+const { InvalidIdentifierError } = require("../utils/errors");
+
+const ISSUE_TYPES = {
+  ROW_HASH_MISMATCH: "ROW_HASH_MISMATCH",         // row data no longer matches its _data_hash
+  LEDGER_HASH_MISMATCH: "LEDGER_HASH_MISMATCH",   // _data_hash differs from the anchored hash
+  MISSING_LEDGER_ENTRY: "MISSING_LEDGER_ENTRY",   // row was never anchored
+  MISSING_ROW: "MISSING_ROW",                     // anchored record absent from the table
+  DELETED_ON_LEDGER: "DELETED_ON_LEDGER",         // hard-deleted on the ledger, still present
+  DELETE_STATE_MISMATCH: "DELETE_STATE_MISMATCH", // soft-delete flag disagrees with the ledger
+  INVALID_INCLUSION_PROOF: "INVALID_INCLUSION_PROOF" // batched audit entry does not prove into an anchored root
+};
+
+// Merkle roots anchored on the topic, with the sequence number anchoring
+// each: batches of audit messages, and the rows a migration rehashed
+function anchoredRoots(messages) {
+  const roots = new Map();
+  for (const { operation, sequenceNumber } of messages) {
+    if (operation.type === "MERKLE_BATCH") roots.set(operation.root, sequenceNumber);
+    if (operation.type === "SCHEMA_MIGRATE" && operation.rehash) roots.set(operation.rehash.root, sequenceNumber);
+  }
+  return roots;
+}
+
+// What a write not yet anchored would leave the ledger expecting of its row
+function queuedWrite(operation) {
+  switch (operation?.type) {
+    case "INSERT":
+    case "DELETE_SOFT":
+      return { hash: operation.dataHash, hardDeleted: false };
+    case "UPDATE":
+      return { hash: operation.newHash, hardDeleted: false };
+    case "DELETE_HARD":
+      return { hash: null, hardDeleted: true };
+    default:
+      return null;
+  }
+}
+
+class IntegrityVerifier {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.batchSize = options.batchSize || 500;
+    this.timeout = options.timeout;
+  }
+
+  async verifyAll(options = {}) {
+    const startedAt = new Date().toISOString();
+    const schema = this.db.schemaCache.get("main");
+    const tables = options.tables || Object.keys(schema);
+
+    for (const tableName of tables) {
+      if (!this.db.getTableSchema(tableName)) {
+        throw new InvalidIdentifierError(`Unknown table: ${tableName}`, { table: tableName });
+      }
+    }
+
+    this.db.emit("verify-progress", { phase: "ledger", status: "started" });
+    const messages = await this.db.readTopicMessages({ timeout: this.timeout });
+    const issues = [];
+    const ledger = this.buildLedgerIndex([...messages, ...await this.loadBatchedLeaves(messages, issues)]);
+    const ledgerSequence = messages.length ? messages[messages.length - 1].sequenceNumber : 0;
+    const queued = await this.loadQueuedWrites();
+    this.db.emit("verify-progress", { phase: "ledger", status: "completed", messages: messages.length, records: ledger.size });
+
+    const tableReports = {};
+    for (const tableName of tables) {
+      tableReports[tableName] = { rows: 0, verified: 0, pending: 0, issues: 0 };
+    }
+    for (const issue of issues) {
+      if (tableReports[issue.table]) tableReports[issue.table].issues++;
+    }
+
+    for (const tableName of tables) {
+      await this.verifyTable(tableName, ledger, queued, issues, tableReports[tableName]);
+    }
+
+    // Whatever is left in the index was anchored but never seen in a table
+    for (const entry of ledger.values()) {
+      if (!tables.includes(entry.table) || entry.seen || entry.hardDeleted) continue;
+      if (queued.get(`${entry.table}:${entry.txId}`)?.hardDeleted) continue;
+
+      issues.push({
+        type: ISSUE_TYPES.MISSING_ROW,
+        table: entry.table,
+        txId: entry.txId,
+        expectedHash: entry.hash,
+        sequenceNumber: entry.sequenceNumber
+      });
+      tableReports[entry.table].issues++;
+    }
+
+    const pendingAnchors = Object.values(tableReports).reduce((sum, t) => sum + t.pending, 0);
+    const report = {
+      valid: issues.length === 0 && pendingAnchors === 0,
+      topicId: this.db.topicId,
+      ledgerSequence,
+      startedAt,
+      completedAt: new Date().toISOString(),
+      summary: {
+        tables: tables.length,
+        rowsScanned: Object.values(tableReports).reduce((sum, t) => sum + t.rows, 0),
+        ledgerRecords: ledger.size,
+        pendingAnchors,
+        issues: issues.length,
+        byType: issues.reduce((acc, issue) => {
+          acc[issue.type] = (acc[issue.type] || 0) + 1;
+          return acc;
+        }, {})
+      },
+      tables: tableReports,
+      issues
+    };
+
+    this.db.emit("verify-complete", report.summary);
+    return report;
+  }
+
+  // Turns verified Merkle leaves into pseudo-messages positioned at their
+  // batch's sequence number, so they index like directly anchored messages
+  async loadBatchedLeaves(messages, issues) {
+    const roots = anchoredRoots(messages);
+    if (roots.size === 0) return [];
+
+    const result = await this.db.pgPool.query(`
+      SELECT DISTINCT ON (merkle_batch_id, merkle_leaf_index)
+        table_name, tx_id, merkle_root, merkle_leaf_index, merkle_proof, ledger_message
+      FROM _audit_log
+      WHERE merkle_root IS NOT NULL
+      ORDER BY merkle_batch_id, merkle_leaf_index
+    `);
+
+    const leaves = [];
+    for (const row of result.rows) {
+      const anchored = roots.has(row.merkle_root)
+        && verifyMerkleProof(merkleLeafHash(row.ledger_message), row.merkle_proof, row.merkle_root);
+
+      if (!anchored) {
+        issues.push({
+          type: ISSUE_TYPES.INVALID_INCLUSION_PROOF,
+          table: row.table_name,
+          txId: row.tx_id,
+          root: row.merkle_root,
+          leafIndex: row.merkle_leaf_index
+        });
+        continue;
+      }
+
+      leaves.push({
+        operation: JSON.parse(row.ledger_message),
+        sequenceNumber: roots.get(row.merkle_root),
+        leafIndex: row.merkle_leaf_index
+      });
+    }
+    return leaves;
+  }
+
+  // The latest write per record still waiting in the outbox, keyed like
+  // the ledger index
+  async loadQueuedWrites() {
+    const result = await this.db.pgPool.query(
+      "SELECT id, message FROM _outbox WHERE status = ANY($1) ORDER BY id",
+      [[OUTBOX_STATUS.PENDING, OUTBOX_STATUS.PUBLISHING]]
+    );
+    const queued = new Map();
+    for (const { message } of result.rows) {
+      let operation;
+      try {
+        operation = JSON.parse(message);
+      } catch (error) {
+        continue;
+      }
+      for (const write of operation.type === "TRANSACTION" ? operation.operations : [operation]) {
+        const entry = queuedWrite(write);
+        if (entry) queued.set(`${write.table}:${write.txId}`, entry);
+      }
+    }
+    return queued;
+  }
+
+  // Latest anchored state per record, keyed by table and txId
+  buildLedgerIndex(messages) {
+    messages.sort((a, b) => (a.sequenceNumber - b.sequenceNumber) || ((a.leafIndex || 0) - (b.leafIndex || 0)));
+
+    const ledger = new Map();
+
+    const apply = (operation, message) => {
+      const key = `${operation.table}:${operation.txId}`;
+
+      // A rehash only replaces the hash the ledger already holds
+      if (operation.type === "REHASH") {
+        const entry = ledger.get(key);
+        if (entry && entry.hash === operation.previousHash) {
+          entry.hash = operation.newHash;
+          entry.sequenceNumber = message.sequenceNumber;
+        }
+        return;
+      }
+      const entry = ledger.get(key) || { table: operation.table, txId: operation.txId };
+      entry.sequenceNumber = message.sequenceNumber;
+
+      switch (operation.type) {
+        case "INSERT":
+          entry.hash = operation.dataHash;
+          entry.softDeleted = false;
+          entry.hardDeleted = false;
+          break;
+        case "UPDATE":
+          entry.hash = operation.newHash;
+          break;
+        case "DELETE_SOFT":
+          entry.hash = operation.dataHash;
+          entry.softDeleted = true;
+          break;
+        case "DELETE_HARD":
+          entry.hardDeleted = true;
+          break;
+        default:
+          return;
+      }
+      ledger.set(key, entry);
+    };
+
+    for (const message of messages) {
+      const { operation } = message;
+      if (operation.type === "TRANSACTION") {
+        for (const child of operation.operations) apply(child, message);
+      } else {
+        apply(operation, message);
+      }
+    }
+
+    return ledger;
+  }
+
+  async verifyTable(tableName, ledger, queued, issues, report) {
+    let lastTxId = "";
+
+    // Keyset pagination keeps memory flat on large tables
+    for (;;) {
+      const result = await this.db.pgPool.query(
+        `SELECT * FROM ${this.db.queries.table(tableName)} WHERE _tx_id > $1 ORDER BY _tx_id LIMIT $2`,
+        [lastTxId, this.batchSize]
+      );
+      if (result.rows.length === 0) break;
+
+      for (const row of result.rows) {
+        const key = `${tableName}:${row._tx_id}`;
+        const entry = ledger.get(key);
+        const rowIssues = this.verifyRow(tableName, row, entry, queued.get(key));
+        report.rows++;
+        if (rowIssues.length === 0) {
+          report[this.isPending(row, entry, queued.get(key)) ? "pending" : "verified"]++;
+        } else {
+          report.issues += rowIssues.length;
+          issues.push(...rowIssues);
+        }
+      }
+
+      lastTxId = result.rows[result.rows.length - 1]._tx_id;
+      this.db.emit("verify-progress", { phase: "table", table: tableName, scanned: report.rows });
+    }
+  }
+
+  // A row the ledger has never seen is pending, not missing, only while a
+  // queued write carries the hash it holds
+  isPending(row, entry, queued) {
+    return !entry && Boolean(queued) && !queued.hardDeleted && queued.hash === row._data_hash;
+  }
+
+  // `queued` is the record's latest write not yet anchored, if any; it never
+  // stands in for a ledger entry the record has
+  verifyRow(tableName, row, entry, queued = null) {
+    const issues = [];
+    const base = { table: tableName, txId: row._tx_id };
+
+    const cleanData = { ...row };
+    for (const col of SYSTEM_COLUMNS) delete cleanData[col];
+
+    let calculatedHash;
+    try {
+      calculatedHash = this.db.calculateRowHash(tableName, this.db.decryptSensitiveFields(tableName, cleanData));
+    } catch (error) {
+      // Failed authentication of an encrypted field is tampering too
+      calculatedHash = `undecryptable: ${error.message}`;
+    }
+
+    if (calculatedHash !== row._data_hash) {
+      issues.push({ ...base, type: ISSUE_TYPES.ROW_HASH_MISMATCH, storedHash: row._data_hash, calculatedHash });
+    }
+
+    if (!entry) {
+      if (!this.isPending(row, entry, queued)) {
+        issues.push({ ...base, type: ISSUE_TYPES.MISSING_LEDGER_ENTRY, storedHash: row._data_hash });
+      }
+      return issues;
+    }
+
+    entry.seen = true;
+    // Lets a reader tell a write still on its way to the ledger from tampering
+    const awaiting = queued && !queued.hardDeleted && queued.hash === row._data_hash ? { queued: true } : {};
+
+    if (entry.hardDeleted) {
+      issues.push({ ...base, type: ISSUE_TYPES.DELETED_ON_LEDGER, sequenceNumber: entry.sequenceNumber });
+      return issues;
+    }
+
+    if (entry.hash !== row._data_hash) {
+      issues.push({
+        ...base,
+        type: ISSUE_TYPES.LEDGER_HASH_MISMATCH,
+        storedHash: row._data_hash,
+        expectedHash: entry.hash,
+        sequenceNumber: entry.sequenceNumber,
+        ...awaiting
+      });
+    }
+
+    if (Boolean(entry.softDeleted) !== Boolean(row._is_deleted)) {
+      issues.push({
+        ...base,
+        type: ISSUE_TYPES.DELETE_STATE_MISMATCH,
+        rowDeleted: Boolean(row._is_deleted),
+        ledgerDeleted: Boolean(entry.softDeleted),
+        sequenceNumber: entry.sequenceNumber,
+        ...awaiting
+      });
+    }
+
+    return issues;
+  }
+}
+
+module.exports = { IntegrityVerifier, ISSUE_TYPES, anchoredRoots, queuedWrite };
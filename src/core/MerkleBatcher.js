@@ -0,0 +1,80 @@
+/**
+ * MerkleBatcher.js
+ * Collects audit messages over a time or size window and anchors them with a
+ * single MERKLE_BATCH message carrying the tree root. Each caller gets back
+ * its leaf, leaf index and proof path, which together with the anchored root
+ * prove the message offline.
+ */
+
+const crypto = require("crypto");
+const {
+  canonicalStringify,
+  MERKLE_ALGORITHM,
+  merkleLeafHash,
+  buildMerkleTree,
+  merkleProof
+} = require("../utils/hashUtils");
+
+class MerkleBatcher {
+  constructor(submit, options = {}) {
+    this.submit = submit;
+    this.maxBatchSize = options.maxBatchSize || 100;
+    this.maxWaitMs = options.maxWaitMs ?? 1000;
+    this.pending = [];
+    this.timer = null;
+  }
+
+  add(message) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ leaf: canonicalStringify(message), resolve, reject });
+
+      if (this.pending.length >= this.maxBatchSize) {
+        this.flush();
+      } else if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), this.maxWaitMs);
+      }
+    });
+  }
+
+  async flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const batch = this.pending.splice(0);
+    if (batch.length === 0) return;
+
+    const leafHashes = batch.map((entry) => merkleLeafHash(entry.leaf));
+    const tree = buildMerkleTree(leafHashes);
+    const root = tree[tree.length - 1][0];
+    const batchId = crypto.randomBytes(16).toString("hex");
+
+    try {
+      const result = await this.submit({
+        type: "MERKLE_BATCH",
+        batchId,
+        root,
+        leafCount: batch.length,
+        algorithm: MERKLE_ALGORITHM,
+        timestamp: Date.now()
+      });
+
+      batch.forEach((entry, leafIndex) => entry.resolve({
+        ...result,
+        ledgerMessage: entry.leaf,
+        merkle: {
+          batchId,
+          root,
+          leafIndex,
+          leafHash: leafHashes[leafIndex],
+          proof: merkleProof(tree, leafIndex),
+          leafCount: batch.length
+        }
+      }));
+    } catch (error) {
+      // Every caller rolls back its own PostgreSQL transaction
+      batch.forEach((entry) => entry.reject(error));
+    }
+  }
+}
+
+module.exports = { MerkleBatcher };
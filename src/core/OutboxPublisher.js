@@ -0,0 +1,383 @@
+/**
+ * OutboxPublisher.js
+ * Background publisher for the _outbox table. Writes enqueue their audit
+ * message in the same PostgreSQL transaction as the data, so nothing reaches
+ * the ledger unless the data was committed, and no pool connection is held
+ * across the network round-trip. The publisher claims pending entries, anchors
+ * them (directly or as one Merkle batch), then fills in the ledger fields of
+ * the linked _audit_log rows and queues their webhook deliveries. Failed
+ * submissions are retried with exponential backoff until maxAttempts, after
+ * which the entry is marked failed.
+ *
+ * Claims are serialized per outbox by an advisory lock, so publishers
+ * sharing it never take entries past one another. An entry is held back
+ * while an earlier one for the same record is backing off, being published
+ * elsewhere or failed: a failed write stops the record's later writes until
+ * it is resolved, rather than letting the topic show an update to a row it
+ * never saw inserted. Writes to one record get their ids in commit order,
+ * since each waits on the row lock of the one before.
+ *
+ * Delivery is at-least-once: if the ledger accepts a message but recording
+ * the result fails, the entry is submitted again once its lease expires.
+ * Replay and verification both treat a repeated message as a no-op.
+ */
+
+const OUTBOX_STATUS = {
+  PENDING: "pending",
+  PUBLISHING: "publishing",
+  ANCHORED: "anchored",
+  FAILED: "failed"
+};
+
+// The records a message writes, as "table:txId", for holding back later
+// entries behind an earlier one for the same record
+function recordsOf(message) {
+  const operations = message.type === "TRANSACTION" ? message.operations : [message];
+  const records = operations
+    .filter((operation) => typeof operation?.table === "string" && typeof operation.txId === "string")
+    .map((operation) => `${operation.table}:${operation.txId}`);
+  return [...new Set(records)];
+}
+
+class OutboxPublisher {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.log = db.logger.child({ component: "outbox" });
+    this.pollIntervalMs = options.pollIntervalMs || 1000;
+    this.batchSize = options.batchSize || 100;
+    this.maxAttempts = options.maxAttempts || 10;
+    this.retryDelayMs = options.retryDelayMs || 1000;
+    this.maxRetryDelayMs = options.maxRetryDelayMs || 60000;
+    this.leaseMs = options.leaseMs || 30000;
+    this.awaitTimeoutMs = options.awaitTimeoutMs || 60000;
+    this.timer = null;
+    this.running = null;
+    this.stopped = true;
+  }
+
+  start() {
+    this.stopped = false;
+    this.schedule(0);
+  }
+
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.running;
+  }
+
+  // Publishes promptly after a local commit instead of waiting for the poll.
+  // Batches are left to fill for the whole interval.
+  notify() {
+    if (this.stopped || this.running || this.db.batcher) return;
+    this.schedule(0);
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    this.timer = null;
+    if (this.running) return;
+
+    let published = 0;
+    this.running = this.publishPending()
+      .then((count) => { published = count; })
+      .catch((error) => this.log.error("Outbox publishing failed", { err: error }));
+    await this.running;
+    this.running = null;
+
+    if (!this.stopped) {
+      // A full batch suggests a backlog, so keep going without waiting
+      this.schedule(published >= this.batchSize ? 0 : this.pollIntervalMs);
+    }
+  }
+
+  async publishPending() {
+    const entries = await this.claim();
+    if (entries.length === 0) return 0;
+
+    if (this.db.batcher) {
+      await this.publishBatch(entries);
+    } else {
+      await this.publishInOrder(entries);
+    }
+
+    this.db.emit("outbox-published", { entries: entries.length });
+    return entries.length;
+  }
+
+  // Claims due entries, including ones whose publisher died mid-lease. In
+  // direct mode nothing overtakes an entry that is backing off or still
+  // being published, to keep the topic in order; in batch mode only
+  // entries for the same record are held back.
+  async claim() {
+    // Earlier entries still backing off or leased to a publisher
+    const unfinished = "(earlier.status = $1 AND earlier.locked_until >= NOW()) OR (earlier.status = $3 AND earlier.next_attempt_at > NOW())";
+    const ordering = this.db.batcher ? "" : `
+            AND NOT EXISTS (
+              SELECT 1 FROM _outbox earlier
+              WHERE earlier.id < _outbox.id AND (${unfinished})
+            )`;
+
+    const client = await this.db.pgPool.connect();
+    try {
+      await client.query("BEGIN");
+      // Held until COMMIT: the next claim sees what this one took
+      await client.query("SELECT pg_advisory_xact_lock(hashtext(current_schema() || '._outbox'))");
+
+      const result = await client.query(`
+        UPDATE _outbox SET status = $1, locked_until = NOW() + ($2 || ' milliseconds')::INTERVAL
+        WHERE id IN (
+          SELECT id FROM _outbox
+          WHERE ((status = $3 AND next_attempt_at <= NOW())
+             OR (status = $1 AND locked_until < NOW()))
+            AND NOT EXISTS (
+              SELECT 1 FROM _outbox earlier
+              WHERE earlier.id < _outbox.id AND earlier.records && _outbox.records
+                AND (earlier.status = $5 OR ${unfinished})
+            )${ordering}
+          ORDER BY id
+          LIMIT $4
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING id, message, attempts
+      `, [OUTBOX_STATUS.PUBLISHING, String(this.leaseMs), OUTBOX_STATUS.PENDING, this.batchSize, OUTBOX_STATUS.FAILED]);
+
+      await client.query("COMMIT");
+      return result.rows.sort((a, b) => Number(a.id) - Number(b.id));
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Direct anchoring keeps the topic in commit order, so a failure stops
+  // the round and releases everything behind it.
+  async publishInOrder(entries) {
+    for (let i = 0; i < entries.length; i++) {
+      try {
+        const result = await this.db.anchorMessage(JSON.parse(entries[i].message));
+        await this.recordAnchored(entries[i], result);
+      } catch (error) {
+        await this.recordFailure(entries[i], error);
+        await this.release(entries.slice(i + 1));
+        return;
+      }
+    }
+  }
+
+  async publishBatch(entries) {
+    const pending = entries.map((entry) => this.db.anchorMessage(JSON.parse(entry.message)));
+    await this.db.batcher.flush();
+    const results = await Promise.allSettled(pending);
+
+    for (let i = 0; i < entries.length; i++) {
+      if (results[i].status === "fulfilled") {
+        await this.recordAnchored(entries[i], results[i].value);
+      } else {
+        await this.recordFailure(entries[i], results[i].reason);
+      }
+    }
+  }
+
+  // Entries that prove into a root of their own, like the rows a migration
+  // rehashed, keep their leaf and proof
+  async recordAnchored(entry, ledgerResult) {
+    const client = await this.db.pgPool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      await client.query(`
+        UPDATE _audit_log SET
+          hedera_timestamp = $2,
+          hedera_sequence_number = $3,
+          hedera_consensus_timestamp = $4,
+          hedera_running_hash = $5,
+          ledger_message = COALESCE(ledger_message, $6),
+          merkle_batch_id = COALESCE(merkle_batch_id, $7),
+          merkle_root = COALESCE(merkle_root, $8),
+          merkle_leaf_index = COALESCE(merkle_leaf_index, $9),
+          merkle_proof = COALESCE(merkle_proof, $10),
+          anchor_status = $11
+        WHERE outbox_id = $1
+      `, [
+        entry.id,
+        ledgerResult.consensusTimestamp
+          ? this.db.consensusTimestampToMillis(ledgerResult.consensusTimestamp)
+          : Date.now(),
+        ledgerResult.sequenceNumber ?? null,
+        ledgerResult.consensusTimestamp || null,
+        ledgerResult.runningHash || null,
+        ledgerResult.ledgerMessage || null,
+        ledgerResult.merkle?.batchId || null,
+        ledgerResult.merkle?.root || null,
+        ledgerResult.merkle?.leafIndex ?? null,
+        ledgerResult.merkle ? JSON.stringify(ledgerResult.merkle.proof) : null,
+        OUTBOX_STATUS.ANCHORED
+      ]);
+
+      await client.query(`
+        UPDATE _outbox SET
+          status = $2, attempts = attempts + 1, result = $3,
+          last_error = NULL, locked_until = NULL, anchored_at = NOW()
+        WHERE id = $1
+      `, [entry.id, OUTBOX_STATUS.ANCHORED, JSON.stringify(this.db.describeLedgerResult(ledgerResult))]);
+
+      const webhookDeliveries = await this.db.webhooks.enqueue(client, entry.id);
+
+      await client.query("COMMIT");
+      if (webhookDeliveries > 0) this.db.webhooks.notify();
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    this.db.emit("anchored", {
+      outboxId: Number(entry.id),
+      sequenceNumber: ledgerResult.sequenceNumber ?? null,
+      consensusTimestamp: ledgerResult.consensusTimestamp || null,
+      merkleRoot: ledgerResult.merkle?.root || null
+    });
+    this.log.debug("Outbox entry anchored", {
+      outboxId: Number(entry.id),
+      sequenceNumber: ledgerResult.sequenceNumber ?? null,
+      merkleRoot: ledgerResult.merkle?.root,
+      requestId: this.requestIdOf(entry)
+    });
+  }
+
+  async recordFailure(entry, error) {
+    const attempts = entry.attempts + 1;
+    const failed = attempts >= this.maxAttempts;
+    const delay = Math.min(this.retryDelayMs * 2 ** (attempts - 1), this.maxRetryDelayMs);
+
+    await this.db.pgPool.query(`
+      UPDATE _outbox SET
+        status = $2, attempts = $3, last_error = $4, locked_until = NULL,
+        next_attempt_at = NOW() + ($5 || ' milliseconds')::INTERVAL
+      WHERE id = $1
+    `, [entry.id, failed ? OUTBOX_STATUS.FAILED : OUTBOX_STATUS.PENDING, attempts, error.message, String(delay)]);
+
+    if (failed) {
+      await this.db.pgPool.query(
+        "UPDATE _audit_log SET anchor_status = $2 WHERE outbox_id = $1",
+        [entry.id, OUTBOX_STATUS.FAILED]
+      );
+    }
+
+    this.db.metrics.errors++;
+    this.log[failed ? "error" : "warn"](failed ? "Outbox entry failed permanently" : "Outbox entry will be retried", {
+      outboxId: Number(entry.id),
+      attempts,
+      retryInMs: failed ? undefined : delay,
+      requestId: this.requestIdOf(entry),
+      err: error
+    });
+    this.db.emit("anchor-failed", { outboxId: Number(entry.id), attempts, failed, error: error.message });
+  }
+
+  // The request that queued the entry, recorded in its message metadata
+  requestIdOf(entry) {
+    try {
+      return JSON.parse(entry.message).metadata?.requestId;
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  // The tables whose rows the entry's message anchors, or null for messages
+  // that concern the whole database (schema changes, drops)
+  tablesOf(entry) {
+    let message;
+    try {
+      message = JSON.parse(entry.message);
+    } catch (error) {
+      return null;
+    }
+    if (typeof message?.table === "string") return [message.table];
+    if (Array.isArray(message?.operations)) return [...new Set(message.operations.map((op) => op.table))];
+    if (message?.type === "KEY_ROTATION" && message.tables) return Object.keys(message.tables);
+    return null;
+  }
+
+  async release(entries) {
+    if (entries.length === 0) return;
+
+    await this.db.pgPool.query(
+      "UPDATE _outbox SET status = $2, locked_until = NULL WHERE id = ANY($1)",
+      [entries.map((entry) => entry.id), OUTBOX_STATUS.PENDING]
+    );
+  }
+
+  async getStatus(outboxId) {
+    const result = await this.db.pgPool.query(
+      "SELECT * FROM _outbox WHERE id = $1",
+      [outboxId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const entry = result.rows[0];
+    return {
+      outboxId: Number(entry.id),
+      status: entry.status,
+      attempts: entry.attempts,
+      lastError: entry.last_error,
+      createdAt: entry.created_at,
+      anchoredAt: entry.anchored_at,
+      hedera: entry.result,
+      tables: this.tablesOf(entry)
+    };
+  }
+
+  // Resolves once the entry is anchored, by this node or any other sharing
+  // the outbox; rejects if it is marked failed or the timeout passes.
+  async waitFor(outboxId, timeoutMs = this.awaitTimeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    for (;;) {
+      const status = await this.getStatus(outboxId);
+      if (!status) {
+        throw new Error(`Outbox entry ${outboxId} not found`);
+      }
+      if (status.status === OUTBOX_STATUS.ANCHORED) {
+        return status;
+      }
+      if (status.status === OUTBOX_STATUS.FAILED) {
+        throw new Error(`Anchoring failed after ${status.attempts} attempts: ${status.lastError}`);
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for outbox entry ${outboxId} to be anchored`);
+      }
+
+      await this.nextRound(Math.min(this.pollIntervalMs, deadline - Date.now()));
+    }
+  }
+
+  nextRound(timeoutMs) {
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        this.db.removeListener("outbox-published", done);
+        this.db.removeListener("anchor-failed", done);
+        resolve();
+      };
+      const timer = setTimeout(done, timeoutMs);
+      this.db.once("outbox-published", done);
+      this.db.once("anchor-failed", done);
+    });
+  }
+}
+
+module.exports = { OutboxPublisher, OUTBOX_STATUS, recordsOf };
@@ -0,0 +1,464 @@
+/**
+ * QueryBuilder.js
+ * Builds parameterized SELECT statements for HederaAuditedDatabase.query.
+ * Every table and column name is checked against the schema and quoted;
+ * values, limits and offsets are always bound as parameters.
+ *
+ *   db.query("users", {
+ *     select: ["name", "email"],
+ *     where: { age: { $gte: 21 }, $or: [{ role: { $in: ["admin", "owner"] } }, { "profile.verified": true }] },
+ *     orderBy: [{ column: "name", direction: "asc" }],
+ *     limit: 50,
+ *     cursor: previousPage.nextCursor
+ *   });
+ */
+
+const { InvalidIdentifierError, QueryValidationError } = require("../utils/errors");
+
+// Maintained by the database on every audited table
+const SYSTEM_COLUMNS = ["_tx_id", "_created_at", "_updated_at", "_version", "_data_hash", "_created_by", "_is_deleted"];
+
+// PostgreSQL stores lowercase names as written whether or not they are
+// quoted, so quoting never changes which table or column a name refers to
+const IDENTIFIER_PATTERN = /^[a-z_][a-z0-9_]{0,62}$/;
+
+const COMPARISONS = {
+  $eq: "=",
+  $ne: "!=",
+  $gt: ">",
+  $gte: ">=",
+  $lt: "<",
+  $lte: "<="
+};
+
+function quoteIdentifier(name) {
+  if (typeof name !== "string" || !IDENTIFIER_PATTERN.test(name)) {
+    throw new InvalidIdentifierError(`Invalid identifier: ${name}`, { identifier: name });
+  }
+  return `"${name}"`;
+}
+
+// Operator objects and where groups; Dates, arrays and Buffers are values
+function isPlainObject(value) {
+  if (typeof value !== "object" || value === null) return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function bind(params, value) {
+  params.push(value);
+  return `$${params.length}`;
+}
+
+// Alias of the i-th sort key selected for a page's cursor
+function cursorKey(i) {
+  return `_cursor_${i}`;
+}
+
+class QueryBuilder {
+  constructor(db) {
+    this.db = db;
+  }
+
+  table(tableName) {
+    if (typeof tableName !== "string" || !this.db.getTableSchema(tableName)) {
+      throw new InvalidIdentifierError(`Unknown table: ${tableName}`, { table: tableName });
+    }
+    return quoteIdentifier(tableName);
+  }
+
+  column(tableName, column) {
+    const tableSchema = this.db.getTableSchema(tableName);
+    // Keys starting with $ are table options, see SchemaDefinition
+    const known = typeof column === "string" && !column.startsWith("$")
+      && (SYSTEM_COLUMNS.includes(column) || Object.prototype.hasOwnProperty.call(tableSchema, column));
+
+    if (!known) {
+      throw new InvalidIdentifierError(`Unknown column: ${column} in table ${tableName}`, { table: tableName, column });
+    }
+    return quoteIdentifier(column);
+  }
+
+  // With a positive limit (unless `paginate` is false) the statement is
+  // keyset-paginated: ordered with _tx_id as the final tiebreaker, fetching
+  // one extra row so the caller can tell whether there is a next page.
+  // Returns `page` ({ limit, order }) in that case, for nextPage.
+  select(tableName, options = {}, { paginate = true } = {}) {
+    const params = [];
+    const { source, conditions } = this.filters(tableName, options, params);
+
+    const limit = options.limit !== undefined && options.limit !== null
+      ? this.nonNegativeInteger("limit", options.limit)
+      : null;
+    const keyset = options.cursor !== undefined || (paginate && limit > 0);
+
+    if (options.cursor !== undefined && options.offset !== undefined && options.offset !== null) {
+      throw new QueryValidationError("cursor and offset cannot be combined");
+    }
+
+    const order = this.orderTerms(tableName, options.orderBy, keyset);
+    if (options.cursor !== undefined) {
+      conditions.push(this.after(order, this.decodeCursor(options.cursor, order), params));
+    }
+
+    const page = keyset && limit > 0 ? { limit, order } : null;
+    const columns = this.selectColumns(tableName, options.select);
+    const selected = [columns ? columns.map(quoteIdentifier).join(", ") : "*"];
+    if (page) {
+      // The cursor keeps each sort key as PostgreSQL prints it, so values
+      // such as microsecond timestamps and large numerics survive intact
+      order.forEach((term, i) => selected.push(`${quoteIdentifier(term.column)}::text AS ${quoteIdentifier(cursorKey(i))}`));
+    }
+
+    let text = `SELECT ${selected.join(", ")} FROM ${source}`;
+
+    if (conditions.length > 0) {
+      text += ` WHERE ${conditions.join(" AND ")}`;
+    }
+
+    if (order.length > 0) {
+      text += ` ORDER BY ${order.map((term) => `${quoteIdentifier(term.column)} ${term.direction}`).join(", ")}`;
+    }
+
+    if (limit !== null) {
+      text += ` LIMIT ${bind(params, page ? limit + 1 : limit)}`;
+    }
+    if (options.offset !== undefined && options.offset !== null) {
+      text += ` OFFSET ${bind(params, this.nonNegativeInteger("offset", options.offset))}`;
+    }
+
+    return { text, params, page };
+  }
+
+  // Total rows matching the filters, ignoring cursor, limit and offset
+  count(tableName, options = {}) {
+    const params = [];
+    const { source, conditions } = this.filters(tableName, options, params);
+
+    let text = `SELECT COUNT(*) AS total FROM ${source}`;
+    if (conditions.length > 0) {
+      text += ` WHERE ${conditions.join(" AND ")}`;
+    }
+    return { text, params };
+  }
+
+  // Whether the row with this _tx_id satisfies a where object, deleted or not
+  rowMatches(tableName, txId, where) {
+    const params = [txId];
+    const conditions = ["\"_tx_id\" = $1", ...this.where(tableName, where, params)];
+    return { text: `SELECT 1 FROM ${this.table(tableName)} WHERE ${conditions.join(" AND ")}`, params };
+  }
+
+  filters(tableName, options, params) {
+    const table = this.table(tableName);
+
+    const source = options.asOf !== undefined
+      ? this.asOfSource(tableName, options.asOf, params)
+      : table;
+
+    const conditions = [];
+    if (!options.includeDeleted) {
+      conditions.push("\"_is_deleted\" = FALSE");
+    }
+    conditions.push(...this.where(tableName, options.where || {}, params));
+
+    return { source, conditions };
+  }
+
+  // A list of column names, or null for every column. A comma-separated
+  // string is accepted for REST callers.
+  selectColumns(tableName, select) {
+    if (select === undefined || select === null || select === "*") {
+      return null;
+    }
+
+    const columns = typeof select === "string"
+      ? select.split(",").map((column) => column.trim())
+      : select;
+
+    if (!Array.isArray(columns) || columns.length === 0) {
+      throw new QueryValidationError("select must be a non-empty list of columns");
+    }
+
+    columns.forEach((column) => this.column(tableName, column));
+    return [...columns];
+  }
+
+  // A where object ANDs its keys. Keys are columns, dotted JSONB paths
+  // ("profile.address.city") or the groups $and / $or (lists of where
+  // objects) and $not (a where object). A column maps to a value for
+  // equality or to an object of operators, which are ANDed.
+  where(tableName, where, params) {
+    if (!isPlainObject(where)) {
+      throw new QueryValidationError("where must be an object of column conditions");
+    }
+
+    const conditions = [];
+    for (const [key, value] of Object.entries(where)) {
+      if (key === "$and" || key === "$or") {
+        conditions.push(this.group(tableName, key, value, params));
+      } else if (key === "$not") {
+        const inner = this.where(tableName, value, params);
+        conditions.push(`NOT (${inner.length > 0 ? inner.join(" AND ") : "TRUE"})`);
+      } else if (key.startsWith("$")) {
+        throw new QueryValidationError(`Unknown operator: ${key}`, { operator: key });
+      } else {
+        conditions.push(...this.columnConditions(tableName, key, value, params));
+      }
+    }
+    return conditions;
+  }
+
+  group(tableName, key, clauses, params) {
+    if (!Array.isArray(clauses)) {
+      throw new QueryValidationError(`${key} must be a list of where objects`, { operator: key });
+    }
+    if (clauses.length === 0) {
+      return key === "$and" ? "TRUE" : "FALSE";
+    }
+
+    const parts = clauses.map((clause) => {
+      const inner = this.where(tableName, clause, params);
+      return inner.length > 0 ? inner.join(" AND ") : "TRUE";
+    });
+    return `(${parts.map((part) => `(${part})`).join(key === "$and" ? " AND " : " OR ")})`;
+  }
+
+  columnConditions(tableName, key, value, params) {
+    const operand = this.operand(tableName, key);
+
+    if (!isPlainObject(value)) {
+      return [this.comparison(operand, "$eq", value, params)];
+    }
+
+    const entries = Object.entries(value);
+    if (entries.length === 0) {
+      throw new QueryValidationError(`Empty condition for ${key}`, { column: key });
+    }
+    return entries.map(([op, opValue]) => this.comparison(operand, op, opValue, params));
+  }
+
+  // What a condition compares: a column, or a path inside a JSONB column
+  operand(tableName, key) {
+    const [columnName, ...path] = key.split(".");
+    const column = this.column(tableName, columnName);
+    const colDef = this.db.getTableSchema(tableName)[columnName];
+
+    if (colDef?.encrypted) {
+      throw new QueryValidationError(`Cannot filter on encrypted column: ${columnName}`, { column: columnName });
+    }
+
+    const type = colDef ? this.db.getColumnType(colDef) : null;
+    if (path.length === 0) {
+      return { key, sql: column, type };
+    }
+
+    if (type !== "JSONB") {
+      throw new QueryValidationError(`Path filters require a JSON column: ${key}`, { column: columnName });
+    }
+    return { key, column, path, type: "JSONB_PATH" };
+  }
+
+  comparison(operand, op, value, params) {
+    // Pattern matching is on text, so paths are then read with #>> instead
+    // of #>. Only one of the two is built, as every bound parameter must
+    // appear in the statement.
+    const textMatch = op === "$like" || op === "$ilike";
+    const sql = operand.path
+      ? `(${operand.column} ${textMatch ? "#>>" : "#>"} ${bind(params, operand.path)})`
+      : operand.sql;
+    // Values compared with a JSONB path are JSON values
+    const encode = (v) => (operand.path ? bind(params, JSON.stringify(v)) + "::jsonb" : bind(params, v));
+
+    switch (op) {
+      case "$eq":
+      case "$ne":
+        if (value === null || value === undefined) {
+          return `${sql} IS ${op === "$eq" ? "" : "NOT "}NULL`;
+        }
+        return `${sql} ${COMPARISONS[op]} ${encode(value)}`;
+      case "$gt":
+      case "$gte":
+      case "$lt":
+      case "$lte":
+        return `${sql} ${COMPARISONS[op]} ${encode(value)}`;
+      case "$like":
+      case "$ilike":
+        return `${sql} ${op === "$like" ? "LIKE" : "ILIKE"} ${bind(params, String(value))}`;
+      case "$in":
+      case "$nin": {
+        this.requireArray(operand, op, value);
+        if (value.length === 0) {
+          return op === "$in" ? "FALSE" : "TRUE";
+        }
+        const list = operand.path
+          ? `${bind(params, value.map((v) => JSON.stringify(v)))}::jsonb[]`
+          : bind(params, value);
+        return op === "$in" ? `${sql} = ANY(${list})` : `${sql} <> ALL(${list})`;
+      }
+      case "$between":
+        this.requireArray(operand, op, value);
+        if (value.length !== 2) {
+          throw new QueryValidationError(`$between on ${operand.key} needs [low, high]`, { column: operand.key });
+        }
+        return `${sql} BETWEEN ${encode(value[0])} AND ${encode(value[1])}`;
+      case "$isNull":
+        if (typeof value !== "boolean") {
+          throw new QueryValidationError(`$isNull on ${operand.key} must be true or false`, { column: operand.key });
+        }
+        return `${sql} IS ${value ? "" : "NOT "}NULL`;
+      case "$contains":
+      case "$containedBy": {
+        const symbol = op === "$contains" ? "@>" : "<@";
+        if (operand.type === "JSONB" || operand.type === "JSONB_PATH") {
+          return `${sql} ${symbol} ${bind(params, JSON.stringify(value))}::jsonb`;
+        }
+        if (operand.type === "TEXT[]") {
+          this.requireArray(operand, op, value);
+          return `${sql} ${symbol} ${bind(params, value)}`;
+        }
+        throw new QueryValidationError(`${op} requires a JSON or array column: ${operand.key}`, { column: operand.key });
+      }
+      default:
+        throw new QueryValidationError(`Unknown operator: ${op}`, { column: operand.key, operator: op });
+    }
+  }
+
+  requireArray(operand, op, value) {
+    if (!Array.isArray(value)) {
+      throw new QueryValidationError(`${op} on ${operand.key} needs an array`, { column: operand.key, operator: op });
+    }
+  }
+
+  // [{ column, direction }], direction "asc" (default) or "desc". A keyset
+  // order always ends in _tx_id so every row has a distinct position.
+  orderTerms(tableName, orderBy, keyset = false) {
+    const terms = orderBy === undefined || orderBy === null
+      ? []
+      : Array.isArray(orderBy) ? orderBy : [orderBy];
+
+    if (terms.some((term) => typeof term !== "object" || term === null)) {
+      throw new QueryValidationError("orderBy must be a list of { column, direction }");
+    }
+
+    const order = terms.map(({ column, direction = "asc" }) => {
+      const normalized = String(direction).toUpperCase();
+      if (normalized !== "ASC" && normalized !== "DESC") {
+        throw new QueryValidationError(`Invalid sort direction: ${direction}`, { column, direction });
+      }
+      this.column(tableName, column);
+      return { column, direction: normalized };
+    });
+
+    if (keyset && !order.some((term) => term.column === "_tx_id")) {
+      order.push({ column: "_tx_id", direction: "ASC" });
+    }
+    return order;
+  }
+
+  // Rows strictly after the cursor position in `order`. PostgreSQL sorts
+  // NULLs last ascending and first descending, which the per-column
+  // comparisons follow.
+  after(order, values, params) {
+    const branches = order.map((term, i) => {
+      const equalities = order.slice(0, i).map((prior, j) => {
+        const column = quoteIdentifier(prior.column);
+        return values[j] === null ? `${column} IS NULL` : `${column} = ${bind(params, values[j])}`;
+      });
+      return [...equalities, this.beyond(term, values[i], params)].join(" AND ");
+    });
+    return `(${branches.map((branch) => `(${branch})`).join(" OR ")})`;
+  }
+
+  beyond(term, value, params) {
+    const column = quoteIdentifier(term.column);
+    if (term.direction === "ASC") {
+      return value === null ? "FALSE" : `(${column} > ${bind(params, value)} OR ${column} IS NULL)`;
+    }
+    return value === null ? `${column} IS NOT NULL` : `${column} < ${bind(params, value)}`;
+  }
+
+  // Opaque to callers: the order it was built for and the last row's sort
+  // keys in their text form, which PostgreSQL casts back to each column's type
+  encodeCursor(order, row) {
+    const payload = {
+      o: order.map((term) => `${term.column}:${term.direction}`),
+      v: order.map((term, i) => row[cursorKey(i)] ?? null)
+    };
+    return Buffer.from(JSON.stringify(payload)).toString("base64url");
+  }
+
+  decodeCursor(cursor, order) {
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    } catch (error) {
+      throw new QueryValidationError("Invalid cursor");
+    }
+
+    const signature = order.map((term) => `${term.column}:${term.direction}`);
+    if (!Array.isArray(payload?.o) || !Array.isArray(payload.v) || payload.o.join(",") !== signature.join(",")) {
+      throw new QueryValidationError("Cursor does not match this query's orderBy");
+    }
+    if (!payload.v.every((value) => value === null || typeof value === "string")) {
+      throw new QueryValidationError("Invalid cursor");
+    }
+    return payload.v;
+  }
+
+  // Splits off the extra row fetched by a paginated select and drops the
+  // sort keys selected for the cursor
+  nextPage(page, rows) {
+    if (!page) {
+      return { rows, nextCursor: null };
+    }
+    const last = rows.length > page.limit ? rows[page.limit - 1] : null;
+    const pageRows = rows.slice(0, page.limit).map((row) => {
+      const data = { ...row };
+      page.order.forEach((term, i) => delete data[cursorKey(i)]);
+      return data;
+    });
+    return { rows: pageRows, nextCursor: last ? this.encodeCursor(page.order, last) : null };
+  }
+
+  nonNegativeInteger(name, value) {
+    const number = typeof value === "string" && /^\d+$/.test(value) ? Number(value) : value;
+    if (!Number.isSafeInteger(number) || number < 0) {
+      throw new QueryValidationError(`${name} must be a non-negative integer`, { [name]: value });
+    }
+    return number;
+  }
+
+  // The table as it was at a point in time: the latest recorded version of
+  // each row whose audit entry is at or before `asOf`, which is a Date, ISO
+  // string, epoch milliseconds or { sequenceNumber }.
+  asOfSource(tableName, asOf, params) {
+    const table = this.table(tableName);
+    let condition;
+
+    if (asOf && typeof asOf === "object" && !(asOf instanceof Date)) {
+      const sequenceNumber = this.nonNegativeInteger("asOf.sequenceNumber", asOf.sequenceNumber);
+      condition = `a.hedera_sequence_number <= ${bind(params, sequenceNumber)}`;
+    } else {
+      const millis = /^\d+$/.test(String(asOf)) ? Number(asOf) : new Date(asOf).getTime();
+      if (Number.isNaN(millis)) {
+        throw new QueryValidationError(`Invalid asOf value: ${asOf}`, { asOf });
+      }
+      condition = `a.hedera_timestamp <= ${bind(params, millis)}`;
+    }
+
+    return `(
+      SELECT DISTINCT ON (h.tx_id) (jsonb_populate_record(NULL::${table}, h.data)).*
+      FROM _row_history h
+      JOIN _audit_log a ON a.id = h.audit_id
+      WHERE h.table_name = ${bind(params, tableName)} AND ${condition}
+      ORDER BY h.tx_id, h.id DESC
+    ) AS ${table}`;
+  }
+}
+
+module.exports = {
+  QueryBuilder,
+  SYSTEM_COLUMNS,
+  quoteIdentifier
+};
@@ -0,0 +1,140 @@
+/**
+ * RowPolicy.js
+ * Declarative row-level access policies. Each table may restrict which rows
+ * a principal can read, update or delete with a where object (the query
+ * language of QueryBuilder) in which { $principal: "path" } stands for an
+ * attribute of the calling principal:
+ *
+ *   policies: {
+ *     orders: { all: { user_id: { $principal: "id" } }, bypassRoles: ["admin"] },
+ *     invoices: {
+ *       read: { tenant_id: { $principal: "claims.tenant" } },
+ *       update: { tenant_id: { $principal: "claims.tenant" }, status: "draft" }
+ *     }
+ *   }
+ *
+ * `all` covers the actions not listed. Policies apply to calls whose
+ * options or metadata carry a `principal`; calls without one are trusted
+ * (replay, verification sweeps, scripts). Reads simply leave hidden rows
+ * out; acting on a specific row the policy hides is denied with a
+ * ForbiddenError and recorded in _audit_log as POLICY_DENIED. Updates
+ * must satisfy the policy both before and after the change.
+ */
+
+const { ForbiddenError, SchemaValidationError } = require("../utils/errors");
+
+const POLICY_ACTIONS = ["read", "update", "delete"];
+const POLICY_KEYS = [...POLICY_ACTIONS, "all", "bypassRoles"];
+const DENIED_OPERATION = "POLICY_DENIED";
+
+const isPlainObject = (value) => value !== null && typeof value === "object"
+  && Object.getPrototypeOf(value) === Object.prototype;
+
+class RowPolicy {
+  constructor(db, policies = {}) {
+    this.db = db;
+    this.policies = policies;
+
+    for (const [tableName, policy] of Object.entries(policies)) {
+      for (const key of Object.keys(policy)) {
+        if (!POLICY_KEYS.includes(key)) {
+          throw new SchemaValidationError(`Unknown policy option ${tableName}.${key}`, { table: tableName, option: key });
+        }
+      }
+    }
+  }
+
+  // Policies naming tables the schema does not have are configuration
+  // mistakes, caught when the schema is known
+  assertTables(schema) {
+    for (const tableName of Object.keys(this.policies)) {
+      if (!Object.prototype.hasOwnProperty.call(schema, tableName)) {
+        throw new SchemaValidationError(`Policy for unknown table ${tableName}`, { table: tableName });
+      }
+    }
+  }
+
+  // The where object the principal is held to, or null when unrestricted
+  async whereFor(tableName, action, principal, txId = null) {
+    const policy = Object.prototype.hasOwnProperty.call(this.policies, tableName) ? this.policies[tableName] : null;
+    const rule = policy && (policy[action] || policy.all);
+    if (!principal || !rule) return null;
+
+    const roles = principal.roles || [];
+    if ((policy.bypassRoles || []).some((role) => roles.includes(role))) return null;
+
+    try {
+      return this.resolve(rule, principal);
+    } catch (error) {
+      await this.recordDenial(tableName, action, txId, principal, error.message);
+      throw new ForbiddenError(error.message, { table: tableName, action });
+    }
+  }
+
+  // ANDs the policy into a caller's where object
+  async restrict(tableName, action, principal, where) {
+    const policyWhere = await this.whereFor(tableName, action, principal);
+    if (!policyWhere) return where;
+    return where && Object.keys(where).length > 0 ? { $and: [where, policyWhere] } : policyWhere;
+  }
+
+  // Denies acting on one row unless the policy lets the principal see it.
+  // Rows that no longer exist cannot satisfy a policy.
+  async assertRow(client, tableName, action, principal, txId) {
+    const where = await this.whereFor(tableName, action, principal, txId);
+    if (!where) return;
+
+    const { text, params } = this.db.queries.rowMatches(tableName, txId, where);
+    const result = await client.query(text, params);
+    if (result.rows.length > 0) return;
+
+    const reason = `Row policy denies ${action} on ${tableName} ${txId}`;
+    await this.recordDenial(tableName, action, txId, principal, reason);
+    throw new ForbiddenError(reason, { table: tableName, action, txId });
+  }
+
+  resolve(value, principal) {
+    if (Array.isArray(value)) {
+      return value.map((item) => this.resolve(item, principal));
+    }
+    if (!isPlainObject(value)) {
+      return value;
+    }
+
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === "$principal") {
+      const resolved = String(value.$principal).split(".")
+        .reduce((target, key) => (target !== null && typeof target === "object" ? target[key] : undefined), principal);
+      // A missing attribute must not turn into an IS NULL match
+      if (resolved === undefined || resolved === null) {
+        throw new Error(`Principal ${principal.id} has no ${value.$principal} for the row policy`);
+      }
+      return resolved;
+    }
+
+    return Object.fromEntries(keys.map((key) => [key, this.resolve(value[key], principal)]));
+  }
+
+  // Written outside the caller's transaction, which is about to roll back.
+  // Denials stay local: they are not anchored on the ledger.
+  async recordDenial(tableName, action, txId, principal, reason) {
+    await this.db.pgPool.query(`
+      INSERT INTO _audit_log
+      (tx_id, table_name, operation, data_hash, hedera_timestamp, hedera_topic_id,
+       metadata, user_id, anchor_status)
+      VALUES ($1, $2, $3, '', $4, $5, $6, $7, 'local')
+    `, [
+      txId || "",
+      tableName,
+      DENIED_OPERATION,
+      Date.now(),
+      this.db.topicId?.toString() || null,
+      JSON.stringify({ action, reason, roles: principal.roles || [] }),
+      principal.id || null
+    ]);
+
+    this.db.emit("policy-denied", { tableName, action, txId, userId: principal.id, reason });
+  }
+}
+
+module.exports = { RowPolicy, POLICY_ACTIONS, DENIED_OPERATION };
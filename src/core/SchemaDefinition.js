@@ -0,0 +1,443 @@
+/**
+ * SchemaDefinition.js
+ * Validation of schema definitions and the relational constraints they
+ * declare. Alongside its columns a table may carry `$unique`, `$indexes`
+ * and `$check`; keys starting with `$` are never columns.
+ *
+ *   orders: {
+ *     user_id: { type: "uuid", nullable: false, references: { table: "users", column: "id" }, onDelete: "restrict" },
+ *     amount: { type: "number", check: "amount >= 0" },
+ *     status: { type: "string" },
+ *     $unique: [["user_id", "status"]],
+ *     $indexes: [{ columns: ["status", "amount"] }],
+ *     $check: { positive_total: "amount > 0 OR status = 'void'" }
+ *   }
+ *
+ * `references` is a table name ("users", which targets _tx_id), a
+ * "table.column" string or { table, column, onDelete, onUpdate }; the target
+ * must be _tx_id or a unique column. Every constraint gets a deterministic
+ * name so migrations can diff them. onDelete and onUpdate accept only
+ * "restrict" and "no action": CASCADE, SET NULL and SET DEFAULT would change
+ * rows inside PostgreSQL with no audit entry or ledger message.
+ *
+ * A column `default` is a value of the column's type (true, 0, "pending",
+ * { "tags": [] }), a string already written as a quoted SQL literal
+ * ("'pending'"), or one of the DEFAULT_FUNCTIONS; it is never placed in DDL
+ * as written. `check` and `$check` are SQL expressions placed as written,
+ * so schemas from untrusted callers are validated with
+ * allowCheckExpressions: false. A `pattern` is compiled into a RegExp that
+ * every write is matched against, and one that backtracks badly can stall
+ * the process; allowPatterns: false refuses those too.
+ */
+
+const { escapeLiteral } = require("pg");
+const { quoteIdentifier, SYSTEM_COLUMNS } = require("./QueryBuilder");
+const { InvalidIdentifierError, SchemaValidationError } = require("../utils/errors");
+
+const REFERENTIAL_ACTIONS = {
+  restrict: "RESTRICT",
+  noaction: "NO ACTION"
+};
+
+// Column types as declared in a schema, and the PostgreSQL type each is
+// stored as. Unknown types are stored as TEXT.
+const POSTGRES_TYPES = {
+  string: "TEXT",
+  text: "TEXT",
+  varchar: "VARCHAR(255)",
+  number: "NUMERIC",
+  integer: "INTEGER",
+  int: "INTEGER",
+  bigint: "BIGINT",
+  float: "REAL",
+  double: "DOUBLE PRECISION",
+  boolean: "BOOLEAN",
+  bool: "BOOLEAN",
+  timestamp: "BIGINT",
+  date: "DATE",
+  datetime: "TIMESTAMP",
+  time: "TIME",
+  json: "JSONB",
+  jsonb: "JSONB",
+  uuid: "UUID",
+  array: "TEXT[]",
+  binary: "BYTEA"
+};
+
+const NUMERIC_TYPES = ["NUMERIC", "INTEGER", "BIGINT", "REAL", "DOUBLE PRECISION"];
+
+// Defaults computed by PostgreSQL, by how a schema may spell them
+const DEFAULT_FUNCTIONS = {
+  "now()": "CURRENT_TIMESTAMP",
+  current_timestamp: "CURRENT_TIMESTAMP",
+  current_date: "CURRENT_DATE",
+  current_time: "CURRENT_TIME",
+  "gen_random_uuid()": "gen_random_uuid()"
+};
+
+const SQL_STRING_LITERAL = /^'(?:[^'\\]|'')*'$/;
+const NUMERIC_LITERAL = /^-?\d+(\.\d+)?$/;
+
+// PostgreSQL truncates longer names, so generated ones are cut the same way
+const MAX_NAME_LENGTH = 63;
+
+function isTableOption(key) {
+  return key.startsWith("$");
+}
+
+function columnEntries(tableSchema) {
+  return Object.entries(tableSchema).filter(([key]) => !isTableOption(key));
+}
+
+function normalizeColumn(colDef) {
+  return typeof colDef === "string" ? { type: colDef } : colDef;
+}
+
+function postgresType(type) {
+  const key = String(type).toLowerCase();
+  return Object.prototype.hasOwnProperty.call(POSTGRES_TYPES, key) ? POSTGRES_TYPES[key] : "TEXT";
+}
+
+// By declared type, whether or not the column is stored encrypted
+function isNumericColumn(colDef) {
+  return Boolean(colDef) && NUMERIC_TYPES.includes(postgresType(normalizeColumn(colDef).type || "string"));
+}
+
+// How rowHash normalizes a column's values (see hashUtils). Encrypted
+// dates come back as the JSON the caller sealed, so they are not
+// normalized as dates.
+function hashKind(colDef) {
+  if (!colDef) return null;
+  if (isNumericColumn(colDef)) return "numeric";
+
+  const column = normalizeColumn(colDef);
+  if (column.encrypted) return null;
+  const type = postgresType(column.type || "string");
+  if (type === "DATE") return "date";
+  if (type === "TIMESTAMP") return "datetime";
+  return null;
+}
+
+function constraintName(...parts) {
+  return parts.join("_").slice(0, MAX_NAME_LENGTH);
+}
+
+// Name of the plain index a column's `index: true` asks for
+function indexName(table, column) {
+  return quoteIdentifier(constraintName("idx", table, column));
+}
+
+function referentialAction(action, table, column) {
+  const normalized = REFERENTIAL_ACTIONS[String(action).toLowerCase().replace(/[\s_]/g, "")];
+  if (!normalized) {
+    throw new SchemaValidationError(
+      `Invalid referential action on ${table}.${column}: ${action} (only restrict and no action are audited)`,
+      { table, column, action }
+    );
+  }
+  return normalized;
+}
+
+function parseReference(tableName, column, colDef) {
+  const ref = typeof colDef.references === "string"
+    ? { table: colDef.references.split(".")[0], column: colDef.references.split(".")[1] }
+    : colDef.references;
+
+  return {
+    table: ref.table,
+    column: ref.column || "_tx_id",
+    onDelete: ref.onDelete ?? colDef.onDelete,
+    onUpdate: ref.onUpdate ?? colDef.onUpdate
+  };
+}
+
+// The DEFAULT clause for a column's `default`, or null when it has none
+function defaultSql(colDef, table, column) {
+  const value = colDef.default;
+  if (value === undefined || value === null) return null;
+
+  const invalid = (reason) => new SchemaValidationError(
+    `Invalid default for ${table}.${column}: ${reason}`,
+    { table, column, default: value }
+  );
+  if (colDef.encrypted) {
+    throw invalid("encrypted columns cannot have a default");
+  }
+
+  const type = postgresType(colDef.type || "string");
+  if (typeof value === "string") {
+    const fn = DEFAULT_FUNCTIONS[value.trim().toLowerCase()];
+    if (fn) return fn;
+    if (SQL_STRING_LITERAL.test(value) && !NUMERIC_TYPES.includes(type) && type !== "BOOLEAN") return `${value}::${type}`;
+  }
+
+  if (NUMERIC_TYPES.includes(type)) {
+    if ((typeof value === "number" && Number.isFinite(value)) || (typeof value === "string" && NUMERIC_LITERAL.test(value))) {
+      return String(value);
+    }
+    throw invalid("expected a number");
+  }
+  if (type === "BOOLEAN") {
+    const flag = typeof value === "string" ? value.toLowerCase() : value;
+    if (flag === true || flag === "true") return "TRUE";
+    if (flag === false || flag === "false") return "FALSE";
+    throw invalid("expected true or false");
+  }
+  if (type === "JSONB") {
+    return `${escapeLiteral(JSON.stringify(value))}::JSONB`;
+  }
+  if (type === "TEXT[]") {
+    if (!Array.isArray(value) || !value.every((item) => typeof item === "string")) {
+      throw invalid("expected a list of strings");
+    }
+    return `ARRAY[${value.map(escapeLiteral).join(", ")}]::TEXT[]`;
+  }
+  if (typeof value !== "string") {
+    throw invalid("expected a string");
+  }
+  return `${escapeLiteral(value)}::${type}`;
+}
+
+// SQL expressions are placed in DDL as written, so they may not end the
+// statement or hide the rest of it in a comment
+function assertExpression(expression, table, where) {
+  if (typeof expression !== "string" || expression.trim() === "" || /;|--|\/\*/.test(expression)) {
+    throw new SchemaValidationError(`Invalid check expression on ${table}.${where}`, { table, check: where });
+  }
+}
+
+function listOf(value, table, option) {
+  if (!Array.isArray(value)) {
+    throw new SchemaValidationError(`${table}.${option} must be a list`, { table, option });
+  }
+  return value;
+}
+
+// Every constraint and index a table declares, keyed by name
+function constraintsFor(tableName, tableSchema) {
+  const table = quoteIdentifier(tableName);
+  const columnList = (columns) => columns.map(quoteIdentifier).join(", ");
+  const constraints = [];
+
+  for (const [column, rawDef] of columnEntries(tableSchema)) {
+    const colDef = normalizeColumn(rawDef);
+
+    if (colDef.references) {
+      const ref = parseReference(tableName, column, colDef);
+      let definition = `FOREIGN KEY (${quoteIdentifier(column)}) REFERENCES ${quoteIdentifier(ref.table)} (${quoteIdentifier(ref.column)})`;
+      if (ref.onDelete) definition += ` ON DELETE ${referentialAction(ref.onDelete, tableName, column)}`;
+      if (ref.onUpdate) definition += ` ON UPDATE ${referentialAction(ref.onUpdate, tableName, column)}`;
+      constraints.push({ name: constraintName(tableName, column, "fkey"), type: "foreignKey", definition, reference: ref, column });
+    }
+
+    if (colDef.check !== undefined) {
+      assertExpression(colDef.check, tableName, column);
+      constraints.push({ name: constraintName(tableName, column, "check"), type: "check", definition: `CHECK (${colDef.check})` });
+    }
+  }
+
+  for (const columns of listOf(tableSchema.$unique || [], tableName, "$unique")) {
+    const list = listOf(columns, tableName, "$unique");
+    constraints.push({ name: constraintName(tableName, ...list, "key"), type: "unique", definition: `UNIQUE (${columnList(list)})`, columns: list });
+  }
+
+  for (const index of listOf(tableSchema.$indexes || [], tableName, "$indexes")) {
+    const spec = Array.isArray(index) ? { columns: index } : index;
+    const list = listOf(spec.columns, tableName, "$indexes");
+    constraints.push({
+      name: spec.name || constraintName("idx", tableName, ...list),
+      type: "index",
+      unique: Boolean(spec.unique),
+      definition: `ON ${table} (${columnList(list)})`,
+      columns: list
+    });
+  }
+
+  for (const [name, expression] of Object.entries(tableSchema.$check || {})) {
+    assertExpression(expression, tableName, name);
+    constraints.push({ name: constraintName(tableName, name, "check"), type: "check", definition: `CHECK (${expression})` });
+  }
+
+  for (const constraint of constraints) {
+    quoteIdentifier(constraint.name);
+  }
+  return constraints;
+}
+
+// ALTER statements adding or dropping one constraint, used by migrations
+function addConstraintSql(tableName, constraint) {
+  if (constraint.type === "index") {
+    return `CREATE ${constraint.unique ? "UNIQUE " : ""}INDEX IF NOT EXISTS ${quoteIdentifier(constraint.name)} ${constraint.definition}`;
+  }
+  return `ALTER TABLE ${quoteIdentifier(tableName)} ADD CONSTRAINT ${quoteIdentifier(constraint.name)} ${constraint.definition}`;
+}
+
+function dropConstraintSql(tableName, constraint) {
+  if (constraint.type === "index") {
+    return `DROP INDEX IF EXISTS ${quoteIdentifier(constraint.name)}`;
+  }
+  return `ALTER TABLE ${quoteIdentifier(tableName)} DROP CONSTRAINT IF EXISTS ${quoteIdentifier(constraint.name)}`;
+}
+
+// Paths the API serves ahead of /:table, which would hide a table so named
+const RESERVED_TABLE_NAMES = ["anchors", "changes", "databases", "db", "export", "metrics", "transactions", "verify", "webhooks"];
+
+// Schema names end up in DDL, so they are held to the same rules as query
+// input; constraints must point at columns and tables that exist.
+function assertValidSchema(schema, options = {}) {
+  if (schema === null || typeof schema !== "object" || Array.isArray(schema)) {
+    throw new SchemaValidationError("Schema must be an object of table definitions");
+  }
+
+  const allowCheckExpressions = options.allowCheckExpressions !== false;
+  const allowPatterns = options.allowPatterns !== false;
+  for (const [tableName, tableSchema] of Object.entries(schema)) {
+    quoteIdentifier(tableName);
+    if (RESERVED_TABLE_NAMES.includes(tableName)) {
+      throw new InvalidIdentifierError(`Table name ${tableName} is reserved for an API route`, { table: tableName });
+    }
+    if (tableSchema === null || typeof tableSchema !== "object" || Array.isArray(tableSchema)) {
+      throw new SchemaValidationError(`Table ${tableName} must be an object of columns`, { table: tableName });
+    }
+    for (const [column, rawDef] of columnEntries(tableSchema)) {
+      quoteIdentifier(column);
+      if (SYSTEM_COLUMNS.includes(column)) {
+        throw new InvalidIdentifierError(`Column ${tableName}.${column} clashes with a system column`, { table: tableName, column });
+      }
+
+      const colDef = normalizeColumn(rawDef);
+      if (colDef === null || typeof colDef !== "object") {
+        throw new SchemaValidationError(`Column ${tableName}.${column} must be a type name or a definition`, { table: tableName, column });
+      }
+      defaultSql(colDef, tableName, column);
+      if (!allowCheckExpressions && colDef.check !== undefined) {
+        throw new SchemaValidationError(`Check expressions are not accepted here (${tableName}.${column})`, { table: tableName, column });
+      }
+      if (!allowPatterns && colDef.pattern !== undefined) {
+        throw new SchemaValidationError(`Patterns are not accepted here (${tableName}.${column})`, { table: tableName, column });
+      }
+    }
+    if (!allowCheckExpressions && tableSchema.$check !== undefined) {
+      throw new SchemaValidationError(`Check expressions are not accepted here (${tableName}.$check)`, { table: tableName });
+    }
+    for (const key of Object.keys(tableSchema).filter(isTableOption)) {
+      if (!["$unique", "$indexes", "$check"].includes(key)) {
+        throw new SchemaValidationError(`Unknown table option ${tableName}.${key}`, { table: tableName, option: key });
+      }
+    }
+  }
+
+  const hasColumn = (tableName, column) => SYSTEM_COLUMNS.includes(column)
+    || columnEntries(schema[tableName]).some(([name]) => name === column);
+
+  for (const [tableName, tableSchema] of Object.entries(schema)) {
+    for (const constraint of constraintsFor(tableName, tableSchema)) {
+      for (const column of constraint.columns || []) {
+        if (!hasColumn(tableName, column)) {
+          throw new SchemaValidationError(`${constraint.name} names unknown column ${tableName}.${column}`, { table: tableName, column });
+        }
+      }
+
+      if (constraint.type === "foreignKey") {
+        assertReference(schema, tableName, constraint);
+      }
+    }
+  }
+
+  orderTablesByReferences(schema);
+}
+
+function assertReference(schema, tableName, { reference: ref, column }) {
+  const colDef = normalizeColumn(schema[tableName][column]);
+
+  if (!Object.prototype.hasOwnProperty.call(schema, ref.table)) {
+    throw new SchemaValidationError(`${tableName}.${column} references unknown table ${ref.table}`, { table: tableName, column, references: ref.table });
+  }
+  if (colDef.encrypted) {
+    throw new SchemaValidationError(`Encrypted column ${tableName}.${column} cannot be a foreign key`, { table: tableName, column });
+  }
+
+  // A foreign key must point at something unique
+  const targetSchema = schema[ref.table];
+  const targetDef = Object.prototype.hasOwnProperty.call(targetSchema, ref.column) && !isTableOption(ref.column)
+    ? normalizeColumn(targetSchema[ref.column])
+    : null;
+  const uniqueTarget = ref.column === "_tx_id"
+    || targetDef?.unique
+    || (targetSchema.$unique || []).some((cols) => cols.length === 1 && cols[0] === ref.column);
+
+  if (!uniqueTarget) {
+    throw new SchemaValidationError(
+      `${tableName}.${column} references ${ref.table}.${ref.column}, which is neither _tx_id nor unique`,
+      { table: tableName, column, references: `${ref.table}.${ref.column}` }
+    );
+  }
+
+  if (ref.onDelete) referentialAction(ref.onDelete, tableName, column);
+  if (ref.onUpdate) referentialAction(ref.onUpdate, tableName, column);
+}
+
+// Referenced tables first, so inline foreign keys always find their target
+function orderTablesByReferences(schema) {
+  const ordered = [];
+  const state = new Map();
+
+  const visit = (tableName, path) => {
+    if (state.get(tableName) === "done") return;
+    if (state.get(tableName) === "visiting") {
+      throw new SchemaValidationError(`Circular table references: ${[...path, tableName].join(" -> ")}`, { tables: [...path, tableName] });
+    }
+
+    state.set(tableName, "visiting");
+    for (const constraint of constraintsFor(tableName, schema[tableName])) {
+      const target = constraint.reference?.table;
+      if (target && target !== tableName && schema[target]) {
+        visit(target, [...path, tableName]);
+      }
+    }
+    state.set(tableName, "done");
+    ordered.push(tableName);
+  };
+
+  for (const tableName of Object.keys(schema)) {
+    visit(tableName, []);
+  }
+  return ordered;
+}
+
+// The constraints as applied, for the SCHEMA_INIT message
+function describeConstraints(schema) {
+  const described = {};
+  for (const [tableName, tableSchema] of Object.entries(schema)) {
+    const constraints = constraintsFor(tableName, tableSchema);
+    if (constraints.length > 0) {
+      described[tableName] = constraints.map(({ name, type, unique, definition }) => ({
+        name,
+        type,
+        ...(unique && { unique }),
+        definition
+      }));
+    }
+  }
+  return described;
+}
+
+module.exports = {
+  POSTGRES_TYPES,
+  RESERVED_TABLE_NAMES,
+  NUMERIC_TYPES,
+  postgresType,
+  isNumericColumn,
+  hashKind,
+  isTableOption,
+  columnEntries,
+  normalizeColumn,
+  defaultSql,
+  indexName,
+  constraintsFor,
+  addConstraintSql,
+  dropConstraintSql,
+  assertValidSchema,
+  orderTablesByReferences,
+  describeConstraints
+};
@@ -1,33 +1,387 @@
-class SyncManager {
-  constructor(db) {
+/**
+ * SyncManager.js
+ * Rebuilds PostgreSQL state from the audit topic. Requires the topic to be
+ * written in replay mode (config.replay.enabled) so messages carry row
+ * payloads. Every row hash is re-verified as it is applied, and progress is
+ * checkpointed in _sync_state so a restarted node resumes where it stopped.
+ */
+
+const EventEmitter = require('events');
+const { MigrationRunner } = require('../migrations/migrationRunner');
+const { SYSTEM_COLUMNS, quoteIdentifier } = require('./QueryBuilder');
+const { assertValidSchema } = require('./SchemaDefinition');
+
+class SyncManager extends EventEmitter {
+  constructor(db, options = {}) {
+    super();
     this.db = db;
+    this.log = db.logger.child({ component: 'sync' });
+    this.topicId = options.topicId || db.topicId;
+    this.allowMissingPayload = options.allowMissingPayload || false;
     this.lastSyncedSequence = 0;
+    this.subscription = null;
+    this.queue = Promise.resolve();
+  }
+
+  async syncFromHedera(options = {}) {
+    if (!this.topicId) {
+      throw new Error('SyncManager requires a topicId');
+    }
+
+    await this.ensureCheckpointTable();
+    await this.loadCheckpoint();
+
+    const { sequenceNumber: targetSequence } = await this.db.ledger.getTopicInfo(this.topicId);
+    this.db.telemetry.recordSequence('latest', targetSequence);
+    const follow = options.follow !== false;
+    this.log.info('Sync started', {
+      topicId: this.topicId.toString(),
+      fromSequence: this.lastSyncedSequence + 1,
+      targetSequence,
+      follow
+    });
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const settle = (error) => {
+        if (settled) return;
+        settled = true;
+        if (error || !follow) this.stop();
+        error ? reject(error) : resolve({ lastSyncedSequence: this.lastSyncedSequence });
+      };
+
+      if (this.lastSyncedSequence >= targetSequence) {
+        settle();
+        if (!follow) return;
+      }
+
+      this.subscription = this.db.subscribeToAuditStream((operation, message) => {
+        // Messages arrive faster than they can be applied; chain them so
+        // they are applied strictly in sequence order.
+        this.queue = this.queue
+          .then(async () => {
+            if (message.sequenceNumber <= this.lastSyncedSequence) {
+              return; // Already processed
+            }
+
+            await this.applyMessage(operation, message);
+
+            if (this.lastSyncedSequence >= targetSequence) {
+              settle();
+            }
+          })
+          .catch((error) => {
+            this.log.error('Sync stopped', { sequenceNumber: message.sequenceNumber, type: operation.type, err: error });
+            settle(error);
+            this.emit('sync-error', error);
+          });
+      }, {
+        topicId: this.topicId,
+        fromSequence: this.lastSyncedSequence + 1,
+        onError: (error) => {
+          this.log.error('Topic subscription failed', { err: error });
+          settle(error);
+        }
+      });
+    });
   }
 
-  async syncFromHedera() {
-    // Subscribe to Hedera topic and replay all messages
-    await this.db.subscribeToAuditStream(async (operation, message) => {
-      if (message.sequenceNumber <= this.lastSyncedSequence) {
-        return; // Already processed
+  stop() {
+    if (this.subscription) {
+      this.subscription.unsubscribe();
+      this.subscription = null;
+    }
+  }
+
+  async applyMessage(operation, message) {
+    if (operation.type === 'SCHEMA_INIT') {
+      // DDL manages its own transaction
+      await this.applySchemaInit(operation);
+      await this.saveCheckpoint(this.db.pgPool, message.sequenceNumber);
+    } else {
+      const client = await this.db.pgPool.connect();
+      try {
+        await client.query('BEGIN');
+        await this.applyOperation(client, operation, message);
+        await this.saveCheckpoint(client, message.sequenceNumber);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
       }
+    }
 
-      // Apply operation to local PostgreSQL
-      await this.applyOperation(operation);
-      this.lastSyncedSequence = message.sequenceNumber;
+    this.lastSyncedSequence = message.sequenceNumber;
+    this.db.telemetry.recordSequence('applied', message.sequenceNumber);
+    this.emit('applied', { type: operation.type, txId: operation.txId, sequenceNumber: message.sequenceNumber });
+    this.log.debug('Message applied', {
+      type: operation.type,
+      table: operation.table,
+      txId: operation.txId,
+      sequenceNumber: message.sequenceNumber,
+      requestId: operation.metadata?.requestId
     });
   }
 
-  async applyOperation(operation) {
+  async applyOperation(client, operation, message) {
     switch (operation.type) {
       case 'INSERT':
-        // Verify hash and apply insert
+        await this.applyInsert(client, operation, message);
         break;
       case 'UPDATE':
-        // Verify hash and apply update
+        await this.applyUpdate(client, operation, message);
+        break;
+      case 'DELETE_SOFT':
+      case 'DELETE_HARD':
+        await this.applyDelete(client, operation, message);
         break;
-      case 'DELETE':
-        // Apply delete
+      case 'SCHEMA_MIGRATE':
+        await this.applySchemaMigrate(client, operation, message);
         break;
+      case 'TRANSACTION':
+        // Children share the parent's PostgreSQL transaction and sequence number
+        for (const child of operation.operations) {
+          await this.applyOperation(client, child, message);
+        }
+        break;
+      default:
+        this.emit('skipped', { type: operation.type, sequenceNumber: message.sequenceNumber });
+        this.log.debug('Message skipped', { type: operation.type, sequenceNumber: message.sequenceNumber });
+    }
+  }
+
+  async applySchemaInit(operation) {
+    // Anyone holding the submit key can post to the topic
+    assertValidSchema(operation.schema);
+    await this.db.createPostgresInfrastructure(operation.schema);
+    await this.db.recordSchemaVersion(this.db.pgPool, operation);
+
+    this.db.schemaCache.set('main', operation.schema);
+    this.db.topicId = this.topicId;
+    this.db.isInitialized = true;
+  }
+
+  // The message's change list is not trusted: the changes are recomputed
+  // from the recorded schema and the validated target schema. Rows are
+  // rehashed as the migration rehashed them, unless the message predates
+  // rehashing (it has no rehash key).
+  async applySchemaMigrate(client, operation, message) {
+    assertValidSchema(operation.schema);
+    const recorded = await this.db.getRecordedSchema(client);
+    if (recorded && recorded.version === operation.version) {
+      return; // Already applied
+    }
+
+    const runner = new MigrationRunner(this.db);
+    const currentSchema = recorded ? recorded.schema : this.db.schemaCache.get('main');
+    const changes = runner.diff(currentSchema, operation.schema, this.renamesOf(operation));
+    this.db.assertEncryptionConfigured(operation.schema);
+
+    if (operation.rehash === undefined) {
+      await runner.applyChanges(client, changes, operation.schema);
+    } else {
+      const rehash = await runner.migrate(client, currentSchema, operation.schema, changes, operation.version);
+      const expected = operation.rehash ? operation.rehash.root : null;
+      if ((rehash ? rehash.root : null) !== expected) {
+        throw new Error(
+          `Rehash mismatch at sequence ${message.sequenceNumber} for migration ${operation.version}: expected ${expected}, got ${rehash ? rehash.root : null}`
+        );
+      }
+      if (rehash) {
+        rehash.batchId = operation.rehash.batchId;
+        await runner.recordRehash(client, rehash, {
+          sequenceNumber: message.sequenceNumber,
+          consensusTimestamp: message.consensusTimestamp,
+          runningHash: message.runningHash
+        }, operation.metadata || {});
+      }
+    }
+    await this.db.recordSchemaVersion(client, operation);
+    this.db.schemaCache.set('main', operation.schema);
+  }
+
+  // Messages written before renames were recorded carry them only in changes
+  renamesOf(operation) {
+    if (operation.renames) return operation.renames;
+
+    const renames = {};
+    for (const change of operation.changes || []) {
+      if (change.type === 'renameColumn') {
+        renames[change.table] = { ...renames[change.table], [change.from]: change.to };
+      }
+    }
+    return renames;
+  }
+
+  async applyInsert(client, operation, message) {
+    const payload = this.requirePayload(operation, message);
+    if (!payload) return;
+
+    // Rules apply to the plaintext, not the stored ciphertext
+    const plaintext = this.db.decryptSensitiveFields(operation.table, payload);
+    this.db.validateData(operation.table, plaintext);
+
+    const calculatedHash = this.db.calculateRowHash(operation.table, plaintext);
+    this.assertHash(operation, message, operation.dataHash, calculatedHash);
+
+    const existing = await this.selectRow(client, operation.table, operation.txId);
+    if (existing) {
+      this.assertHash(operation, message, operation.dataHash, existing._data_hash);
+      return;
     }
+
+    const columns = Object.keys(payload).map(quoteIdentifier);
+    const values = Object.values(payload);
+    const placeholders = values.map((_, i) => `$${i + 4}`).join(', ');
+
+    await client.query(
+      `INSERT INTO ${this.db.queries.table(operation.table)} (_tx_id, _data_hash, _created_by, ${columns.join(', ')})
+       VALUES ($1, $2, $3, ${placeholders})`,
+      [operation.txId, operation.dataHash, operation.metadata?.userId || null, ...values]
+    );
+
+    await this.insertAuditEntry(client, operation, message, operation.dataHash);
+  }
+
+  async applyUpdate(client, operation, message) {
+    const payload = this.requirePayload(operation, message);
+    if (!payload) return;
+
+    this.db.validateData(operation.table, this.db.decryptSensitiveFields(operation.table, payload), true);
+
+    const current = await this.selectRow(client, operation.table, operation.txId);
+    if (!current) {
+      throw new Error(`Sync error at sequence ${message.sequenceNumber}: UPDATE for unknown record ${operation.txId}`);
+    }
+    if (current._data_hash === operation.newHash) {
+      return; // Already applied
+    }
+    this.assertHash(operation, message, operation.previousHash, current._data_hash);
+
+    const newData = {
+      ...this.db.decryptSensitiveFields(operation.table, this.stripSystemColumns(current)),
+      ...this.db.decryptSensitiveFields(operation.table, payload)
+    };
+    this.assertHash(operation, message, operation.newHash, this.db.calculateRowHash(operation.table, newData));
+
+    const columns = Object.keys(payload);
+    const setClauses = columns.map((col, i) => `${quoteIdentifier(col)} = $${i + 1}`).join(', ');
+
+    await client.query(
+      `UPDATE ${this.db.queries.table(operation.table)}
+       SET ${setClauses},
+           _data_hash = $${columns.length + 1},
+           _updated_at = CURRENT_TIMESTAMP,
+           _version = _version + 1
+       WHERE _tx_id = $${columns.length + 2}`,
+      [...Object.values(payload), operation.newHash, operation.txId]
+    );
+
+    await this.insertAuditEntry(client, operation, message, operation.newHash);
   }
-}
\ No newline at end of file
+
+  async applyDelete(client, operation, message) {
+    const current = await this.selectRow(client, operation.table, operation.txId);
+    if (!current) {
+      return; // Already hard-deleted
+    }
+    this.assertHash(operation, message, operation.dataHash, current._data_hash);
+
+    if (operation.type === 'DELETE_HARD') {
+      await client.query(`DELETE FROM ${this.db.queries.table(operation.table)} WHERE _tx_id = $1`, [operation.txId]);
+    } else if (current._is_deleted) {
+      return;
+    } else {
+      await client.query(
+        `UPDATE ${this.db.queries.table(operation.table)} SET _is_deleted = TRUE, _updated_at = CURRENT_TIMESTAMP WHERE _tx_id = $1`,
+        [operation.txId]
+      );
+    }
+
+    await this.insertAuditEntry(client, operation, message, operation.dataHash,
+      operation.type === 'DELETE_HARD' ? current : null);
+  }
+
+  requirePayload(operation, message) {
+    const payload = this.db.readReplayPayload(operation);
+    if (payload) return payload;
+
+    if (this.allowMissingPayload) {
+      this.emit('skipped', { type: operation.type, txId: operation.txId, sequenceNumber: message.sequenceNumber });
+      this.log.warn('Message has no replay payload, skipped', { type: operation.type, txId: operation.txId, sequenceNumber: message.sequenceNumber });
+      return null;
+    }
+    throw new Error(
+      `Sync error at sequence ${message.sequenceNumber}: ${operation.type} ${operation.txId} has no payload (topic not written in replay mode)`
+    );
+  }
+
+  assertHash(operation, message, expected, actual) {
+    if (expected !== actual) {
+      throw new Error(
+        `Hash mismatch at sequence ${message.sequenceNumber} for ${operation.table}/${operation.txId}: expected ${expected}, got ${actual}`
+      );
+    }
+  }
+
+  async selectRow(client, tableName, txId) {
+    const result = await client.query(`SELECT * FROM ${this.db.queries.table(tableName)} WHERE _tx_id = $1`, [txId]);
+    return result.rows[0] || null;
+  }
+
+  stripSystemColumns(row) {
+    const clean = { ...row };
+    for (const col of SYSTEM_COLUMNS) delete clean[col];
+    return clean;
+  }
+
+  async insertAuditEntry(client, operation, message, dataHash, deletedRow = null) {
+    const auditId = await this.db.writeAuditEntry(client, operation, dataHash, operation.metadata || {}, {
+      sequenceNumber: message.sequenceNumber,
+      consensusTimestamp: message.consensusTimestamp,
+      runningHash: message.runningHash
+    });
+    await this.db.recordHistory(client, operation, auditId, deletedRow);
+  }
+
+  async ensureCheckpointTable() {
+    await this.db.pgPool.query(`
+      CREATE TABLE IF NOT EXISTS _sync_state (
+        topic_id VARCHAR(64) PRIMARY KEY,
+        last_sequence BIGINT NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async loadCheckpoint() {
+    const result = await this.db.pgPool.query(
+      'SELECT last_sequence FROM _sync_state WHERE topic_id = $1',
+      [this.topicId]
+    );
+    this.lastSyncedSequence = result.rows.length ? Number(result.rows[0].last_sequence) : 0;
+
+    if (this.lastSyncedSequence > 0) {
+      // Past SCHEMA_INIT, so the schema must come from the local copy
+      const recorded = await this.db.getRecordedSchema();
+      if (recorded) {
+        this.db.schemaCache.set('main', recorded.schema);
+        this.db.topicId = this.topicId;
+        this.db.isInitialized = true;
+      }
+    }
+  }
+
+  async saveCheckpoint(client, sequenceNumber) {
+    await client.query(`
+      INSERT INTO _sync_state (topic_id, last_sequence, updated_at)
+      VALUES ($1, $2, CURRENT_TIMESTAMP)
+      ON CONFLICT (topic_id)
+      DO UPDATE SET last_sequence = EXCLUDED.last_sequence, updated_at = EXCLUDED.updated_at
+    `, [this.topicId, sequenceNumber]);
+  }
+}
+
+module.exports = { SyncManager };
@@ -1,45 +1,229 @@
+/**
+ * TransactionManager.js
+ * Groups inserts, updates and deletes into one atomic unit. Queued operations
+ * run on a single pooled connection inside one PostgreSQL transaction and
+ * are anchored together with a single TRANSACTION audit message.
+ *
+ * A transaction left open for ttlMs (default 15 minutes) without an
+ * operation being queued is rolled back and forgotten.
+ */
+
+const crypto = require('crypto');
+const { DatabaseError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const OPERATIONS = ['insert', 'update', 'delete'];
+
 class TransactionManager {
-  constructor(db) {
+  constructor(db, options = {}) {
     this.db = db;
+    this.log = db.logger.child({ component: 'transactions' });
     this.transactions = new Map();
+    this.ttlMs = options.ttlMs || 15 * 60 * 1000;
+    this.reapTimer = null;
   }
 
-  async begin(transactionId) {
+  async begin(transactionId = crypto.randomBytes(16).toString('hex'), metadata = {}) {
+    if (this.transactions.has(transactionId)) {
+      throw new ConflictError(`Transaction already exists: ${transactionId}`);
+    }
+
     const txn = {
       id: transactionId,
       operations: [],
+      metadata,
       state: 'active',
-      startTime: Date.now()
+      startTime: Date.now(),
+      lastActivity: Date.now()
     };
     this.transactions.set(transactionId, txn);
+    this.scheduleReap();
     return txn;
   }
 
-  async commit(transactionId) {
-    const txn = this.transactions.get(transactionId);
-    if (!txn) throw new Error('Transaction not found');
-    
-    // Execute all operations atomically
-    for (const op of txn.operations) {
-      await this.db[op.method](...op.args);
+  async commit(transactionId, options = {}) {
+    const txn = this.getActive(transactionId);
+    this.db.ensureInitialized();
+
+    if (txn.operations.length === 0) {
+      txn.state = 'committed';
+      this.transactions.delete(transactionId);
+      return { success: true, transactionId, operations: [] };
+    }
+
+    const done = this.db.telemetry.startOperation('*', 'transaction');
+    let client;
+    try {
+      client = await this.db.pgPool.connect();
+    } catch (error) {
+      // Still active: the caller may retry the commit or roll it back
+      done('error');
+      throw error;
+    }
+    txn.state = 'committing';
+
+    try {
+      await client.query('BEGIN');
+
+      // Execute all operations atomically
+      const metadata = { ...txn.metadata, transactionId };
+      const results = [];
+      for (const op of txn.operations) {
+        // args mirror the db methods: (table, data) / (table, txId, updates) / (table, txId, metadata, hardDelete)
+        const [tableName, ...rest] = op.args;
+
+        let result;
+        if (op.method === 'insert') {
+          result = await this.db.executeInsert(client, tableName, rest[0], metadata);
+        } else if (op.method === 'update') {
+          result = await this.db.executeUpdate(client, tableName, rest[0], rest[1], metadata);
+        } else {
+          result = await this.db.executeDelete(client, tableName, rest[0], metadata, rest[2] || false);
+        }
+        results.push({ method: op.method, tableName, result });
+      }
+
+      const transactionMessage = {
+        type: 'TRANSACTION',
+        transactionId,
+        operations: results.map(({ result }) => result.auditMessage),
+        timestamp: Date.now(),
+        metadata: this.db.sanitizeMetadata(txn.metadata)
+      };
+
+      const outboxId = await this.db.enqueueAnchor(client, transactionMessage);
+
+      for (const entry of results) {
+        const { result } = entry;
+        entry.auditId = await this.db.writeAuditEntry(client, result.auditMessage, result.newHash || result.dataHash, metadata, { outboxId });
+        await this.db.recordHistory(client, result.auditMessage, entry.auditId, result.previousRow);
+      }
+
+      await client.query('COMMIT');
+      for (const { result, auditId } of results) {
+        this.db.emitChange(result, result.newHash || result.dataHash, auditId, outboxId);
+      }
+
+      txn.state = 'committed';
+      done();
+      this.log.debug('Transaction committed', { transactionId, operations: results.length, outboxId, requestId: txn.metadata.requestId });
+      const anchor = await this.db.settleAnchor(outboxId, options);
+      this.transactions.delete(transactionId);
+
+      for (const { method, tableName, result } of results) {
+        this.db.metrics[`${method}Count`]++;
+        if (method === 'delete') {
+          this.db.emit('delete', { tableName, txId: result.txId, hardDelete: result.hardDelete });
+        } else {
+          this.db.emit(method, { tableName, txId: result.txId, data: result.data });
+        }
+      }
+
+      return {
+        success: true,
+        transactionId,
+        ...this.db.describeAnchor(anchor),
+        operations: results.map(({ method, tableName, result }) => ({
+          method,
+          table: tableName,
+          txId: result.txId,
+          dataHash: result.newHash || result.dataHash,
+          data: result.data
+        }))
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      txn.state = 'failed';
+      this.transactions.delete(transactionId);
+      this.db.metrics.errors++;
+      done('error');
+      this.log.error('Transaction commit failed', { transactionId, requestId: txn.metadata.requestId, err: error });
+      throw error;
+    } finally {
+      client.release();
     }
-    
-    txn.state = 'committed';
-    this.transactions.delete(transactionId);
   }
 
   async rollback(transactionId) {
-    const txn = this.transactions.get(transactionId);
-    if (!txn) throw new Error('Transaction not found');
-    
+    const txn = this.getActive(transactionId);
+
+    // Nothing has touched PostgreSQL or the ledger before commit
     txn.state = 'rolled_back';
     this.transactions.delete(transactionId);
+    return { success: true, transactionId, state: txn.state };
   }
 
   addOperation(transactionId, method, args) {
-    const txn = this.transactions.get(transactionId);
-    if (!txn) throw new Error('Transaction not found');
-    
+    const txn = this.getActive(transactionId);
+    if (!OPERATIONS.includes(method)) {
+      throw new DatabaseError(`Unsupported transaction operation: ${method}`, { code: 'INVALID_OPERATION', statusCode: 400 });
+    }
+
     txn.operations.push({ method, args });
+    txn.lastActivity = Date.now();
+    return txn.operations.length;
+  }
+
+  insert(transactionId, tableName, data) {
+    return this.addOperation(transactionId, 'insert', [tableName, data]);
+  }
+
+  update(transactionId, tableName, txId, updates) {
+    return this.addOperation(transactionId, 'update', [tableName, txId, updates]);
+  }
+
+  delete(transactionId, tableName, txId, hardDelete = false) {
+    return this.addOperation(transactionId, 'delete', [tableName, txId, undefined, hardDelete]);
   }
-}
\ No newline at end of file
+
+  getActive(transactionId) {
+    const txn = this.transactions.get(transactionId);
+    if (txn && this.isExpired(txn)) this.expire(txn);
+    if (!this.transactions.has(transactionId)) throw new NotFoundError('Transaction not found', { transactionId });
+    if (txn.state !== 'active') {
+      throw new ConflictError(`Transaction ${transactionId} is ${txn.state}`, { transactionId, state: txn.state });
+    }
+    return txn;
+  }
+
+  isExpired(txn, now = Date.now()) {
+    return txn.state === 'active' && now - txn.lastActivity >= this.ttlMs;
+  }
+
+  expire(txn) {
+    txn.state = 'rolled_back';
+    this.transactions.delete(txn.id);
+    this.log.warn('Transaction expired', {
+      transactionId: txn.id,
+      operations: txn.operations.length,
+      idleMs: Date.now() - txn.lastActivity,
+      requestId: txn.metadata.requestId
+    });
+  }
+
+  // Rolls back every transaction idle for ttlMs; returns how many
+  reap(now = Date.now()) {
+    let expired = 0;
+    for (const txn of this.transactions.values()) {
+      if (this.isExpired(txn, now)) {
+        this.expire(txn);
+        expired++;
+      }
+    }
+    if (this.transactions.size === 0) this.stop();
+    return expired;
+  }
+
+  // Sweeps only while transactions are open, and never holds the process open
+  scheduleReap() {
+    if (this.reapTimer) return;
+    this.reapTimer = setInterval(() => this.reap(), Math.min(this.ttlMs, 60 * 1000));
+    this.reapTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.reapTimer);
+    this.reapTimer = null;
+  }
+}
+
+module.exports = { TransactionManager };
@@ -0,0 +1,638 @@
+/**
+ * WebhookManager.js
+ * Outbound webhooks. Endpoints registered in _webhooks subscribe to tables
+ * and operations; once a write is anchored, a delivery is queued in
+ * _webhook_deliveries for every matching endpoint, in the same PostgreSQL
+ * transaction that records the anchor, so no confirmed write is missed and
+ * none is queued twice. Deliveries are POSTed by a background loop that
+ * claims due entries like the outbox does, retries failures with
+ * exponential backoff and marks an entry dead after maxAttempts; dead
+ * entries stay until redelivered by hand.
+ *
+ * Each delivery is a JSON body,
+ *
+ *   { "deliveryId": 17, "webhookId": 3, "auditId": 1042, "table": "orders",
+ *     "operation": "UPDATE", "txId": "...", "dataHash": "...",
+ *     "topicId": "0.0.1234", "sequenceNumber": 88, "consensusTimestamp": "...",
+ *     "merkleRoot": null, "requestId": "...", "data": { ... }, "timestamp": "..." }
+ *
+ * signed with the endpoint's secret:
+ *
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *
+ * Receivers check it with verifyWebhookSignature. Encrypted columns are left
+ * out of data. Secrets are returned once, when set, and are stored encrypted
+ * when webhooks.secretKey or encryption.key is configured.
+ *
+ * An endpoint receives only the rows its registrant may read: the principal
+ * that registered (or last updated) it is stored with it, and its read row
+ * policies are applied when deliveries are queued, as ChangeFeed does.
+ * Endpoints may not resolve to loopback, private, link-local or other
+ * internal addresses unless webhooks.allowPrivateNetworks is set, and
+ * webhooks.allowedHosts ("hooks.example.com", "*.example.com") limits them
+ * to the hosts listed. Addresses are checked when the connection is made,
+ * so a name cannot be re-pointed after registration.
+ */
+
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { encrypt, decrypt } = require("../utils/encryption");
+const { NotFoundError, QueryValidationError } = require("../utils/errors");
+const { matchesWhere } = require("../utils/whereMatcher");
+const { CHANGE_OPERATIONS } = require("./ChangeFeed");
+
+const DELIVERY_STATUS = {
+  PENDING: "pending",
+  DELIVERING: "delivering",
+  DELIVERED: "delivered",
+  DEAD: "dead"
+};
+
+const SIGNATURE_HEADER = "X-Webhook-Signature";
+const TIMESTAMP_HEADER = "X-Webhook-Timestamp";
+const SECRET_AAD = "webhook-secret";
+const MIN_SECRET_LENGTH = 16;
+
+// Loopback, private, shared, link-local (cloud metadata), reserved and
+// multicast ranges. IPv4-mapped IPv6 addresses are checked as IPv4.
+const INTERNAL_NETWORKS = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3]
+]) {
+  INTERNAL_NETWORKS.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [["::", 127], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  INTERNAL_NETWORKS.addSubnet(address, prefix, "ipv6");
+}
+
+function isInternalAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && INTERNAL_NETWORKS.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+// The part of a principal row policies read, without how it authenticated
+function storedPrincipal(principal) {
+  if (!principal) return null;
+  const { method, ...stored } = principal;
+  return stored;
+}
+
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+// For receivers: whether a delivery was signed with `secret` no more than
+// toleranceSeconds ago. body must be the raw request body.
+function verifyWebhookSignature(secret, body, timestamp, signature, toleranceSeconds = 300) {
+  const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+  if (!Number.isFinite(age) || age > toleranceSeconds || typeof signature !== "string") {
+    return false;
+  }
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+class WebhookManager {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.log = db.logger.child({ component: "webhooks" });
+    this.secretKey = options.secretKey || db.encryptionKey || null;
+    this.pollIntervalMs = options.pollIntervalMs || 1000;
+    this.batchSize = options.batchSize || 20;
+    this.maxAttempts = options.maxAttempts || 8;
+    this.retryDelayMs = options.retryDelayMs || 5000;
+    this.maxRetryDelayMs = options.maxRetryDelayMs || 60 * 60 * 1000;
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.leaseMs = options.leaseMs || 60000;
+    this.allowedHosts = options.allowedHosts ? [].concat(options.allowedHosts).map((host) => String(host).toLowerCase()) : null;
+    this.allowPrivateNetworks = options.allowPrivateNetworks === true;
+    this.timer = null;
+    this.running = null;
+    this.stopped = true;
+  }
+
+  async createTables(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS _webhooks (
+        id BIGSERIAL PRIMARY KEY,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        tables TEXT[],
+        operations TEXT[] NOT NULL,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        description TEXT,
+        created_by VARCHAR(255),
+        principal JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Endpoints registered before principals were stored
+    await client.query("ALTER TABLE _webhooks ADD COLUMN IF NOT EXISTS principal JSONB");
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS _webhook_deliveries (
+        id BIGSERIAL PRIMARY KEY,
+        webhook_id BIGINT NOT NULL REFERENCES _webhooks(id) ON DELETE CASCADE,
+        audit_id INTEGER NOT NULL REFERENCES _audit_log(id),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        locked_until TIMESTAMP,
+        last_error TEXT,
+        response_status INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        delivered_at TIMESTAMP,
+        UNIQUE (webhook_id, audit_id)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+      ON _webhook_deliveries(status, next_attempt_at)
+    `);
+  }
+
+  // Registry
+
+  // Deliveries are limited to the rows `principal` may read; without one
+  // the endpoint receives every row of its tables
+  async register(definition = {}, principal = null) {
+    const { url, tables, operations } = this.validate(definition);
+    const secret = this.validateSecret(definition.secret);
+    const createdBy = principal?.id ?? null;
+
+    const result = await this.db.pgPool.query(`
+      INSERT INTO _webhooks (url, secret, tables, operations, active, description, created_by, principal)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      url,
+      this.sealSecret(secret),
+      tables,
+      operations,
+      definition.active !== false,
+      definition.description || null,
+      createdBy,
+      storedPrincipal(principal)
+    ]);
+
+    this.log.info("Webhook registered", { webhookId: Number(result.rows[0].id), url, createdBy });
+    return { ...this.describe(result.rows[0]), secret };
+  }
+
+  async list() {
+    const result = await this.db.pgPool.query("SELECT * FROM _webhooks ORDER BY id");
+    return result.rows.map((row) => this.describe(row));
+  }
+
+  async get(webhookId) {
+    return this.describe(await this.load(webhookId));
+  }
+
+  // Changes url, tables, operations, active or description. A principal
+  // given here replaces the stored one: deliveries follow whoever last
+  // decided where the endpoint's rows go.
+  async update(webhookId, changes = {}, principal = null) {
+    const row = await this.load(webhookId);
+    const current = this.describe(row);
+    const { url, tables, operations } = this.validate({ ...current, ...changes });
+    const active = changes.active === undefined ? current.active : changes.active === true;
+    const description = changes.description === undefined ? current.description : changes.description;
+
+    const result = await this.db.pgPool.query(`
+      UPDATE _webhooks SET url = $2, tables = $3, operations = $4, active = $5, description = $6,
+        principal = $7, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [current.id, url, tables, operations, active, description, principal ? storedPrincipal(principal) : row.principal]);
+
+    return this.describe(result.rows[0]);
+  }
+
+  async rotateSecret(webhookId, secret) {
+    const id = this.webhookId(webhookId);
+    const replacement = this.validateSecret(secret);
+    const result = await this.db.pgPool.query(
+      "UPDATE _webhooks SET secret = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *",
+      [id, this.sealSecret(replacement)]
+    );
+    if (result.rows.length === 0) {
+      throw new NotFoundError(`Webhook ${id} not found`, { webhookId: id });
+    }
+    return { ...this.describe(result.rows[0]), secret: replacement };
+  }
+
+  // Deliveries are removed with the endpoint
+  async remove(webhookId) {
+    const id = this.webhookId(webhookId);
+    const result = await this.db.pgPool.query("DELETE FROM _webhooks WHERE id = $1", [id]);
+    if (result.rowCount === 0) {
+      throw new NotFoundError(`Webhook ${id} not found`, { webhookId: id });
+    }
+    this.log.info("Webhook removed", { webhookId: id });
+    return { success: true, webhookId: id };
+  }
+
+  async listDeliveries(webhookId, options = {}) {
+    const id = this.webhookId(webhookId);
+    await this.load(id);
+
+    if (options.status !== undefined && !Object.values(DELIVERY_STATUS).includes(options.status)) {
+      throw new QueryValidationError(`Unknown delivery status: ${options.status}`, { status: options.status });
+    }
+    const limit = options.limit === undefined ? 100 : this.db.queries.nonNegativeInteger("limit", options.limit);
+
+    const result = await this.db.pgPool.query(`
+      SELECT d.*, a.tx_id, a.table_name, a.operation
+      FROM _webhook_deliveries d JOIN _audit_log a ON a.id = d.audit_id
+      WHERE d.webhook_id = $1 AND ($2::TEXT IS NULL OR d.status = $2)
+      ORDER BY d.id DESC
+      LIMIT $3
+    `, [id, options.status ?? null, limit]);
+
+    return result.rows.map((row) => ({
+      deliveryId: Number(row.id),
+      webhookId: Number(row.webhook_id),
+      auditId: row.audit_id,
+      table: row.table_name,
+      operation: row.operation,
+      txId: row.tx_id,
+      status: row.status,
+      attempts: row.attempts,
+      lastError: row.last_error,
+      responseStatus: row.response_status,
+      nextAttemptAt: row.status === DELIVERY_STATUS.PENDING ? row.next_attempt_at : null,
+      createdAt: row.created_at,
+      deliveredAt: row.delivered_at
+    }));
+  }
+
+  // Queues a dead (or delivered) entry again, with a fresh set of attempts
+  async redeliver(webhookId, deliveryId) {
+    const id = this.webhookId(webhookId);
+    const delivery = this.db.queries.nonNegativeInteger("deliveryId", deliveryId);
+    const result = await this.db.pgPool.query(`
+      UPDATE _webhook_deliveries SET
+        status = $3, attempts = 0, next_attempt_at = NOW(), locked_until = NULL, last_error = NULL
+      WHERE id = $1 AND webhook_id = $2 AND status <> $4
+      RETURNING id
+    `, [delivery, id, DELIVERY_STATUS.PENDING, DELIVERY_STATUS.DELIVERING]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError(`No delivery ${delivery} to retry for webhook ${id}`, { webhookId: id, deliveryId: delivery });
+    }
+    this.notify();
+    return { success: true, webhookId: id, deliveryId: delivery, status: DELIVERY_STATUS.PENDING };
+  }
+
+  async load(webhookId) {
+    const id = this.webhookId(webhookId);
+    const result = await this.db.pgPool.query("SELECT * FROM _webhooks WHERE id = $1", [id]);
+    if (result.rows.length === 0) {
+      throw new NotFoundError(`Webhook ${id} not found`, { webhookId: id });
+    }
+    return result.rows[0];
+  }
+
+  webhookId(value) {
+    return this.db.queries.nonNegativeInteger("webhookId", value);
+  }
+
+  // Tables default to every table (null), operations to all of them.
+  // Operations are stored as the audit operation types they cover.
+  validate(definition) {
+    let url;
+    try {
+      url = new URL(definition.url);
+    } catch (error) {
+      throw new QueryValidationError("url must be an absolute http(s) URL", { url: definition.url });
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      throw new QueryValidationError("url must be an absolute http(s) URL", { url: definition.url });
+    }
+    this.assertDestination(url);
+
+    let tables = null;
+    if (definition.tables !== undefined && definition.tables !== null) {
+      tables = [...new Set([].concat(definition.tables))];
+      tables.forEach((table) => this.db.queries.table(table));
+    }
+
+    const types = new Set();
+    for (const operation of [].concat(definition.operations || Object.keys(CHANGE_OPERATIONS))) {
+      const covered = CHANGE_OPERATIONS[String(operation).toLowerCase()];
+      if (!covered) {
+        throw new QueryValidationError(
+          `Unknown operation: ${operation} (expected ${Object.keys(CHANGE_OPERATIONS).join(", ")})`,
+          { operation }
+        );
+      }
+      covered.forEach((type) => types.add(type));
+    }
+
+    return { url: url.toString(), tables, operations: [...types] };
+  }
+
+  // Refuses hosts outside allowedHosts and internal IP literals; names are
+  // checked once resolved, in lookup
+  assertDestination(url) {
+    const host = url.hostname.toLowerCase().replace(/^\[(.*)\]$/, "$1");
+    if (this.allowedHosts && !this.allowedHosts.some((allowed) => (
+      allowed.startsWith("*.") ? host.endsWith(allowed.slice(1)) : host === allowed
+    ))) {
+      throw new QueryValidationError(`Webhook host ${host} is not in webhooks.allowedHosts`, { host });
+    }
+    if (!this.allowPrivateNetworks && (host === "localhost" || host.endsWith(".localhost") || isInternalAddress(host))) {
+      throw new QueryValidationError(`Webhook host ${host} is an internal address`, { host });
+    }
+  }
+
+  // dns.lookup for outgoing deliveries, failing on internal addresses so the
+  // address checked is the one connected to
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error || this.allowPrivateNetworks) return callback(error, address, family);
+      const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+      const internal = addresses.find(isInternalAddress);
+      if (internal) {
+        return callback(new Error(`Webhook host ${hostname} resolves to internal address ${internal}`));
+      }
+      callback(null, address, family);
+    });
+  }
+
+  validateSecret(secret) {
+    if (secret === undefined || secret === null) {
+      return crypto.randomBytes(32).toString("hex");
+    }
+    if (typeof secret !== "string" || secret.length < MIN_SECRET_LENGTH) {
+      throw new QueryValidationError(`secret must be a string of at least ${MIN_SECRET_LENGTH} characters`);
+    }
+    return secret;
+  }
+
+  sealSecret(secret) {
+    return this.secretKey ? encrypt(secret, this.secretKey, SECRET_AAD) : secret;
+  }
+
+  openSecret(stored) {
+    return this.secretKey && stored.startsWith("v1:") ? decrypt(stored, this.secretKey, SECRET_AAD) : stored;
+  }
+
+  describe(row) {
+    const operations = Object.keys(CHANGE_OPERATIONS)
+      .filter((name) => CHANGE_OPERATIONS[name].every((type) => row.operations.includes(type)));
+    return {
+      id: Number(row.id),
+      url: row.url,
+      tables: row.tables,
+      operations,
+      active: row.active,
+      description: row.description,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Queueing
+
+  // Called by the outbox inside the transaction that records an anchor.
+  // Writes the endpoint's principal may not read are not queued for it.
+  async enqueue(client, outboxId) {
+    const candidates = await client.query(`
+      SELECT w.id AS webhook_id, w.principal, w.created_by, a.id AS audit_id, a.table_name, h.data
+      FROM _audit_log a
+      JOIN _webhooks w ON w.active
+        AND a.operation = ANY(w.operations)
+        AND (w.tables IS NULL OR a.table_name = ANY(w.tables))
+      LEFT JOIN _row_history h ON h.audit_id = a.id
+      WHERE a.outbox_id = $1
+    `, [outboxId]);
+
+    const accepted = [];
+    for (const row of candidates.rows) {
+      if (await this.readable(row)) accepted.push(row);
+    }
+    if (accepted.length === 0) return 0;
+
+    const result = await client.query(`
+      INSERT INTO _webhook_deliveries (webhook_id, audit_id)
+      SELECT * FROM UNNEST($1::BIGINT[], $2::INTEGER[])
+      ON CONFLICT (webhook_id, audit_id) DO NOTHING
+    `, [accepted.map((row) => row.webhook_id), accepted.map((row) => row.audit_id)]);
+    return result.rowCount;
+  }
+
+  // Whether the endpoint's principal may read the row a write left, under
+  // the same read policies as ChangeFeed. A policy the principal cannot
+  // satisfy hides the row rather than failing the anchor being recorded.
+  // Endpoints stored before principals were get their creator without roles.
+  async readable(row) {
+    const principal = row.principal ?? (row.created_by ? { id: row.created_by, roles: [] } : null);
+    let where;
+    try {
+      where = await this.db.policies.whereFor(row.table_name, "read", principal);
+    } catch (error) {
+      return false;
+    }
+    return !where || (row.data !== null && row.data !== undefined && matchesWhere(row.data, where));
+  }
+
+  // Delivery
+
+  start() {
+    this.stopped = false;
+    this.schedule(0);
+  }
+
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.running;
+  }
+
+  notify() {
+    if (this.stopped || this.running) return;
+    this.schedule(0);
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    this.timer = null;
+    if (this.running) return;
+
+    let delivered = 0;
+    this.running = this.deliverDue()
+      .then((count) => { delivered = count; })
+      .catch((error) => this.log.error("Webhook delivery round failed", { err: error }));
+    await this.running;
+    this.running = null;
+
+    if (!this.stopped) {
+      this.schedule(delivered >= this.batchSize ? 0 : this.pollIntervalMs);
+    }
+  }
+
+  // Claims due deliveries of active endpoints, including ones whose
+  // sender died mid-lease, and posts them concurrently
+  async deliverDue() {
+    const result = await this.db.pgPool.query(`
+      WITH claimed AS (
+        UPDATE _webhook_deliveries SET status = $1, locked_until = NOW() + ($2 || ' milliseconds')::INTERVAL
+        WHERE id IN (
+          SELECT d.id FROM _webhook_deliveries d JOIN _webhooks w ON w.id = d.webhook_id
+          WHERE w.active
+            AND ((d.status = $3 AND d.next_attempt_at <= NOW())
+              OR (d.status = $1 AND d.locked_until < NOW()))
+          ORDER BY d.id
+          LIMIT $4
+          FOR UPDATE OF d SKIP LOCKED
+        )
+        RETURNING id, webhook_id, audit_id, attempts
+      )
+      SELECT c.id, c.attempts, w.id AS webhook_id, w.url, w.secret,
+             a.id AS audit_id, a.tx_id, a.table_name, a.operation, a.data_hash,
+             a.hedera_topic_id, a.hedera_sequence_number, a.hedera_consensus_timestamp,
+             a.merkle_root, a.created_at, a.metadata->>'requestId' AS request_id, h.data
+      FROM claimed c
+      JOIN _webhooks w ON w.id = c.webhook_id
+      JOIN _audit_log a ON a.id = c.audit_id
+      LEFT JOIN _row_history h ON h.audit_id = a.id
+      ORDER BY c.id
+    `, [DELIVERY_STATUS.DELIVERING, String(this.leaseMs), DELIVERY_STATUS.PENDING, this.batchSize]);
+
+    await Promise.all(result.rows.map((row) => this.deliver(row)));
+    return result.rows.length;
+  }
+
+  payloadOf(row) {
+    const data = row.data ? { ...row.data } : null;
+    if (data) {
+      for (const column of this.db.getEncryptedColumns(row.table_name)) delete data[column];
+    }
+
+    return {
+      deliveryId: Number(row.id),
+      webhookId: Number(row.webhook_id),
+      auditId: row.audit_id,
+      table: row.table_name,
+      operation: row.operation,
+      txId: row.tx_id,
+      dataHash: row.data_hash,
+      topicId: row.hedera_topic_id,
+      sequenceNumber: row.hedera_sequence_number === null ? null : Number(row.hedera_sequence_number),
+      consensusTimestamp: row.hedera_consensus_timestamp,
+      merkleRoot: row.merkle_root,
+      requestId: row.request_id,
+      data,
+      timestamp: new Date(row.created_at).toISOString()
+    };
+  }
+
+  async deliver(row) {
+    const body = JSON.stringify(this.payloadOf(row));
+    const timestamp = String(Math.floor(Date.now() / 1000));
+
+    let error = null;
+    let status = null;
+    try {
+      status = await this.post(row.url, {
+        "Content-Type": "application/json",
+        "X-Webhook-Id": String(row.webhook_id),
+        "X-Webhook-Delivery": String(row.id),
+        [TIMESTAMP_HEADER]: timestamp,
+        [SIGNATURE_HEADER]: sign(this.openSecret(row.secret), timestamp, body)
+      }, body);
+      if (status < 200 || status >= 300) {
+        error = new Error(`Endpoint answered ${status}`);
+      }
+    } catch (failure) {
+      error = failure;
+    }
+
+    try {
+      if (error) {
+        await this.recordFailure(row, error, status);
+      } else {
+        await this.recordDelivered(row, status);
+      }
+    } catch (recordError) {
+      // The lease expires and the delivery is retried
+      this.log.error("Could not record webhook delivery", { deliveryId: Number(row.id), err: recordError });
+    }
+  }
+
+  // POSTs body and resolves to the response status. Redirects are not
+  // followed, and the destination is checked again in case the
+  // configuration changed since the endpoint was registered.
+  post(target, headers, body) {
+    const url = new URL(target);
+    this.assertDestination(url);
+    const transport = url.protocol === "https:" ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request(url, {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: (hostname, options, callback) => this.lookup(hostname, options, callback),
+        signal: AbortSignal.timeout(this.timeoutMs)
+      }, (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+      request.on("error", reject);
+      request.end(body);
+    });
+  }
+
+  async recordDelivered(row, status) {
+    await this.db.pgPool.query(`
+      UPDATE _webhook_deliveries SET
+        status = $2, attempts = attempts + 1, response_status = $3, last_error = NULL,
+        locked_until = NULL, delivered_at = NOW()
+      WHERE id = $1
+    `, [row.id, DELIVERY_STATUS.DELIVERED, status]);
+
+    this.db.telemetry.webhookDeliveries.inc({ status: DELIVERY_STATUS.DELIVERED });
+    this.db.emit("webhook-delivered", { deliveryId: Number(row.id), webhookId: Number(row.webhook_id), auditId: row.audit_id });
+  }
+
+  async recordFailure(row, error, status) {
+    const attempts = row.attempts + 1;
+    const dead = attempts >= this.maxAttempts;
+    const delay = Math.min(this.retryDelayMs * 2 ** (attempts - 1), this.maxRetryDelayMs);
+
+    await this.db.pgPool.query(`
+      UPDATE _webhook_deliveries SET
+        status = $2, attempts = $3, last_error = $4, response_status = $5, locked_until = NULL,
+        next_attempt_at = NOW() + ($6 || ' milliseconds')::INTERVAL
+      WHERE id = $1
+    `, [row.id, dead ? DELIVERY_STATUS.DEAD : DELIVERY_STATUS.PENDING, attempts, error.message, status, String(delay)]);
+
+    this.db.telemetry.webhookDeliveries.inc({ status: dead ? DELIVERY_STATUS.DEAD : "retried" });
+    this.log[dead ? "error" : "warn"](dead ? "Webhook delivery is dead" : "Webhook delivery will be retried", {
+      deliveryId: Number(row.id),
+      webhookId: Number(row.webhook_id),
+      attempts,
+      retryInMs: dead ? undefined : delay,
+      err: error
+    });
+    this.db.emit("webhook-failed", { deliveryId: Number(row.id), webhookId: Number(row.webhook_id), attempts, dead, error: error.message });
+  }
+}
+
+module.exports = { WebhookManager, DELIVERY_STATUS, verifyWebhookSignature, SIGNATURE_HEADER, TIMESTAMP_HEADER };
@@ -13,7 +13,7 @@ async function main() {
     
     const schema = {
       users: {
-        id: { type: 'uuid', nullable: false },
+        id: { type: 'uuid', nullable: false, unique: true },
         name: { type: 'string', nullable: false },
         email: { type: 'string', unique: true },
         age: { type: 'integer' },
@@ -22,10 +22,11 @@ async function main() {
       },
       orders: {
         id: { type: 'uuid', nullable: false },
-        user_id: { type: 'uuid', nullable: false },
-        amount: { type: 'number' },
+        user_id: { type: 'uuid', nullable: false, references: { table: 'users', column: 'id' }, onDelete: 'restrict' },
+        amount: { type: 'number', check: 'amount >= 0' },
         status: { type: 'string' },
-        order_date: { type: 'timestamp' }
+        order_date: { type: 'timestamp' },
+        $indexes: [{ columns: ['user_id', 'order_date'] }]
       }
     };
 
@@ -53,6 +54,8 @@ async function main() {
     console.log('✓ Insert successful!');
     console.log('  TX ID:', insertResult.txId);
     console.log('  Data Hash:', insertResult.dataHash);
+    console.log('  Topic Sequence:', insertResult.hedera.sequenceNumber);
+    console.log('  Consensus Timestamp:', insertResult.hedera.consensusTimestamp);
     console.log();
 
     // Step 3: Query data
@@ -60,7 +63,7 @@ async function main() {
     
     const queryResult = await db.query('users', {
       where: { name: 'Alice Johnson' },
-      orderBy: '_created_at DESC',
+      orderBy: [{ column: '_created_at', direction: 'desc' }],
       limit: 10
     });
 
@@ -104,7 +107,7 @@ async function main() {
     
     console.log('✓ Audit trail:', auditResult.count, 'operations');
     auditResult.trail.forEach((entry, index) => {
-      console.log(`  ${index + 1}. ${entry.operation} at ${new Date(parseInt(entry.hedera_timestamp)).toISOString()}`);
+      console.log(`  ${index + 1}. ${entry.operation} at ${new Date(parseInt(entry.hedera_timestamp)).toISOString()} (seq ${entry.hedera_sequence_number})`);
     });
     console.log();
 
@@ -116,7 +119,7 @@ async function main() {
         age: { $gte: 25, $lte: 35 },
         active: true
       },
-      orderBy: 'age DESC'
+      orderBy: [{ column: 'age', direction: 'desc' }]
     });
 
     console.log('✓ Advanced query results:', advancedQuery.count, 'records');
@@ -0,0 +1,145 @@
+/**
+ * HederaLedgerAdapter.js
+ * Ledger backend on the Hedera Consensus Service via @hashgraph/sdk
+ */
+
+const {
+  Client,
+  TopicCreateTransaction,
+  TopicMessageSubmitTransaction,
+  PrivateKey,
+  AccountId,
+  TopicId,
+  TopicMessageQuery,
+  TopicInfoQuery
+} = require("@hashgraph/sdk");
+const { LedgerAdapter } = require("./LedgerAdapter");
+
+class HederaLedgerAdapter extends LedgerAdapter {
+  constructor(hederaConfig) {
+    super();
+
+    if (!hederaConfig?.accountId || !hederaConfig?.privateKey) {
+      throw new Error("Hedera configuration missing: accountId and privateKey required");
+    }
+
+    this.client = this.initializeClient(hederaConfig);
+    this.maxChunks = hederaConfig.maxChunks || 20;
+  }
+
+  initializeClient(hederaConfig) {
+    let client;
+
+    switch (hederaConfig.network?.toLowerCase()) {
+      case "mainnet":
+        client = Client.forMainnet();
+        break;
+      case "previewnet":
+        client = Client.forPreviewnet();
+        break;
+      case "testnet":
+      default:
+        client = Client.forTestnet();
+        break;
+    }
+
+    client.setOperator(
+      AccountId.fromString(hederaConfig.accountId),
+      PrivateKey.fromString(hederaConfig.privateKey)
+    );
+
+    if (hederaConfig.timeout) {
+      client.setRequestTimeout(hederaConfig.timeout);
+    }
+
+    return client;
+  }
+
+  async createTopic(options = {}) {
+    const transaction = new TopicCreateTransaction()
+      .setTopicMemo(options.memo || "")
+      .setAdminKey(this.client.operatorPublicKey);
+
+    if (options.submitKey) {
+      transaction.setSubmitKey(PrivateKey.fromString(options.submitKey));
+    }
+
+    const txResponse = await transaction.execute(this.client);
+    const receipt = await txResponse.getReceipt(this.client);
+
+    return receipt.topicId.toString();
+  }
+
+  async getTopicInfo(topicId) {
+    const topicInfo = await new TopicInfoQuery()
+      .setTopicId(TopicId.fromString(topicId))
+      .execute(this.client);
+
+    return {
+      topicId: topicInfo.topicId.toString(),
+      memo: topicInfo.topicMemo,
+      sequenceNumber: topicInfo.sequenceNumber.toNumber(),
+      runningHash: Buffer.from(topicInfo.runningHash).toString("hex")
+    };
+  }
+
+  async submitMessage(topicId, message) {
+    const transaction = new TopicMessageSubmitTransaction()
+      .setTopicId(TopicId.fromString(topicId))
+      .setMessage(message)
+      .setMaxChunks(this.maxChunks);
+
+    const txResponse = await transaction.execute(this.client);
+    // The record carries the consensus timestamp; the receipt alone does not
+    const record = await txResponse.getRecord(this.client);
+    const receipt = record.receipt;
+
+    return {
+      status: receipt.status.toString(),
+      topicId: topicId,
+      sequenceNumber: receipt.topicSequenceNumber ? receipt.topicSequenceNumber.toNumber() : null,
+      consensusTimestamp: record.consensusTimestamp.toString(),
+      runningHash: receipt.topicRunningHash
+        ? Buffer.from(receipt.topicRunningHash).toString("hex")
+        : null
+    };
+  }
+
+  subscribe(topicId, options = {}, onMessage, onError) {
+    const startSequence = options.startSequence || 1;
+
+    // The mirror node filters by time only, so sequence numbers below the
+    // requested start are dropped here.
+    const handle = new TopicMessageQuery()
+      .setTopicId(TopicId.fromString(topicId))
+      .setStartTime(options.startTime || 0)
+      .subscribe(
+        this.client,
+        (message, error) => {
+          if (onError) onError(error);
+        },
+        (message) => {
+          const sequenceNumber = message.sequenceNumber.toNumber();
+          if (sequenceNumber < startSequence) return;
+
+          onMessage({
+            topicId: topicId,
+            sequenceNumber,
+            consensusTimestamp: message.consensusTimestamp.toString(),
+            runningHash: Buffer.from(message.runningHash).toString("hex"),
+            contents: Buffer.from(message.contents)
+          });
+        }
+      );
+
+    return {
+      unsubscribe: () => handle.unsubscribe()
+    };
+  }
+
+  async close() {
+    this.client.close();
+  }
+}
+
+module.exports = { HederaLedgerAdapter };
@@ -0,0 +1,50 @@
+/**
+ * LedgerAdapter.js
+ * Interface every consensus ledger backend implements. HederaAuditedDatabase
+ * only talks to the ledger through these methods.
+ *
+ * Messages handed to subscribers are normalized to:
+ *   { topicId, sequenceNumber, consensusTimestamp, runningHash, contents }
+ * where `consensusTimestamp` is a "seconds.nanoseconds" string, `runningHash`
+ * is hex and `contents` is a Buffer.
+ */
+
+class LedgerAdapter {
+  /**
+   * @param {{ memo?: string, submitKey?: string }} options
+   * @returns {Promise<string>} the new topic id
+   */
+  async createTopic(options = {}) {
+    throw new Error(`${this.constructor.name} does not implement createTopic()`);
+  }
+
+  /**
+   * @returns {Promise<{ topicId: string, memo: string, sequenceNumber: number, runningHash: string }>}
+   */
+  async getTopicInfo(topicId) {
+    throw new Error(`${this.constructor.name} does not implement getTopicInfo()`);
+  }
+
+  /**
+   * @param {string} topicId
+   * @param {string|Buffer} message
+   * @returns {Promise<{ status: string, topicId: string, sequenceNumber: number|null, consensusTimestamp: string|null, runningHash: string|null }>}
+   */
+  async submitMessage(topicId, message) {
+    throw new Error(`${this.constructor.name} does not implement submitMessage()`);
+  }
+
+  /**
+   * Streams messages from `options.startSequence` (default 1) onwards,
+   * then keeps delivering new ones until unsubscribed.
+   *
+   * @returns {{ unsubscribe: () => void }}
+   */
+  subscribe(topicId, options, onMessage, onError) {
+    throw new Error(`${this.constructor.name} does not implement subscribe()`);
+  }
+
+  async close() {}
+}
+
+module.exports = { LedgerAdapter };
@@ -0,0 +1,198 @@
+/**
+ * LocalLedgerAdapter.js
+ * In-process consensus topic for development and tests. Assigns sequence
+ * numbers, consensus timestamps and running hashes the way HCS does, and
+ * optionally persists each topic as an append-only JSONL file so a topic
+ * survives restarts.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const { LedgerAdapter } = require("./LedgerAdapter");
+
+const EMPTY_RUNNING_HASH = "0".repeat(96);
+
+class LocalLedgerAdapter extends LedgerAdapter {
+  constructor(options = {}) {
+    super();
+
+    this.directory = options.path || null;
+    this.clock = options.clock || (() => Date.now());
+    this.nextTopicNum = options.firstTopicNum || 1000;
+    this.topics = new Map();
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.lastTimestampNanos = 0n;
+
+    if (this.directory) {
+      fs.mkdirSync(this.directory, { recursive: true });
+      this.loadTopics();
+    }
+  }
+
+  loadTopics() {
+    for (const file of fs.readdirSync(this.directory)) {
+      if (!file.endsWith(".jsonl")) continue;
+
+      const lines = fs.readFileSync(path.join(this.directory, file), "utf8")
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line));
+
+      const [header, ...messages] = lines;
+      const topic = {
+        topicId: header.topicId,
+        memo: header.memo,
+        messages: messages.map((m) => ({ ...m, contents: Buffer.from(m.contents, "base64") }))
+      };
+      this.topics.set(topic.topicId, topic);
+
+      const topicNum = Number(topic.topicId.split(".")[2]);
+      this.nextTopicNum = Math.max(this.nextTopicNum, topicNum + 1);
+
+      const last = topic.messages[topic.messages.length - 1];
+      if (last) {
+        this.lastTimestampNanos = this.maxBigInt(
+          this.lastTimestampNanos,
+          this.timestampToNanos(last.consensusTimestamp)
+        );
+      }
+    }
+  }
+
+  async createTopic(options = {}) {
+    const topicId = `0.0.${this.nextTopicNum++}`;
+    const topic = { topicId, memo: options.memo || "", messages: [] };
+
+    this.topics.set(topicId, topic);
+    this.persist(topicId, { topicId, memo: topic.memo });
+
+    return topicId;
+  }
+
+  async getTopicInfo(topicId) {
+    const topic = this.getTopic(topicId);
+    const last = topic.messages[topic.messages.length - 1];
+
+    return {
+      topicId,
+      memo: topic.memo,
+      sequenceNumber: topic.messages.length,
+      runningHash: last ? last.runningHash : EMPTY_RUNNING_HASH
+    };
+  }
+
+  async submitMessage(topicId, message) {
+    const topic = this.getTopic(topicId);
+    const contents = Buffer.isBuffer(message) ? message : Buffer.from(message);
+    const previous = topic.messages[topic.messages.length - 1];
+
+    const sequenceNumber = topic.messages.length + 1;
+    const consensusTimestamp = this.nextConsensusTimestamp();
+    const runningHash = crypto
+      .createHash("sha384")
+      .update(previous ? previous.runningHash : EMPTY_RUNNING_HASH)
+      .update(topicId)
+      .update(consensusTimestamp)
+      .update(String(sequenceNumber))
+      .update(crypto.createHash("sha384").update(contents).digest("hex"))
+      .digest("hex");
+
+    const entry = { sequenceNumber, consensusTimestamp, runningHash, contents };
+    topic.messages.push(entry);
+    this.persist(topicId, { ...entry, contents: contents.toString("base64") });
+
+    this.emitter.emit(topicId, entry);
+
+    return {
+      status: "SUCCESS",
+      topicId,
+      sequenceNumber,
+      consensusTimestamp,
+      runningHash
+    };
+  }
+
+  subscribe(topicId, options = {}, onMessage, onError) {
+    let topic;
+    try {
+      topic = this.getTopic(topicId);
+    } catch (error) {
+      if (onError) setImmediate(() => onError(error));
+      return { unsubscribe: () => {} };
+    }
+
+    let nextSequence = options.startSequence || 1;
+    let active = true;
+
+    // Backlog and live messages both go through deliver() so ordering holds
+    // even when a message is submitted while the backlog is being replayed.
+    const deliver = () => {
+      while (active && nextSequence <= topic.messages.length) {
+        const entry = topic.messages[nextSequence - 1];
+        nextSequence++;
+        try {
+          onMessage({ topicId, ...entry });
+        } catch (error) {
+          if (onError) onError(error);
+        }
+      }
+    };
+
+    const listener = () => deliver();
+    this.emitter.on(topicId, listener);
+    setImmediate(deliver);
+
+    return {
+      unsubscribe: () => {
+        active = false;
+        this.emitter.removeListener(topicId, listener);
+      }
+    };
+  }
+
+  getTopic(topicId) {
+    const topic = this.topics.get(topicId);
+    if (!topic) {
+      throw new Error(`Topic not found: ${topicId}`);
+    }
+    return topic;
+  }
+
+  nextConsensusTimestamp() {
+    const nanos = this.maxBigInt(
+      BigInt(this.clock()) * 1000000n,
+      this.lastTimestampNanos + 1n
+    );
+    this.lastTimestampNanos = nanos;
+
+    const seconds = nanos / 1000000000n;
+    const remainder = (nanos % 1000000000n).toString().padStart(9, "0");
+    return `${seconds}.${remainder}`;
+  }
+
+  timestampToNanos(timestamp) {
+    const [seconds, nanos = "0"] = timestamp.split(".");
+    return BigInt(seconds) * 1000000000n + BigInt(nanos.padEnd(9, "0"));
+  }
+
+  maxBigInt(a, b) {
+    return a > b ? a : b;
+  }
+
+  persist(topicId, record) {
+    if (!this.directory) return;
+    fs.appendFileSync(
+      path.join(this.directory, `${topicId}.jsonl`),
+      JSON.stringify(record) + "\n"
+    );
+  }
+
+  async close() {
+    this.emitter.removeAllListeners();
+  }
+}
+
+module.exports = { LocalLedgerAdapter };
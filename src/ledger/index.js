@@ -0,0 +1,27 @@
+const { LedgerAdapter } = require("./LedgerAdapter");
+const { HederaLedgerAdapter } = require("./HederaLedgerAdapter");
+const { LocalLedgerAdapter } = require("./LocalLedgerAdapter");
+
+function createLedgerAdapter(config) {
+  if (config.ledger instanceof LedgerAdapter) {
+    return config.ledger;
+  }
+
+  const ledgerConfig = config.ledger || {};
+
+  switch ((ledgerConfig.type || "hedera").toLowerCase()) {
+    case "local":
+      return new LocalLedgerAdapter(ledgerConfig);
+    case "hedera":
+      return new HederaLedgerAdapter(config.hedera);
+    default:
+      throw new Error(`Unknown ledger type: ${ledgerConfig.type}`);
+  }
+}
+
+module.exports = {
+  LedgerAdapter,
+  HederaLedgerAdapter,
+  LocalLedgerAdapter,
+  createLedgerAdapter
+};
@@ -0,0 +1,474 @@
+/**
+ * migrationRunner.js
+ * Applies schema migrations. Each migration names a target schema; the runner
+ * diffs it against the last schema recorded in _schema_versions, applies the
+ * resulting ALTER TABLE statements, records the version and queues a
+ * SCHEMA_MIGRATE message in the outbox, all in one PostgreSQL transaction.
+ *
+ *   await new MigrationRunner(db).run([
+ *     {
+ *       version: "1.1.0",
+ *       description: "Rename users.fullname, add users.phone",
+ *       renames: { users: { fullname: "name" } },
+ *       schema: { users: { name: { type: "string" }, phone: { type: "string", index: true } } }
+ *     }
+ *   ]);
+ *
+ * Renames cannot be inferred from a diff, so they are declared per table.
+ * Tables missing from the target schema are left in place; dropping audited
+ * data is never implied. Constraints declared in the schema (see
+ * SchemaDefinition) are diffed by name. Renaming or dropping a column
+ * changes the fields calculateRowHash sees for existing rows, so those rows
+ * are rehashed in the same transaction. Each rehash is a leaf of a Merkle
+ * tree whose root the SCHEMA_MIGRATE message carries (`rehash`), and gets a
+ * REHASH audit entry with its proof, the way batched writes do. Rows that
+ * did not match their hash before the migration are left alone, so a
+ * migration never launders tampering.
+ *
+ * Replay does not apply the message's change list: it diffs the recorded
+ * schema against the message's schema using the message's renames.
+ */
+
+const crypto = require("crypto");
+
+const {
+  assertValidSchema,
+  columnEntries,
+  normalizeColumn,
+  defaultSql,
+  indexName,
+  constraintsFor,
+  addConstraintSql,
+  dropConstraintSql,
+  orderTablesByReferences
+} = require("../core/SchemaDefinition");
+const { quoteIdentifier, SYSTEM_COLUMNS } = require("../core/QueryBuilder");
+const {
+  canonicalStringify,
+  MERKLE_ALGORITHM,
+  merkleLeafHash,
+  buildMerkleTree,
+  merkleProof
+} = require("../utils/hashUtils");
+
+const SCAN_BATCH_SIZE = 500;
+
+// Changes after which existing rows may hash differently
+const REHASHING_CHANGES = ["renameColumn", "dropColumn", "changeType"];
+
+// The name PostgreSQL gives an inline UNIQUE constraint
+const uniqueName = (table, column) => quoteIdentifier(`${table}_${column}_key`.slice(0, 63));
+
+// Defaults may be objects (json columns) and may be falsy (0, false)
+const sameDefault = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+class MigrationRunner {
+  constructor(db) {
+    this.db = db;
+    this.log = db.logger.child({ component: "migrations" });
+  }
+
+  // options: awaitAnchor, anchorTimeout, as for writes
+  async run(migrations, metadata = {}, options = {}) {
+    this.db.ensureInitialized();
+
+    const results = [];
+    for (const migration of migrations) {
+      this.validateMigration(migration);
+      results.push(await this.apply(migration, metadata, options));
+    }
+
+    const recorded = await this.db.getRecordedSchema();
+    if (recorded) {
+      this.db.schemaCache.set("main", recorded.schema);
+    }
+
+    return {
+      success: true,
+      applied: results.filter((r) => r.applied).map((r) => r.version),
+      results
+    };
+  }
+
+  validateMigration(migration) {
+    if (!migration?.version) {
+      throw new Error("Migration is missing a version");
+    }
+    if (!migration.schema || typeof migration.schema !== "object") {
+      throw new Error(`Migration ${migration.version} is missing a target schema`);
+    }
+    assertValidSchema(migration.schema);
+  }
+
+  async apply(migration, metadata, options = {}) {
+    const client = await this.db.pgPool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      // Serializes concurrent runners across nodes sharing the database
+      await client.query("SELECT pg_advisory_xact_lock(hashtext('_schema_versions'))");
+
+      const existing = await client.query(
+        "SELECT 1 FROM _schema_versions WHERE version = $1",
+        [migration.version]
+      );
+      if (existing.rowCount > 0) {
+        await client.query("COMMIT");
+        return { version: migration.version, applied: false };
+      }
+
+      const recorded = await this.db.getRecordedSchema(client);
+      const currentSchema = recorded ? recorded.schema : this.db.schemaCache.get("main");
+      const changes = this.diff(currentSchema, migration.schema, migration.renames || {});
+
+      this.db.assertEncryptionConfigured(migration.schema);
+      const rehash = await this.migrate(client, currentSchema, migration.schema, changes, migration.version);
+
+      const migrateMessage = {
+        type: "SCHEMA_MIGRATE",
+        version: migration.version,
+        previousVersion: recorded ? recorded.version : null,
+        description: migration.description || null,
+        renames: migration.renames || {},
+        changes,
+        schema: migration.schema,
+        rehash: this.describeRehash(rehash),
+        timestamp: Date.now(),
+        metadata: this.db.sanitizeMetadata(metadata)
+      };
+
+      const outboxId = await this.db.enqueueAnchor(client, migrateMessage);
+      await this.recordRehash(client, rehash, { outboxId }, metadata);
+      await this.db.recordSchemaVersion(client, migrateMessage);
+
+      await client.query("COMMIT");
+      const anchor = await this.db.settleAnchor(outboxId, options);
+
+      this.db.schemaCache.set("main", migration.schema);
+      this.db.emit("schema-migrated", { version: migration.version, changes });
+      this.log.info("Migration applied", {
+        version: migration.version,
+        changes: changes.length,
+        rehashed: rehash ? rehash.leaves.length : 0
+      });
+
+      return {
+        version: migration.version,
+        applied: true,
+        changes,
+        rehashed: rehash ? rehash.leaves.length : 0,
+        ...this.db.describeAnchor(anchor)
+      };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      this.db.metrics.errors++;
+      this.log.error("Migration failed", { version: migration.version, err: error });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  diff(currentSchema, targetSchema, renames = {}) {
+    const changes = [];
+
+    // New tables are created after the tables they reference
+    for (const table of orderTablesByReferences(targetSchema)) {
+      const targetColumns = targetSchema[table];
+
+      if (!currentSchema[table]) {
+        changes.push({ type: "createTable", table });
+        continue;
+      }
+
+      const currentColumns = { ...currentSchema[table] };
+      const { dropped, added } = this.diffConstraints(table, currentSchema[table], targetColumns);
+      changes.push(...dropped);
+
+      for (const [from, to] of Object.entries(renames[table] || {})) {
+        if (!currentColumns[from]) {
+          throw new Error(`Cannot rename ${table}.${from}: column does not exist`);
+        }
+        if (!targetColumns[to]) {
+          throw new Error(`Cannot rename ${table}.${from} to ${to}: target schema has no ${to}`);
+        }
+        if (this.normalizeColumn(currentColumns[from]).encrypted) {
+          throw new Error(
+            `Renaming encrypted column ${table}.${from} requires a data migration: its ciphertext is bound to the column name`
+          );
+        }
+        changes.push({ type: "renameColumn", table, from, to });
+        currentColumns[to] = currentColumns[from];
+        delete currentColumns[from];
+      }
+
+      for (const [column, rawTarget] of columnEntries(targetColumns)) {
+        const target = this.normalizeColumn(rawTarget);
+
+        if (!currentColumns[column]) {
+          changes.push({ type: "addColumn", table, column, definition: target });
+          continue;
+        }
+
+        changes.push(...this.diffColumn(table, column, this.normalizeColumn(currentColumns[column]), target));
+      }
+
+      for (const [column] of columnEntries(currentColumns)) {
+        if (!targetColumns[column]) {
+          changes.push({ type: "dropColumn", table, column });
+        }
+      }
+
+      changes.push(...added);
+    }
+
+    return changes;
+  }
+
+  // Constraints are compared by their generated names. Removed or changed
+  // ones are dropped before the column changes, new or changed ones added
+  // after them, so both can refer to the columns they need.
+  diffConstraints(table, currentColumns, targetColumns) {
+    const current = new Map(constraintsFor(table, currentColumns).map((c) => [c.name, c]));
+    const target = new Map(constraintsFor(table, targetColumns).map((c) => [c.name, c]));
+    const same = (a, b) => a.definition === b.definition && Boolean(a.unique) === Boolean(b.unique);
+
+    const dropped = [];
+    for (const [name, constraint] of current) {
+      if (!target.has(name) || !same(constraint, target.get(name))) {
+        dropped.push({ type: "dropConstraint", table, constraint });
+      }
+    }
+
+    const added = [];
+    for (const [name, constraint] of target) {
+      if (!current.has(name) || !same(constraint, current.get(name))) {
+        added.push({ type: "addConstraint", table, constraint });
+      }
+    }
+
+    return { dropped, added };
+  }
+
+  diffColumn(table, column, current, target) {
+    const changes = [];
+
+    if (Boolean(current.encrypted) !== Boolean(target.encrypted)) {
+      throw new Error(
+        `Changing encryption of ${table}.${column} requires a data migration, not a schema diff`
+      );
+    }
+
+    const currentType = this.db.getColumnType(current);
+    const targetType = this.db.getColumnType(target);
+    if (currentType !== targetType) {
+      changes.push({ type: "changeType", table, column, from: currentType, to: targetType });
+    }
+
+    if ((current.nullable !== false) !== (target.nullable !== false)) {
+      changes.push({ type: "setNullable", table, column, nullable: target.nullable !== false });
+    }
+
+    if (!sameDefault(current.default, target.default)) {
+      changes.push({ type: "setDefault", table, column, default: target.default ?? null });
+    }
+
+    if (Boolean(current.unique) !== Boolean(target.unique)) {
+      changes.push({ type: target.unique ? "addUnique" : "dropUnique", table, column });
+    }
+
+    if (Boolean(current.index) !== Boolean(target.index)) {
+      changes.push({ type: target.index ? "addIndex" : "dropIndex", table, column });
+    }
+
+    return changes;
+  }
+
+  normalizeColumn(colDef) {
+    return typeof colDef === "string" ? { type: colDef } : colDef;
+  }
+
+  // Applies the changes and rehashes the rows they affect; returns the
+  // rehash batch, or null when no row hashes differently
+  async migrate(client, currentSchema, targetSchema, changes, version) {
+    const verified = new Map();
+    for (const table of this.rehashedTables(changes)) {
+      verified.set(table, await this.verifiedRows(client, table, currentSchema[table]));
+    }
+
+    await this.applyChanges(client, changes, targetSchema);
+
+    const leaves = [];
+    for (const [table, txIds] of verified) {
+      for await (const row of this.scan(client, table)) {
+        if (!txIds.has(row._tx_id)) continue;
+
+        const newHash = this.rowHash(table, row, targetSchema[table]);
+        if (newHash === row._data_hash) continue;
+
+        await client.query(
+          `UPDATE ${quoteIdentifier(table)} SET _data_hash = $1 WHERE _tx_id = $2`,
+          [newHash, row._tx_id]
+        );
+        leaves.push({ type: "REHASH", table, txId: row._tx_id, previousHash: row._data_hash, newHash, version });
+      }
+    }
+
+    if (leaves.length === 0) return null;
+
+    const serialized = leaves.map((leaf) => canonicalStringify(leaf));
+    const tree = buildMerkleTree(serialized.map(merkleLeafHash));
+    return {
+      batchId: crypto.randomBytes(16).toString("hex"),
+      root: tree[tree.length - 1][0],
+      leaves,
+      serialized,
+      tree
+    };
+  }
+
+  rehashedTables(changes) {
+    const tables = new Set();
+    for (const change of changes) {
+      const addsValues = change.type === "addColumn" && (change.definition.default ?? null) !== null;
+      if (REHASHING_CHANGES.includes(change.type) || addsValues) {
+        tables.add(change.table);
+      }
+    }
+    return [...tables];
+  }
+
+  // The rows of a table that match their hash under its current schema
+  async verifiedRows(client, table, tableSchema) {
+    const verified = new Set();
+    for await (const row of this.scan(client, table)) {
+      let hash;
+      try {
+        hash = this.rowHash(table, row, tableSchema);
+      } catch (error) {
+        hash = null;
+      }
+
+      if (hash === row._data_hash) {
+        verified.add(row._tx_id);
+      } else {
+        this.log.warn("Row does not match its hash, not rehashed", { table, txId: row._tx_id });
+      }
+    }
+    return verified;
+  }
+
+  rowHash(table, row, tableSchema) {
+    const data = { ...row };
+    for (const column of SYSTEM_COLUMNS) delete data[column];
+    return this.db.calculateRowHash(table, this.db.decryptSensitiveFields(table, data), tableSchema);
+  }
+
+  async *scan(client, table) {
+    let lastTxId = "";
+    for (;;) {
+      const result = await client.query(
+        `SELECT * FROM ${quoteIdentifier(table)} WHERE _tx_id > $1 ORDER BY _tx_id LIMIT $2`,
+        [lastTxId, SCAN_BATCH_SIZE]
+      );
+      if (result.rows.length === 0) return;
+
+      yield* result.rows;
+      lastTxId = result.rows[result.rows.length - 1]._tx_id;
+    }
+  }
+
+  // What the SCHEMA_MIGRATE message anchors of a rehash batch
+  describeRehash(rehash) {
+    if (!rehash) return null;
+    return {
+      batchId: rehash.batchId,
+      root: rehash.root,
+      leafCount: rehash.leaves.length,
+      algorithm: MERKLE_ALGORITHM
+    };
+  }
+
+  // One REHASH audit entry per rehashed row, proving into the anchored root
+  async recordRehash(client, rehash, ledgerResult, metadata = {}) {
+    if (!rehash) return;
+
+    for (const [leafIndex, leaf] of rehash.leaves.entries()) {
+      const auditMessage = { type: "REHASH", table: leaf.table, txId: leaf.txId };
+      const auditId = await this.db.writeAuditEntry(client, auditMessage, leaf.newHash, metadata, {
+        ...ledgerResult,
+        ledgerMessage: rehash.serialized[leafIndex],
+        merkle: {
+          batchId: rehash.batchId,
+          root: rehash.root,
+          leafIndex,
+          proof: merkleProof(rehash.tree, leafIndex)
+        }
+      });
+      await this.db.recordHistory(client, auditMessage, auditId);
+    }
+  }
+
+  async applyChanges(client, changes, targetSchema) {
+    for (const change of changes) {
+      if (change.type === "createTable") {
+        await this.db.createTable(client, change.table, targetSchema[change.table]);
+        continue;
+      }
+
+      for (const statement of this.toSql(change, targetSchema)) {
+        await client.query(statement);
+      }
+    }
+  }
+
+  toSql(change, targetSchema) {
+    const table = quoteIdentifier(change.table);
+    const column = change.column && quoteIdentifier(change.column);
+    const alter = `ALTER TABLE ${table} ALTER COLUMN ${column}`;
+
+    switch (change.type) {
+      case "addColumn":
+        return [
+          `ALTER TABLE ${table} ADD COLUMN ${this.db.buildColumnDefinition(change.column, change.definition, change.table)}`,
+          ...(change.definition.index
+            ? [`CREATE INDEX IF NOT EXISTS ${indexName(change.table, change.column)} ON ${table}(${column})`]
+            : [])
+        ];
+      case "dropColumn":
+        return [`ALTER TABLE ${table} DROP COLUMN ${column}`];
+      case "renameColumn":
+        return [
+          `ALTER TABLE ${table} RENAME COLUMN ${quoteIdentifier(change.from)} TO ${quoteIdentifier(change.to)}`,
+          `ALTER INDEX IF EXISTS ${indexName(change.table, change.from)} RENAME TO ${indexName(change.table, change.to)}`
+        ];
+      case "changeType": {
+        const type = this.db.getColumnType(normalizeColumn(targetSchema[change.table][change.column]));
+        return [`${alter} TYPE ${type} USING ${column}::${type}`];
+      }
+      case "setNullable":
+        return [`${alter} ${change.nullable ? "DROP" : "SET"} NOT NULL`];
+      case "setDefault": {
+        const value = defaultSql(normalizeColumn(targetSchema[change.table][change.column]), change.table, change.column);
+        return [value === null ? `${alter} DROP DEFAULT` : `${alter} SET DEFAULT ${value}`];
+      }
+      case "addUnique":
+        return [`ALTER TABLE ${table} ADD CONSTRAINT ${uniqueName(change.table, change.column)} UNIQUE (${column})`];
+      case "dropUnique":
+        return [`ALTER TABLE ${table} DROP CONSTRAINT IF EXISTS ${uniqueName(change.table, change.column)}`];
+      case "addIndex":
+        return [`CREATE INDEX IF NOT EXISTS ${indexName(change.table, change.column)} ON ${table}(${column})`];
+      case "dropIndex":
+        return [`DROP INDEX IF EXISTS ${indexName(change.table, change.column)}`];
+      case "addConstraint":
+        return [addConstraintSql(change.table, change.constraint)];
+      case "dropConstraint":
+        return [dropConstraintSql(change.table, change.constraint)];
+      default:
+        throw new Error(`Unknown schema change: ${change.type}`);
+    }
+  }
+}
+
+module.exports = { MigrationRunner };
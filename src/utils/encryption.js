@@ -0,0 +1,58 @@
+/**
+ * encryption.js
+ * AES-256-GCM helpers. Ciphertexts are self-describing strings:
+ *   v1:<iv>:<auth tag>:<ciphertext>   (base64 segments)
+ */
+
+const crypto = require("crypto");
+
+const ALGORITHM = "aes-256-gcm";
+const ENVELOPE_VERSION = "v1";
+
+function deriveKey(key) {
+  if (!key) {
+    throw new Error("Encryption key missing");
+  }
+  if (Buffer.isBuffer(key)) {
+    if (key.length !== 32) throw new Error("Encryption key must be 32 bytes");
+    return key;
+  }
+  if (/^[0-9a-f]{64}$/i.test(key)) {
+    return Buffer.from(key, "hex");
+  }
+  // Passphrases are stretched to a 256-bit key
+  return crypto.createHash("sha256").update(String(key)).digest();
+}
+
+function encrypt(plaintext, key, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(key), iv);
+  if (aad) cipher.setAAD(Buffer.from(aad));
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+
+  return [
+    ENVELOPE_VERSION,
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    ciphertext.toString("base64")
+  ].join(":");
+}
+
+function decrypt(envelope, key, aad) {
+  const [version, iv, tag, ciphertext] = String(envelope).split(":");
+  if (version !== ENVELOPE_VERSION || !ciphertext) {
+    throw new Error("Malformed ciphertext");
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, deriveKey(key), Buffer.from(iv, "base64"));
+  if (aad) decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64")),
+    decipher.final()
+  ]).toString("utf8");
+}
+
+module.exports = { deriveKey, encrypt, decrypt };
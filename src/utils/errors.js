@@ -0,0 +1,105 @@
+/**
+ * errors.js
+ * Typed errors for invalid caller input. Each carries a stable `code` and
+ * the HTTP status the REST API answers with.
+ */
+
+class DatabaseError extends Error {
+  constructor(message, { code = "DATABASE_ERROR", statusCode = 500, details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.statusCode = statusCode;
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+}
+
+// A table or column that is not in the schema, or a name that is not a
+// plain lowercase identifier
+class InvalidIdentifierError extends DatabaseError {
+  constructor(message, details) {
+    super(message, { code: "INVALID_IDENTIFIER", statusCode: 400, details });
+  }
+}
+
+// Malformed query options: bad sort direction, non-integer limit, etc.
+class QueryValidationError extends DatabaseError {
+  constructor(message, details) {
+    super(message, { code: "INVALID_QUERY", statusCode: 400, details });
+  }
+}
+
+// A schema definition that cannot be applied: dangling references,
+// constraints on unknown columns, circular table dependencies
+class SchemaValidationError extends DatabaseError {
+  constructor(message, details) {
+    super(message, { code: "INVALID_SCHEMA", statusCode: 400, details });
+  }
+}
+
+// Row data that does not satisfy its table schema. details.errors lists
+// every failing field as { field, rule, message }.
+class ValidationError extends DatabaseError {
+  constructor(message, errors) {
+    super(message, { code: "VALIDATION_FAILED", statusCode: 422, details: { errors } });
+  }
+}
+
+// A record, transaction or outbox entry that does not exist
+class NotFoundError extends DatabaseError {
+  constructor(message, details) {
+    super(message, { code: "NOT_FOUND", statusCode: 404, details });
+  }
+}
+
+// A write that clashes with current state: a duplicate unique value, a
+// reference to or from another row, a transaction that is no longer active
+class ConflictError extends DatabaseError {
+  constructor(message, details) {
+    super(message, { code: "CONFLICT", statusCode: 409, details });
+  }
+}
+
+// Missing, malformed, expired or unrecognised credentials
+class AuthenticationError extends DatabaseError {
+  constructor(message, details) {
+    super(message, { code: "UNAUTHENTICATED", statusCode: 401, details });
+  }
+}
+
+// A verified principal without the permission the request needs
+class ForbiddenError extends DatabaseError {
+  constructor(message, details) {
+    super(message, { code: "FORBIDDEN", statusCode: 403, details });
+  }
+}
+
+// PostgreSQL constraint violations surface as driver errors carrying a
+// SQLSTATE; these map them onto the typed errors above
+const POSTGRES_ERRORS = {
+  "23505": (error) => new ConflictError(error.detail || error.message, { constraint: error.constraint }),
+  "23503": (error) => new ConflictError(error.detail || error.message, { constraint: error.constraint }),
+  "23502": (error) => new ValidationError(error.message, [{ field: error.column, rule: "required", message: `${error.column} is required` }]),
+  "23514": (error) => new ValidationError(error.message, [{ field: null, rule: "check", message: error.message, constraint: error.constraint }])
+};
+
+function fromPostgresError(error) {
+  if (error instanceof DatabaseError) return error;
+  const translate = POSTGRES_ERRORS[error?.code];
+  return translate ? translate(error) : error;
+}
+
+module.exports = {
+  DatabaseError,
+  InvalidIdentifierError,
+  QueryValidationError,
+  SchemaValidationError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  AuthenticationError,
+  ForbiddenError,
+  fromPostgresError
+};
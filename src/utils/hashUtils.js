@@ -0,0 +1,161 @@
+/**
+ * hashUtils.js
+ * Canonical JSON and hashing helpers shared by the core and by offline tools.
+ */
+
+const crypto = require("crypto");
+
+// JSON with object keys sorted at every depth, so logically equal values
+// (e.g. a JSONB column read back from PostgreSQL) serialize identically.
+function canonicalStringify(value) {
+  return JSON.stringify(sortKeys(value));
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === "object" && value.constructor === Object) {
+    return Object.keys(value)
+      .sort()
+      .reduce((acc, key) => {
+        acc[key] = sortKeys(value[key]);
+        return acc;
+      }, {});
+  }
+  return value;
+}
+
+function sha256(input) {
+  return crypto.createHash("sha256").update(input).digest("hex");
+}
+
+// Row hashes are taken over a normalized view of the row so the values a
+// caller writes and the values PostgreSQL returns hash identically: nulls
+// are omitted, numerics compare as strings, and date and datetime columns
+// as the value PostgreSQL stores (see normalizeTemporal). kindOf(column)
+// is "numeric", "date", "datetime" or null; other Dates hash as ISO strings.
+function rowHash(data, kindOf = () => null) {
+  const normalized = {};
+
+  for (const [column, value] of Object.entries(data)) {
+    if (value === null || value === undefined) continue;
+    const kind = kindOf(column);
+    if (kind === "date" || kind === "datetime") {
+      normalized[column] = normalizeTemporal(value, kind);
+    } else if (value instanceof Date) {
+      normalized[column] = value.toISOString();
+    } else {
+      normalized[column] = kind === "numeric" ? String(value) : value;
+    }
+  }
+
+  return sha256(canonicalStringify(normalized));
+}
+
+const pad = (number, width = 2) => String(number).padStart(width, "0");
+
+const DATE_PREFIX = /^(\d{4}-\d{2}-\d{2})/;
+const DATETIME_PREFIX = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?/;
+
+// DATE keeps the day, TIMESTAMP the wall-clock time: PostgreSQL ignores an
+// offset written into a timestamp without time zone, and node-postgres
+// both sends and reads a Date as local time, to the millisecond. Dates
+// normalize to YYYY-MM-DD, datetimes to YYYY-MM-DDTHH:MM:SS.mmmZ (the
+// toISOString layout, for hashes taken before values were normalized).
+// Strings PostgreSQL would read some other way are left as written.
+function normalizeTemporal(value, kind) {
+  if (value instanceof Date) {
+    const day = `${pad(value.getFullYear(), 4)}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    if (kind === "date") return day;
+    const time = `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+    return `${day}T${time}.${pad(value.getMilliseconds(), 3)}Z`;
+  }
+  if (typeof value !== "string") return value;
+
+  if (kind === "date") {
+    const match = DATE_PREFIX.exec(value);
+    return match ? match[1] : value;
+  }
+
+  const match = DATETIME_PREFIX.exec(value);
+  if (!match) return value;
+  const [, day, hours = "00", minutes = "00", seconds = "00", fraction = ""] = match;
+  return `${day}T${hours}:${minutes}:${seconds}.${fraction.slice(0, 3).padEnd(3, "0")}Z`;
+}
+
+// Merkle trees follow RFC 6962: leaves and inner nodes are hashed with
+// distinct prefixes so a leaf can never be passed off as a subtree. An odd
+// node at the end of a level is promoted unchanged.
+const MERKLE_ALGORITHM = "sha256-rfc6962";
+
+function merkleLeafHash(leaf) {
+  return crypto.createHash("sha256")
+    .update(Buffer.from([0x00]))
+    .update(leaf)
+    .digest("hex");
+}
+
+function merkleNodeHash(left, right) {
+  return crypto.createHash("sha256")
+    .update(Buffer.from([0x01]))
+    .update(Buffer.from(left, "hex"))
+    .update(Buffer.from(right, "hex"))
+    .digest("hex");
+}
+
+// Returns every level, leaves first and the root level last
+function buildMerkleTree(leafHashes) {
+  if (leafHashes.length === 0) {
+    throw new Error("Cannot build a Merkle tree without leaves");
+  }
+
+  const levels = [leafHashes];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? merkleNodeHash(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+}
+
+function merkleProof(levels, leafIndex) {
+  const proof = [];
+  let index = leafIndex;
+
+  for (let depth = 0; depth < levels.length - 1; depth++) {
+    const level = levels[depth];
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < level.length) {
+      proof.push({ position: index % 2 === 0 ? "right" : "left", hash: level[sibling] });
+    }
+    index = Math.floor(index / 2);
+  }
+  return proof;
+}
+
+function verifyMerkleProof(leafHash, proof, root) {
+  const computed = proof.reduce(
+    (hash, step) => step.position === "left"
+      ? merkleNodeHash(step.hash, hash)
+      : merkleNodeHash(hash, step.hash),
+    leafHash
+  );
+  return computed === root;
+}
+
+module.exports = {
+  canonicalStringify,
+  sha256,
+  rowHash,
+  normalizeTemporal,
+  MERKLE_ALGORITHM,
+  merkleLeafHash,
+  merkleNodeHash,
+  buildMerkleTree,
+  merkleProof,
+  verifyMerkleProof
+};
@@ -0,0 +1,134 @@
+/**
+ * logger.js
+ * Structured logger. Every entry is one plain object,
+ *
+ *   { "time": "...", "level": "info", "msg": "Record inserted", "component": "db", "requestId": "...", ... }
+ *
+ * handed to a sink; the default sink writes it as a JSON line to stdout, or
+ * stderr for warn and error. child() returns a logger that adds context
+ * (component, requestId) to each of its entries. Values under keys listed in
+ * `redact` are masked at any depth, and errors are logged by name, message,
+ * code and stack rather than as their enumerable fields.
+ *
+ *   const log = createLogger({ level: "debug", sink: (entry) => entries.push(entry) });
+ *   log.child({ component: "api" }).warn("Slow query", { table: "users", ms: 1200 });
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const DEFAULT_REDACT = [
+  "password",
+  "secret",
+  "token",
+  "authorization",
+  "cookie",
+  "apiKey",
+  "x-api-key",
+  "privateKey",
+  "encryptionKey"
+];
+
+const REDACTED = "[REDACTED]";
+const MAX_DEPTH = 8;
+
+function jsonSink(entry) {
+  const line = `${JSON.stringify(entry)}\n`;
+  (LEVELS[entry.level] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+}
+
+class Logger {
+  constructor(options = {}, context = {}) {
+    const level = options.level || "info";
+    if (!Object.prototype.hasOwnProperty.call(LEVELS, level)) {
+      throw new Error(`Unknown log level: ${level} (expected one of ${Object.keys(LEVELS).join(", ")})`);
+    }
+
+    this.options = options;
+    this.level = level;
+    this.sink = options.sink || jsonSink;
+    this.redactKeys = new Set([...DEFAULT_REDACT, ...(options.redact || [])].map((key) => key.toLowerCase()));
+    this.context = context;
+  }
+
+  child(context) {
+    return new Logger(this.options, { ...this.context, ...context });
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(msg, fields) {
+    this.write("debug", msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write("info", msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write("warn", msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write("error", msg, fields);
+  }
+
+  write(level, msg, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...this.serialize(this.context, 0, new WeakSet()),
+      ...this.serialize(fields, 0, new WeakSet())
+    };
+
+    // Logging must never be the reason a request fails
+    try {
+      this.sink(entry);
+    } catch (error) {
+      process.stderr.write(`Log sink failed: ${error.message}\n`);
+    }
+  }
+
+  // Copies a value into something JSON.stringify cannot choke on:
+  // redacted, without cycles or BigInts, and depth-limited
+  serialize(value, depth, seen) {
+    if (value instanceof Error) {
+      return {
+        name: value.name,
+        message: value.message,
+        ...(value.code !== undefined && { code: value.code }),
+        ...(value.statusCode !== undefined && { statusCode: value.statusCode }),
+        stack: value.stack
+      };
+    }
+    if (typeof value === "bigint") return value.toString();
+    if (Buffer.isBuffer(value)) return `<Buffer ${value.length} bytes>`;
+    if (value === null || typeof value !== "object" || value instanceof Date) return value;
+
+    if (seen.has(value)) return "[Circular]";
+    if (depth >= MAX_DEPTH) return "[Truncated]";
+    seen.add(value);
+
+    let copy;
+    if (Array.isArray(value)) {
+      copy = value.map((item) => this.serialize(item, depth + 1, seen));
+    } else {
+      copy = {};
+      for (const [key, item] of Object.entries(value)) {
+        copy[key] = this.redactKeys.has(key.toLowerCase()) ? REDACTED : this.serialize(item, depth + 1, seen);
+      }
+    }
+    seen.delete(value);
+    return copy;
+  }
+}
+
+function createLogger(options = {}) {
+  return new Logger(options);
+}
+
+module.exports = { Logger, createLogger, LEVELS };
@@ -0,0 +1,206 @@
+/**
+ * metrics.js
+ * Minimal metrics registry rendering the Prometheus text exposition format
+ * (version 0.0.4). Counters, gauges and histograms are keyed by their label
+ * values; collectors run before each render to refresh gauges that are read
+ * rather than updated, such as pool usage or queue depth.
+ *
+ *   const registry = new MetricsRegistry({ prefix: "app_" });
+ *   const latency = registry.histogram("request_duration_seconds", "Request latency", ["route"]);
+ *   const end = latency.startTimer({ route: "/users" });
+ *   ...
+ *   end();
+ *   res.type(PROMETHEUS_CONTENT_TYPE).send(await registry.render());
+ */
+
+const PROMETHEUS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  if (Number.isNaN(value)) return "NaN";
+  return String(value);
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Every label is always present, in declaration order, so the same values
+  // always land on the same series
+  labelsOf(labels = {}) {
+    for (const name of Object.keys(labels)) {
+      if (!this.labelNames.includes(name)) {
+        throw new Error(`Unknown label ${name} for metric ${this.name}`);
+      }
+    }
+    return Object.fromEntries(this.labelNames.map((name) => [name, labels[name] ?? ""]));
+  }
+
+  seriesFor(labels, create) {
+    const resolved = this.labelsOf(labels);
+    const key = JSON.stringify(Object.values(resolved));
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: resolved, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`,
+      `# TYPE ${this.name} ${this.type}`
+    ];
+    for (const series of this.series.values()) {
+      lines.push(...this.renderSeries(series));
+    }
+    return lines.join("\n");
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super("counter", name, help, labelNames);
+  }
+
+  inc(labels, value = 1) {
+    if (value < 0) {
+      throw new Error(`Counter ${this.name} cannot decrease`);
+    }
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super("gauge", name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  dec(labels, value = 1) {
+    this.inc(labels, -value);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    if (labelNames.includes("le")) {
+      throw new Error(`Histogram ${name} cannot use the label "le"`);
+    }
+    super("histogram", name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Returns a function that observes the seconds elapsed since the call;
+  // labels passed to it are added to the ones given here
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (endLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...endLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  renderSeries(series) {
+    const lines = this.buckets.map((bound, i) => (
+      `${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`
+    ));
+    lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: "+Inf" })} ${series.count}`);
+    lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+    lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor(options = {}) {
+    this.prefix = options.prefix || "";
+    this.metrics = new Map();
+    this.collectors = [];
+  }
+
+  counter(name, help, labelNames = []) {
+    return this.register(new Counter(this.prefix + name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames = []) {
+    return this.register(new Gauge(this.prefix + name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this.register(new Histogram(this.prefix + name, help, labelNames, buckets));
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  // collect() may be async; it runs before every render
+  addCollector(collect) {
+    this.collectors.push(collect);
+  }
+
+  async render() {
+    await Promise.all(this.collectors.map((collect) => collect()));
+    return `${[...this.metrics.values()].map((metric) => metric.render()).join("\n")}\n`;
+  }
+}
+
+module.exports = {
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+  DEFAULT_BUCKETS,
+  PROMETHEUS_CONTENT_TYPE
+};
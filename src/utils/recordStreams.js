@@ -0,0 +1,121 @@
+/**
+ * recordStreams.js
+ * Incremental NDJSON and CSV parsers. Both read any async iterable of
+ * string or Buffer chunks (a file or HTTP request stream) and yield one
+ * { line, record } per input record, or { line, error } for a record that
+ * cannot be parsed, so a caller can report bad lines and carry on. `line`
+ * is the 1-based line the record starts on.
+ */
+
+const { StringDecoder } = require("string_decoder");
+
+// Splits a chunked stream into lines without holding more than one
+// partial line in memory
+async function* lines(source) {
+  const decoder = new StringDecoder("utf8");
+  let buffered = "";
+
+  for await (const chunk of source) {
+    buffered += typeof chunk === "string" ? chunk : decoder.write(chunk);
+    let newline;
+    while ((newline = buffered.indexOf("\n")) !== -1) {
+      yield buffered.slice(0, newline).replace(/\r$/, "");
+      buffered = buffered.slice(newline + 1);
+    }
+  }
+
+  buffered += decoder.end();
+  if (buffered !== "") {
+    yield buffered.replace(/\r$/, "");
+  }
+}
+
+async function* parseNdjson(source) {
+  let line = 0;
+  for await (const text of lines(source)) {
+    line++;
+    if (text.trim() === "") continue;
+
+    let record;
+    try {
+      record = JSON.parse(text);
+    } catch (error) {
+      yield { line, error: `Invalid JSON: ${error.message}` };
+      continue;
+    }
+
+    if (record === null || typeof record !== "object" || Array.isArray(record)) {
+      yield { line, error: "Each line must be a JSON object" };
+    } else {
+      yield { line, record };
+    }
+  }
+}
+
+// RFC 4180: fields may be quoted, quotes inside are doubled, and quoted
+// fields may span lines. The first row names the fields unless `columns`
+// (a list of names) is given. Values are left as strings.
+async function* parseCsv(source, options = {}) {
+  const delimiter = options.delimiter || ",";
+  let header = options.columns || null;
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  let startLine = 0;
+  let line = 0;
+
+  for await (const text of lines(source)) {
+    line++;
+    if (!quoted) {
+      if (text === "") continue;
+      startLine = line;
+    } else {
+      field += "\n";
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === "\"" && text[i + 1] === "\"") {
+          field += "\"";
+          i++;
+        } else if (char === "\"") {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === "\"" && field === "") {
+        quoted = true;
+      } else if (char === delimiter) {
+        fields.push(field);
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+
+    if (quoted) continue;
+
+    fields.push(field);
+    const values = fields;
+    fields = [];
+    field = "";
+
+    if (!header) {
+      header = values.map((name) => name.trim());
+      continue;
+    }
+
+    if (values.length !== header.length) {
+      yield { line: startLine, error: `Expected ${header.length} fields, found ${values.length}` };
+      continue;
+    }
+    yield { line: startLine, record: Object.fromEntries(header.map((name, i) => [name, values[i]])) };
+  }
+
+  if (quoted) {
+    yield { line: startLine, error: "Unterminated quoted field" };
+  }
+}
+
+module.exports = { lines, parseNdjson, parseCsv };
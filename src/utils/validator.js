@@ -0,0 +1,166 @@
+/**
+ * validator.js
+ * Schema-driven validation of row data before it is written. Values are
+ * checked against the PostgreSQL type their column maps to, then against
+ * the column's rules:
+ *
+ *   email: { type: "string", nullable: false, maxLength: 255, pattern: "^[^@]+@[^@]+$" },
+ *   role: { type: "string", enum: ["admin", "member"] },
+ *   age: { type: "integer", min: 0, max: 150 },
+ *   vat_id: { type: "string", validate: "vatId" }
+ *
+ * `validate` names one or more custom validators registered with
+ * register(); schemas are anchored as JSON, so functions cannot live in
+ * them. A validator returns true to accept, or false or a message to reject.
+ * Every failing field is reported at once.
+ */
+
+const { ValidationError, SchemaValidationError } = require("./errors");
+const { isTableOption, columnEntries, normalizeColumn } = require("../core/SchemaDefinition");
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?$/;
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/;
+const INTEGER_PATTERN = /^-?\d+$/;
+const INT32_MIN = -(2 ** 31);
+const INT32_MAX = 2 ** 31 - 1;
+
+const isDateLike = (value) => (value instanceof Date && !Number.isNaN(value.getTime()))
+  || (typeof value === "string" && !Number.isNaN(Date.parse(value)));
+
+// Accepted JavaScript values per PostgreSQL type. NUMERIC and BIGINT also
+// take strings, which is how node-postgres returns them.
+const TYPE_CHECKS = {
+  "TEXT": (value) => typeof value === "string",
+  "VARCHAR(255)": (value) => typeof value === "string" && value.length <= 255,
+  "NUMERIC": (value) => (typeof value === "number" && Number.isFinite(value))
+    || typeof value === "bigint"
+    || (typeof value === "string" && NUMERIC_PATTERN.test(value)),
+  "INTEGER": (value) => Number.isInteger(value) && value >= INT32_MIN && value <= INT32_MAX,
+  "BIGINT": (value) => Number.isSafeInteger(value)
+    || typeof value === "bigint"
+    || (typeof value === "string" && INTEGER_PATTERN.test(value)),
+  "REAL": (value) => typeof value === "number" && Number.isFinite(value),
+  "DOUBLE PRECISION": (value) => typeof value === "number" && Number.isFinite(value),
+  "BOOLEAN": (value) => typeof value === "boolean",
+  "DATE": isDateLike,
+  "TIMESTAMP": isDateLike,
+  "TIME": (value) => typeof value === "string" && TIME_PATTERN.test(value),
+  "JSONB": (value) => !["function", "symbol", "bigint"].includes(typeof value),
+  "UUID": (value) => typeof value === "string" && UUID_PATTERN.test(value),
+  "TEXT[]": (value) => Array.isArray(value) && value.every((item) => typeof item === "string" || item === null),
+  "BYTEA": (value) => Buffer.isBuffer(value) || value instanceof Uint8Array
+};
+
+const NUMERIC_TYPES = ["NUMERIC", "INTEGER", "BIGINT", "REAL", "DOUBLE PRECISION"];
+
+class Validator {
+  constructor(options = {}) {
+    this.mapType = options.mapType || ((type) => String(type).toUpperCase());
+    this.validators = new Map();
+  }
+
+  register(name, fn) {
+    if (typeof fn !== "function") {
+      throw new TypeError(`Validator ${name} must be a function`);
+    }
+    this.validators.set(name, fn);
+  }
+
+  // Returns [{ field, rule, message }] for every problem found. Inserts
+  // must supply every NOT NULL column without a default; updates only
+  // check the fields they change.
+  validate(tableName, tableSchema, data, { isUpdate = false } = {}) {
+    if (typeof data !== "object" || data === null || Array.isArray(data)) {
+      return [{ field: null, rule: "type", message: "Row data must be an object" }];
+    }
+
+    const errors = [];
+
+    for (const field of Object.keys(data)) {
+      if (isTableOption(field) || !Object.prototype.hasOwnProperty.call(tableSchema, field)) {
+        errors.push({ field, rule: "unknown", message: `Unknown field: ${field} in table ${tableName}` });
+      }
+    }
+
+    for (const [column, rawDef] of columnEntries(tableSchema)) {
+      const colDef = normalizeColumn(rawDef);
+      const value = data[column];
+
+      if (value === undefined || value === null) {
+        const provided = Object.prototype.hasOwnProperty.call(data, column);
+        const required = colDef.nullable === false && (value === null || (!isUpdate && colDef.default === undefined));
+        if (required && (provided || !isUpdate)) {
+          errors.push({ field: column, rule: "required", message: `${column} is required` });
+        }
+        continue;
+      }
+
+      errors.push(...this.validateValue(tableName, column, colDef, value, data));
+    }
+
+    return errors;
+  }
+
+  validateValue(tableName, column, colDef, value, data) {
+    const pgType = this.mapType(colDef.type || "string");
+    const typeCheck = TYPE_CHECKS[pgType];
+
+    if (typeCheck && !typeCheck(value)) {
+      // The remaining rules assume the right type
+      return [{ field: column, rule: "type", message: `${column} must be a valid ${colDef.type || "string"}`, expected: colDef.type }];
+    }
+
+    const errors = [];
+    const fail = (rule, message, extra = {}) => errors.push({ field: column, rule, message, ...extra });
+
+    if (Array.isArray(colDef.enum) && !colDef.enum.includes(value)) {
+      fail("enum", `${column} must be one of: ${colDef.enum.join(", ")}`, { allowed: colDef.enum });
+    }
+
+    if (NUMERIC_TYPES.includes(pgType)) {
+      const number = Number(value);
+      if (colDef.min !== undefined && number < colDef.min) {
+        fail("min", `${column} must be at least ${colDef.min}`, { min: colDef.min });
+      }
+      if (colDef.max !== undefined && number > colDef.max) {
+        fail("max", `${column} must be at most ${colDef.max}`, { max: colDef.max });
+      }
+    }
+
+    if (colDef.maxLength !== undefined && (typeof value === "string" || Array.isArray(value)) && value.length > colDef.maxLength) {
+      fail("maxLength", `${column} must be at most ${colDef.maxLength} long`, { maxLength: colDef.maxLength });
+    }
+
+    if (colDef.pattern !== undefined && typeof value === "string" && !new RegExp(colDef.pattern).test(value)) {
+      fail("pattern", `${column} does not match the required format`, { pattern: String(colDef.pattern) });
+    }
+
+    const custom = colDef.validate === undefined ? [] : [].concat(colDef.validate);
+    for (const name of custom) {
+      const fn = this.validators.get(name);
+      if (!fn) {
+        throw new SchemaValidationError(`Unknown validator ${name} on ${tableName}.${column}`, { table: tableName, column, validator: name });
+      }
+
+      const result = fn(value, { table: tableName, column, data });
+      if (result !== true) {
+        fail(name, typeof result === "string" ? result : `${column} failed ${name}`);
+      }
+    }
+
+    return errors;
+  }
+
+  assertValid(tableName, tableSchema, data, options = {}) {
+    const errors = this.validate(tableName, tableSchema, data, options);
+    if (errors.length > 0) {
+      throw new ValidationError(
+        `Invalid data for ${tableName}: ${errors.map((error) => error.message).join("; ")}`,
+        errors
+      );
+    }
+  }
+}
+
+module.exports = { Validator };
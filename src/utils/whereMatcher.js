@@ -0,0 +1,156 @@
+/**
+ * whereMatcher.js
+ * Evaluates a QueryBuilder where object against a row held in memory, for
+ * callers that see rows outside a query (the change feed). Operators mean
+ * what they mean in SQL: a comparison with a missing or null value is
+ * unknown except through $eq null, $ne null and $isNull, and unknown stays
+ * unknown under $not, so the row does not match; numbers and numeric
+ * strings compare as numbers, and $contains follows jsonb containment. The
+ * where object is assumed to have been validated by QueryBuilder.
+ */
+
+const { canonicalStringify } = require("./hashUtils");
+
+const isPlainObject = (value) => value !== null && typeof value === "object"
+  && !Array.isArray(value) && !(value instanceof Date);
+
+const isNumeric = (value) => typeof value === "number"
+  || (typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value)));
+
+function normalize(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+function resolve(row, key) {
+  return key.split(".").reduce(
+    (target, part) => (target !== null && typeof target === "object" ? target[part] : undefined),
+    row
+  );
+}
+
+function compare(a, b) {
+  const left = normalize(a);
+  const right = normalize(b);
+  if (isNumeric(left) && isNumeric(right)) {
+    return Number(left) - Number(right);
+  }
+  const l = typeof left === "string" ? left : canonicalStringify(left);
+  const r = typeof right === "string" ? right : canonicalStringify(right);
+  return l < r ? -1 : l > r ? 1 : 0;
+}
+
+function equals(a, b) {
+  return compare(a, b) === 0;
+}
+
+// jsonb @>: objects contain their subsets, arrays contain arrays whose
+// every element some element of theirs contains, scalars only themselves
+function contains(container, contained) {
+  if (Array.isArray(contained)) {
+    return Array.isArray(container)
+      && contained.every((item) => container.some((candidate) => contains(candidate, item)));
+  }
+  if (isPlainObject(contained)) {
+    return isPlainObject(container)
+      && Object.entries(contained).every(([key, value]) => key in container && contains(container[key], value));
+  }
+  return !isPlainObject(container) && !Array.isArray(container) && equals(container, contained);
+}
+
+// SQL LIKE: % is any run, _ any one character, backslash escapes
+function likePattern(pattern, flags) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "\\" && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    } else if (char === "%") {
+      source += "[\\s\\S]*";
+    } else if (char === "_") {
+      source += "[\\s\\S]";
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`, flags);
+}
+
+// SQL's three-valued AND, OR and NOT, with null as unknown
+function all(values) {
+  if (values.includes(false)) return false;
+  return values.includes(null) ? null : true;
+}
+
+function any(values) {
+  if (values.includes(true)) return true;
+  return values.includes(null) ? null : false;
+}
+
+const not = (value) => (value === null ? null : !value);
+
+// true, false, or null when SQL would find the condition unknown
+function condition(actual, op, expected) {
+  const missing = actual === null || actual === undefined;
+
+  switch (op) {
+    case "$eq":
+    case "$ne":
+      if (expected === null || expected === undefined) return missing === (op === "$eq");
+      if (missing) return null;
+      return equals(actual, expected) === (op === "$eq");
+    case "$in":
+    case "$nin":
+      // An empty list is a constant, as in QueryBuilder
+      if (expected.length === 0) return op === "$nin";
+      if (missing) return null;
+      return expected.some((value) => equals(actual, value)) === (op === "$in");
+    case "$isNull":
+      return missing === expected;
+    default:
+      break;
+  }
+
+  if (missing) return null;
+  switch (op) {
+    case "$gt":
+      return compare(actual, expected) > 0;
+    case "$gte":
+      return compare(actual, expected) >= 0;
+    case "$lt":
+      return compare(actual, expected) < 0;
+    case "$lte":
+      return compare(actual, expected) <= 0;
+    case "$like":
+    case "$ilike":
+      return likePattern(String(expected), op === "$ilike" ? "i" : "").test(String(normalize(actual)));
+    case "$between":
+      return compare(actual, expected[0]) >= 0 && compare(actual, expected[1]) <= 0;
+    case "$contains":
+      return contains(actual, expected);
+    case "$containedBy":
+      return contains(expected, actual);
+    default:
+      return false;
+  }
+}
+
+function evaluate(row, where) {
+  return all(Object.entries(where).map(([key, value]) => {
+    if (key === "$and") return all(value.map((clause) => evaluate(row, clause)));
+    if (key === "$or") return any(value.map((clause) => evaluate(row, clause)));
+    if (key === "$not") return not(evaluate(row, value));
+
+    const actual = resolve(row, key);
+    if (!isPlainObject(value)) {
+      return condition(actual, "$eq", value);
+    }
+    return all(Object.entries(value).map(([op, expected]) => condition(actual, op, expected)));
+  }));
+}
+
+// A row matches only where SQL would find the where object true
+function matchesWhere(row, where = {}) {
+  return evaluate(row, where) === true;
+}
+
+module.exports = { matchesWhere };
@@ -0,0 +1,208 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { createRouter } = require("../src/api/routes");
+const { createAuth } = require("../src/api/auth");
+const { createTestDatabase } = require("./helpers");
+
+const schema = { orders: { total: { type: "integer" } }, payroll: { salary: { type: "integer" } } };
+
+const auth = createAuth({
+  apiKeys: [
+    { key: "clerk-key", id: "clerk", roles: ["clerk"] },
+    { key: "auditor-key", id: "auditor", roles: ["auditor"] },
+    { key: "manager-key", id: "manager", roles: ["manager"] }
+  ],
+  roles: {
+    clerk: { orders: ["read", "insert"] },
+    manager: { orders: ["read", "insert", "update", "delete"] },
+    auditor: { "*": ["read", "verify"] }
+  }
+});
+
+// Serves the router for db on a free port; call close() when done
+async function serve(db) {
+  const app = express();
+  app.use("/api", createRouter(db, { auth }));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+  const send = (method, path, key, body, headers = {}) => fetch(`${base}${path}`, {
+    method,
+    headers: { "x-api-key": key, "content-type": "application/json", ...headers },
+    body: typeof body === "string" ? body : body && JSON.stringify(body)
+  });
+  return {
+    send,
+    get: (path, key, headers) => send("GET", path, key, undefined, headers),
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+// Outbox entries 1 (an orders insert), 2 (a payroll transaction) and 3 (a migration)
+const messages = {
+  1: { type: "INSERT", table: "orders", txId: "a" },
+  2: { type: "TRANSACTION", operations: [{ type: "UPDATE", table: "orders" }, { type: "UPDATE", table: "payroll" }] },
+  3: { type: "SCHEMA_MIGRATE", version: "1.1.0" }
+};
+
+function outboxHandler(sql, params) {
+  if (!sql.startsWith("SELECT * FROM _outbox WHERE id")) return undefined;
+  const message = messages[params[0]];
+  return message ? [{ id: params[0], status: "anchored", attempts: 1, message: JSON.stringify(message) }] : [];
+}
+
+test("anchor status needs read permission on the tables the message covers", async (t) => {
+  const db = await createTestDatabase({ schema, handler: outboxHandler });
+  const api = await serve(db);
+  t.after(api.close);
+
+  const own = await api.get("/anchors/1", "clerk-key");
+  assert.equal(own.status, 200);
+  assert.deepEqual((await own.json()).tables, ["orders"]);
+
+  assert.equal((await api.get("/anchors/2", "clerk-key")).status, 403);
+  assert.equal((await api.get("/anchors/3", "clerk-key")).status, 403);
+  assert.equal((await api.get("/anchors/2", "auditor-key")).status, 200);
+  assert.equal((await api.get("/anchors/3", "auditor-key")).status, 200);
+  assert.equal((await api.get("/anchors/9", "auditor-key")).status, 404);
+  assert.equal((await api.get("/anchors/1")).status, 401);
+});
+
+test("a list page links to the next one with its cursor", async (t) => {
+  const rows = [{ _tx_id: "a", total: 1 }, { _tx_id: "b", total: 2 }];
+  const db = await createTestDatabase({
+    schema,
+    handler: (sql) => (sql.startsWith("SELECT *") ? rows.map((row) => ({ ...row, _cursor_0: row._tx_id })) : undefined)
+  });
+  const api = await serve(db);
+  t.after(api.close);
+
+  const response = await api.get("/orders?limit=1&offset=1&cursor=x", "clerk-key");
+  assert.equal(response.status, 400);
+
+  const page = await (await api.get("/orders?limit=1&total=1", "clerk-key")).json();
+  assert.deepEqual(page.data, [{ _tx_id: "a", total: 1 }]);
+  const next = new URL(page.links.next, "http://localhost");
+  assert.equal(next.pathname, "/api/orders");
+  assert.equal(next.searchParams.get("cursor"), page.nextCursor);
+  assert.equal(next.searchParams.get("limit"), "1");
+  assert.equal(next.searchParams.get("total"), "1");
+});
+
+// One stored order, t1; an insert with total 13 clashes with a unique index
+function ordersHandler(sql, params) {
+  if (sql.startsWith("INSERT INTO \"orders\"")) {
+    if (params[0] === 13) throw Object.assign(new Error("duplicate key"), { code: "23505", constraint: "orders_total_key", detail: "Key (total)=(13) already exists." });
+    return [{ total: params[0], _tx_id: params[1], _version: 1 }];
+  }
+  if (sql.startsWith("SELECT * FROM \"orders\" WHERE _tx_id = $1")) {
+    return params[0] === "t1" ? [{ _tx_id: "t1", total: 5, _version: 1, _is_deleted: false }] : [];
+  }
+  if (sql.includes("FROM \"orders\" WHERE \"_is_deleted\" = FALSE AND \"_tx_id\" = $1")) {
+    return params[0] === "t1" ? [{ _tx_id: "t1", total: 5 }] : [];
+  }
+  if (sql.startsWith("UPDATE \"orders\" SET")) return [{ _tx_id: "t1", total: 6, _version: 2 }];
+  if (sql.startsWith("INSERT INTO _outbox")) return [{ id: 2 }];
+  if (sql.startsWith("INSERT INTO _audit_log")) return [{ id: 11 }];
+  return undefined;
+}
+
+test("records are created, read, updated and deleted over REST", async (t) => {
+  const db = await createTestDatabase({ schema, handler: ordersHandler });
+  const api = await serve(db);
+  t.after(api.close);
+
+  const created = await api.send("POST", "/orders", "manager-key", { total: 5 });
+  assert.equal(created.status, 201);
+  assert.deepEqual((await created.json()).anchor, { outboxId: 2, status: "pending" });
+
+  const read = await api.get("/orders/t1", "manager-key");
+  assert.deepEqual(await read.json(), { success: true, data: { _tx_id: "t1", total: 5 } });
+
+  const updated = await api.send("PUT", "/orders/t1", "manager-key", { total: 6 });
+  assert.equal(updated.status, 200);
+  assert.equal((await updated.json()).version, 2);
+
+  const deleted = await api.send("DELETE", "/orders/t1", "manager-key");
+  assert.equal(deleted.status, 200);
+  assert.equal((await deleted.json()).hardDelete, false);
+
+  const [audit] = db.pgPool.find(/^INSERT INTO _audit_log/);
+  assert.ok(audit.params.includes("manager"));
+});
+
+test("failures answer with their status and the error envelope", async (t) => {
+  const db = await createTestDatabase({ schema, handler: ordersHandler });
+  const api = await serve(db);
+  t.after(api.close);
+
+  const expect = async (response, status, code) => {
+    assert.equal(response.status, status);
+    const { error } = await response.json();
+    assert.equal(error.code, code);
+    assert.equal(typeof error.message, "string");
+    return error;
+  };
+
+  await expect(await api.get("/orders/t9", "manager-key"), 404, "NOT_FOUND");
+  await expect(await api.send("PUT", "/orders/t9", "manager-key", { total: 1 }), 404, "NOT_FOUND");
+  await expect(await api.get("/ghosts", "auditor-key"), 400, "INVALID_IDENTIFIER");
+  await expect(await api.get("/orders?orderBy=total:sideways", "manager-key"), 400, "INVALID_QUERY");
+  await expect(await api.send("POST", "/orders", "manager-key", "{\"total\":"), 400, "INVALID_JSON");
+  const invalid = await expect(await api.send("POST", "/orders", "manager-key", { total: "many" }), 422, "VALIDATION_FAILED");
+  assert.deepEqual(invalid.details.errors.map(({ field, rule }) => [field, rule]), [["total", "type"]]);
+  const conflict = await expect(await api.send("POST", "/orders", "manager-key", { total: 13 }), 409, "CONFLICT");
+  assert.deepEqual(conflict.details, { constraint: "orders_total_key" });
+  await expect(await api.send("PATCH", "/orders/t1", "manager-key", {}), 404, "NOT_FOUND");
+
+  db.query = async () => { throw new Error("connection reset"); };
+  const internal = await expect(await api.get("/orders", "manager-key"), 500, "INTERNAL_ERROR");
+  assert.equal(internal.message, "Internal server error");
+});
+
+test("a request's ID is echoed back and recorded with the writes it makes", async (t) => {
+  const db = await createTestDatabase({ schema, handler: ordersHandler });
+  const api = await serve(db);
+  t.after(api.close);
+
+  const created = await api.send("POST", "/orders", "manager-key", { total: 5 }, { "x-request-id": "checkout-42" });
+  assert.equal(created.headers.get("x-request-id"), "checkout-42");
+  const [audit] = db.pgPool.find(/^INSERT INTO _audit_log/);
+  assert.equal(JSON.parse(audit.params[9]).requestId, "checkout-42");
+  assert.equal(JSON.parse(db.pgPool.find(/^INSERT INTO _outbox/)[0].params[0]).metadata.requestId, "checkout-42");
+
+  const unsafe = await api.get("/orders/t1", "manager-key", { "x-request-id": "id; DROP TABLE orders" });
+  assert.match(unsafe.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+});
+
+test("a repeated tables parameter lists every table it names", async (t) => {
+  const db = await createTestDatabase({ schema });
+  const swept = [];
+  db.verifyAll = async ({ tables }) => {
+    swept.push(tables);
+    return { valid: true };
+  };
+  const api = await serve(db);
+  t.after(api.close);
+
+  assert.equal((await api.get("/verify?tables=orders&tables=payroll", "auditor-key")).status, 200);
+  assert.deepEqual(swept, [["orders", "payroll"]]);
+  assert.equal((await api.get("/verify?tables=orders&tables=payroll", "clerk-key")).status, 403);
+  assert.equal((await api.get("/export?tables=orders&tables=payroll", "clerk-key")).status, 403);
+});
+
+test("/metrics answers scrapes with read on _metrics in Prometheus text format", async (t) => {
+  const db = await createTestDatabase({ schema, handler: ordersHandler });
+  const api = await serve(db);
+  t.after(api.close);
+
+  await api.send("POST", "/orders", "manager-key", { total: 5 });
+  const scrape = await api.get("/metrics", "auditor-key");
+  assert.match(scrape.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+  assert.match(await scrape.text(), /^hedera_db_operations_total\{table="orders",operation="insert",status="success"\} 1$/m);
+  assert.equal((await api.get("/metrics")).status, 401);
+  assert.equal((await api.get("/metrics", "clerk-key")).status, 403);
+  assert.equal((await api.get("/metrics?format=json", "clerk-key")).status, 403);
+});
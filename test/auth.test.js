@@ -0,0 +1,100 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { createAuth, JwtAuthenticator } = require("../src/api/auth");
+
+// Just enough of an Express request for the authenticators
+const request = (headers = {}) => ({ get: (name) => headers[name.toLowerCase()] });
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+function sign(claims, { alg = "HS256", secret = "s3cret", privateKey } = {}) {
+  const input = `${encode({ alg, typ: "JWT" })}.${encode(claims)}`;
+  const signature = alg.startsWith("RS")
+    ? crypto.sign(`sha${alg.slice(2)}`, Buffer.from(input), privateKey)
+    : crypto.createHmac(`sha${alg.slice(2)}`, secret).update(input).digest();
+  return `${input}.${signature.toString("base64url")}`;
+}
+
+const bearer = (token) => request({ authorization: `Bearer ${token}` });
+const now = () => Math.floor(Date.now() / 1000);
+
+const roles = {
+  admin: { "*": ["*"] },
+  auditor: { "*": ["read", "verify"] },
+  writer: { orders: ["read", "insert", "update", "delete"] }
+};
+
+test("API keys authenticate as their configured principal", () => {
+  const auth = createAuth({ apiKeys: [{ key: "k1", id: "ingest", roles: ["writer"], databases: ["sales"] }], roles });
+
+  assert.deepEqual(auth.authenticate(request({ "x-api-key": "k1" })), { id: "ingest", roles: ["writer"], databases: ["sales"], method: "apiKey" });
+  assert.throws(() => auth.authenticate(request({ "x-api-key": "k2" })), { statusCode: 401, message: "Invalid API key" });
+  assert.throws(() => auth.authenticate(request({ "x-user-id": "admin" })), { statusCode: 401, message: "Authentication required" });
+  assert.throws(() => createAuth({ apiKeys: [{ key: "k1" }] }), /needs a key and an id/);
+  assert.throws(() => createAuth({}), /No authentication configured/);
+});
+
+test("HMAC tokens are verified locally along with their claims", () => {
+  const auth = createAuth({ jwt: { secret: "s3cret", issuer: "https://id.example.com", audience: "ledger-api" }, roles });
+  const claims = { sub: "ada", roles: "auditor", iss: "https://id.example.com", aud: ["ledger-api"], exp: now() + 60 };
+
+  const principal = auth.authenticate(bearer(sign(claims)));
+  assert.equal(principal.id, "ada");
+  assert.deepEqual(principal.roles, ["auditor"]);
+  assert.equal(principal.method, "jwt");
+  assert.equal(auth.authenticate(bearer(sign(claims, { alg: "HS512" }))).id, "ada");
+
+  const refused = [
+    [sign(claims, { secret: "guess" }), "Invalid token signature"],
+    [sign({ ...claims, exp: now() - 60 }), "Token expired"],
+    [sign({ ...claims, nbf: now() + 600 }), "Token not yet valid"],
+    [sign({ ...claims, iss: "https://evil.example.com" }), "Token issuer not accepted"],
+    [sign({ ...claims, aud: "other-api" }), "Token audience not accepted"],
+    [sign({ ...claims, sub: "" }), "Token has no subject"],
+    [`${encode({ alg: "none" })}.${encode(claims)}.`, "Token algorithm not accepted: none"],
+    [sign(null), "Token payload is not a claims object"],
+    [sign(["ada"]), "Token payload is not a claims object"],
+    [sign("ada"), "Token payload is not a claims object"],
+    [`${encode(null)}.${encode(claims)}.`, "Malformed token"],
+    ["not-a-token", "Malformed token"]
+  ];
+  for (const [token, message] of refused) {
+    assert.throws(() => auth.authenticate(bearer(token)), { statusCode: 401, message });
+  }
+});
+
+test("an RSA public key verifies RS tokens and is never used as an HMAC secret", () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const pem = publicKey.export({ type: "spki", format: "pem" });
+  const jwt = new JwtAuthenticator({ publicKey: pem, databasesClaim: "dbs" });
+
+  const principal = jwt.authenticate(bearer(sign({ sub: "svc", roles: ["writer"], dbs: "sales" }, { alg: "RS256", privateKey })));
+  assert.deepEqual([principal.id, principal.roles, principal.databases], ["svc", ["writer"], ["sales"]]);
+
+  assert.throws(() => jwt.verify(sign({ sub: "svc" }, { secret: pem })), /Token algorithm not accepted: HS256/);
+  assert.equal(jwt.authenticate(request({ authorization: "Basic abc" })), null);
+});
+
+test("roles grant actions per table, and hard deletes need their own grant", () => {
+  const auth = createAuth({ apiKeys: [{ key: "k", id: "x" }], roles });
+  const as = (...names) => ({ id: "p", roles: names });
+
+  assert.equal(auth.authorizer.can(as("writer"), "orders", "delete"), true);
+  assert.equal(auth.authorizer.can(as("writer"), "orders", "hardDelete"), false);
+  assert.equal(auth.authorizer.can(as("writer"), "payroll", "read"), false);
+  assert.equal(auth.authorizer.can(as("auditor"), "payroll", "verify"), true);
+  assert.equal(auth.authorizer.can(as("auditor", "writer"), "orders", "insert"), true);
+  assert.equal(auth.authorizer.can(as("admin"), "payroll", "hardDelete"), true);
+  assert.equal(auth.authorizer.can(as("constructor", "toString"), "orders", "read"), false);
+
+  assert.throws(() => auth.authorize(as("writer"), "payroll", "read"), { statusCode: 403, message: "p may not read payroll" });
+  assert.throws(() => createAuth({ apiKeys: [{ key: "k", id: "x" }], roles: { bad: { orders: ["drop"] } } }), /grants unknown actions on orders: drop/);
+});
+
+test("a principal with a databases list may only use those databases", () => {
+  const auth = createAuth({ apiKeys: [{ key: "k", id: "x" }], roles });
+  assert.equal(auth.canUseDatabase({ id: "p", databases: ["sales"] }, "sales"), true);
+  assert.equal(auth.canUseDatabase({ id: "p" }, "hr"), true);
+  assert.throws(() => auth.authorizeDatabase({ id: "p", databases: ["sales"] }, "hr"), { statusCode: 403, message: "p may not use database hr" });
+});
@@ -0,0 +1,165 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const { BundleVerifier } = require("../src/core/BundleVerifier");
+const { createTestDatabase } = require("./helpers");
+
+const schema = { orders: { item: { type: "string" }, qty: { type: "integer" } } };
+
+// Two anchored orders: rows (streamed once), their audit entries and their
+// topic messages
+async function exportedDatabase() {
+  const stored = [];
+  const audit = [];
+
+  const db = await createTestDatabase({
+    schema,
+    handler: (sql) => {
+      if (sql.startsWith("SELECT version, schema FROM _schema_versions")) return [{ version: "1.0.0", schema }];
+      if (sql.startsWith("FETCH")) return stored.splice(0);
+      if (sql.startsWith("SELECT * FROM _audit_log")) return audit;
+      return undefined;
+    }
+  });
+
+  await db.ledger.submitMessage(db.topicId, JSON.stringify({ type: "SCHEMA_INIT", version: "1.0.0", schema }));
+  for (const [txId, data] of [["t1", { item: "pen", qty: 1 }], ["t2", { item: "ink", qty: 2 }]]) {
+    const dataHash = db.calculateRowHash("orders", data);
+    const message = { type: "INSERT", table: "orders", txId, dataHash };
+    const { sequenceNumber } = await db.ledger.submitMessage(db.topicId, JSON.stringify(message));
+    stored.push({ _tx_id: txId, ...data, _data_hash: dataHash, _version: 1, _is_deleted: false });
+    audit.push({ id: audit.length + 1, tx_id: txId, table_name: "orders", operation: "INSERT", anchor_status: "anchored", hedera_sequence_number: String(sequenceNumber), ledger_message: JSON.stringify(message), merkle_root: null });
+  }
+  return db;
+}
+
+async function exportLines(db, options = {}) {
+  const chunks = [];
+  const result = await db.exportBundle({ write: (line) => chunks.push(line) }, { timeout: 5000, ...options });
+  return { result, lines: chunks.join("").trimEnd().split("\n") };
+}
+
+const verify = (lines) => new BundleVerifier().verify(() => Readable.from([`${lines.join("\n")}\n`]));
+const issueTypes = (report) => report.issues.map(({ type }) => type).sort();
+
+// Rewrites the footer to match edited lines, as anyone editing a bundle can
+function reseal(lines) {
+  const body = lines.slice(0, -1);
+  const counts = { row: 0, audit: 0, message: 0 };
+  for (const line of body) {
+    const { kind } = JSON.parse(line);
+    if (counts[kind] !== undefined) counts[kind]++;
+  }
+  const sha256 = crypto.createHash("sha256").update(body.map((line) => `${line}\n`).join("")).digest("hex");
+  return [...body, JSON.stringify({ ...JSON.parse(lines[lines.length - 1]), counts, sha256 })];
+}
+
+// Applies `edit` to the parsed lines of one kind
+const editLines = (lines, kind, edit) => lines.map((line) => {
+  const object = JSON.parse(line);
+  return object.kind === kind ? JSON.stringify(edit(object)) : line;
+});
+
+test("an export bundle holds the schema, rows, audit entries and messages, and verifies offline", async () => {
+  const db = await exportedDatabase();
+  const { result, lines } = await exportLines(db);
+
+  assert.deepEqual(result.counts, { row: 2, audit: 2, message: 3 });
+  assert.equal(result.complete, true);
+  assert.deepEqual(lines.map((line) => JSON.parse(line).kind), ["header", "schema", "row", "row", "audit", "audit", "message", "message", "message", "footer"]);
+
+  const report = await verify(lines);
+  assert.equal(report.valid, true);
+  assert.equal(report.topicId, db.topicId.toString());
+  assert.deepEqual(report.tables.orders, { rows: 2, verified: 2, sealed: 0, issues: 0 });
+  assert.equal(report.ledgerSequence, 3);
+});
+
+test("an edited row fails its hash and the bundle digest", async () => {
+  const { lines } = await exportLines(await exportedDatabase());
+  const edited = lines.map((line) => line.replace("\"qty\":2", "\"qty\":20"));
+
+  const report = await verify(edited);
+  assert.equal(report.valid, false);
+  assert.deepEqual(issueTypes(report), ["BUNDLE_DIGEST_MISMATCH", "ROW_HASH_MISMATCH"]);
+  assert.equal(report.issues.find(({ type }) => type === "ROW_HASH_MISMATCH").txId, "t2");
+});
+
+test("a truncated bundle or one missing an anchored row is reported", async () => {
+  const { lines } = await exportLines(await exportedDatabase());
+
+  assert.deepEqual(issueTypes(await verify(lines.slice(0, -1))), ["BUNDLE_INCOMPLETE"]);
+
+  const withoutRow = lines.filter((line) => !line.includes("\"kind\":\"row\",\"table\":\"orders\",\"row\":{\"_tx_id\":\"t1\""));
+  const report = await verify(withoutRow);
+  assert.deepEqual(issueTypes(report), ["BUNDLE_DIGEST_MISMATCH", "BUNDLE_INCOMPLETE", "MISSING_ROW"]);
+  assert.equal(report.issues.find(({ type }) => type === "MISSING_ROW").txId, "t1");
+
+  assert.deepEqual(issueTypes(await verify(["not a bundle"])), ["BUNDLE_INCOMPLETE", "MALFORMED_BUNDLE"]);
+});
+
+test("a bundle whose schema differs from the anchored one is flagged", async () => {
+  const { lines } = await exportLines(await exportedDatabase());
+  const altered = lines.map((line) => (JSON.parse(line).kind === "schema"
+    ? JSON.stringify({ kind: "schema", version: "1.0.0", schema: { orders: { item: { type: "string" }, qty: { type: "string" } } } })
+    : line));
+
+  assert.ok(issueTypes(await verify(altered)).includes("SCHEMA_MISMATCH"));
+});
+
+test("a time range exports only recent rows and does not claim completeness", async () => {
+  const db = await exportedDatabase();
+  const { result } = await exportLines(db, { from: "2026-01-01", to: "1767312000000" });
+
+  assert.equal(result.complete, false);
+  assert.deepEqual(result.range, { from: "2026-01-01T00:00:00.000Z", to: "2026-01-02T00:00:00.000Z" });
+  const [declare] = db.pgPool.find(/^DECLARE/);
+  assert.match(declare.sql, /"_updated_at" >= \$1 AND "_updated_at" <= \$2/);
+
+  await assert.rejects(db.exportBundle({ write: () => true }, { from: "last week" }), /from is not a valid time: last week/);
+});
+
+test("an edited row marked pending in a resealed bundle is still checked against the ledger", async () => {
+  const db = await exportedDatabase();
+  const { lines } = await exportLines(db);
+  const forged = { item: "ink", qty: 20 };
+
+  let edited = editLines(lines, "row", (object) => (object.row._tx_id === "t2"
+    ? { ...object, row: { ...object.row, ...forged, _data_hash: db.calculateRowHash("orders", forged) } }
+    : object));
+  edited = editLines(edited, "audit", (object) => (object.entry.tx_id === "t2"
+    ? { ...object, entry: { ...object.entry, anchor_status: "pending" } }
+    : object));
+
+  const report = await verify(reseal(edited));
+  assert.equal(report.valid, false);
+  assert.deepEqual(issueTypes(report), ["LEDGER_HASH_MISMATCH"]);
+  assert.equal(report.issues[0].txId, "t2");
+});
+
+test("a row the bundle calls pending is reported unverified, never passed", async () => {
+  const db = await exportedDatabase();
+  const { lines } = await exportLines(db);
+  const made = { item: "gold", qty: 1 };
+  const dataHash = db.calculateRowHash("orders", made);
+  const footer = lines[lines.length - 1];
+  const rows = lines.filter((line) => JSON.parse(line).kind === "row");
+  const rest = lines.slice(0, -1).filter((line) => JSON.parse(line).kind !== "row");
+  const [header, schemaLine, ...others] = rest;
+
+  const forged = reseal([
+    header,
+    schemaLine,
+    ...rows,
+    JSON.stringify({ kind: "row", table: "orders", row: { _tx_id: "t9", ...made, _data_hash: dataHash, _version: 1, _is_deleted: false } }),
+    ...others,
+    JSON.stringify({ kind: "audit", entry: { id: 9, tx_id: "t9", table_name: "orders", operation: "INSERT", data_hash: dataHash, anchor_status: "pending" } }),
+    footer
+  ]);
+
+  const report = await verify(forged);
+  assert.equal(report.valid, false);
+  assert.deepEqual(issueTypes(report), ["UNVERIFIED_ROW"]);
+  assert.deepEqual(report.tables.orders, { rows: 3, verified: 2, sealed: 0, issues: 1 });
+});
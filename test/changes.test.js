@@ -0,0 +1,202 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const express = require("express");
+const { createRouter } = require("../src/api/routes");
+const { createAuth } = require("../src/api/auth");
+const { attachChangeSocket } = require("../src/api/changeFeed");
+const { createTestDatabase } = require("./helpers");
+
+const schema = { orders: { item: { type: "string" }, status: { type: "string" } }, payroll: { salary: { type: "integer" } } };
+
+const auth = createAuth({
+  apiKeys: [{ key: "clerk-key", id: "clerk", roles: ["clerk"] }],
+  roles: { clerk: { orders: ["read", "insert"] } }
+});
+
+const auditRow = (id, { status = "pending", sequenceNumber = null, data = { item: "pen", status: "paid" } } = {}) => ({
+  id: String(id),
+  tx_id: `t${id}`,
+  table_name: "orders",
+  operation: "INSERT",
+  data_hash: `h${id}`,
+  anchor_status: status,
+  hedera_sequence_number: sequenceNumber,
+  hedera_consensus_timestamp: sequenceNumber ? `1700000000.00000000${sequenceNumber}` : null,
+  merkle_root: null,
+  created_at: "2026-01-01T00:00:00Z",
+  data
+});
+
+// Inserts get audit ids from 11 up; `audit` answers replays and settlements.
+// The first write anchored at or after any sequence number is audit id 30.
+function feedDatabase(audit = []) {
+  let nextAuditId = 11;
+  return createTestDatabase({
+    schema,
+    handler: (sql, params) => {
+      if (sql.startsWith("INSERT INTO \"orders\"")) return [{ item: params[0], status: params[1], _version: 1 }];
+      if (sql.startsWith("INSERT INTO _outbox")) return [{ id: 2 }];
+      if (sql.startsWith("INSERT INTO _audit_log")) return [{ id: nextAuditId++ }];
+      if (sql.startsWith("SELECT a.id")) return audit;
+      if (sql.startsWith("SELECT MIN(id) AS first")) return [{ first: "30" }];
+      return undefined;
+    }
+  });
+}
+
+const settled = () => new Promise((resolve) => setImmediate(resolve));
+
+test("a write is delivered as committed, then as confirmed once anchored", async () => {
+  const db = await feedDatabase([auditRow(11, { status: "anchored", sequenceNumber: 7 })]);
+  const events = [];
+  const subscription = await db.subscribeChanges(
+    { tables: ["orders"], operations: ["insert"], filter: { status: "paid" } },
+    (event, cursor) => events.push([event, cursor])
+  );
+
+  await db.insert("orders", { item: "pen", status: "paid" });
+  await db.insert("orders", { item: "ink", status: "open" });
+  assert.equal(events.length, 1);
+  const [[committed, committedCursor]] = events;
+  assert.deepEqual([committed.auditId, committed.status, committed.ledger, committed.data.item], [11, "committed", null, "pen"]);
+  assert.equal(committedCursor, "10");
+
+  db.emit("anchored", { outboxId: 2 });
+  await settled();
+  const [confirmed, confirmedCursor] = events[1];
+  assert.equal(confirmed.status, "confirmed");
+  assert.deepEqual(confirmed.ledger, { sequenceNumber: 7, consensusTimestamp: "1700000000.000000007", merkleRoot: null });
+  assert.equal(confirmedCursor, "11");
+  assert.deepEqual(db.pgPool.find(/^SELECT a\.id/)[0].params, [2]);
+
+  subscription.unsubscribe();
+  await db.insert("orders", { item: "cap", status: "paid" });
+  assert.equal(events.length, 2);
+});
+
+test("a subscriber resumes from its last event ID or a topic sequence number", async () => {
+  const db = await feedDatabase([auditRow(21, { status: "anchored", sequenceNumber: 9 }), auditRow(22)]);
+  const events = [];
+  const subscription = await db.subscribeChanges({ tables: ["orders"], lastEventId: "20" }, (event) => events.push(event));
+
+  assert.deepEqual(events.map(({ auditId, status }) => [auditId, status]), [[21, "confirmed"], [22, "committed"]]);
+  assert.equal(subscription.cursor, "21");
+  const [replay] = db.pgPool.find(/^SELECT a\.id/);
+  assert.deepEqual(replay.params.slice(0, 5), [20, db.topicId.toString(), ["orders"], ["INSERT", "UPDATE", "DELETE_SOFT", "DELETE_HARD"], null]);
+
+  const fromSequence = await feedDatabase();
+  await fromSequence.subscribeChanges({ fromSequence: 5 }, () => {});
+  assert.deepEqual(fromSequence.pgPool.find(/^SELECT MIN\(id\)/)[0].params.slice(2), [5, "pending"]);
+  const [resumed] = fromSequence.pgPool.find(/^SELECT a\.id/);
+  assert.equal(resumed.params[0], 29);
+  assert.equal(resumed.params[4], 5);
+});
+
+test("subscriptions with unknown tables, operations or loose filters are refused", async () => {
+  const db = await feedDatabase();
+  await assert.rejects(db.subscribeChanges({ tables: ["ghosts"] }, () => {}), /Unknown table: ghosts/);
+  await assert.rejects(db.subscribeChanges({ operations: ["truncate"] }, () => {}), /Unknown operation: truncate/);
+  await assert.rejects(db.subscribeChanges({ filter: { item: "pen" } }, () => {}), /filter needs exactly one table/);
+  await assert.rejects(db.subscribeChanges({ tables: ["orders"], filter: { colour: "red" } }, () => {}), /Unknown column/);
+  await assert.rejects(db.subscribeChanges({ lastEventId: "-1" }, () => {}), /lastEventId must be a non-negative integer/);
+});
+
+// Serves the REST router and the change socket for db on a free port
+async function serve(db) {
+  const app = express();
+  app.use("/api", createRouter(db, { auth }));
+  const server = http.createServer(app);
+  attachChangeSocket(server, db, { auth });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    port: server.address().port,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+test("the feed streams over Server-Sent Events from the Last-Event-ID", async (t) => {
+  const db = await feedDatabase([auditRow(21, { status: "anchored", sequenceNumber: 9 })]);
+  const { port, close } = await serve(db);
+  t.after(close);
+  const url = `http://127.0.0.1:${port}/api/changes`;
+
+  const forbidden = await fetch(`${url}?tables=payroll`, { headers: { "x-api-key": "clerk-key" } });
+  assert.equal(forbidden.status, 403);
+  assert.equal((await forbidden.json()).error.code, "FORBIDDEN");
+
+  const controller = new AbortController();
+  t.after(() => controller.abort());
+  const response = await fetch(`${url}?tables=orders`, {
+    headers: { "x-api-key": "clerk-key", "last-event-id": "20" },
+    signal: controller.signal
+  });
+  assert.match(response.headers.get("content-type"), /^text\/event-stream/);
+
+  const reader = response.body.getReader();
+  let text = "";
+  while (!text.includes("\n\n")) {
+    text += Buffer.from((await reader.read()).value).toString();
+  }
+  const [id, event, data] = text.split("\n");
+  assert.equal(id, "id: 21");
+  assert.equal(event, "event: change");
+  assert.equal(JSON.parse(data.slice("data: ".length)).status, "confirmed");
+});
+
+// Opens a WebSocket to the change feed and resolves with its first text
+// message, or with the HTTP response that refused the upgrade
+function openSocket(port, path, headers) {
+  return new Promise((resolve, reject) => {
+    const request = http.request({
+      port,
+      host: "127.0.0.1",
+      path,
+      headers: {
+        connection: "Upgrade",
+        upgrade: "websocket",
+        "sec-websocket-version": "13",
+        "sec-websocket-key": crypto.randomBytes(16).toString("base64"),
+        ...headers
+      }
+    });
+    request.on("response", (response) => resolve({ status: response.statusCode }));
+    request.on("upgrade", (response, socket, head) => {
+      // An unmasked text frame: opcode, length (16-bit past 125), payload.
+      // Its start may have arrived with the handshake response.
+      let received = head;
+      const read = (chunk = Buffer.alloc(0)) => {
+        received = Buffer.concat([received, chunk]);
+        if (received.length < 4) return;
+        const [offset, length] = received[1] === 126 ? [4, received.readUInt16BE(2)] : [2, received[1]];
+        if (received.length < offset + length) return;
+
+        socket.destroy();
+        if (received[0] !== 0x81) return reject(new Error(`Expected a text frame, got opcode ${received[0]}`));
+        resolve({ status: response.statusCode, message: JSON.parse(received.subarray(offset, offset + length).toString()) });
+      };
+      socket.on("data", read);
+      read();
+    });
+    request.on("error", reject);
+    request.end();
+  });
+}
+
+test("the feed is served over WebSocket to authenticated subscribers", async (t) => {
+  const db = await feedDatabase([auditRow(21, { data: null })]);
+  const { port, close } = await serve(db);
+  t.after(close);
+
+  assert.deepEqual(await openSocket(port, "/api/changes?tables=orders", {}), { status: 401 });
+  assert.deepEqual(await openSocket(port, "/api/changes?tables=payroll", { "x-api-key": "clerk-key" }), { status: 403 });
+
+  const { status, message } = await openSocket(port, "/api/changes?tables=orders&lastEventId=20", { "x-api-key": "clerk-key" });
+  assert.equal(status, 101);
+  assert.equal(message.id, "20");
+  assert.deepEqual([message.event.auditId, message.event.status], [21, "committed"]);
+});
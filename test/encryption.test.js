@@ -0,0 +1,126 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { FieldEncryptor } = require("../src/core/FieldEncryptor");
+const { encrypt, decrypt } = require("../src/utils/encryption");
+const { rowHash } = require("../src/utils/hashUtils");
+const { createTestDatabase } = require("./helpers");
+
+const KEY = "a".repeat(64);
+const schema = { patients: { name: { type: "string" }, ssn: { type: "string", encrypted: true } } };
+const encryption = { enabled: true, keyId: "k1", key: KEY };
+
+test("ciphertexts are bound to their key and context", () => {
+  const envelope = encrypt("secret", KEY, "patients.ssn");
+  assert.equal(decrypt(envelope, KEY, "patients.ssn"), "secret");
+  assert.throws(() => decrypt(envelope, KEY, "patients.name"));
+  assert.throws(() => decrypt(envelope, "b".repeat(64), "patients.ssn"));
+  assert.throws(() => decrypt("v0:x", KEY), /Malformed ciphertext/);
+});
+
+test("FieldEncryptor keeps value types and records the sealing key", () => {
+  const encryptor = new FieldEncryptor({ keyId: "k1", key: KEY });
+  const sealed = encryptor.encryptValue({ score: 7, tags: ["a"] }, "t.c");
+
+  assert.match(sealed, /^enc:k1:v1:/);
+  assert.deepEqual(encryptor.decryptValue(sealed, "t.c"), { score: 7, tags: ["a"] });
+  assert.equal(encryptor.encryptValue(null, "t.c"), null);
+  assert.equal(encryptor.decryptValue("plain", "t.c"), "plain");
+});
+
+test("retired keys still decrypt after the active key changes", () => {
+  const encryptor = new FieldEncryptor({ keyId: "k1", key: KEY });
+  const old = encryptor.encryptValue("v", "t.c");
+  encryptor.addKey("k2", "passphrase");
+  encryptor.setActiveKey("k2");
+
+  assert.match(encryptor.encryptValue("v", "t.c"), /^enc:k2:/);
+  assert.equal(encryptor.decryptValue(old, "t.c"), "v");
+  assert.notEqual(encryptor.fingerprint("k1"), encryptor.fingerprint("k2"));
+
+  const stranger = new FieldEncryptor({ keyId: "k3", key: KEY });
+  assert.throws(() => stranger.decryptValue(old, "t.c"), /key id k1/);
+  assert.throws(() => new FieldEncryptor({}), /no key configured/);
+});
+
+test("inserts store ciphertext but hash the plaintext", async () => {
+  const db = await createTestDatabase({
+    schema,
+    config: { encryption },
+    handler: (sql, params) => (sql.startsWith("INSERT INTO \"patients\"") ? [{ name: params[0], ssn: params[1] }] : undefined)
+  });
+
+  const client = await db.pgPool.connect();
+  const result = await db.executeInsert(client, "patients", { name: "Ada", ssn: "123-45-6789" });
+
+  const [insert] = db.pgPool.find(/^INSERT INTO "patients"/);
+  assert.match(insert.params[1], /^enc:k1:/);
+  assert.equal(result.dataHash, rowHash({ name: "Ada", ssn: "123-45-6789" }));
+  assert.equal(result.data.ssn, "123-45-6789");
+});
+
+test("a schema with encrypted columns needs encryption enabled", async () => {
+  const db = await createTestDatabase();
+  assert.throws(() => db.assertEncryptionConfigured(schema), /patients\.ssn is marked encrypted/);
+});
+
+test("key rotation re-encrypts every encrypted column under the new key", async () => {
+  const sealed = new FieldEncryptor({ keyId: "k1", key: KEY }).encryptValue("123", "patients.ssn");
+  const db = await createTestDatabase({
+    schema,
+    config: { encryption },
+    handler: (sql) => {
+      if (sql.startsWith("SELECT _tx_id")) return [{ _tx_id: "t1", ssn: sealed }];
+      if (sql.startsWith("INSERT INTO _outbox")) return [{ id: 1 }];
+      if (sql.startsWith("INSERT INTO _audit_log")) return [{ id: 1 }];
+      return undefined;
+    }
+  });
+  const result = await db.rotateEncryptionKey("k2", "b".repeat(64), { userId: "ops" });
+
+  const [update] = db.pgPool.find(/^UPDATE "patients" SET "ssn"/);
+  assert.match(update.params[0], /^enc:k2:/);
+  assert.equal(db.fieldEncryptor.decryptValue(update.params[0], "patients.ssn"), "123");
+  assert.equal(update.params[1], "t1");
+  assert.deepEqual(result.tables, { patients: 1 });
+  assert.equal(db.fieldEncryptor.activeKeyId, "k2");
+  assert.equal(db.pgPool.find(/^COMMIT/).length, 1);
+
+  // The rotation is anchored through the outbox, in the same transaction as its audit entries
+  const [outbox] = db.pgPool.find(/^INSERT INTO _outbox/);
+  assert.equal(JSON.parse(outbox.params[0]).type, "KEY_ROTATION");
+  const audits = db.pgPool.find(/^INSERT INTO _audit_log/);
+  assert.ok(audits.length > 0);
+  assert.ok(audits.every(({ params }) => params[17] === 1 && params[18] === "pending"));
+  assert.equal((await db.ledger.getTopicInfo(db.topicId)).sequenceNumber, 0);
+  assert.equal(result.anchor.outboxId, 1);
+});
+
+test("a failed rotation rolls back and restores the previous key", async () => {
+  const db = await createTestDatabase({
+    schema,
+    config: { encryption },
+    handler: (sql) => {
+      if (sql.startsWith("SELECT _tx_id")) throw new Error("connection lost");
+      return undefined;
+    }
+  });
+
+  await assert.rejects(db.rotateEncryptionKey("k2", "b".repeat(64)), /connection lost/);
+  assert.equal(db.fieldEncryptor.activeKeyId, "k1");
+  assert.equal(db.pgPool.find(/^ROLLBACK/).length, 1);
+  await assert.rejects(db.rotateEncryptionKey("k1", KEY), /already active/);
+  assert.equal(db.fieldEncryptor.keys.has("k2"), false);
+});
+
+test("rotating to a key id that is already registered is refused", async () => {
+  const db = await createTestDatabase({
+    schema,
+    config: { encryption: { enabled: true, keyId: "k2", keys: { k1: KEY, k2: "b".repeat(64) } } }
+  });
+  const sealed = db.fieldEncryptor.encryptValue("123-45", "patients.ssn");
+  db.fieldEncryptor.setActiveKey("k1");
+
+  await assert.rejects(db.rotateEncryptionKey("k2", "c".repeat(64)), { code: "CONFLICT", message: /Key k2 is already registered/ });
+  assert.equal(db.fieldEncryptor.decryptValue(sealed, "patients.ssn"), "123-45");
+  assert.equal(db.pgPool.queries.length, 0);
+});
@@ -0,0 +1,93 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeTemporal, rowHash } = require("../src/utils/hashUtils");
+const { hashKind } = require("../src/core/SchemaDefinition");
+const { createTestDatabase } = require("./helpers");
+
+const schema = {
+  events: { day: { type: "date" }, at: { type: "datetime" }, count: { type: "integer" }, note: { type: "string" } }
+};
+
+test("dates normalize to the day and datetimes to the wall-clock millisecond", () => {
+  assert.equal(normalizeTemporal("2024-01-05", "date"), "2024-01-05");
+  assert.equal(normalizeTemporal("2024-01-05T23:30:00+05:00", "date"), "2024-01-05");
+  assert.equal(normalizeTemporal(new Date(2024, 0, 5), "date"), "2024-01-05");
+
+  assert.equal(normalizeTemporal("2024-01-05T10:00:00.123456Z", "datetime"), "2024-01-05T10:00:00.123Z");
+  assert.equal(normalizeTemporal("2024-01-05 10:00:00+02", "datetime"), "2024-01-05T10:00:00.000Z");
+  assert.equal(normalizeTemporal("2024-01-05T10:00", "datetime"), "2024-01-05T10:00:00.000Z");
+  assert.equal(normalizeTemporal("2024-01-05", "datetime"), "2024-01-05T00:00:00.000Z");
+  assert.equal(normalizeTemporal(new Date(2024, 0, 5, 10, 0, 0, 123), "datetime"), "2024-01-05T10:00:00.123Z");
+  assert.equal(normalizeTemporal("infinity", "datetime"), "infinity");
+});
+
+test("column kinds follow the declared type", () => {
+  assert.equal(hashKind({ type: "date" }), "date");
+  assert.equal(hashKind("datetime"), "datetime");
+  assert.equal(hashKind({ type: "timestamp" }), "numeric");
+  assert.equal(hashKind({ type: "date", encrypted: true }), null);
+  assert.equal(hashKind({ type: "string" }), null);
+  assert.equal(hashKind(undefined), null);
+});
+
+test("a row hashes the same as written and as PostgreSQL returns it", async () => {
+  const db = await createTestDatabase({ schema });
+  const written = { day: "2024-01-05", at: "2024-01-05T10:00:00.123456Z", count: 2, note: "x" };
+  const read = { day: new Date(2024, 0, 5), at: new Date(2024, 0, 5, 10, 0, 0, 123), count: 2, note: "x" };
+
+  assert.equal(db.calculateRowHash("events", written), db.calculateRowHash("events", read));
+  assert.notEqual(db.calculateRowHash("events", written), rowHash(written));
+});
+
+test("an inserted row with dates verifies when read back", async () => {
+  let stored;
+  const db = await createTestDatabase({
+    schema,
+    handler: (sql, params) => {
+      if (sql.startsWith("INSERT INTO \"events\"")) {
+        stored = { _tx_id: params[params.length - 3], _data_hash: params[params.length - 2] };
+        return [{ ...stored, day: new Date(2024, 0, 5), at: new Date(2024, 0, 5, 10, 0, 0, 123) }];
+      }
+      if (sql.startsWith("SELECT * FROM \"events\"")) {
+        return [{ ...stored, _version: 1, day: new Date(2024, 0, 5), at: new Date(2024, 0, 5, 10, 0, 0, 123) }];
+      }
+      return undefined;
+    }
+  });
+
+  const client = await db.pgPool.connect();
+  await db.executeInsert(client, "events", { day: "2024-01-05", at: "2024-01-05 10:00:00.123456" });
+  const result = await db.verifyIntegrity("events", stored._tx_id);
+  assert.equal(result.match, true);
+});
+
+test("columns filled by defaults are covered by the stored and anchored hash", async () => {
+  const at = new Date(2024, 0, 5, 10, 0, 0, 123);
+  let stored;
+  const db = await createTestDatabase({
+    schema: { orders: { item: { type: "string" }, qty: { type: "integer", default: 1 }, at: { type: "datetime", default: "now()" } } },
+    config: { replay: { enabled: true } },
+    handler: (sql, params) => {
+      if (sql.startsWith("INSERT INTO \"orders\"")) {
+        stored = { _tx_id: params[1], _data_hash: params[2], _version: 1, item: params[0], qty: 1, at };
+        return [{ ...stored }];
+      }
+      if (sql.startsWith("UPDATE \"orders\" SET _data_hash")) stored._data_hash = params[0];
+      if (sql.startsWith("SELECT * FROM \"orders\"")) return [stored];
+      return undefined;
+    }
+  });
+
+  const client = await db.pgPool.connect();
+  const { dataHash, data, auditMessage } = await db.executeInsert(client, "orders", { item: "pen" });
+
+  assert.equal(stored._data_hash, dataHash);
+  assert.equal(data._data_hash, dataHash);
+  assert.equal(auditMessage.dataHash, dataHash);
+  assert.notEqual(dataHash, db.calculateRowHash("orders", { item: "pen" }));
+  assert.equal((await db.verifyIntegrity("orders", stored._tx_id)).match, true);
+
+  // A replay writes the defaulted values rather than taking new ones
+  assert.deepEqual(auditMessage.payload, { item: "pen", qty: 1, at: "2024-01-05T10:00:00.123Z" });
+  assert.equal(db.calculateRowHash("orders", auditMessage.payload), dataHash);
+});
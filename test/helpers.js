@@ -0,0 +1,64 @@
+/**
+ * helpers.js
+ * Test doubles. There is no PostgreSQL in the test run: a fake pool records
+ * every statement and answers it through a handler, so tests assert on the
+ * SQL a call issues and script the rows it gets back.
+ */
+
+const { HederaAuditedDatabase } = require("../src/core/HederaAuditedDatabase");
+const { LocalLedgerAdapter } = require("../src/ledger");
+const { createLogger } = require("../src/utils/logger");
+
+const normalizeSql = (text) => String(text).replace(/\s+/g, " ").trim();
+
+// handler(sql, params) returns { rows, rowCount } (or rows alone), or
+// undefined for an empty result; it may throw to fail the statement
+function createFakePool(handler = () => undefined) {
+  const queries = [];
+
+  const query = async (text, params = []) => {
+    const sql = normalizeSql(typeof text === "object" ? text.text : text);
+    const values = typeof text === "object" ? text.values || params : params;
+    queries.push({ sql, params: values });
+    const result = await handler(sql, values);
+    if (Array.isArray(result)) return { rows: result, rowCount: result.length };
+    if (!result) return { rows: [], rowCount: 0 };
+    return { rowCount: (result.rows || []).length, rows: [], ...result };
+  };
+
+  return {
+    queries,
+    query,
+    connect: async () => ({ query, release: () => {} }),
+    end: async () => {},
+    on: () => {},
+    totalCount: 0,
+    idleCount: 0,
+    waitingCount: 0,
+    // Statements matching a pattern, for assertions
+    find: (pattern) => queries.filter(({ sql }) => pattern.test(sql))
+  };
+}
+
+// An initialized database over a fake pool and an in-memory ledger. Nothing
+// runs in the background: the outbox publisher and webhooks are not started.
+async function createTestDatabase({ schema = {}, handler, config = {} } = {}) {
+  const ledger = config.ledger || new LocalLedgerAdapter();
+  const db = new HederaAuditedDatabase({
+    postgres: { host: "localhost", database: "test" },
+    syncEnabled: false,
+    logger: createLogger({ level: "silent" }),
+    outbox: { awaitAnchoring: false },
+    ...config,
+    ledger
+  });
+
+  await db.pgPool.end();
+  db.pgPool = createFakePool(handler);
+  db.schemaCache.set("main", schema);
+  db.topicId = await ledger.createTopic({ memo: "test" });
+  db.isInitialized = true;
+  return db;
+}
+
+module.exports = { createFakePool, createTestDatabase, normalizeSql };
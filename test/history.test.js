@@ -0,0 +1,69 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestDatabase } = require("./helpers");
+
+const schema = { orders: { item: { type: "string" }, qty: { type: "integer" } } };
+
+const stored = { _tx_id: "t1", item: "pen", qty: 1, _version: 3, _data_hash: "h3", _is_deleted: false };
+
+function ordersHandler(sql, params) {
+  if (sql.startsWith("INSERT INTO \"orders\"")) return [{ item: params[0], qty: params[1], _tx_id: params[2], _version: 1 }];
+  if (sql.startsWith("SELECT * FROM \"orders\" WHERE _tx_id = $1 FOR UPDATE")) return [stored];
+  if (sql.startsWith("INSERT INTO _outbox")) return [{ id: 2 }];
+  if (sql.startsWith("INSERT INTO _audit_log")) return [{ id: 11 }];
+  return undefined;
+}
+
+test("every write snapshots the row into _row_history under its audit entry", async () => {
+  const db = await createTestDatabase({ schema, handler: ordersHandler });
+  const { txId } = await db.insert("orders", { item: "pen", qty: 1 });
+
+  const [snapshot] = db.pgPool.find(/^INSERT INTO _row_history/);
+  assert.match(snapshot.sql, /SELECT \$1, _tx_id, _version, \$3, to_jsonb\(t\), _data_hash, \$4 FROM "orders" t WHERE _tx_id = \$2/);
+  assert.deepEqual(snapshot.params, ["orders", txId, "INSERT", 11]);
+});
+
+test("a hard delete keeps the row's last state, marked deleted", async () => {
+  const db = await createTestDatabase({ schema, handler: ordersHandler });
+  await db.delete("orders", "t1", {}, true);
+
+  const [snapshot] = db.pgPool.find(/^INSERT INTO _row_history/);
+  assert.deepEqual(snapshot.params.slice(0, 4), ["orders", "t1", 3, "DELETE_HARD"]);
+  assert.deepEqual(JSON.parse(snapshot.params[4]), { ...stored, _is_deleted: true });
+  assert.deepEqual(snapshot.params.slice(5), ["h3", 11]);
+});
+
+test("asOf reads each row's latest snapshot anchored by a sequence number or a time", async () => {
+  const db = await createTestDatabase({ schema });
+
+  const bySequence = db.queries.select("orders", { asOf: { sequenceNumber: 40 } });
+  assert.match(bySequence.text, /FROM \(\s*SELECT DISTINCT ON \(h\.tx_id\) \(jsonb_populate_record\(NULL::"orders", h\.data\)\)\.\*/);
+  assert.match(bySequence.text, /a\.hedera_sequence_number <= \$1/);
+  assert.deepEqual(bySequence.params, [40, "orders"]);
+
+  const byTime = db.queries.select("orders", { asOf: "2026-01-01T00:00:00Z", where: { qty: 1 } });
+  assert.match(byTime.text, /a\.hedera_timestamp <= \$1/);
+  assert.deepEqual(byTime.params, [Date.UTC(2026, 0, 1), "orders", 1]);
+  assert.deepEqual(db.queries.select("orders", { asOf: "1767225600000" }).params, [1767225600000, "orders"]);
+
+  assert.throws(() => db.queries.select("orders", { asOf: "yesterday" }), /Invalid asOf value/);
+  assert.throws(() => db.queries.select("orders", { asOf: { sequenceNumber: -1 } }), /non-negative integer/);
+});
+
+test("getHistory lists every version with where it was anchored", async () => {
+  const db = await createTestDatabase({
+    schema,
+    handler: (sql) => (sql.startsWith("SELECT h.version") ? [
+      { version: 1, operation: "INSERT", data: { item: "pen", qty: 1 }, data_hash: "h1", audit_id: 10, user_id: "ada", hedera_sequence_number: "7", hedera_consensus_timestamp: "1.1" },
+      { version: 2, operation: "UPDATE", data: { item: "pen", qty: 2 }, data_hash: "h2", audit_id: 11, user_id: "ada", hedera_sequence_number: null, hedera_consensus_timestamp: null }
+    ] : undefined)
+  });
+
+  const history = await db.getHistory("orders", "t1");
+  assert.equal(history.count, 2);
+  assert.deepEqual(history.versions.map(({ version, operation, sequenceNumber }) => [version, operation, sequenceNumber]), [
+    [1, "INSERT", 7],
+    [2, "UPDATE", null]
+  ]);
+  assert.deepEqual(db.pgPool.find(/^SELECT h\.version/)[0].params, ["orders", "t1"]);
+});
@@ -0,0 +1,121 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCsv, parseNdjson } = require("../src/utils/recordStreams");
+const { createTestDatabase } = require("./helpers");
+
+const schema = { orders: { item: { type: "string", nullable: false }, qty: { type: "integer" }, paid: { type: "boolean" } } };
+
+function ordersHandler(sql) {
+  if (sql.startsWith("INSERT INTO \"orders\"")) return [{ _version: 1 }];
+  if (sql.startsWith("INSERT INTO _outbox")) return [{ id: 2 }];
+  if (sql.startsWith("INSERT INTO _audit_log")) return [{ id: 11 }];
+  return undefined;
+}
+
+const collect = async (records) => {
+  const all = [];
+  for await (const entry of records) all.push(entry);
+  return all;
+};
+
+const outboxMessages = (db) => db.pgPool.find(/^INSERT INTO _outbox/).map(({ params }) => JSON.parse(params[0]));
+
+test("insertMany writes every row in one transaction under one batch message", async () => {
+  const db = await createTestDatabase({ schema, handler: ordersHandler });
+  const result = await db.insertMany("orders", [{ item: "pen", qty: 1 }, { item: "ink" }], { userId: "ada" });
+
+  assert.equal(result.inserted, 2);
+  assert.deepEqual(result.rows.map(({ index, status }) => [index, status]), [[0, "inserted"], [1, "inserted"]]);
+  assert.equal(db.pgPool.find(/^BEGIN/).length, 1);
+  assert.equal(db.pgPool.find(/^COMMIT/).length, 1);
+
+  const [message] = outboxMessages(db);
+  assert.equal(message.type, "TRANSACTION");
+  assert.deepEqual(message.operations.map(({ type, txId }) => [type, txId]), result.rows.map(({ txId }) => ["INSERT", txId]));
+});
+
+test("insertMany validates every row before writing, or skips the invalid ones", async () => {
+  const db = await createTestDatabase({ schema, handler: ordersHandler });
+  const rows = [{ item: "pen" }, { item: "ink", qty: "two" }, { qty: 3 }];
+
+  await assert.rejects(db.insertMany("orders", rows), (error) => {
+    assert.equal(error.message, "2 of 3 rows are invalid");
+    assert.deepEqual(error.details.errors.map(({ row, field, rule }) => [row, field, rule]), [[1, "qty", "type"], [2, "item", "required"]]);
+    return true;
+  });
+  assert.equal(db.pgPool.queries.length, 0);
+
+  const result = await db.insertMany("orders", rows, {}, { skipInvalid: true });
+  assert.deepEqual([result.inserted, result.skipped], [1, 2]);
+  assert.deepEqual(result.rows.map(({ status }) => status), ["inserted", "skipped", "skipped"]);
+  assert.equal(outboxMessages(db)[0].operations.length, 1);
+
+  assert.deepEqual(await db.insertMany("orders", [{ qty: 1 }], {}, { skipInvalid: true }), {
+    success: true, inserted: 0, skipped: 1, rows: [{ index: 0, status: "skipped", errors: [{ field: "item", rule: "required", message: "item is required" }] }]
+  });
+  await assert.rejects(db.insertMany("orders", { item: "pen" }), /rows must be an array/);
+});
+
+test("CSV parsing handles quotes, embedded newlines and bad rows by line", async () => {
+  const csv = "item,qty\r\n\"pen, blue\",1\n\"say \"\"hi\"\"\",2\n\"two\nlines\",3\nshort\n\"open,4\n";
+  // Split inside a field, as a network stream would
+  const chunks = [csv.slice(0, 7), csv.slice(7, 30), csv.slice(30)];
+
+  assert.deepEqual(await collect(parseCsv(chunks)), [
+    { line: 2, record: { item: "pen, blue", qty: "1" } },
+    { line: 3, record: { item: "say \"hi\"", qty: "2" } },
+    { line: 4, record: { item: "two\nlines", qty: "3" } },
+    { line: 6, error: "Expected 2 fields, found 1" },
+    { line: 7, error: "Unterminated quoted field" }
+  ]);
+  assert.deepEqual(await collect(parseCsv(["a;b\n"], { columns: ["x", "y"], delimiter: ";" })), [{ line: 1, record: { x: "a", y: "b" } }]);
+});
+
+test("NDJSON parsing reports lines that are not JSON objects", async () => {
+  const text = Buffer.from("{\"item\":\"café\"}\n\n[1]\n{oops\n");
+  // A multi-byte character split across chunks
+  const split = text.indexOf(0xa9);
+  const [first, second, third, ...rest] = await collect(parseNdjson([text.subarray(0, split), text.subarray(split)]));
+
+  assert.deepEqual(first, { line: 1, record: { item: "café" } });
+  assert.deepEqual(second, { line: 3, error: "Each line must be a JSON object" });
+  assert.equal(third.line, 4);
+  assert.match(third.error, /^Invalid JSON: /);
+  assert.deepEqual(rest, []);
+});
+
+test("an all-or-nothing import writes nothing when any record is bad", async () => {
+  const db = await createTestDatabase({ schema, handler: ordersHandler });
+  const csv = "Product,Count,Paid,Note\npen,1,yes,x\nink,many,no,y\n,2,t,z\n";
+
+  const report = await db.importRecords("orders", [csv], { userId: "ada" }, {
+    format: "csv",
+    columns: { Product: "item", Count: "qty", Paid: "paid" }
+  });
+
+  assert.equal(report.success, false);
+  assert.deepEqual([report.total, report.invalid, report.aborted, report.inserted], [3, 2, 1, 0]);
+  assert.deepEqual(report.rows.map(({ line, status }) => [line, status]), [[2, "aborted"], [3, "invalid"], [4, "invalid"]]);
+  assert.deepEqual(report.rows[1].errors.map(({ field, rule }) => [field, rule]), [["qty", "type"]]);
+  assert.equal(db.pgPool.queries.length, 0);
+
+  const clean = await db.importRecords("orders", ["Product,Count,Paid\npen,1,yes\nink,,n\n"], {}, { format: "csv", columns: { Product: "item", Count: "qty", Paid: "paid" } });
+  assert.equal(clean.success, true);
+  assert.deepEqual(db.pgPool.find(/^INSERT INTO "orders"/).map(({ params }) => params.slice(0, 3)), [["pen", 1, true], ["ink", null, false]]);
+});
+
+test("a skipping import writes in batches and reports the rows it left out", async () => {
+  const db = await createTestDatabase({ schema, handler: ordersHandler });
+  const ndjson = "{\"item\":\"a\"}\nnot json\n{\"item\":\"b\",\"qty\":\"x\"}\n{\"item\":\"c\"}\n{\"item\":\"d\"}\n";
+
+  const report = await db.importRecords("orders", [ndjson], {}, { onError: "skip", batchSize: 2 });
+
+  assert.equal(report.success, true);
+  assert.deepEqual([report.inserted, report.invalid], [3, 2]);
+  assert.deepEqual(report.rows.map(({ line, status }) => [line, status]), [[1, "inserted"], [2, "invalid"], [3, "invalid"], [4, "inserted"], [5, "inserted"]]);
+  assert.equal(report.transactions.length, 2);
+  assert.deepEqual(outboxMessages(db).map(({ operations }) => operations.length), [1, 2]);
+
+  await assert.rejects(db.importRecords("orders", [""], {}, { format: "xml" }), /Unsupported import format: xml/);
+  await assert.rejects(db.importRecords("orders", [""], {}, { onError: "retry" }), /Unsupported onError mode: retry/);
+});
@@ -0,0 +1,106 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ISSUE_TYPES } = require("../src/core/IntegrityVerifier");
+const { createTestDatabase } = require("./helpers");
+
+const schema = { orders: { item: { type: "string" }, qty: { type: "integer" } } };
+
+// One record per outcome of the sweep; "gone" is anchored but has no row,
+// "pending" is queued in the outbox
+async function sweepFixture() {
+  const rows = [];
+  const outbox = [];
+  const db = await createTestDatabase({
+    schema,
+    handler: (sql, params) => {
+      if (sql.startsWith("SELECT * FROM \"orders\" WHERE _tx_id > $1")) return params[0] === "" ? rows : [];
+      if (sql.startsWith("SELECT id, message FROM _outbox")) return outbox;
+      return undefined;
+    }
+  });
+
+  const hash = (data) => db.calculateRowHash("orders", data);
+  const queue = (operation) => outbox.push({ id: outbox.length + 1, message: JSON.stringify({ table: "orders", ...operation }) });
+  const row = (txId, data, extra = {}) => ({ _tx_id: txId, _data_hash: hash(data), _is_deleted: false, ...data, ...extra });
+  const anchor = (operation) => db.ledger.submitMessage(db.topicId, JSON.stringify({ table: "orders", ...operation }));
+
+  const original = { item: "pen", qty: 1 };
+  for (const txId of ["ok", "tampered", "rewritten", "gone", "deleted"]) {
+    await anchor({ type: "INSERT", txId, dataHash: hash(original) });
+  }
+  await anchor({ type: "DELETE_SOFT", txId: "deleted", dataHash: hash(original) });
+
+  rows.push(
+    row("ok", original),
+    { ...row("tampered", original), qty: 9 },
+    row("rewritten", { item: "pen", qty: 9 }),
+    row("deleted", original),
+    row("unanchored", original),
+    row("pending", { item: "ink", qty: 2 })
+  );
+  queue({ type: "INSERT", txId: "pending", dataHash: hash({ item: "ink", qty: 2 }) });
+  return { db, rows, hash, row, queue };
+}
+
+test("the sweep reconciles every row with the hash anchored for it", async () => {
+  const { db } = await sweepFixture();
+  const report = await db.verifyAll();
+
+  const found = report.issues.map(({ type, txId }) => `${type}:${txId}`).sort();
+  assert.deepEqual(found, [
+    `${ISSUE_TYPES.DELETE_STATE_MISMATCH}:deleted`,
+    `${ISSUE_TYPES.LEDGER_HASH_MISMATCH}:rewritten`,
+    `${ISSUE_TYPES.MISSING_LEDGER_ENTRY}:unanchored`,
+    `${ISSUE_TYPES.MISSING_ROW}:gone`,
+    `${ISSUE_TYPES.ROW_HASH_MISMATCH}:tampered`
+  ]);
+  assert.equal(report.valid, false);
+  assert.equal(report.ledgerSequence, 6);
+  assert.deepEqual(report.tables.orders, { rows: 6, verified: 1, pending: 1, issues: 5 });
+  assert.equal(report.summary.byType[ISSUE_TYPES.MISSING_ROW], 1);
+  assert.deepEqual(db.pgPool.find(/^SELECT id, message FROM _outbox/)[0].params, [["pending", "publishing"]]);
+});
+
+test("only a queued write with the row's own hash makes a row pending", async () => {
+  const { db, rows, hash, row, queue } = await sweepFixture();
+  rows.splice(0, rows.length, row("ok", { item: "pen", qty: 1 }), row("pending", { item: "ink", qty: 2 }));
+
+  const pendingOnly = await db.verifyAll();
+  assert.deepEqual(pendingOnly.summary.byType, { [ISSUE_TYPES.MISSING_ROW]: 4 });
+  assert.equal(pendingOnly.tables.orders.pending, 1);
+
+  // A rewritten anchored row with a write queued for it is still compared
+  // with the ledger; one queued under another hash, or none, is missing
+  rows.push(row("rewritten", { item: "pen", qty: 9 }), row("forged", { item: "gold", qty: 1 }), row("swapped", { item: "ink", qty: 5 }));
+  queue({ type: "UPDATE", txId: "rewritten", newHash: hash({ item: "pen", qty: 9 }) });
+  queue({ type: "INSERT", txId: "swapped", dataHash: hash({ item: "ink", qty: 1 }) });
+
+  const report = await db.verifyAll();
+  const found = report.issues.filter(({ type }) => type !== ISSUE_TYPES.MISSING_ROW);
+  assert.deepEqual(found.map(({ type, txId, queued }) => [type, txId, queued]), [
+    [ISSUE_TYPES.LEDGER_HASH_MISMATCH, "rewritten", true],
+    [ISSUE_TYPES.MISSING_LEDGER_ENTRY, "forged", undefined],
+    [ISSUE_TYPES.MISSING_LEDGER_ENTRY, "swapped", undefined]
+  ]);
+});
+
+test("a sweep with nothing but pending rows is not valid", async () => {
+  const { db, rows, row, queue, hash } = await sweepFixture();
+  rows.splice(0, rows.length, row("ok", { item: "pen", qty: 1 }), row("pending", { item: "ink", qty: 2 }));
+  for (const txId of ["tampered", "rewritten", "gone", "deleted"]) {
+    queue({ type: "DELETE_HARD", txId });
+  }
+
+  const report = await db.verifyAll();
+  assert.deepEqual(report.issues, []);
+  assert.equal(report.summary.pendingAnchors, 1);
+  assert.equal(report.valid, false);
+
+  queue({ type: "UPDATE", txId: "pending", newHash: hash({ item: "ink", qty: 3 }) });
+  assert.equal((await db.verifyAll()).summary.byType[ISSUE_TYPES.MISSING_LEDGER_ENTRY], 1);
+});
+
+test("the sweep refuses tables the schema does not have", async () => {
+  const db = await createTestDatabase({ schema });
+  await assert.rejects(db.verifyAll({ tables: ["orders", "ghosts"] }), /Unknown table: ghosts/);
+});
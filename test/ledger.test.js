@@ -0,0 +1,92 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  LedgerAdapter,
+  LocalLedgerAdapter,
+  createLedgerAdapter
+} = require("../src/ledger");
+
+const collect = (ledger, topicId, count, options = {}) => new Promise((resolve, reject) => {
+  const messages = [];
+  const subscription = ledger.subscribe(topicId, options, (message) => {
+    messages.push(message);
+    if (messages.length === count) {
+      subscription.unsubscribe();
+      resolve(messages);
+    }
+  }, reject);
+});
+
+test("createLedgerAdapter picks the adapter by type and passes instances through", () => {
+  const local = createLedgerAdapter({ ledger: { type: "local" } });
+  assert.ok(local instanceof LocalLedgerAdapter);
+  assert.equal(createLedgerAdapter({ ledger: local }), local);
+  assert.throws(() => createLedgerAdapter({ ledger: { type: "paper" } }), /Unknown ledger type/);
+  assert.throws(() => createLedgerAdapter({ ledger: { type: "hedera" }, hedera: {} }), /accountId and privateKey/);
+});
+
+test("the base adapter names the method a backend is missing", async () => {
+  class Partial extends LedgerAdapter {}
+  await assert.rejects(new Partial().createTopic(), /Partial does not implement createTopic/);
+});
+
+test("local topics assign sequence numbers, increasing timestamps and a running hash chain", async () => {
+  const ledger = new LocalLedgerAdapter({ clock: () => 1700000000000 });
+  const topicId = await ledger.createTopic({ memo: "orders" });
+
+  const first = await ledger.submitMessage(topicId, "one");
+  const second = await ledger.submitMessage(topicId, Buffer.from("two"));
+
+  assert.equal(first.sequenceNumber, 1);
+  assert.equal(second.sequenceNumber, 2);
+  assert.equal(first.consensusTimestamp, "1700000000.000000000");
+  assert.equal(second.consensusTimestamp, "1700000000.000000001");
+  assert.notEqual(first.runningHash, second.runningHash);
+
+  const info = await ledger.getTopicInfo(topicId);
+  assert.deepEqual(info, { topicId, memo: "orders", sequenceNumber: 2, runningHash: second.runningHash });
+  await assert.rejects(ledger.getTopicInfo("0.0.1"), /Topic not found/);
+});
+
+test("subscribers get the backlog from startSequence, then live messages, in order", async () => {
+  const ledger = new LocalLedgerAdapter();
+  const topicId = await ledger.createTopic();
+  await ledger.submitMessage(topicId, "a");
+  await ledger.submitMessage(topicId, "b");
+
+  const received = collect(ledger, topicId, 2, { startSequence: 2 });
+  await ledger.submitMessage(topicId, "c");
+
+  const messages = await received;
+  assert.deepEqual(messages.map((m) => m.contents.toString()), ["b", "c"]);
+  assert.deepEqual(messages.map((m) => m.sequenceNumber), [2, 3]);
+  assert.ok(messages.every((m) => m.topicId === topicId));
+});
+
+test("a subscription to an unknown topic reports the error", async () => {
+  const ledger = new LocalLedgerAdapter();
+  const error = await new Promise((resolve) => ledger.subscribe("0.0.9", {}, () => {}, resolve));
+  assert.match(error.message, /Topic not found/);
+});
+
+test("a file-backed topic survives a restart and keeps its hash chain", async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "ledger-"));
+  try {
+    const ledger = new LocalLedgerAdapter({ path: directory });
+    const topicId = await ledger.createTopic({ memo: "persisted" });
+    await ledger.submitMessage(topicId, "kept");
+
+    const reopened = new LocalLedgerAdapter({ path: directory });
+    const [message] = await collect(reopened, topicId, 1);
+    assert.equal(message.contents.toString(), "kept");
+
+    const next = await reopened.submitMessage(topicId, "more");
+    assert.equal(next.sequenceNumber, 2);
+    assert.notEqual(await reopened.createTopic(), topicId);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
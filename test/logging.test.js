@@ -0,0 +1,80 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createLogger } = require("../src/utils/logger");
+const { createTestDatabase } = require("./helpers");
+
+const capture = (options = {}) => {
+  const entries = [];
+  return { entries, log: createLogger({ ...options, sink: (entry) => entries.push(entry) }) };
+};
+
+test("entries below the level are dropped and children add their context", () => {
+  const { entries, log } = capture({ level: "info" });
+  const api = log.child({ component: "api" }).child({ requestId: "r1" });
+
+  api.debug("Hidden");
+  api.info("Request completed", { status: 200 });
+  log.error("Plain");
+
+  assert.equal(entries.length, 2);
+  const [{ time, ...entry }] = entries;
+  assert.match(time, /^\d{4}-\d{2}-\d{2}T/);
+  assert.deepEqual(entry, { level: "info", msg: "Request completed", component: "api", requestId: "r1", status: 200 });
+  assert.equal(entries[1].component, undefined);
+  assert.throws(() => createLogger({ level: "verbose" }), /Unknown log level: verbose/);
+});
+
+test("secrets are redacted at any depth and awkward values still serialize", () => {
+  const { entries, log } = capture({ redact: ["ssn"] });
+  const cyclic = { name: "loop" };
+  cyclic.self = cyclic;
+  const error = Object.assign(new Error("boom"), { code: "E1", query: "SELECT 1" });
+
+  log.warn("Odd values", {
+    config: { postgres: { Password: "hunter2", host: "db" }, headers: { "X-API-Key": "k" } },
+    people: [{ ssn: "123", name: "ada" }],
+    cyclic,
+    big: 10n ** 20n,
+    raw: Buffer.from("abc"),
+    err: error
+  });
+
+  const [entry] = entries;
+  assert.deepEqual(entry.config, { postgres: { Password: "[REDACTED]", host: "db" }, headers: { "X-API-Key": "[REDACTED]" } });
+  assert.deepEqual(entry.people, [{ ssn: "[REDACTED]", name: "ada" }]);
+  assert.deepEqual(entry.cyclic, { name: "loop", self: "[Circular]" });
+  assert.equal(entry.big, "100000000000000000000");
+  assert.equal(entry.raw, "<Buffer 3 bytes>");
+  assert.deepEqual(Object.keys(entry.err), ["name", "message", "code", "stack"]);
+  assert.doesNotThrow(() => JSON.stringify(entry));
+});
+
+test("a failing sink never fails the caller", (t) => {
+  const written = [];
+  t.mock.method(process.stderr, "write", (text) => written.push(text));
+  const log = createLogger({ sink: () => { throw new Error("disk full"); } });
+
+  assert.doesNotThrow(() => log.error("Still fine"));
+  assert.deepEqual(written, ["Log sink failed: disk full\n"]);
+});
+
+test("the database logs through its logger and records the request ID with each write", async () => {
+  const { entries, log } = capture({ level: "debug" });
+  const db = await createTestDatabase({
+    schema: { orders: { item: { type: "string" } } },
+    config: { logger: log },
+    handler: (sql) => {
+      if (sql.startsWith("INSERT INTO \"orders\"")) return [{ _version: 1 }];
+      if (sql.startsWith("INSERT INTO _outbox")) return [{ id: 2 }];
+      if (sql.startsWith("INSERT INTO _audit_log")) return [{ id: 11 }];
+      return undefined;
+    }
+  });
+
+  const { txId } = await db.insert("orders", { item: "pen" }, { userId: "ada", requestId: "req-7", principal: { id: "ada" } });
+
+  const [audit] = db.pgPool.find(/^INSERT INTO _audit_log/);
+  assert.deepEqual(JSON.parse(audit.params[9]), { userId: "ada", requestId: "req-7" });
+  assert.equal(JSON.parse(db.pgPool.find(/^INSERT INTO _outbox/)[0].params[0]).metadata.requestId, "req-7");
+  assert.ok(entries.some((entry) => entry.msg === "Record inserted" && entry.requestId === "req-7" && entry.txId === txId));
+});
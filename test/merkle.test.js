@@ -0,0 +1,71 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { MerkleBatcher } = require("../src/core/MerkleBatcher");
+const {
+  buildMerkleTree,
+  merkleLeafHash,
+  merkleNodeHash,
+  merkleProof,
+  verifyMerkleProof
+} = require("../src/utils/hashUtils");
+const { createTestDatabase } = require("./helpers");
+
+test("trees hash leaves and nodes apart and promote an odd last node", () => {
+  const leaves = ["a", "b", "c"].map(merkleLeafHash);
+  const levels = buildMerkleTree(leaves);
+  const root = levels[levels.length - 1][0];
+
+  assert.equal(root, merkleNodeHash(merkleNodeHash(leaves[0], leaves[1]), leaves[2]));
+  // The bytes of two children hashed as a leaf do not give their parent
+  const children = Buffer.concat([Buffer.from(leaves[0], "hex"), Buffer.from(leaves[1], "hex")]);
+  assert.notEqual(merkleLeafHash(children), merkleNodeHash(leaves[0], leaves[1]));
+  assert.throws(() => buildMerkleTree([]), /without leaves/);
+
+  leaves.forEach((leaf, index) => assert.ok(verifyMerkleProof(leaf, merkleProof(levels, index), root)));
+  assert.equal(verifyMerkleProof(merkleLeafHash("d"), merkleProof(levels, 0), root), false);
+  assert.equal(verifyMerkleProof(leaves[0], merkleProof(levels, 1), root), false);
+});
+
+test("a batch anchors one root and hands each message its proof", async () => {
+  const submitted = [];
+  const batcher = new MerkleBatcher(async (message) => {
+    submitted.push(message);
+    return { status: "SUCCESS", sequenceNumber: 7 };
+  }, { maxBatchSize: 3, maxWaitMs: 60000 });
+
+  const results = await Promise.all([{ n: 1 }, { n: 2 }, { n: 3 }].map((message) => batcher.add(message)));
+
+  assert.equal(submitted.length, 1);
+  assert.equal(submitted[0].type, "MERKLE_BATCH");
+  assert.equal(submitted[0].leafCount, 3);
+  results.forEach((result, index) => {
+    assert.equal(result.sequenceNumber, 7);
+    assert.equal(result.merkle.leafIndex, index);
+    assert.equal(result.merkle.root, submitted[0].root);
+    assert.ok(verifyMerkleProof(merkleLeafHash(result.ledgerMessage), result.merkle.proof, submitted[0].root));
+  });
+  assert.equal(batcher.timer, null);
+});
+
+test("a failed batch submission rejects every message in it", async () => {
+  const batcher = new MerkleBatcher(async () => {
+    throw new Error("ledger down");
+  }, { maxWaitMs: 60000 });
+
+  const pending = [batcher.add({ n: 1 }), batcher.add({ n: 2 })];
+  await batcher.flush();
+  for (const result of await Promise.allSettled(pending)) {
+    assert.equal(result.status, "rejected");
+    assert.match(result.reason.message, /ledger down/);
+  }
+});
+
+test("replay cannot be combined with batch anchoring", async () => {
+  await assert.rejects(
+    createTestDatabase({ config: { replay: { enabled: true }, anchoring: { mode: "batch" } } }),
+    /replay\.enabled requires direct anchoring/
+  );
+  await assert.rejects(createTestDatabase({ config: { anchoring: { mode: "hourly" } } }), /Unknown anchoring mode/);
+  const batched = await createTestDatabase({ config: { anchoring: { mode: "batch" } } });
+  assert.ok(batched.batcher);
+});
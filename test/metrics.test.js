@@ -0,0 +1,135 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { MetricsRegistry } = require("../src/utils/metrics");
+const { createTestDatabase } = require("./helpers");
+
+const schema = { orders: { item: { type: "string" } } };
+
+// The sample lines of one metric, without HELP and TYPE
+const samples = (text, name) => text.split("\n").filter((line) => line.startsWith(name) && !line.startsWith("#"));
+
+test("the registry renders counters, gauges and histograms in Prometheus text format", async () => {
+  const registry = new MetricsRegistry({ prefix: "app_" });
+  const requests = registry.counter("requests_total", "Requests\nserved", ["route"]);
+  const depth = registry.gauge("queue_depth", "Queued jobs");
+  const latency = registry.histogram("latency_seconds", "Latency", ["route"], [0.1, 1]);
+
+  requests.inc({ route: "/say \"hi\"\\" });
+  requests.inc({ route: "/say \"hi\"\\" }, 2);
+  depth.set({}, 5);
+  depth.dec({}, 2);
+  latency.observe({ route: "/a" }, 0.05);
+  latency.observe({ route: "/a" }, 3);
+
+  assert.equal(await registry.render(), [
+    "# HELP app_requests_total Requests\\nserved",
+    "# TYPE app_requests_total counter",
+    "app_requests_total{route=\"/say \\\"hi\\\"\\\\\"} 3",
+    "# HELP app_queue_depth Queued jobs",
+    "# TYPE app_queue_depth gauge",
+    "app_queue_depth 3",
+    "# HELP app_latency_seconds Latency",
+    "# TYPE app_latency_seconds histogram",
+    "app_latency_seconds_bucket{route=\"/a\",le=\"0.1\"} 1",
+    "app_latency_seconds_bucket{route=\"/a\",le=\"1\"} 1",
+    "app_latency_seconds_bucket{route=\"/a\",le=\"+Inf\"} 2",
+    "app_latency_seconds_sum{route=\"/a\"} 3.05",
+    "app_latency_seconds_count{route=\"/a\"} 2",
+    ""
+  ].join("\n"));
+});
+
+test("metrics refuse bad names, labels and decreasing counters", () => {
+  const registry = new MetricsRegistry();
+  const counter = registry.counter("jobs_total", "Jobs", ["queue"]);
+
+  assert.throws(() => counter.inc({ queue: "a" }, -1), /cannot decrease/);
+  assert.throws(() => counter.inc({ worker: "a" }), /Unknown label worker for metric jobs_total/);
+  assert.throws(() => registry.counter("jobs_total", "Again"), /already registered/);
+  assert.throws(() => registry.gauge("jobs-running", "Dash"), /Invalid metric name/);
+  assert.throws(() => registry.histogram("sizes", "Sizes", ["le"]), /cannot use the label "le"/);
+});
+
+test("each call is counted and timed by table, operation and outcome", async () => {
+  const db = await createTestDatabase({
+    schema,
+    handler: (sql) => {
+      if (sql.startsWith("INSERT INTO \"orders\"")) return [{ _version: 1 }];
+      if (sql.startsWith("INSERT INTO _outbox")) return [{ id: 2 }];
+      if (sql.startsWith("INSERT INTO _audit_log")) return [{ id: 11 }];
+      return undefined;
+    }
+  });
+
+  await db.insert("orders", { item: "pen" });
+  await assert.rejects(db.insert("orders", { item: 5 }));
+  await assert.rejects(db.insert("ghosts", { item: "x" }));
+
+  const text = await db.telemetry.render();
+  assert.deepEqual(samples(text, "hedera_db_operations_total"), [
+    "hedera_db_operations_total{table=\"orders\",operation=\"insert\",status=\"success\"} 1",
+    "hedera_db_operations_total{table=\"orders\",operation=\"insert\",status=\"error\"} 1",
+    "hedera_db_operations_total{table=\"unknown\",operation=\"insert\",status=\"error\"} 1"
+  ]);
+  assert.ok(samples(text, "hedera_db_operation_duration_seconds_count").includes("hedera_db_operation_duration_seconds_count{table=\"orders\",operation=\"insert\"} 2"));
+});
+
+test("ledger submissions are timed apart from PostgreSQL and set the sync lag", async () => {
+  const db = await createTestDatabase();
+  await db.submitToHedera({ type: "INSERT", table: "orders" });
+  await db.submitToHedera({ type: "INSERT", table: "orders" });
+  db.telemetry.recordSequence("applied", 1);
+
+  const text = await db.telemetry.render();
+  assert.ok(text.includes("hedera_db_ledger_submit_duration_seconds_count{type=\"INSERT\",status=\"success\"} 2"));
+  assert.ok(text.includes("hedera_db_topic_sequence_number{stage=\"latest\"} 2"));
+  assert.ok(text.includes("hedera_db_sync_lag_messages{stage=\"applied\"} 1"));
+  assert.deepEqual(samples(text, "hedera_db_sync_lag_messages{stage=\"received\"}"), []);
+});
+
+test("statements are timed by command on every client the pool opens", async () => {
+  const db = await createTestDatabase();
+  const pool = new EventEmitter();
+  db.telemetry.instrumentPool(pool);
+
+  const client = {
+    query: async (statement) => {
+      if (String(statement).startsWith("INSERT")) throw new Error("duplicate key");
+      return { rows: [] };
+    }
+  };
+  pool.emit("connect", client);
+
+  await client.query("  select 1");
+  await client.query({ text: "VACUUM orders" });
+  await assert.rejects(client.query("INSERT INTO orders VALUES (1)"), /duplicate key/);
+
+  const text = await db.telemetry.render();
+  for (const command of ["SELECT", "OTHER", "INSERT"]) {
+    assert.ok(text.includes(`hedera_db_postgres_query_duration_seconds_count{command="${command}"} 1`), command);
+  }
+  assert.deepEqual(samples(text, "hedera_db_postgres_query_errors_total"), ["hedera_db_postgres_query_errors_total{command=\"INSERT\"} 1"]);
+});
+
+test("a scrape reads pool and outbox gauges, and still answers when PostgreSQL does not", async () => {
+  let down = false;
+  const db = await createTestDatabase({
+    handler: (sql) => {
+      if (!sql.startsWith("SELECT status, COUNT(*)")) return undefined;
+      if (down) throw new Error("connection refused");
+      return [{ status: "pending", count: "4", oldest: "12.5" }, { status: "failed", count: "1", oldest: "900" }];
+    }
+  });
+  Object.assign(db.pgPool, { totalCount: 3, idleCount: 1, waitingCount: 0 });
+
+  const text = await db.telemetry.render();
+  assert.ok(text.includes("hedera_db_postgres_pool_connections{state=\"total\"} 3"));
+  assert.ok(text.includes("hedera_db_outbox_entries{status=\"pending\"} 4"));
+  assert.ok(text.includes("hedera_db_outbox_entries{status=\"publishing\"} 0"));
+  assert.ok(text.includes("hedera_db_outbox_entries{status=\"failed\"} 1"));
+  assert.ok(text.includes("hedera_db_outbox_oldest_pending_age_seconds 12.5"));
+
+  down = true;
+  assert.ok((await db.telemetry.render()).includes("hedera_db_metrics_collect_errors_total{source=\"outbox\"} 1"));
+});
@@ -0,0 +1,196 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { MigrationRunner } = require("../src/migrations/migrationRunner");
+const { SyncManager } = require("../src/core/SyncManager");
+const { IntegrityVerifier, anchoredRoots } = require("../src/core/IntegrityVerifier");
+const { merkleLeafHash, verifyMerkleProof } = require("../src/utils/hashUtils");
+const { createFakePool, createTestDatabase } = require("./helpers");
+
+const v1 = { users: { name: { type: "string" }, age: { type: "integer", default: 0 } } };
+
+const recordedHandler = (schema, version = "1.0.0") => (sql) => {
+  if (sql.startsWith("SELECT version, schema FROM _schema_versions")) return [{ version, schema }];
+  if (sql.startsWith("INSERT INTO _outbox")) return [{ id: 1 }];
+  return undefined;
+};
+
+const alters = (db) => db.pgPool.queries.map(({ sql }) => sql).filter((sql) => /^(ALTER|CREATE|DROP)/.test(sql));
+
+test("the diff notices falsy and structured default changes", async () => {
+  const db = await createTestDatabase();
+  const runner = new MigrationRunner(db);
+  const target = { users: { name: { type: "string" }, age: { type: "integer", default: 1 } } };
+
+  assert.deepEqual(runner.diff(v1, target), [{ type: "setDefault", table: "users", column: "age", default: 1 }]);
+  assert.deepEqual(runner.diff(v1, v1), []);
+  const json = { t: { c: { type: "json", default: { a: 1 } } } };
+  assert.deepEqual(runner.diff(json, { t: { c: { type: "json", default: { a: 1 } } } }), []);
+});
+
+test("migration SQL quotes every identifier it writes", async () => {
+  const db = await createTestDatabase();
+  const runner = new MigrationRunner(db);
+  const target = { users: { name: { type: "string", index: true }, age: { type: "integer" } } };
+
+  assert.deepEqual(runner.toSql({ type: "renameColumn", table: "users", from: "fullname", to: "name" }, target), [
+    "ALTER TABLE \"users\" RENAME COLUMN \"fullname\" TO \"name\"",
+    "ALTER INDEX IF EXISTS \"idx_users_fullname\" RENAME TO \"idx_users_name\""
+  ]);
+  assert.deepEqual(runner.toSql({ type: "changeType", table: "users", column: "age", to: "ignored" }, target), [
+    "ALTER TABLE \"users\" ALTER COLUMN \"age\" TYPE INTEGER USING \"age\"::INTEGER"
+  ]);
+  assert.deepEqual(runner.toSql({ type: "setDefault", table: "users", column: "age", default: "1; --" }, v1), [
+    "ALTER TABLE \"users\" ALTER COLUMN \"age\" SET DEFAULT 0"
+  ]);
+  assert.throws(() => runner.toSql({ type: "dropColumn", table: "users", column: "x; DROP TABLE users" }, v1), /Invalid identifier/);
+});
+
+test("replay recomputes a migration instead of running the message's changes", async () => {
+  const db = await createTestDatabase({ schema: v1, handler: recordedHandler(v1) });
+  const target = { users: { fullname: { type: "string" }, age: { type: "integer", default: 0 }, phone: { type: "string" } } };
+  const operation = {
+    type: "SCHEMA_MIGRATE",
+    version: "1.1.0",
+    renames: { users: { name: "fullname" } },
+    changes: [{ type: "changeType", table: "users", column: "age", to: "INTEGER; DROP TABLE users" }],
+    schema: target
+  };
+
+  await new SyncManager(db).applyMessage(operation, { sequenceNumber: 3 });
+
+  const statements = alters(db);
+  assert.deepEqual(statements.slice(0, 3), [
+    "ALTER TABLE \"users\" RENAME COLUMN \"name\" TO \"fullname\"",
+    "ALTER INDEX IF EXISTS \"idx_users_name\" RENAME TO \"idx_users_fullname\"",
+    "ALTER TABLE \"users\" ADD COLUMN \"phone\" TEXT"
+  ]);
+  assert.ok(statements.every((sql) => !sql.includes("DROP TABLE")));
+  assert.equal(db.schemaCache.get("main"), target);
+});
+
+test("replay takes renames from the change list of older messages", async () => {
+  const db = await createTestDatabase({ schema: v1, handler: recordedHandler(v1) });
+  const operation = {
+    type: "SCHEMA_MIGRATE",
+    version: "1.1.0",
+    changes: [{ type: "renameColumn", table: "users", from: "name", to: "fullname" }],
+    schema: { users: { fullname: { type: "string" }, age: { type: "integer", default: 0 } } }
+  };
+
+  await new SyncManager(db).applyMessage(operation, { sequenceNumber: 3 });
+  assert.equal(alters(db)[0], "ALTER TABLE \"users\" RENAME COLUMN \"name\" TO \"fullname\"");
+});
+
+test("replay refuses a migration whose schema carries SQL", async () => {
+  const db = await createTestDatabase({ schema: v1, handler: recordedHandler(v1) });
+  const operation = {
+    type: "SCHEMA_MIGRATE",
+    version: "1.1.0",
+    changes: [],
+    schema: { users: { name: { type: "string" }, age: { type: "integer", default: "0; DROP TABLE users" } } }
+  };
+
+  await assert.rejects(new SyncManager(db).applyMessage(operation, { sequenceNumber: 3 }), /Invalid default/);
+  assert.deepEqual(alters(db), []);
+});
+
+// users rows as stored: "good" matches its hash, "bad" was edited behind the audit log
+function rehashFixture(db) {
+  const rows = [
+    { name: "Ada", age: 3 },
+    { name: "Bob", age: 4 }
+  ].map((data, i) => ({ _tx_id: i === 0 ? "good" : "bad", _data_hash: db.calculateRowHash("users", data), ...data }));
+  rows[1].name = "Eve";
+
+  let renamed = false;
+  return (sql, params) => {
+    if (sql.startsWith("SELECT version, schema FROM _schema_versions")) return [{ version: "1.0.0", schema: v1 }];
+    if (sql.startsWith("ALTER TABLE \"users\" RENAME COLUMN")) renamed = true;
+    if (sql.startsWith("SELECT * FROM \"users\" WHERE _tx_id > $1")) {
+      if (params[0] !== "") return [];
+      return rows.map(({ name, ...row }) => (renamed ? { ...row, fullname: name } : { ...row, name }));
+    }
+    if (sql.startsWith("INSERT INTO _audit_log")) return [{ id: 7 }];
+    if (sql.startsWith("INSERT INTO _outbox")) return [{ id: 1 }];
+    return undefined;
+  };
+}
+
+const v2 = { users: { fullname: { type: "string" }, age: { type: "integer", default: 0 } } };
+
+test("a migration rehashes the rows it changes and audits each rehash", async () => {
+  const db = await createTestDatabase({ schema: v1 });
+  db.pgPool = createFakePool(rehashFixture(db));
+
+  const previousHash = db.calculateRowHash("users", { name: "Ada", age: 3 });
+  const result = await new MigrationRunner(db).run([{ version: "1.1.0", renames: { users: { name: "fullname" } }, schema: v2 }]);
+  const newHash = db.calculateRowHash("users", { fullname: "Ada", age: 3 });
+
+  // The tampered row keeps its stale hash so verification still flags it
+  const updates = db.pgPool.find(/^UPDATE "users" SET _data_hash/);
+  assert.deepEqual(updates.map(({ params }) => params), [[newHash, "good"]]);
+  assert.equal(result.results[0].rehashed, 1);
+
+  const [outbox] = db.pgPool.find(/^INSERT INTO _outbox/);
+  const message = JSON.parse(outbox.params[0]);
+  assert.equal(message.type, "SCHEMA_MIGRATE");
+  assert.equal(message.rehash.leafCount, 1);
+  const [audit] = db.pgPool.find(/^INSERT INTO _audit_log/);
+  assert.deepEqual(audit.params.slice(0, 4), ["good", "users", "REHASH", newHash]);
+  assert.deepEqual(audit.params.slice(17), [1, "pending"]);
+  assert.deepEqual(
+    JSON.parse(audit.params[12]),
+    { type: "REHASH", table: "users", txId: "good", previousHash, newHash, version: "1.1.0" }
+  );
+  assert.ok(verifyMerkleProof(merkleLeafHash(audit.params[12]), JSON.parse(audit.params[16]), message.rehash.root));
+  assert.equal(db.pgPool.find(/^INSERT INTO _row_history/).length, 1);
+});
+
+test("the ledger index follows a rehash only from the hash it replaced", () => {
+  const verifier = new IntegrityVerifier({});
+  const rehash = (txId, previousHash) => ({
+    operation: { type: "REHASH", table: "users", txId, previousHash, newHash: "h2" },
+    sequenceNumber: 3,
+    leafIndex: 0
+  });
+  const ledger = verifier.buildLedgerIndex([
+    { operation: { type: "INSERT", table: "users", txId: "a", dataHash: "h1" }, sequenceNumber: 1 },
+    { operation: { type: "INSERT", table: "users", txId: "b", dataHash: "h1" }, sequenceNumber: 2 },
+    rehash("a", "h1"),
+    rehash("b", "other"),
+    rehash("c", "h1")
+  ]);
+
+  assert.equal(ledger.get("users:a").hash, "h2");
+  assert.equal(ledger.get("users:b").hash, "h1");
+  assert.equal(ledger.has("users:c"), false);
+  assert.deepEqual(
+    [...anchoredRoots([{ operation: { type: "SCHEMA_MIGRATE", rehash: { root: "r" } }, sequenceNumber: 3 }])],
+    [["r", 3]]
+  );
+});
+
+test("replay refuses a migration whose rehash differs from the anchored one", async () => {
+  const db = await createTestDatabase({ schema: v1 });
+  db.pgPool = createFakePool(rehashFixture(db));
+  const operation = {
+    type: "SCHEMA_MIGRATE",
+    version: "1.1.0",
+    renames: { users: { name: "fullname" } },
+    rehash: { batchId: "b", root: "0".repeat(64), leafCount: 1 },
+    schema: v2
+  };
+
+  await assert.rejects(new SyncManager(db).applyMessage(operation, { sequenceNumber: 4 }), /Rehash mismatch at sequence 4/);
+  assert.equal(db.pgPool.find(/^ROLLBACK/).length, 1);
+});
+
+test("renaming an encrypted column is refused", async () => {
+  const db = await createTestDatabase();
+  const runner = new MigrationRunner(db);
+  const current = { p: { ssn: { type: "string", encrypted: true } } };
+  assert.throws(
+    () => runner.diff(current, { p: { id: { type: "string", encrypted: true } } }, { p: { ssn: "id" } }),
+    /ciphertext is bound to the column name/
+  );
+});
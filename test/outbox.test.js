@@ -0,0 +1,129 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestDatabase } = require("./helpers");
+const { recordsOf } = require("../src/core/OutboxPublisher");
+
+// Claims answer with `entries`; everything else succeeds without rows
+const claiming = (entries) => (sql) => {
+  if (sql.startsWith("UPDATE _outbox SET status = $1, locked_until")) return entries.splice(0);
+  return undefined;
+};
+
+const insertMessage = (txId) => JSON.stringify({ type: "INSERT", table: "orders", txId, dataHash: "h" });
+
+test("an anchored entry records the topic's sequence number and consensus timestamp", async () => {
+  const db = await createTestDatabase({ handler: claiming([{ id: 4, message: insertMessage("a"), attempts: 0 }]) });
+  await db.ledger.submitMessage(db.topicId, "earlier");
+
+  assert.equal(await db.outbox.publishPending(), 1);
+
+  const [audit] = db.pgPool.find(/^UPDATE _audit_log SET hedera_timestamp/);
+  const [outboxId, millis, sequenceNumber, consensusTimestamp, runningHash] = audit.params;
+  assert.equal(outboxId, 4);
+  assert.equal(sequenceNumber, 2);
+  assert.match(consensusTimestamp, /^\d+\.\d{9}$/);
+  assert.equal(millis, db.consensusTimestampToMillis(consensusTimestamp));
+  assert.match(runningHash, /^[0-9a-f]{64,96}$/);
+
+  const [outbox] = db.pgPool.find(/^UPDATE _outbox SET status = \$2, attempts = attempts \+ 1/);
+  assert.deepEqual(
+    JSON.parse(outbox.params[2]),
+    { status: "SUCCESS", topicId: db.topicId, sequenceNumber: 2, consensusTimestamp, runningHash }
+  );
+});
+
+test("consensus timestamps convert to milliseconds without rounding up", async () => {
+  const db = await createTestDatabase();
+  assert.equal(db.consensusTimestampToMillis("1700000000.123999999"), 1700000000123);
+  assert.equal(db.consensusTimestampToMillis("1700000000.5"), 1700000000500);
+  assert.equal(db.consensusTimestampToMillis("1700000000"), 1700000000000);
+});
+
+test("a write queues its message in the transaction that commits it", async () => {
+  const db = await createTestDatabase({
+    schema: { orders: { item: { type: "string" } } },
+    handler: (sql, params) => {
+      if (sql.startsWith("INSERT INTO \"orders\"")) return [{ item: params[0], _tx_id: params[1], _version: 1 }];
+      if (sql.startsWith("INSERT INTO _outbox")) return [{ id: 2 }];
+      if (sql.startsWith("INSERT INTO _audit_log")) return [{ id: 11 }];
+      return undefined;
+    }
+  });
+
+  const result = await db.insert("orders", { item: "pen" });
+
+  const statements = db.pgPool.queries.map(({ sql }) => sql.split(" ").slice(0, 3).join(" "));
+  assert.ok(statements.indexOf("INSERT INTO _outbox") < statements.indexOf("COMMIT"));
+  assert.equal(JSON.parse(db.pgPool.find(/^INSERT INTO _outbox/)[0].params[0]).txId, result.txId);
+  assert.deepEqual(db.pgPool.find(/^INSERT INTO _audit_log/)[0].params.slice(17), [2, "pending"]);
+  assert.deepEqual(result.anchor, { outboxId: 2, status: "pending" });
+  assert.equal((await db.ledger.getTopicInfo(db.topicId)).sequenceNumber, 0);
+});
+
+test("a queued message lists the records it writes", async () => {
+  const db = await createTestDatabase({
+    schema: { orders: { item: { type: "string" } } },
+    handler: (sql, params) => {
+      if (sql.startsWith("INSERT INTO \"orders\"")) return [{ item: params[0], _tx_id: params[1], _version: 1 }];
+      if (sql.startsWith("INSERT INTO _outbox")) return [{ id: 2 }];
+      if (sql.startsWith("INSERT INTO _audit_log")) return [{ id: 11 }];
+      return undefined;
+    }
+  });
+
+  const result = await db.insert("orders", { item: "pen" });
+
+  assert.deepEqual(db.pgPool.find(/^INSERT INTO _outbox/)[0].params[1], [`orders:${result.txId}`]);
+  assert.deepEqual(recordsOf({
+    type: "TRANSACTION",
+    operations: [
+      { type: "INSERT", table: "orders", txId: "a" },
+      { type: "UPDATE", table: "orders", txId: "a" },
+      { type: "DELETE", table: "items", txId: "b" }
+    ]
+  }), ["orders:a", "items:b"]);
+});
+
+test("claims are serialized and skip entries behind a failed one for the same record", async () => {
+  const db = await createTestDatabase({ handler: claiming([{ id: 5, message: insertMessage("b"), attempts: 0 }]) });
+
+  const claimed = await db.outbox.claim();
+
+  const statements = db.pgPool.queries.map(({ sql }) => sql);
+  const lock = statements.findIndex((sql) => sql.includes("pg_advisory_xact_lock"));
+  const update = statements.findIndex((sql) => sql.startsWith("UPDATE _outbox SET status = $1, locked_until"));
+  assert.ok(statements.indexOf("BEGIN") < lock && lock < update && update < statements.indexOf("COMMIT"));
+  assert.match(statements[update], /earlier\.records && _outbox\.records AND \(earlier\.status = \$5 OR/);
+  assert.equal(db.pgPool.queries[update].params[4], "failed");
+  assert.deepEqual(claimed.map((entry) => entry.id), [5]);
+});
+
+test("a failed submission backs off and holds back the entries behind it", async () => {
+  const db = await createTestDatabase({
+    handler: claiming([{ id: 4, message: insertMessage("a"), attempts: 0 }, { id: 5, message: insertMessage("b"), attempts: 0 }])
+  });
+  db.anchorMessage = async () => { throw new Error("ledger down"); };
+
+  await db.outbox.publishPending();
+
+  const [retry] = db.pgPool.find(/^UPDATE _outbox SET status = \$2, attempts = \$3/);
+  assert.deepEqual(retry.params, [4, "pending", 1, "ledger down", "1000"]);
+  assert.deepEqual(db.pgPool.find(/^UPDATE _outbox SET status = \$2, locked_until = NULL/)[0].params, [[5], "pending"]);
+  assert.equal(db.pgPool.find(/^UPDATE _audit_log/).length, 0);
+});
+
+test("an entry out of attempts is marked failed along with its audit entries", async () => {
+  const db = await createTestDatabase({
+    config: { outbox: { awaitAnchoring: false, maxAttempts: 3 } },
+    handler: claiming([{ id: 4, message: insertMessage("a"), attempts: 2 }])
+  });
+  db.anchorMessage = async () => { throw new Error("ledger down"); };
+  const failures = [];
+  db.on("anchor-failed", (event) => failures.push(event));
+
+  await db.outbox.publishPending();
+
+  assert.equal(db.pgPool.find(/^UPDATE _outbox SET status = \$2, attempts = \$3/)[0].params[1], "failed");
+  assert.deepEqual(db.pgPool.find(/^UPDATE _audit_log SET anchor_status/)[0].params, [4, "failed"]);
+  assert.deepEqual(failures, [{ outboxId: 4, attempts: 3, failed: true, error: "ledger down" }]);
+});
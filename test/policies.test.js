@@ -0,0 +1,104 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { RowPolicy } = require("../src/core/RowPolicy");
+const { createTestDatabase } = require("./helpers");
+
+const schema = { orders: { item: { type: "string" }, user_id: { type: "string" } } };
+
+const policies = {
+  orders: {
+    all: { user_id: { $principal: "id" } },
+    delete: { user_id: { $principal: "id" }, item: "draft" },
+    bypassRoles: ["admin"]
+  }
+};
+
+const ada = { id: "ada", roles: ["clerk"] };
+
+// Row t1 belongs to ada. `after` is who owns it once an UPDATE has run.
+function ordersHandler({ after = "ada" } = {}) {
+  let owner = "ada";
+  return (sql, params) => {
+    if (sql.startsWith("SELECT * FROM \"orders\" WHERE _tx_id = $1")) return [{ _tx_id: params[0], item: "pen", user_id: owner, _version: 1 }];
+    if (sql.startsWith("UPDATE \"orders\" SET")) {
+      owner = after;
+      return [{ _tx_id: "t1", user_id: owner, _version: 2 }];
+    }
+    // Policy values come in column order: user_id, then item
+    if (sql.startsWith("SELECT 1 FROM \"orders\"")) {
+      const [txId, ...values] = params;
+      return txId === "t1" && values.every((value, i) => value === [owner, "pen"][i]) ? [{}] : [];
+    }
+    if (sql.startsWith("INSERT INTO _outbox")) return [{ id: 2 }];
+    if (sql.startsWith("INSERT INTO _audit_log")) return [{ id: 11 }];
+    return undefined;
+  };
+}
+
+test("queries only return the rows the principal's policy allows", async () => {
+  const db = await createTestDatabase({ schema, config: { policies } });
+
+  await db.query("orders", { where: { item: "pen" }, principal: ada });
+  await db.query("orders", { principal: { id: "root", roles: ["admin"] } });
+  await db.query("orders", {});
+
+  const [scoped, bypassed, trusted] = db.pgPool.queries;
+  assert.match(scoped.sql, /WHERE "_is_deleted" = FALSE AND \(\("item" = \$1\) AND \("user_id" = \$2\)\)/);
+  assert.deepEqual(scoped.params, ["pen", "ada"]);
+  assert.doesNotMatch(bypassed.sql, /user_id/);
+  assert.doesNotMatch(trusted.sql, /user_id/);
+});
+
+test("updating a row the policy hides is denied and recorded as POLICY_DENIED", async () => {
+  const db = await createTestDatabase({ schema, config: { policies }, handler: ordersHandler() });
+  const denials = [];
+  db.on("policy-denied", (event) => denials.push(event));
+
+  await assert.rejects(db.update("orders", "t1", { item: "ink" }, { principal: { id: "bob", roles: [] } }), { statusCode: 403 });
+
+  const [denied] = db.pgPool.find(/^INSERT INTO _audit_log/);
+  assert.deepEqual(denied.params.slice(0, 3), ["t1", "orders", "POLICY_DENIED"]);
+  assert.equal(denied.params[6], "bob");
+  assert.equal(db.pgPool.find(/^UPDATE "orders"/).length, 0);
+  assert.equal(db.pgPool.find(/^ROLLBACK/).length, 1);
+  assert.deepEqual(denials, [{ tableName: "orders", action: "update", txId: "t1", userId: "bob", reason: "Row policy denies update on orders t1" }]);
+});
+
+test("an update must leave the row within the policy", async () => {
+  const allowed = await createTestDatabase({ schema, config: { policies }, handler: ordersHandler() });
+  await allowed.update("orders", "t1", { item: "ink" }, { principal: ada });
+  assert.equal(allowed.pgPool.find(/^COMMIT/).length, 1);
+
+  const handedOver = await createTestDatabase({ schema, config: { policies }, handler: ordersHandler({ after: "bob" }) });
+  await assert.rejects(handedOver.update("orders", "t1", { user_id: "bob" }, { principal: ada }), /Row policy denies update on orders t1/);
+  assert.equal(handedOver.pgPool.find(/^COMMIT/).length, 0);
+});
+
+test("deletes, audit trails and verification check the row against the policy", async () => {
+  const db = await createTestDatabase({ schema, config: { policies }, handler: ordersHandler() });
+
+  // ada owns t1 but the delete policy also wants a draft
+  await assert.rejects(db.delete("orders", "t1", { principal: ada }), /Row policy denies delete/);
+  assert.deepEqual(db.pgPool.find(/^SELECT 1 FROM "orders"/)[0].params, ["t1", "ada", "draft"]);
+
+  await db.getAuditTrail("orders", "t1", { principal: ada });
+  await assert.rejects(db.getAuditTrail("orders", "t2", { principal: ada }), { statusCode: 403 });
+  await assert.rejects(db.verifyIntegrity("orders", "t2", { principal: ada }), { statusCode: 403 });
+  assert.equal(db.pgPool.find(/^INSERT INTO _audit_log/).length, 3);
+});
+
+test("a principal missing the attribute a policy names is denied, not matched against NULL", async () => {
+  const db = await createTestDatabase({
+    schema,
+    config: { policies: { orders: { read: { user_id: { $principal: "claims.tenant" } } } } }
+  });
+
+  await assert.rejects(db.query("orders", { principal: ada }), { statusCode: 403, message: "Principal ada has no claims.tenant for the row policy" });
+  assert.equal(db.pgPool.find(/^SELECT/).length, 0);
+  assert.equal(db.pgPool.find(/^INSERT INTO _audit_log/)[0].params[2], "POLICY_DENIED");
+});
+
+test("policies with unknown options or tables are configuration errors", () => {
+  assert.throws(() => new RowPolicy(null, { orders: { write: {} } }), /Unknown policy option orders\.write/);
+  assert.throws(() => new RowPolicy(null, { ghosts: { all: {} } }).assertTables(schema), /Policy for unknown table ghosts/);
+});
@@ -0,0 +1,186 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { matchesWhere } = require("../src/utils/whereMatcher");
+const { createTestDatabase } = require("./helpers");
+
+const schema = { events: { name: { type: "string" }, at: { type: "datetime" } } };
+
+// Three rows whose timestamps differ below the millisecond, as PostgreSQL prints them
+const stored = [
+  { _tx_id: "a", name: "x", at: "2024-05-01 10:00:00.123456+00" },
+  { _tx_id: "b", name: "y", at: "2024-05-01 10:00:00.123457+00" },
+  { _tx_id: "c", name: "z", at: "2024-05-01 10:00:00.1235+00" }
+];
+
+function eventsHandler(sql) {
+  if (!sql.startsWith("SELECT")) return undefined;
+  return stored.map((row) => ({ ...row, at: new Date(row.at), _cursor_0: row.at, _cursor_1: row._tx_id }));
+}
+
+test("a page cursor keeps the sort key at full precision", async () => {
+  const db = await createTestDatabase({ schema, handler: eventsHandler });
+  const first = await db.query("events", { orderBy: [{ column: "at" }], limit: 2 });
+
+  const [select] = db.pgPool.queries;
+  assert.match(select.sql, /^SELECT \*, "at"::text AS "_cursor_0", "_tx_id"::text AS "_cursor_1" FROM "events"/);
+  assert.deepEqual(first.data.map((row) => Object.keys(row)), [["_tx_id", "name", "at"], ["_tx_id", "name", "at"]]);
+
+  await db.query("events", { orderBy: [{ column: "at" }], limit: 2, cursor: first.nextCursor });
+  const [, next] = db.pgPool.queries;
+  assert.match(next.sql, /\(\("at" > \$1 OR "at" IS NULL\)\) OR \("at" = \$2 AND \("_tx_id" > \$3 OR "_tx_id" IS NULL\)\)/);
+  assert.deepEqual(next.params.slice(0, 3), ["2024-05-01 10:00:00.123457+00", "2024-05-01 10:00:00.123457+00", "b"]);
+});
+
+test("the last page has no cursor and unpaginated queries select no sort keys", async () => {
+  const db = await createTestDatabase({ schema, handler: eventsHandler });
+  assert.equal((await db.query("events", { limit: 3 })).nextCursor, null);
+
+  const { text } = db.queries.select("events", { orderBy: [{ column: "at" }] });
+  assert.doesNotMatch(text, /_cursor_/);
+});
+
+test("cursors from another order or with non-text keys are refused", async () => {
+  const db = await createTestDatabase({ schema });
+  const { queries } = db;
+  const order = queries.orderTerms("events", [{ column: "at" }], true);
+  const cursor = queries.encodeCursor(order, { _cursor_0: "2024-05-01 10:00:00.123456+00", _cursor_1: "a" });
+
+  assert.deepEqual(queries.decodeCursor(cursor, order), ["2024-05-01 10:00:00.123456+00", "a"]);
+  assert.throws(() => queries.decodeCursor(cursor, queries.orderTerms("events", [], true)), /does not match/);
+  assert.throws(() => queries.decodeCursor("not json", order), /Invalid cursor/);
+  const forged = Buffer.from(JSON.stringify({ o: ["at:ASC", "_tx_id:ASC"], v: [{ $date: "x" }, "a"] })).toString("base64url");
+  assert.throws(() => queries.decodeCursor(forged, order), /Invalid cursor/);
+});
+
+test("tables and columns outside the schema never reach the SQL", async () => {
+  const db = await createTestDatabase({ schema });
+  const { queries } = db;
+
+  assert.throws(() => queries.select("events; DROP TABLE events", {}), /Unknown table/);
+  assert.throws(() => queries.select("pg_user", {}), /Unknown table: pg_user/);
+  assert.throws(() => queries.select("events", { select: ["name", "password"] }), /Unknown column: password/);
+  assert.throws(() => queries.select("events", { select: "name, 1) --" }), /Unknown column/);
+  assert.throws(() => queries.select("events", { orderBy: [{ column: "name; DROP TABLE events" }] }), /Unknown column/);
+  assert.throws(() => queries.select("events", { orderBy: [{ column: "name", direction: "ASC; --" }] }), /Invalid sort direction/);
+  assert.throws(() => queries.select("events", { where: { "name\" OR 1=1 --": "x" } }), /Unknown column/);
+  assert.throws(() => queries.select("events", { where: { $where: "1=1" } }), /Unknown operator: \$where/);
+  assert.throws(() => queries.select("events", { limit: "10; --" }), /limit must be a non-negative integer/);
+
+  const { text, params } = queries.select("events", { select: "name", where: { name: "x' OR '1'='1" }, orderBy: { column: "_created_at", direction: "desc" } });
+  assert.equal(text, "SELECT \"name\" FROM \"events\" WHERE \"_is_deleted\" = FALSE AND \"name\" = $1 ORDER BY \"_created_at\" DESC");
+  assert.deepEqual(params, ["x' OR '1'='1"]);
+
+  await assert.rejects(db.insert("events", { "name\") VALUES ('x'); --": "y" }), /Unknown field/);
+  await assert.rejects(db.insert("ghosts", { name: "y" }), /Unknown table: ghosts/);
+  assert.equal(db.pgPool.find(/^INSERT/).length, 0);
+});
+
+const catalog = {
+  items: { name: { type: "string" }, price: { type: "integer" }, tags: { type: "array" }, attrs: { type: "json" } }
+};
+
+test("where operators compose into one parameterized condition", async () => {
+  const db = await createTestDatabase({ schema: catalog });
+  const where = {
+    price: { $gte: 10, $lt: 100 },
+    $or: [{ name: { $ilike: "pen%" } }, { tags: { $contains: ["sale"] } }],
+    $not: { name: { $in: ["a", "b"] } },
+    "attrs.size.cm": { $between: [1, 5] },
+    attrs: { $isNull: false }
+  };
+
+  const { text, params } = db.queries.select("items", { where });
+  assert.equal(text, "SELECT * FROM \"items\" WHERE \"_is_deleted\" = FALSE"
+    + " AND \"price\" >= $1 AND \"price\" < $2"
+    + " AND ((\"name\" ILIKE $3) OR (\"tags\" @> $4))"
+    + " AND NOT (\"name\" = ANY($5))"
+    + " AND (\"attrs\" #> $6) BETWEEN $7::jsonb AND $8::jsonb"
+    + " AND \"attrs\" IS NOT NULL");
+  assert.deepEqual(params, [10, 100, "pen%", ["sale"], ["a", "b"], ["size", "cm"], "1", "5"]);
+
+  assert.equal(db.queries.where("items", { price: { $in: [] }, name: null }, []).join(" AND "), "FALSE AND \"name\" IS NULL");
+  assert.deepEqual(db.queries.where("items", { $or: [] }, []), ["FALSE"]);
+});
+
+test("malformed operators are refused", async () => {
+  const db = await createTestDatabase({ schema: catalog });
+  const refused = [
+    [{ price: { $between: [1] } }, /needs \[low, high\]/],
+    [{ price: { $in: 3 } }, /needs an array/],
+    [{ price: { $regex: "." } }, /Unknown operator: \$regex/],
+    [{ price: {} }, /Empty condition/],
+    [{ price: { $contains: [1] } }, /requires a JSON or array column/],
+    [{ "name.first": "x" }, /Path filters require a JSON column/],
+    [{ name: { $isNull: "yes" } }, /must be true or false/],
+    [{ $or: {} }, /must be a list of where objects/]
+  ];
+  for (const [where, message] of refused) {
+    assert.throws(() => db.queries.where("items", where, []), message);
+  }
+});
+
+test("rows in memory match a where object as PostgreSQL would", () => {
+  const row = { name: "Pencil", price: "12", tags: ["sale", "new"], attrs: { size: { cm: 3 } }, note: null };
+  assert.equal(matchesWhere(row, { price: { $gte: 10, $lt: 100 }, name: { $ilike: "pen%" } }), true);
+  assert.equal(matchesWhere(row, { name: { $like: "pen%" } }), false);
+  assert.equal(matchesWhere(row, { tags: { $contains: ["sale"] }, "attrs.size.cm": { $between: [1, 5] } }), true);
+  assert.equal(matchesWhere(row, { $or: [{ price: 1 }, { $not: { name: { $in: ["Pen"] } } }] }), true);
+  assert.equal(matchesWhere(row, { note: { $ne: "x" } }), false);
+  assert.equal(matchesWhere(row, { note: null, missing: { $isNull: true } }), true);
+});
+
+test("a null column leaves a condition unknown, and $not does not make it match", () => {
+  const row = { name: "Pencil", note: null };
+  assert.equal(matchesWhere(row, { $not: { note: "x" } }), false);
+  assert.equal(matchesWhere(row, { $not: { note: { $gt: 1 } } }), false);
+  assert.equal(matchesWhere(row, { $not: { "attrs.size": { $in: ["s"] } } }), false);
+  assert.equal(matchesWhere(row, { $not: { $or: [{ note: "x" }, { name: "Pen" }] } }), false);
+  assert.equal(matchesWhere(row, { $not: { $and: [{ note: "x" }, { name: "Pen" }] } }), true);
+  assert.equal(matchesWhere(row, { $or: [{ note: "x" }, { name: "Pencil" }] }), true);
+  assert.equal(matchesWhere(row, { $not: { note: null } }), false);
+  assert.equal(matchesWhere(row, { $not: { note: { $nin: [] } } }), false);
+});
+
+test("includeTotal counts every matching row, ignoring the page", async () => {
+  const db = await createTestDatabase({
+    schema,
+    handler: (sql) => (sql.startsWith("SELECT COUNT(*)") ? [{ total: "42" }] : eventsHandler(sql))
+  });
+  const page = await db.query("events", { where: { name: "x" }, limit: 2, includeTotal: true });
+
+  assert.equal(page.total, 42);
+  assert.equal(page.count, 2);
+  const [count] = db.pgPool.find(/^SELECT COUNT/);
+  assert.equal(count.sql, "SELECT COUNT(*) AS total FROM \"events\" WHERE \"_is_deleted\" = FALSE AND \"name\" = $1");
+  assert.deepEqual(count.params, ["x"]);
+});
+
+test("queryStream fetches through a server-side cursor in batches", async () => {
+  const rows = Array.from({ length: 5 }, (_, i) => ({ _tx_id: `t${i}`, name: `n${i}` }));
+  const db = await createTestDatabase({
+    schema,
+    handler: (sql) => (sql.startsWith("FETCH 2 FROM query_stream") ? rows.splice(0, 2) : undefined)
+  });
+
+  const seen = [];
+  for await (const row of db.queryStream("events", { where: { name: { $ne: "z" } }, orderBy: [{ column: "name" }], batchSize: 2 })) {
+    seen.push(row._tx_id);
+  }
+
+  assert.deepEqual(seen, ["t0", "t1", "t2", "t3", "t4"]);
+  const statements = db.pgPool.queries.map(({ sql }) => sql);
+  assert.equal(statements[0], "BEGIN");
+  assert.equal(statements[1], "DECLARE query_stream NO SCROLL CURSOR FOR SELECT * FROM \"events\" WHERE \"_is_deleted\" = FALSE AND \"name\" != $1 ORDER BY \"name\" ASC");
+  assert.equal(statements.filter((sql) => sql.startsWith("FETCH")).length, 3);
+  assert.equal(statements[statements.length - 1], "COMMIT");
+});
+
+test("a stream the consumer leaves early is rolled back", async () => {
+  const db = await createTestDatabase({ schema, handler: (sql) => (sql.startsWith("FETCH") ? [{ _tx_id: "a" }, { _tx_id: "b" }] : undefined) });
+  for await (const row of db.queryStream("events", { batchSize: 2 })) {
+    assert.equal(row._tx_id, "a");
+    break;
+  }
+  assert.equal(db.pgPool.find(/^ROLLBACK/).length, 1);
+  assert.equal(db.pgPool.find(/^COMMIT/).length, 0);
+});
@@ -0,0 +1,99 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { SyncManager } = require("../src/core/SyncManager");
+const { createTestDatabase } = require("./helpers");
+
+const schema = { users: { name: { type: "string", required: true }, age: { type: "integer" } } };
+
+const auditHandler = (sql) => {
+  if (sql.startsWith("INSERT INTO _audit_log")) return [{ id: 1 }];
+  return undefined;
+};
+
+const nextMessage = (db) => new Promise((resolve) => db.once("hedera-message", resolve));
+
+test("replay payloads carry the row, sealed when encryptPayload is set", async () => {
+  const plain = await createTestDatabase({ schema, config: { replay: { enabled: true } } });
+  assert.deepEqual(plain.buildReplayPayload("users", "t1", { name: "Ada" }), { payload: { name: "Ada" } });
+
+  const sealed = await createTestDatabase({
+    schema,
+    config: { replay: { enabled: true, encryptPayload: true, key: "k".repeat(32) } }
+  });
+  const message = { table: "users", txId: "t1", ...sealed.buildReplayPayload("users", "t1", { name: "Ada" }) };
+  assert.equal(message.payload, undefined);
+  assert.deepEqual(sealed.readReplayPayload(message), { name: "Ada" });
+
+  const off = await createTestDatabase({ schema });
+  assert.deepEqual(off.buildReplayPayload("users", "t1", { name: "Ada" }), {});
+});
+
+test("the sync service skips a message that is not JSON and keeps going", async () => {
+  const db = await createTestDatabase({ schema });
+  await db.ledger.submitMessage(db.topicId, "not json");
+  await db.ledger.submitMessage(db.topicId, JSON.stringify({ type: "INSERT", txId: "t1" }));
+
+  const received = nextMessage(db);
+  db.startSyncService();
+  const { operation, sequenceNumber } = await received;
+  db.subscription.unsubscribe();
+
+  assert.equal(operation.txId, "t1");
+  assert.equal(sequenceNumber, 2);
+  assert.equal(db.metrics.errors, 1);
+});
+
+test("SyncManager inserts a replayed row after checking its hash", async () => {
+  const db = await createTestDatabase({ schema, handler: auditHandler });
+  const sync = new SyncManager(db);
+  const payload = { name: "Ada", age: 36 };
+  const operation = {
+    type: "INSERT",
+    table: "users",
+    txId: "t1",
+    dataHash: db.calculateRowHash("users", payload),
+    payload,
+    metadata: { userId: "alice" }
+  };
+
+  await sync.applyMessage(operation, { sequenceNumber: 4, consensusTimestamp: "1700000000.000000001" });
+
+  const [insert] = db.pgPool.find(/^INSERT INTO "users"/);
+  assert.deepEqual(insert.params, ["t1", operation.dataHash, "alice", "Ada", 36]);
+  const [audit] = db.pgPool.find(/^INSERT INTO _audit_log/);
+  assert.equal(audit.params[5], 4);
+  assert.equal(db.pgPool.find(/^INSERT INTO _sync_state/)[0].params[1], 4);
+  assert.equal(sync.lastSyncedSequence, 4);
+});
+
+test("SyncManager refuses a replayed row whose hash does not match", async () => {
+  const db = await createTestDatabase({ schema, handler: auditHandler });
+  const sync = new SyncManager(db);
+  const operation = { type: "INSERT", table: "users", txId: "t1", dataHash: "0".repeat(64), payload: { name: "Ada" } };
+
+  await assert.rejects(sync.applyMessage(operation, { sequenceNumber: 2 }), /Hash mismatch at sequence 2/);
+  assert.equal(db.pgPool.find(/^INSERT INTO "users"/).length, 0);
+  assert.equal(db.pgPool.find(/^ROLLBACK/).length, 1);
+});
+
+test("SyncManager requires a payload unless told to skip rows without one", async () => {
+  const db = await createTestDatabase({ schema, handler: auditHandler });
+  const operation = { type: "INSERT", table: "users", txId: "t1", dataHash: "x" };
+
+  await assert.rejects(new SyncManager(db).applyMessage(operation, { sequenceNumber: 3 }), /has no payload/);
+
+  const lenient = new SyncManager(db, { allowMissingPayload: true });
+  const skipped = new Promise((resolve) => lenient.once("skipped", resolve));
+  await lenient.applyMessage(operation, { sequenceNumber: 3 });
+  assert.equal((await skipped).txId, "t1");
+});
+
+test("SyncManager skips message types it does not know", async () => {
+  const db = await createTestDatabase({ schema, handler: auditHandler });
+  const sync = new SyncManager(db);
+  const skipped = new Promise((resolve) => sync.once("skipped", resolve));
+
+  await sync.applyMessage({ type: "UNPARSEABLE" }, { sequenceNumber: 5 });
+  assert.deepEqual(await skipped, { type: "UNPARSEABLE", sequenceNumber: 5 });
+  assert.equal(sync.lastSyncedSequence, 5);
+});
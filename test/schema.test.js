@@ -0,0 +1,147 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { assertValidSchema, defaultSql, describeConstraints } = require("../src/core/SchemaDefinition");
+const { MigrationRunner } = require("../src/migrations/migrationRunner");
+const { createTestDatabase } = require("./helpers");
+
+const column = (type, value) => ({ type, default: value });
+
+test("defaults are rendered as literals of the column's type", () => {
+  assert.equal(defaultSql(column("string", "it's"), "t", "c"), "'it''s'::TEXT");
+  assert.equal(defaultSql(column("string", "'pending'"), "t", "c"), "'pending'::TEXT");
+  assert.equal(defaultSql(column("integer", 0), "t", "c"), "0");
+  assert.equal(defaultSql(column("number", "-1.50"), "t", "c"), "-1.50");
+  assert.equal(defaultSql(column("boolean", "TRUE"), "t", "c"), "TRUE");
+  assert.equal(defaultSql(column("boolean", false), "t", "c"), "FALSE");
+  assert.equal(defaultSql(column("json", { tags: [] }), "t", "c"), "'{\"tags\":[]}'::JSONB");
+  assert.equal(defaultSql(column("datetime", "now()"), "t", "c"), "CURRENT_TIMESTAMP");
+  assert.equal(defaultSql(column("uuid", "gen_random_uuid()"), "t", "c"), "gen_random_uuid()");
+  assert.equal(defaultSql({ type: "string" }, "t", "c"), null);
+});
+
+test("text defaults that look like SQL stay inside one literal", () => {
+  assert.equal(defaultSql(column("string", "now(); select 1"), "t", "c"), "'now(); select 1'::TEXT");
+  assert.equal(
+    defaultSql(column("string", "'a'); DROP TABLE users; --'"), "t", "c"),
+    "'''a''); DROP TABLE users; --'''::TEXT"
+  );
+  // A backslash rules out the quoted-literal form, so the value is escaped
+  assert.match(defaultSql(column("string", "'a\\'"), "t", "c"), /^ E'/);
+});
+
+test("defaults that are not values of the column's type are refused", () => {
+  const attempts = [
+    column("integer", "0; DROP TABLE users"),
+    column("boolean", "TRUE OR 1=1"),
+    column("integer", Infinity),
+    column("string", { sql: "1" }),
+    column("array", "{a}"),
+    { type: "string", encrypted: true, default: "x" }
+  ];
+  for (const colDef of attempts) {
+    assert.throws(() => defaultSql(colDef, "t", "c"), /Invalid default for t\.c/);
+  }
+});
+
+test("assertValidSchema checks defaults and table names, and can refuse check expressions and patterns", () => {
+  assert.throws(() => assertValidSchema({ t: { c: column("integer", "1) ; --") } }), /Invalid default/);
+  assert.throws(() => assertValidSchema([]), /must be an object/);
+  assert.throws(() => assertValidSchema({ t: { c: null } }), /must be a type name or a definition/);
+
+  const checked = { t: { c: { type: "integer", check: "c > 0" }, $check: { small: "c < 10" } } };
+  assert.doesNotThrow(() => assertValidSchema(checked));
+  assert.throws(() => assertValidSchema(checked, { allowCheckExpressions: false }), /Check expressions are not accepted/);
+
+  assert.throws(() => assertValidSchema({ metrics: { c: "integer" } }), { code: "INVALID_IDENTIFIER", message: /reserved for an API route/ });
+
+  const patterned = { t: { c: { type: "string", pattern: "^[a-z]+$" } } };
+  assert.doesNotThrow(() => assertValidSchema(patterned));
+  assert.throws(() => assertValidSchema(patterned, { allowPatterns: false }), /Patterns are not accepted/);
+});
+
+test("createTable writes the rendered default, never the schema's text", async () => {
+  const db = await createTestDatabase();
+  await db.createTable(db.pgPool, "orders", { status: column("string", "open"), paid: column("boolean", false) });
+  const [create] = db.pgPool.find(/^CREATE TABLE/);
+  assert.match(create.sql, /"status" TEXT DEFAULT 'open'::TEXT/);
+  assert.match(create.sql, /"paid" BOOLEAN DEFAULT FALSE/);
+});
+
+test("foreign keys accept only referential actions that leave rows unchanged", async () => {
+  const users = { email: { type: "string", unique: true } };
+  const orders = (ref) => ({ users, orders: { user_email: { type: "string", references: ref } } });
+
+  assert.doesNotThrow(() => assertValidSchema(orders({ table: "users", column: "email", onDelete: "restrict" })));
+  assert.doesNotThrow(() => assertValidSchema(orders({ table: "users", column: "email", onDelete: "no action" })));
+  for (const action of [{ onDelete: "cascade" }, { onDelete: "set null" }, { onDelete: "SET_DEFAULT" }, { onUpdate: "cascade" }]) {
+    assert.throws(
+      () => assertValidSchema(orders({ table: "users", column: "email", ...action })),
+      /only restrict and no action are audited/
+    );
+  }
+
+  const db = await createTestDatabase();
+  await db.createTable(db.pgPool, "orders", { user_id: { type: "string", references: { table: "users", onDelete: "restrict" } } });
+  assert.match(db.pgPool.find(/^CREATE TABLE/)[0].sql, /REFERENCES "users" \("_tx_id"\) ON DELETE RESTRICT/);
+});
+
+const shop = {
+  users: { email: { type: "string", unique: true } },
+  orders: {
+    user_id: { type: "string", references: "users", onDelete: "restrict" },
+    amount: { type: "integer", check: "amount >= 0" },
+    status: { type: "string" },
+    $unique: [["user_id", "status"]],
+    $indexes: [{ columns: ["status", "amount"] }, { name: "orders_by_amount", columns: ["amount"], unique: true }],
+    $check: { positive: "amount > 0 OR status = 'void'" }
+  }
+};
+
+test("tables declare named foreign keys, uniques, checks and indexes", async () => {
+  const db = await createTestDatabase();
+  await db.createTable(db.pgPool, "orders", shop.orders);
+
+  const [create] = db.pgPool.find(/^CREATE TABLE/);
+  assert.match(create.sql, /CONSTRAINT "orders_user_id_fkey" FOREIGN KEY \("user_id"\) REFERENCES "users" \("_tx_id"\) ON DELETE RESTRICT/);
+  assert.match(create.sql, /CONSTRAINT "orders_amount_check" CHECK \(amount >= 0\)/);
+  assert.match(create.sql, /CONSTRAINT "orders_user_id_status_key" UNIQUE \("user_id", "status"\)/);
+  assert.match(create.sql, /CONSTRAINT "orders_positive_check" CHECK \(amount > 0 OR status = 'void'\)/);
+  const indexes = db.pgPool.find(/^CREATE (UNIQUE )?INDEX IF NOT EXISTS "(idx_orders_status_amount|orders_by_amount)"/);
+  assert.deepEqual(indexes.map(({ sql }) => sql), [
+    "CREATE INDEX IF NOT EXISTS \"idx_orders_status_amount\" ON \"orders\" (\"status\", \"amount\")",
+    "CREATE UNIQUE INDEX IF NOT EXISTS \"orders_by_amount\" ON \"orders\" (\"amount\")"
+  ]);
+
+  assert.deepEqual(describeConstraints(shop).orders.map(({ name }) => name), [
+    "orders_user_id_fkey", "orders_amount_check", "orders_user_id_status_key",
+    "idx_orders_status_amount", "orders_by_amount", "orders_positive_check"
+  ]);
+});
+
+test("constraints must name real columns and unique targets, without cycles", () => {
+  const refused = [
+    [{ t: { a: { type: "string" }, $unique: [["a", "b"]] } }, /names unknown column t\.b/],
+    [{ t: { a: { type: "string", references: "ghosts" } } }, /references unknown table ghosts/],
+    [{ u: { name: { type: "string" } }, t: { a: { type: "string", references: "u.name" } } }, /neither _tx_id nor unique/],
+    [{ a: { b_id: { type: "string", references: "b" } }, b: { a_id: { type: "string", references: "a" } } }, /Circular table references/],
+    [{ t: { a: { type: "integer", check: "a > 0; DROP TABLE t" } } }, /Invalid check expression/],
+    [{ t: { a: { type: "string" }, $primary: ["a"] } }, /Unknown table option t\.\$primary/]
+  ];
+  for (const [schema, message] of refused) {
+    assert.throws(() => assertValidSchema(schema), message);
+  }
+  assert.doesNotThrow(() => assertValidSchema(shop));
+});
+
+test("migrations add and drop constraints by name", async () => {
+  const db = await createTestDatabase();
+  const runner = new MigrationRunner(db);
+  const target = { ...shop, orders: { ...shop.orders, amount: { type: "integer", check: "amount >= 1" }, $check: {} } };
+
+  const changes = runner.diff(shop, target).map(({ type, constraint }) => `${type}:${constraint.name}`);
+  assert.deepEqual(changes.sort(), [
+    "addConstraint:orders_amount_check",
+    "dropConstraint:orders_amount_check",
+    "dropConstraint:orders_positive_check"
+  ]);
+});
@@ -0,0 +1,284 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { createAuth } = require("../src/api/auth");
+const { createTenantRouter } = require("../src/api/tenants");
+const { DatabaseManager } = require("../src/core/DatabaseManager");
+const { LocalLedgerAdapter } = require("../src/ledger");
+const { createLogger } = require("../src/utils/logger");
+const { createFakePool, createTestDatabase } = require("./helpers");
+
+const registryRow = (name, status) => ({ name, schema_name: `db_${name}`, topic_id: "0.0.1", schema: {}, status });
+
+// A manager over fake pools, its registry answered by `handler`
+function createTestManager(handler) {
+  const ledger = new LocalLedgerAdapter();
+  const manager = new DatabaseManager({
+    postgres: { host: "localhost", database: "test" },
+    logger: createLogger({ level: "silent" }),
+    ledger
+  });
+  manager.pgPool.end();
+  manager.pgPool = createFakePool(handler);
+  return { manager, ledger };
+}
+
+// A manager whose registry accepts every name and describes it as active,
+// opening databases over fake pools answered by `tenantHandler`; any other
+// statement goes to `registryHandler`
+function createProvisioningManager(t, tenantHandler, registryHandler = () => undefined) {
+  const { manager, ledger } = createTestManager((sql, params) => {
+    if (sql.startsWith("INSERT INTO _databases")) return [{ name: params[0] }];
+    if (sql.startsWith("SELECT * FROM _databases WHERE name")) return [registryRow(params[0], "active")];
+    if (sql.startsWith("SELECT * FROM _databases WHERE status")) return [registryRow("acme", "active"), registryRow("globex", "active")];
+    return registryHandler(sql, params);
+  });
+  const instantiate = manager.instantiate.bind(manager);
+  manager.instantiate = (schemaName) => {
+    const db = instantiate(schemaName);
+    db.pgPool.end();
+    db.pgPool = createFakePool(tenantHandler);
+    return db;
+  };
+  t.after(() => manager.close());
+  return { manager, ledger };
+}
+
+// A tenant database whose outbox answers for a DATABASE_DROPPED message
+async function tenantDatabase(ledger, { queued = [], status = "anchored" } = {}) {
+  return createTestDatabase({
+    config: { ledger },
+    handler: (sql) => {
+      if (sql.startsWith("SELECT COUNT(*) AS count FROM _outbox")) return [{ count: "0" }];
+      if (sql.startsWith("SELECT id FROM _outbox")) return queued;
+      if (sql.startsWith("INSERT INTO _outbox")) return [{ id: 5 }];
+      if (sql.startsWith("SELECT * FROM _outbox WHERE id")) {
+        return [{ id: 5, status, attempts: 1, result: { sequenceNumber: 3, consensusTimestamp: "1.2" } }];
+      }
+      return undefined;
+    }
+  });
+}
+
+test("a tenant schema with a bad default, a check expression or a pattern is refused before the name is reserved", async () => {
+  const { manager } = createTestManager();
+
+  await assert.rejects(
+    manager.create("acme", { t: { c: { type: "integer", default: "0; DROP SCHEMA public CASCADE" } } }),
+    /Invalid default/
+  );
+  await assert.rejects(manager.create("acme", { t: { c: { type: "integer", check: "true" } } }), /Check expressions/);
+  await assert.rejects(manager.create("acme", { t: { c: { type: "string", pattern: "^(a+)+$" } } }), /Patterns are not accepted here \(t\.c\)/);
+  assert.equal(manager.pgPool.queries.length, 0);
+});
+
+test("each database is created on its own topic and schema, and its creation is recorded", async (t) => {
+  const { manager, ledger } = createProvisioningManager(t);
+  const created = [];
+  manager.on("database-created", (event) => created.push(event));
+
+  const described = await manager.create("acme", { orders: { item: { type: "string" } } }, { createdBy: "alice", metadata: { requestId: "r1" } });
+  await manager.create("globex", { invoices: { total: { type: "integer" } } }, { createdBy: "bob" });
+
+  const [reserved] = manager.pgPool.find(/^INSERT INTO _databases/);
+  assert.deepEqual(reserved.params.slice(0, 2), ["acme", "db_acme"]);
+  assert.equal(reserved.params[3], "provisioning");
+  assert.equal(described.status, "active");
+  assert.equal(described.open, true);
+
+  const acme = manager.get("acme");
+  const globex = manager.get("globex");
+  assert.notEqual(acme.topicId.toString(), globex.topicId.toString());
+  assert.equal(acme.pgPool.find(/^CREATE TABLE IF NOT EXISTS "orders"/).length, 1);
+  assert.equal(acme.pgPool.find(/"invoices"/).length, 0);
+  assert.equal(globex.pgPool.find(/^CREATE TABLE IF NOT EXISTS "invoices"/).length, 1);
+  assert.equal((await ledger.getTopicInfo(acme.topicId)).sequenceNumber, 1);
+  assert.equal(acme.pgPool.find(/^INSERT INTO _schema_versions/).length, 1);
+
+  const [activated] = manager.pgPool.find(/^UPDATE _databases SET status = \$2, topic_id/);
+  assert.deepEqual(activated.params, ["acme", "active", acme.topicId.toString()]);
+  const [event] = manager.pgPool.find(/^INSERT INTO _database_events/);
+  assert.deepEqual(event.params.slice(0, 6), ["acme", "CREATED", acme.topicId.toString(), null, null, "alice"]);
+  assert.deepEqual(JSON.parse(event.params[6]), { requestId: "r1", schemaName: "db_acme", schemaVersion: "1.0.0" });
+  assert.deepEqual(created.map(({ name }) => name), ["acme", "globex"]);
+});
+
+test("invalid and taken names are refused, unknown ones are not found", async () => {
+  const { manager } = createTestManager((sql) => (sql.startsWith("INSERT INTO _databases") ? [] : undefined));
+  const schema = { orders: { item: { type: "string" } } };
+
+  for (const name of ["Acme", "1acme", "ac-me", "a".repeat(49), undefined]) {
+    await assert.rejects(manager.create(name, schema), { code: "INVALID_IDENTIFIER" }, String(name));
+  }
+  await assert.rejects(manager.create("acme", schema), { code: "CONFLICT", message: "Database already exists: acme" });
+  assert.equal(manager.databases.size, 0);
+
+  assert.throws(() => manager.get("ghost"), { code: "NOT_FOUND" });
+  manager.unavailable.set("broken", new Error("topic missing"));
+  assert.throws(() => manager.get("broken"), { code: "DATABASE_UNAVAILABLE", statusCode: 503 });
+});
+
+test("a database that fails to initialize is removed and recorded as failed", async (t) => {
+  const { manager } = createProvisioningManager(t, (sql) => {
+    if (sql.startsWith("CREATE TABLE IF NOT EXISTS \"orders\"")) throw new Error("permission denied");
+    return undefined;
+  });
+
+  await assert.rejects(manager.create("acme", { orders: { item: { type: "string" } } }, { createdBy: "alice" }), /permission denied/);
+
+  assert.equal(manager.pgPool.find(/^DROP SCHEMA IF EXISTS "db_acme" CASCADE/).length, 1);
+  assert.deepEqual(manager.pgPool.find(/^UPDATE _databases SET status = \$2 WHERE/)[0].params, ["acme", "failed"]);
+  const [event] = manager.pgPool.find(/^INSERT INTO _database_events/);
+  assert.equal(event.params[1], "CREATE_FAILED");
+  assert.equal(JSON.parse(event.params[6]).error, "permission denied");
+  assert.throws(() => manager.get("acme"), /Database not found/);
+});
+
+test("a schema that was already there is not dropped when creating a database in it fails", async (t) => {
+  const { manager } = createProvisioningManager(
+    t,
+    (sql) => {
+      if (sql.startsWith("CREATE TABLE IF NOT EXISTS \"orders\"")) throw new Error("permission denied");
+      return undefined;
+    },
+    (sql) => {
+      if (sql === "CREATE SCHEMA \"db_acme\"") throw Object.assign(new Error("schema \"db_acme\" already exists"), { code: "42P06" });
+      return undefined;
+    }
+  );
+
+  await assert.rejects(manager.create("acme", { orders: { item: { type: "string" } } }), /permission denied/);
+
+  assert.equal(manager.pgPool.find(/^DROP SCHEMA/).length, 0);
+  assert.deepEqual(manager.pgPool.find(/^UPDATE _databases SET status = \$2 WHERE/)[0].params, ["acme", "failed"]);
+});
+
+test("start fails databases left provisioning so their names can be created again", async () => {
+  const { manager } = createTestManager((sql) => {
+    if (sql.startsWith("UPDATE _databases SET status = $2 WHERE status = $1")) return [{ name: "acme", schema_name: "db_acme" }];
+    return undefined;
+  });
+
+  await manager.start();
+  await manager.close();
+
+  assert.deepEqual(manager.pgPool.find(/^UPDATE _databases SET status = \$2 WHERE status = \$1/)[0].params, ["provisioning", "failed"]);
+  const [event] = manager.pgPool.find(/^INSERT INTO _database_events/);
+  assert.deepEqual(event.params.slice(0, 2), ["acme", "CREATE_FAILED"]);
+  assert.equal(manager.databases.size, 0);
+});
+
+// Serves the tenant router for manager on a free port
+async function serve(t, manager) {
+  const auth = createAuth({
+    apiKeys: [
+      { key: "admin-key", id: "admin", roles: ["admin"] },
+      { key: "acme-key", id: "acme-clerk", roles: ["clerk"], databases: ["acme"] }
+    ],
+    roles: { admin: { "*": ["read", "insert", "delete"] }, clerk: { orders: ["read"], _databases: ["read", "insert"] } }
+  });
+  const app = express();
+  app.use("/api", createTenantRouter(manager, { auth }));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+  return (method, path, key, { body, headers = {} } = {}) => fetch(`${base}${path}`, {
+    method,
+    headers: { "x-api-key": key, "content-type": "application/json", ...headers },
+    body: body && JSON.stringify(body)
+  });
+}
+
+test("requests reach a database by path or header, within the principal's databases", async (t) => {
+  const { manager } = createProvisioningManager(t, (sql) => (
+    sql.includes("FROM \"orders\"") ? [{ _tx_id: "t1", item: "pen", _cursor_0: "t1" }] : undefined
+  ));
+  const send = await serve(t, manager);
+  const schema = { orders: { item: { type: "string" } } };
+
+  const provisioned = await send("POST", "/databases", "acme-key", { body: { name: "acme", schema } });
+  assert.equal(provisioned.status, 201);
+  assert.equal((await provisioned.json()).name, "acme");
+  assert.equal((await send("POST", "/databases", "acme-key", { body: { name: "globex", schema } })).status, 403);
+  await manager.create("globex", schema);
+
+  const byPath = await send("GET", "/db/acme/orders/t1", "acme-key");
+  assert.equal(byPath.status, 200);
+  assert.equal((await byPath.json()).data.item, "pen");
+  assert.equal((await send("GET", "/orders/t1", "acme-key", { headers: { "x-database": "acme" } })).status, 200);
+  assert.equal((await send("GET", "/db/globex/orders/t1", "acme-key")).status, 403);
+  assert.equal((await send("GET", "/db/globex/orders/t1", "admin-key")).status, 200);
+
+  const unknown = await send("GET", "/db/ghost/orders/t1", "admin-key");
+  assert.equal(unknown.status, 404);
+  assert.equal((await unknown.json()).error.message, "Database not found: ghost");
+  assert.equal((await send("GET", "/db/ghost/orders/t1", "acme-key")).status, 403);
+  assert.equal((await send("GET", "/orders/t1", "admin-key")).status, 404);
+
+  const listed = await send("GET", "/databases", "acme-key");
+  assert.deepEqual((await listed.json()).databases.map(({ name }) => name), ["acme"]);
+  assert.equal((await send("GET", "/databases", "admin-key")).status, 200);
+  assert.equal((await send("DELETE", "/databases/acme", "acme-key")).status, 403);
+});
+
+test("a drop anchors DATABASE_DROPPED through the outbox before dropping the schema", async () => {
+  const { manager, ledger } = createTestManager((sql) => (
+    sql.startsWith("SELECT * FROM _databases") ? [registryRow("acme", "dropped")] : undefined
+  ));
+  const db = await tenantDatabase(ledger);
+  manager.databases.set("acme", db);
+
+  const described = await manager.drop("acme", { droppedBy: "alice", reason: "offboarded" });
+
+  const [queued] = db.pgPool.find(/^INSERT INTO _outbox/);
+  const message = JSON.parse(queued.params[0]);
+  assert.equal(message.type, "DATABASE_DROPPED");
+  assert.deepEqual(message.metadata, { userId: "alice", reason: "offboarded", unanchored: 0 });
+  assert.equal((await ledger.getTopicInfo(db.topicId)).sequenceNumber, 0);
+
+  assert.equal(manager.pgPool.find(/^DROP SCHEMA IF EXISTS "db_acme" CASCADE/).length, 1);
+  const [event] = manager.pgPool.find(/^INSERT INTO _database_events/);
+  assert.deepEqual(event.params.slice(1, 6), ["DROPPED", db.topicId, "3", "1.2", "alice"]);
+  assert.equal(described.status, "dropped");
+  assert.throws(() => manager.get("acme"), /Database not found/);
+});
+
+test("a drop whose message is not anchored leaves the database in place", async () => {
+  const { manager, ledger } = createTestManager();
+  const db = await tenantDatabase(ledger, { status: "pending" });
+  manager.databases.set("acme", db);
+
+  await assert.rejects(manager.drop("acme", { anchorTimeout: 20 }), (error) => {
+    assert.equal(error.code, "DROP_NOT_ANCHORED");
+    assert.equal(error.statusCode, 503);
+    return true;
+  });
+  assert.equal(manager.get("acme"), db);
+  assert.equal(manager.pgPool.find(/^DROP SCHEMA/).length, 0);
+});
+
+test("retrying a drop reuses the DATABASE_DROPPED message already queued", async () => {
+  const { manager, ledger } = createTestManager((sql) => (
+    sql.startsWith("SELECT * FROM _databases") ? [registryRow("acme", "dropped")] : undefined
+  ));
+  const db = await tenantDatabase(ledger, { queued: [{ id: 5 }] });
+  manager.databases.set("acme", db);
+
+  await manager.drop("acme");
+  assert.equal(db.pgPool.find(/^INSERT INTO _outbox/).length, 0);
+  assert.deepEqual(db.pgPool.find(/^SELECT \* FROM _outbox WHERE id/)[0].params, [5]);
+});
+
+test("schema messages are anchored directly even in batch mode", async () => {
+  const db = await createTestDatabase({ config: { anchoring: { mode: "batch", maxWaitMs: 60000 } } });
+
+  const migrate = await db.anchorMessage({ type: "SCHEMA_MIGRATE", version: "1.1.0" });
+  assert.equal(migrate.sequenceNumber, 1);
+  assert.equal(migrate.merkle, undefined);
+
+  const batched = db.anchorMessage({ type: "INSERT", table: "t", txId: "a" });
+  await db.batcher.flush();
+  assert.equal((await batched).merkle.leafIndex, 0);
+});
@@ -0,0 +1,116 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestDatabase } = require("./helpers");
+
+const schema = { accounts: { owner: { type: "string" }, balance: { type: "integer" } } };
+
+// Rows come back as written; the one existing account is "t-old"
+function accountsHandler(sql, params) {
+  if (sql.startsWith("INSERT INTO \"accounts\"")) return [{ owner: params[0], balance: params[1], _tx_id: params[2], _version: 1 }];
+  if (sql.startsWith("SELECT * FROM \"accounts\"")) {
+    return params[0] === "t-old" ? [{ _tx_id: "t-old", owner: "bob", balance: 10, _data_hash: "h-old", _version: 1 }] : [];
+  }
+  if (sql.startsWith("UPDATE \"accounts\"")) return [{ _tx_id: "t-old", owner: "bob", balance: params[0], _version: 2 }];
+  if (sql.startsWith("INSERT INTO _outbox")) return [{ id: 9 }];
+  if (sql.startsWith("INSERT INTO _audit_log")) return [{ id: 1 }];
+  return undefined;
+}
+
+test("a commit runs every operation in one PostgreSQL transaction anchored by one message", async () => {
+  const db = await createTestDatabase({ schema, handler: accountsHandler });
+  const txn = await db.transactions.begin(undefined, { userId: "alice" });
+  db.transactions.insert(txn.id, "accounts", { owner: "ada", balance: 5 });
+  db.transactions.update(txn.id, "accounts", "t-old", { balance: 5 });
+
+  const result = await db.transactions.commit(txn.id);
+
+  const statements = db.pgPool.queries.map(({ sql }) => sql.split(" ")[0]);
+  assert.equal(statements[0], "BEGIN");
+  assert.equal(statements.filter((s) => s === "COMMIT").length, 1);
+
+  const outbox = db.pgPool.find(/^INSERT INTO _outbox/);
+  assert.equal(outbox.length, 1);
+  const message = JSON.parse(outbox[0].params[0]);
+  assert.equal(message.type, "TRANSACTION");
+  assert.deepEqual(message.operations.map((op) => op.type), ["INSERT", "UPDATE"]);
+
+  assert.equal(db.pgPool.find(/^INSERT INTO _audit_log/).length, 2);
+  assert.deepEqual(result.operations.map((op) => op.method), ["insert", "update"]);
+  assert.equal(result.anchor.outboxId, 9);
+  assert.equal(db.transactions.transactions.size, 0);
+});
+
+test("a failing operation rolls the whole transaction back", async () => {
+  const db = await createTestDatabase({ schema, handler: accountsHandler });
+  const txn = await db.transactions.begin();
+  db.transactions.insert(txn.id, "accounts", { owner: "ada", balance: 5 });
+  db.transactions.update(txn.id, "accounts", "t-missing", { balance: 1 });
+
+  await assert.rejects(db.transactions.commit(txn.id), /Record not found/);
+  assert.equal(db.pgPool.find(/^ROLLBACK/).length, 1);
+  assert.equal(db.pgPool.find(/^INSERT INTO _outbox/).length, 0);
+  await assert.rejects(db.transactions.commit(txn.id), /Transaction not found/);
+});
+
+test("a commit that cannot get a connection leaves the transaction open", async () => {
+  const db = await createTestDatabase({ schema, handler: accountsHandler });
+  const txn = await db.transactions.begin();
+  db.transactions.insert(txn.id, "accounts", { owner: "ada", balance: 5 });
+  const connect = db.pgPool.connect;
+  db.pgPool.connect = async () => { throw new Error("too many clients"); };
+
+  await assert.rejects(db.transactions.commit(txn.id), /too many clients/);
+  assert.equal(txn.state, "active");
+
+  db.pgPool.connect = connect;
+  assert.equal((await db.transactions.commit(txn.id)).operations.length, 1);
+  assert.equal(txn.state, "committed");
+});
+
+test("rolled back and unknown transactions take no more operations", async () => {
+  const db = await createTestDatabase({ schema });
+  const txn = await db.transactions.begin("fixed-id");
+  await assert.rejects(db.transactions.begin("fixed-id"), /already exists/);
+
+  assert.deepEqual(await db.transactions.rollback(txn.id), { success: true, transactionId: "fixed-id", state: "rolled_back" });
+  assert.throws(() => db.transactions.insert(txn.id, "accounts", {}), /Transaction not found/);
+  assert.throws(() => db.transactions.addOperation("nope", "insert", []), /Transaction not found/);
+  assert.equal(db.pgPool.queries.length, 0);
+});
+
+test("an empty transaction commits without touching PostgreSQL", async () => {
+  const db = await createTestDatabase({ schema });
+  const txn = await db.transactions.begin();
+  assert.deepEqual(await db.transactions.commit(txn.id), { success: true, transactionId: txn.id, operations: [] });
+  assert.equal(db.pgPool.queries.length, 0);
+});
+
+test("transactions left idle past ttlMs are rolled back and forgotten", async () => {
+  const db = await createTestDatabase({ schema, config: { transactions: { ttlMs: 1000 } } });
+  const stale = await db.transactions.begin("stale");
+  const fresh = await db.transactions.begin("fresh");
+  assert.ok(db.transactions.reapTimer);
+
+  stale.lastActivity -= 5000;
+  assert.equal(db.transactions.reap(), 1);
+  assert.equal(stale.state, "rolled_back");
+  assert.throws(() => db.transactions.getActive("stale"), /Transaction not found/);
+  assert.equal(db.transactions.getActive("fresh"), fresh);
+
+  // Expired transactions are refused even before the next sweep
+  fresh.lastActivity -= 5000;
+  assert.throws(() => db.transactions.insert("fresh", "accounts", {}), /Transaction not found/);
+  assert.equal(db.transactions.transactions.size, 0);
+
+  db.transactions.reap();
+  assert.equal(db.transactions.reapTimer, null);
+});
+
+test("queuing an operation keeps a transaction alive", async () => {
+  const db = await createTestDatabase({ schema, config: { transactions: { ttlMs: 1000 } } });
+  const txn = await db.transactions.begin();
+  txn.lastActivity -= 900;
+  db.transactions.insert(txn.id, "accounts", { owner: "ada" });
+  assert.equal(db.transactions.reap(Date.now() + 500), 0);
+  db.transactions.stop();
+});
@@ -0,0 +1,70 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestDatabase } = require("./helpers");
+
+const schema = {
+  members: {
+    email: { type: "string", nullable: false, maxLength: 20, pattern: "^[^@]+@[^@]+$" },
+    role: { type: "string", enum: ["admin", "member"], default: "member", nullable: false },
+    age: { type: "integer", min: 0, max: 150 },
+    balance: { type: "number" },
+    joined: { type: "date" },
+    id_card: { type: "uuid" },
+    vat_id: { type: "string", validate: "vatId" }
+  }
+};
+
+const rulesOf = (errors) => errors.map(({ field, rule }) => `${field}:${rule}`);
+const problems = (db, data, options) => rulesOf(db.validator.validate("members", schema.members, data, options));
+
+async function membersDatabase() {
+  const db = await createTestDatabase({ schema });
+  db.registerValidator("vatId", (value) => /^[A-Z]{2}\d+$/.test(value) || "vat_id must start with a country code");
+  return db;
+}
+
+test("every failing field is reported at once, before anything is written", async () => {
+  const db = await membersDatabase();
+  const row = { email: "not-an-email-address-at-all", role: "owner", age: 200, balance: "12,5", joined: "someday", id_card: "123", vat_id: "123", extra: 1 };
+
+  await assert.rejects(db.insert("members", row), (error) => {
+    assert.equal(error.statusCode, 422);
+    assert.equal(error.code, "VALIDATION_FAILED");
+    assert.deepEqual(rulesOf(error.details.errors).sort(), [
+      "age:max", "balance:type", "email:maxLength", "email:pattern", "extra:unknown",
+      "id_card:type", "joined:type", "role:enum", "vat_id:vatId"
+    ]);
+    assert.match(error.message, /vat_id must start with a country code/);
+    return true;
+  });
+  assert.deepEqual(db.pgPool.queries.map(({ sql }) => sql), ["BEGIN", "ROLLBACK"]);
+});
+
+test("types accept the values node-postgres reads back", async () => {
+  const db = await membersDatabase();
+  const valid = {
+    email: "a@b.c",
+    age: 40,
+    balance: "10.25",
+    joined: new Date("2024-01-02"),
+    id_card: "3f2504e0-4f89-11d3-9a0c-0305e82c3301",
+    vat_id: "DE123"
+  };
+  assert.deepEqual(problems(db, valid), []);
+  assert.deepEqual(problems(db, { ...valid, age: 1.5 }), ["age:type"]);
+});
+
+test("inserts need required columns, updates only check what they change", async () => {
+  const db = await membersDatabase();
+  assert.deepEqual(problems(db, { age: 3 }), ["email:required"]);
+  assert.deepEqual(problems(db, { age: 3 }, { isUpdate: true }), []);
+  assert.deepEqual(problems(db, { email: null }, { isUpdate: true }), ["email:required"]);
+  assert.deepEqual(problems(db, { email: "a@b.c", role: null }), ["role:required"]);
+  assert.deepEqual(problems(db, []), ["null:type"]);
+});
+
+test("a column naming an unregistered validator is a schema error", async () => {
+  const db = await createTestDatabase({ schema });
+  assert.throws(() => db.validateData("members", { email: "a@b.c", vat_id: "DE1" }), /Unknown validator vatId on members\.vat_id/);
+  assert.throws(() => db.registerValidator("x", "not a function"), /must be a function/);
+});
@@ -0,0 +1,197 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const { verifyWebhookSignature, SIGNATURE_HEADER, TIMESTAMP_HEADER } = require("../src/core/WebhookManager");
+const { createTestDatabase } = require("./helpers");
+
+const schema = { orders: { owner: { type: "string" }, total: { type: "integer" } } };
+const policies = { orders: { read: { owner: { $principal: "id" } }, bypassRoles: ["admin"] } };
+
+// Audit entries 1 (ada's order) and 2 (bob's) anchored by outbox entry 4,
+// offered to webhook 7 registered by `principal`
+const candidatesHandler = (principal, createdBy = null) => (sql) => {
+  if (sql.startsWith("SELECT w.id AS webhook_id")) {
+    return [
+      { webhook_id: 7, principal, created_by: createdBy, audit_id: 1, table_name: "orders", data: { owner: "ada", total: 5 } },
+      { webhook_id: 7, principal, created_by: createdBy, audit_id: 2, table_name: "orders", data: { owner: "bob", total: 9 } }
+    ];
+  }
+  if (sql.startsWith("INSERT INTO _webhook_deliveries")) return { rows: [], rowCount: 1 };
+  return undefined;
+};
+
+const queued = (db) => db.pgPool.find(/^INSERT INTO _webhook_deliveries/).map(({ params }) => params);
+
+test("deliveries are queued only for rows the registrant's principal may read", async () => {
+  const db = await createTestDatabase({ schema, config: { policies }, handler: candidatesHandler({ id: "ada", roles: [] }) });
+  await db.webhooks.enqueue(db.pgPool, 4);
+  assert.deepEqual(queued(db), [[[7], [1]]]);
+
+  const admin = await createTestDatabase({ schema, config: { policies }, handler: candidatesHandler({ id: "root", roles: ["admin"] }) });
+  await admin.webhooks.enqueue(admin.pgPool, 4);
+  assert.deepEqual(queued(admin), [[[7, 7], [1, 2]]]);
+
+  // Endpoints stored without a principal are read as their creator
+  const legacy = await createTestDatabase({ schema, config: { policies }, handler: candidatesHandler(null, "bob") });
+  await legacy.webhooks.enqueue(legacy.pgPool, 4);
+  assert.deepEqual(queued(legacy), [[[7], [2]]]);
+});
+
+test("a principal the policy cannot resolve receives nothing", async () => {
+  const db = await createTestDatabase({
+    schema,
+    config: { policies: { orders: { read: { owner: { $principal: "claims.tenant" } } } } },
+    handler: candidatesHandler({ id: "ada", roles: [] })
+  });
+  assert.equal(await db.webhooks.enqueue(db.pgPool, 4), 0);
+  assert.deepEqual(queued(db), []);
+});
+
+test("registering stores the principal and updating replaces it", async () => {
+  const db = await createTestDatabase({
+    schema,
+    handler: (sql, params) => {
+      if (sql.startsWith("INSERT INTO _webhooks")) return [{ id: 1, url: params[0], operations: params[3], created_by: params[6] }];
+      if (sql.startsWith("SELECT * FROM _webhooks")) return [{ id: 1, url: "https://hooks.example.com/", operations: ["INSERT"], principal: { id: "ada" } }];
+      if (sql.startsWith("UPDATE _webhooks")) return [{ id: 1, url: params[1], operations: params[3] }];
+      return undefined;
+    }
+  });
+
+  const registered = await db.webhooks.register({ url: "https://hooks.example.com/" }, { id: "ada", roles: ["clerk"], method: "apiKey" });
+  assert.equal(registered.createdBy, "ada");
+  assert.deepEqual(db.pgPool.find(/^INSERT INTO _webhooks/)[0].params[7], { id: "ada", roles: ["clerk"] });
+
+  await db.webhooks.update(1, { active: false });
+  await db.webhooks.update(1, { active: true }, { id: "bob", roles: [] });
+  assert.deepEqual(db.pgPool.find(/^UPDATE _webhooks/).map(({ params }) => params[6]), [{ id: "ada" }, { id: "bob", roles: [] }]);
+});
+
+test("endpoints on internal addresses or outside allowedHosts are refused", async () => {
+  const db = await createTestDatabase({ schema });
+  for (const url of [
+    "http://127.0.0.1:8080/",
+    "http://localhost/",
+    "http://169.254.169.254/latest/meta-data/",
+    "http://10.1.2.3/",
+    "http://[::1]/",
+    "http://[::ffff:127.0.0.1]/",
+    "http://[fd00::1]/",
+    "http://0.0.0.0/"
+  ]) {
+    await assert.rejects(db.webhooks.register({ url }), /internal address/, url);
+  }
+
+  const limited = await createTestDatabase({ schema, config: { webhooks: { allowedHosts: ["hooks.example.com", "*.partner.io"] } } });
+  assert.throws(() => limited.webhooks.validate({ url: "https://evil.example.net/" }), /not in webhooks.allowedHosts/);
+  assert.doesNotThrow(() => limited.webhooks.validate({ url: "https://in.partner.io/" }));
+  assert.doesNotThrow(() => limited.webhooks.validate({ url: "https://hooks.example.com/x" }));
+
+  const internal = await createTestDatabase({ schema, config: { webhooks: { allowPrivateNetworks: true } } });
+  assert.doesNotThrow(() => internal.webhooks.validate({ url: "http://127.0.0.1:8080/" }));
+});
+
+test("names that resolve to internal addresses fail when connecting", async () => {
+  const db = await createTestDatabase({ schema });
+  const error = await new Promise((resolve) => db.webhooks.lookup("localhost", { all: true }, resolve));
+  assert.match(error.message, /resolves to internal address/);
+});
+
+// A receiver on loopback answering `status`; deliveries need
+// allowPrivateNetworks to reach it
+async function receiver(t, status = 204) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(status).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+const delivery = (url) => ({
+  id: 3, attempts: 0, webhook_id: 7, url, secret: "s".repeat(32), audit_id: 1, tx_id: "t1",
+  table_name: "orders", operation: "INSERT", data_hash: "h", hedera_topic_id: "0.0.1",
+  hedera_sequence_number: "12", hedera_consensus_timestamp: "1.2", merkle_root: null,
+  created_at: new Date(0), request_id: null, data: { owner: "ada", total: 5 }
+});
+
+test("deliveries are signed with the endpoint's secret", async (t) => {
+  const { url, requests } = await receiver(t);
+  const db = await createTestDatabase({ schema, config: { webhooks: { allowPrivateNetworks: true } } });
+
+  await db.webhooks.deliver(delivery(url));
+
+  const [{ headers, body }] = requests;
+  const timestamp = headers[TIMESTAMP_HEADER.toLowerCase()];
+  const signature = headers[SIGNATURE_HEADER.toLowerCase()];
+  assert.ok(verifyWebhookSignature("s".repeat(32), body, timestamp, signature));
+  assert.equal(verifyWebhookSignature("t".repeat(32), body, timestamp, signature), false);
+  assert.deepEqual(
+    (({ txId, dataHash, sequenceNumber }) => ({ txId, dataHash, sequenceNumber }))(JSON.parse(body)),
+    { txId: "t1", dataHash: "h", sequenceNumber: 12 }
+  );
+  assert.deepEqual(db.pgPool.find(/^UPDATE _webhook_deliveries/)[0].params, [3, "delivered", 204]);
+});
+
+test("a delivery to an internal address is not sent and is retried", async (t) => {
+  const { url, requests } = await receiver(t);
+  const db = await createTestDatabase({ schema });
+
+  await db.webhooks.deliver(delivery(url));
+
+  assert.equal(requests.length, 0);
+  const [failure] = db.pgPool.find(/^UPDATE _webhook_deliveries/);
+  assert.deepEqual(failure.params.slice(1, 4), ["pending", 1, "Webhook host 127.0.0.1 is an internal address"]);
+});
+
+test("a failing endpoint is retried with growing delays, then the delivery is dead", async (t) => {
+  const { url, requests } = await receiver(t, 503);
+  const db = await createTestDatabase({
+    schema,
+    config: { webhooks: { allowPrivateNetworks: true, maxAttempts: 3, retryDelayMs: 1000 } }
+  });
+  const failures = [];
+  db.on("webhook-failed", (event) => failures.push(event));
+
+  for (const attempts of [0, 1, 2]) {
+    await db.webhooks.deliver({ ...delivery(url), attempts });
+  }
+
+  assert.equal(requests.length, 3);
+  assert.deepEqual(db.pgPool.find(/^UPDATE _webhook_deliveries/).map(({ params }) => params), [
+    [3, "pending", 1, "Endpoint answered 503", 503, "1000"],
+    [3, "pending", 2, "Endpoint answered 503", 503, "2000"],
+    [3, "dead", 3, "Endpoint answered 503", 503, "4000"]
+  ]);
+  assert.deepEqual(failures.map(({ attempts, dead }) => [attempts, dead]), [[1, false], [2, false], [3, true]]);
+});
+
+test("a dead delivery can be redelivered by hand", async () => {
+  const db = await createTestDatabase({
+    schema,
+    handler: (sql, params) => (sql.startsWith("UPDATE _webhook_deliveries") && params[0] === 3 ? [{ id: 3 }] : undefined)
+  });
+
+  assert.deepEqual(await db.webhooks.redeliver("7", "3"), { success: true, webhookId: 7, deliveryId: 3, status: "pending" });
+  assert.deepEqual(db.pgPool.queries[0].params, [3, 7, "pending", "delivering"]);
+  await assert.rejects(db.webhooks.redeliver("7", "4"), { statusCode: 404, message: "No delivery 4 to retry for webhook 7" });
+});
+
+test("signatures older than the tolerance are refused", () => {
+  const body = "{}";
+  const secret = "s".repeat(32);
+  const signed = (timestamp) => `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+  const now = Math.floor(Date.now() / 1000);
+
+  assert.equal(verifyWebhookSignature(secret, body, String(now - 60), signed(now - 60)), true);
+  assert.equal(verifyWebhookSignature(secret, body, String(now - 600), signed(now - 600)), false);
+  assert.equal(verifyWebhookSignature(secret, body, String(now - 600), signed(now - 600), 900), true);
+  assert.equal(verifyWebhookSignature(secret, body, "soon", signed("soon")), false);
+});